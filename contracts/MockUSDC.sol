@@ -2,16 +2,18 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockUSDC
  * @dev Mock USDC token for testing purposes
  * USDC uses 6 decimals (not 18 like ETH)
+ * Supports EIP-2612 permit like real USDC, so gasless approvals can be tested locally
  */
-contract MockUSDC is ERC20 {
+contract MockUSDC is ERC20, ERC20Permit {
     uint8 private constant _decimals = 6;
     
-    constructor() ERC20("Mock USD Coin", "mUSDC") {
+    constructor() ERC20("Mock USD Coin", "mUSDC") ERC20Permit("Mock USD Coin") {
         // Mint 1 billion USDC to deployer for testing
         _mint(msg.sender, 1_000_000_000 * 10**6);
     }
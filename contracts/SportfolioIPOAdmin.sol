@@ -0,0 +1,529 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SportfolioIPOCore.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title SportfolioIPOAdmin
+ * @dev Admin calls of SportfolioIPO and SportfolioIPOUpgradeable: team registration and
+ * lifecycle, settings, withdrawals, refund and payee claims and the emergency pause
+ * Kept out of SportfolioIPOBase so the IPO contract stays under the 24 KB contract size
+ * limit. Every IPO contract deploys its own instance and forwards these calls to it with
+ * delegatecall, so they run on the IPO's storage with the caller's roles; called
+ * directly, the instance has no roles and no state, so every call reverts
+ */
+contract SportfolioIPOAdmin is SportfolioIPOCore {
+    using SafeERC20 for IERC20;
+    
+    uint8 private constant USDC_DECIMALS = 6;
+    uint8 private constant MAX_ASSET_DECIMALS = 18;
+    
+    /**
+     * @dev Add a new team IPO with the default curve (team manager only)
+     * $30 base price, 2M supply, 200K smoothing factor, 3% platform fee
+     * The IPO opens immediately and runs until sell-out or completeIPO
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     */
+    function addTeam(uint256 tokenId, string memory teamName) external onlyRole(TEAM_MANAGER_ROLE) {
+        registerTeam(
+            tokenId,
+            teamName,
+            DEFAULT_BASE_PRICE,
+            DEFAULT_TOTAL_SUPPLY,
+            DEFAULT_SMOOTHING_FACTOR,
+            DEFAULT_PLATFORM_FEE_RATE,
+            block.timestamp,
+            0
+        );
+    }
+    
+    /**
+     * @dev Add a new team IPO with the default curve and a scheduled window (team manager only)
+     * Purchases are accepted from startTime until just before endTime
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param startTime Timestamp at which the IPO opens (not in the past)
+     * @param endTime Timestamp at which the IPO closes (0 = open until sell-out or completeIPO)
+     */
+    function addTeam(
+        uint256 tokenId,
+        string memory teamName,
+        uint256 startTime,
+        uint256 endTime
+    ) external onlyRole(TEAM_MANAGER_ROLE) {
+        registerTeam(
+            tokenId,
+            teamName,
+            DEFAULT_BASE_PRICE,
+            DEFAULT_TOTAL_SUPPLY,
+            DEFAULT_SMOOTHING_FACTOR,
+            DEFAULT_PLATFORM_FEE_RATE,
+            startTime,
+            endTime
+        );
+    }
+    
+    /**
+     * @dev Add a new team IPO with its own curve parameters (team manager only)
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param basePrice Starting price in USDC units (6 decimals)
+     * @param totalSupply Tokens available in this team's IPO
+     * @param smoothingFactor Curve smoothing factor (final price = basePrice × (totalSupply + smoothingFactor) / smoothingFactor)
+     * @param platformFeeRate Platform fee in basis points
+     */
+    function addTeam(
+        uint256 tokenId,
+        string memory teamName,
+        uint256 basePrice,
+        uint256 totalSupply,
+        uint256 smoothingFactor,
+        uint256 platformFeeRate
+    ) external onlyRole(TEAM_MANAGER_ROLE) {
+        registerTeam(tokenId, teamName, basePrice, totalSupply, smoothingFactor, platformFeeRate, block.timestamp, 0);
+    }
+    
+    /**
+     * @dev Add a new team IPO with its own curve parameters and a scheduled window (team manager only)
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param basePrice Starting price in USDC units (6 decimals)
+     * @param totalSupply Tokens available in this team's IPO
+     * @param smoothingFactor Curve smoothing factor (final price = basePrice × (totalSupply + smoothingFactor) / smoothingFactor)
+     * @param platformFeeRate Platform fee in basis points
+     * @param startTime Timestamp at which the IPO opens (not in the past)
+     * @param endTime Timestamp at which the IPO closes (0 = open until sell-out or completeIPO)
+     */
+    function addTeam(
+        uint256 tokenId,
+        string memory teamName,
+        uint256 basePrice,
+        uint256 totalSupply,
+        uint256 smoothingFactor,
+        uint256 platformFeeRate,
+        uint256 startTime,
+        uint256 endTime
+    ) external onlyRole(TEAM_MANAGER_ROLE) {
+        registerTeam(tokenId, teamName, basePrice, totalSupply, smoothingFactor, platformFeeRate, startTime, endTime);
+    }
+    
+    /**
+     * @dev Internal function to validate curve parameters and store a new team
+     * Bounds keep every curve computation far from uint256 overflow, rule out
+     * division by zero, and keep the closed-form cost within its documented error
+     * for every purchase (the rounding bound needs totalSupply × basePrice < 1e18)
+     * The window must not start in the past and, if it has a close, must close after it opens
+     */
+    function registerTeam(
+        uint256 tokenId,
+        string memory teamName,
+        uint256 basePrice,
+        uint256 totalSupply,
+        uint256 smoothingFactor,
+        uint256 platformFeeRate,
+        uint256 startTime,
+        uint256 endTime
+    ) internal {
+        require(tokenId > 0, "Token ID must be greater than 0");
+        require(teams[tokenId].tokenId == 0, "Team already exists");
+        require(bytes(teamName).length > 0, "Team name cannot be empty");
+        require(basePrice > 0 && basePrice <= MAX_BASE_PRICE, "Invalid base price");
+        require(totalSupply > 0 && totalSupply <= MAX_TOTAL_SUPPLY, "Invalid total supply");
+        require(
+            smoothingFactor >= MIN_SMOOTHING_FACTOR && smoothingFactor <= MAX_SMOOTHING_FACTOR,
+            "Invalid smoothing factor"
+        );
+        require(platformFeeRate <= MAX_PLATFORM_FEE_RATE, "Invalid platform fee rate");
+        unchecked {
+            // Every product is bounded by the checks above (at most 2^80, 2^81 and 2^166)
+            require(totalSupply * basePrice < 1e18, "Total supply too large for base price");
+            require(
+                basePrice * (totalSupply + smoothingFactor) <= 60 * smoothingFactor * smoothingFactor * smoothingFactor * smoothingFactor,
+                "Smoothing factor too small for curve"
+            );
+        }
+        require(startTime >= block.timestamp, "Start time in the past");
+        require(endTime == 0 || endTime > startTime, "End time must be after start time");
+        
+        // A new team's storage is still zeroed, so only non-zero fields are written
+        TeamIPO storage team = teams[tokenId];
+        team.tokenId = tokenId;
+        team.teamName = teamName;
+        team.ipoActive = true;
+        team.ipoStartTime = startTime;
+        team.ipoEndTime = endTime;
+        team.basePrice = basePrice;
+        team.totalSupply = totalSupply;
+        team.smoothingFactor = smoothingFactor;
+        team.platformFeeRate = platformFeeRate;
+        
+        teamIds.push(tokenId);
+        
+        emit TeamAdded(tokenId, teamName, block.timestamp);
+        emit TeamCurveConfigured(tokenId, basePrice, totalSupply, smoothingFactor, platformFeeRate);
+        emit IPOScheduled(tokenId, startTime, endTime);
+    }
+    
+    /**
+     * @dev Configure an allowlist presale for a specific team (team manager only)
+     * Until endTime only addresses in the tree can buy, through buyPresaleTokens;
+     * the public buy functions open at endTime. A zero root removes the presale.
+     * The root can be replaced mid-presale, e.g. to add addresses
+     * @param tokenId Team token ID
+     * @param merkleRoot Root printed by scripts/build-presale-tree.js
+     * @param endTime Timestamp at which the presale ends and the public phase starts
+     */
+    function setPresaleRoot(uint256 tokenId, bytes32 merkleRoot, uint256 endTime) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        require(merkleRoot == bytes32(0) || endTime > block.timestamp, "Presale end time in the past");
+        presales[tokenId] = Presale({ merkleRoot: merkleRoot, endTime: endTime });
+        emit PresaleConfigured(tokenId, merkleRoot, endTime);
+    }
+    
+    /**
+     * @dev Set the maximum tokens one wallet can buy in a team's IPO (team manager only)
+     * Enforced on the public buy functions and counts presale purchases too
+     * @param tokenId Team token ID
+     * @param walletCap Max tokens per wallet (0 = no cap)
+     */
+    function setWalletCap(uint256 tokenId, uint256 walletCap) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        walletCaps[tokenId] = walletCap;
+        emit WalletCapUpdated(tokenId, walletCap);
+    }
+    
+    /**
+     * @dev Emergency pause IPO for a specific team (team manager only)
+     * @param tokenId Team token ID
+     */
+    function pauseIPO(uint256 tokenId) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        require(teams[tokenId].ipoActive, "IPO already paused or completed");
+        requireWindowOpen(teams[tokenId]);
+        teams[tokenId].ipoActive = false;
+        emit IPOPaused(tokenId);
+    }
+    
+    /**
+     * @dev Resume IPO for a specific team (team manager only)
+     * The scheduled close is not extended, so a team paused past its end time stays closed
+     * @param tokenId Team token ID
+     */
+    function resumeIPO(uint256 tokenId) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        require(!teams[tokenId].ipoActive, "IPO already active");
+        require(teams[tokenId].tokensSold < teams[tokenId].totalSupply, "All tokens sold");
+        requireNotSettled(teams[tokenId]);
+        requireWindowOpen(teams[tokenId]);
+        teams[tokenId].ipoActive = true;
+        emit IPOResumed(tokenId);
+    }
+    
+    /**
+     * @dev Manually complete IPO for a specific team (team manager only)
+     * For emergency situations or strategic decisions
+     * Completing after the scheduled close keeps the scheduled end time
+     * Releases the team's escrowed proceeds for withdrawal, so teams whose window
+     * closed without selling out must be completed (or cancelled) explicitly
+     * @param tokenId Team token ID
+     */
+    function completeIPO(uint256 tokenId) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        TeamIPO storage team = teams[tokenId];
+        requireNotSettled(team);
+        
+        uint256 finalPrice = getPriceAtSupply(team, team.tokensSold);
+        team.ipoActive = false;
+        if (!isWindowClosed(team)) {
+            team.ipoEndTime = block.timestamp;
+        }
+        releaseProceeds(tokenId);
+        
+        emit IPOCompleted(tokenId, finalPrice, block.timestamp);
+    }
+    
+    /**
+     * @dev Cancel IPO for a specific team and open refunds (team manager only)
+     * For league disputes, licensing issues or other reasons the IPO cannot go ahead
+     * Holders then burn their tokens through claimRefund to get back what they paid, in the
+     * assets they paid it in, out of the team's escrow. Platform fees have already been paid
+     * out, so refunds that include them wait until fundFeeRefunds pays the fees back in
+     * @param tokenId Team token ID
+     * @param refundFees Whether refunds include the platform fees buyers paid
+     */
+    function cancelIPO(uint256 tokenId, bool refundFees) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) nonReentrant {
+        TeamIPO storage team = teams[tokenId];
+        require(!team.completed, "IPO already completed");
+        require(!team.cancelled, "IPO already cancelled");
+        
+        team.cancelled = true;
+        team.feesRefunded = refundFees;
+        team.ipoActive = false;
+        if (!isWindowClosed(team)) {
+            team.ipoEndTime = block.timestamp;
+        }
+        
+        emit IPOCancelled(tokenId, refundFees, block.timestamp);
+    }
+    
+    /**
+     * @dev Burn tokens of a cancelled team IPO and reclaim what was paid for them
+     * Refunds the holder's escrowed payment pro rata to the tokens burned, each part in the
+     * asset it was paid in; burning the whole balance refunds the whole escrow, so nothing
+     * is left behind
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to burn
+     * @return refund USDC units returned to the holder, across all the assets paid out
+     */
+    function claimRefund(uint256 tokenId, uint256 amount) external nonReentrant whenNotPaused teamExists(tokenId) returns (uint256 refund) {
+        TeamIPO storage team = teams[tokenId];
+        require(team.cancelled, "IPO not cancelled");
+        require(amount > 0, "Must refund at least 1 token");
+        bool withFees = team.feesRefunded;
+        require(!withFees || feeRefundsFunded[tokenId], "Fee refunds not funded");
+        
+        uint256 balance = balanceOf(msg.sender, tokenId);
+        (uint256 payment, uint256 fee) = escrowShare(tokenId, msg.sender, amount);
+        escrowedPayments[tokenId][msg.sender] -= payment;
+        escrowedFees[tokenId][msg.sender] -= fee;
+        teamFunds[tokenId].proceeds -= payment;
+        
+        refund = payment;
+        if (withFees) {
+            teamFunds[tokenId].feesCollected -= fee;
+            refund += fee;
+        }
+        
+        _burn(msg.sender, tokenId, amount);
+        
+        uint256 usdcRefund = refund - refundAssetEscrow(tokenId, amount, balance, withFees);
+        if (usdcRefund > 0) {
+            paymentToken.safeTransfer(msg.sender, usdcRefund);
+        }
+        
+        emit RefundClaimed(msg.sender, tokenId, amount, refund);
+    }
+    
+    /**
+     * @dev Internal function to pay out the parts of a refund claim paid in payment assets,
+     * each in its own asset
+     * @param balance Caller's token balance before the claim
+     * @param withFees Whether the refund includes platform fees
+     * @return refunded USDC units paid out in those assets
+     */
+    function refundAssetEscrow(uint256 tokenId, uint256 amount, uint256 balance, bool withFees) internal returns (uint256 refunded) {
+        AssetEscrow memory tally;
+        for (uint256 i = 0; i < paymentAssetList.length; i++) {
+            address asset = paymentAssetList[i];
+            (uint256 assetRefund, uint256 assetFee) = takeAssetEscrow(tokenId, msg.sender, asset, amount, balance, tally);
+            teamAssetProceeds[tokenId][asset] -= assetRefund;
+            if (withFees) {
+                teamAssetFees[tokenId][asset] -= assetFee;
+                assetRefund += assetFee;
+            }
+            if (assetRefund > 0) {
+                refunded += assetRefund;
+                IERC20(asset).safeTransfer(msg.sender, assetRefund * paymentAssets[asset].scale);
+            }
+        }
+    }
+    
+    /**
+     * @dev Pay back the platform fees of a cancelled team IPO whose refunds include them
+     * Pulls the team's collected fees from the caller, usually the treasury, each part in the
+     * asset it was paid in (see teamAssetFees); until then the team's refund claims revert
+     * @param tokenId Team token ID
+     */
+    function fundFeeRefunds(uint256 tokenId) external nonReentrant teamExists(tokenId) {
+        require(teams[tokenId].feesRefunded, "Fees not refunded");
+        require(!feeRefundsFunded[tokenId], "Fee refunds already funded");
+        feeRefundsFunded[tokenId] = true;
+        
+        uint256 usdcFees = teamFunds[tokenId].feesCollected;
+        for (uint256 i = 0; i < paymentAssetList.length; i++) {
+            address asset = paymentAssetList[i];
+            uint256 fees = teamAssetFees[tokenId][asset];
+            if (fees > 0) {
+                usdcFees -= fees;
+                IERC20(asset).safeTransferFrom(msg.sender, address(this), fees * paymentAssets[asset].scale);
+            }
+        }
+        if (usdcFees > 0) {
+            paymentToken.safeTransferFrom(msg.sender, address(this), usdcFees);
+        }
+        
+        emit FeeRefundsFunded(tokenId, msg.sender);
+    }
+    
+    /**
+     * @dev Update platform fee recipient (admin only)
+     */
+    function setPlatformFeeRecipient(address _newRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_newRecipient != address(0), "Invalid recipient");
+        platformFeeRecipient = _newRecipient;
+    }
+    
+    /**
+     * @dev Accept or stop accepting a payment asset, and route its platform fees (admin only)
+     * USDC (paymentToken) is always accepted and is not configured here. The asset's decimals
+     * are read when it is first configured and must be 6 to 18, so prices in USDC units convert
+     * exactly. Stopping an asset only blocks new purchases: what was paid in it stays withdrawable
+     * @param asset ERC-20 stablecoin, e.g. USDT or DAI
+     * @param accepted Whether purchases may pay with it
+     * @param feeRecipient Receives platform fees paid in it (0 = platformFeeRecipient)
+     */
+    function setPaymentAsset(address asset, bool accepted, address feeRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(asset != address(0) && asset != address(paymentToken), "Invalid payment token");
+        PaymentAsset storage paymentAsset = paymentAssets[asset];
+        if (paymentAsset.scale == 0) {
+            // Sell-outs release proceeds per asset inside the buyer's transaction, so the list stays short
+            require(paymentAssetList.length < MAX_PAYMENT_ASSETS, "Too many payment assets");
+            uint8 decimals = IERC20Metadata(asset).decimals();
+            require(decimals >= USDC_DECIMALS && decimals <= MAX_ASSET_DECIMALS, "Unsupported decimals");
+            paymentAsset.scale = 10 ** (decimals - USDC_DECIMALS);
+            paymentAssetList.push(asset);
+        }
+        paymentAsset.accepted = accepted;
+        paymentAsset.feeRecipient = feeRecipient;
+        emit PaymentAssetConfigured(asset, accepted, feeRecipient);
+    }
+    
+    /**
+     * @dev Set who shares in a team's revenue (admin only)
+     * Fee payees split every platform fee paid for the team from now on, in the asset paid,
+     * instead of it going to the fee recipient; royalty payees take their shares of the
+     * proceeds when the IPO completes, and the rest goes to the treasury as before.
+     * Replaces the team's previous payees; what they were credited stays theirs to claim
+     * @param tokenId Team token ID (IPO not yet completed or cancelled)
+     * @param accounts Payees, e.g. the club's wallet and platform partners (empty = none)
+     * @param feeShares Basis points of each platform fee per payee (sum 0 = fees go to the fee recipient, or 10,000)
+     * @param royaltyShares Basis points of the proceeds per payee (sum at most 10,000)
+     */
+    function setTeamPayees(
+        uint256 tokenId,
+        address[] calldata accounts,
+        uint256[] calldata feeShares,
+        uint256[] calldata royaltyShares
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) teamExists(tokenId) {
+        requireNotSettled(teams[tokenId]);
+        require(accounts.length == feeShares.length && accounts.length == royaltyShares.length, "Array length mismatch");
+        require(accounts.length <= MAX_PAYEES, "Too many payees");
+        
+        Payee[] storage payees = teamPayees[tokenId];
+        delete teamPayees[tokenId];
+        uint256 feeTotal = 0;
+        uint256 royaltyTotal = 0;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "Invalid payee");
+            for (uint256 j = 0; j < i; j++) {
+                require(accounts[j] != accounts[i], "Duplicate payee");
+            }
+            feeTotal += feeShares[i];
+            royaltyTotal += royaltyShares[i];
+            // Bounded by the totals checked below, so the casts are safe
+            require(feeTotal <= BASIS_POINTS && royaltyTotal <= BASIS_POINTS, "Shares exceed 100%");
+            payees.push(Payee(accounts[i], uint16(feeShares[i]), uint16(royaltyShares[i])));
+        }
+        require(feeTotal == 0 || feeTotal == BASIS_POINTS, "Fee shares must sum to 100%");
+        
+        emit TeamPayeesConfigured(tokenId, accounts, feeShares, royaltyShares);
+    }
+    
+    /**
+     * @dev Update the address withdrawn proceeds are sent to (admin only)
+     * @param _newTreasury New treasury, e.g. the team's multisig
+     */
+    function setTreasury(address _newTreasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_newTreasury != address(0), "Invalid treasury");
+        emit TreasuryUpdated(treasury, _newTreasury);
+        treasury = _newTreasury;
+    }
+    
+    /**
+     * @dev Update the base metadata URI (admin only)
+     * Emits URI for every team still using the base URI, as ERC-1155 requires on a URI change
+     * @param newuri New base URI; clients replace {id} with the zero-padded hex token ID
+     */
+    function setURI(string memory newuri) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setURI(newuri);
+        for (uint256 i = 0; i < teamIds.length; i++) {
+            if (bytes(tokenURIs[teamIds[i]]).length == 0) {
+                emit URI(newuri, teamIds[i]);
+            }
+        }
+    }
+    
+    /**
+     * @dev Give a team its own metadata URI instead of the base URI (team manager only)
+     * @param tokenId Team token ID
+     * @param tokenURI Full metadata URI ("" = use the base URI again)
+     */
+    function setTokenURI(uint256 tokenId, string memory tokenURI) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        tokenURIs[tokenId] = tokenURI;
+        emit URI(uri(tokenId), tokenId);
+    }
+    
+    /**
+     * @dev Withdraw USDC proceeds of completed team IPOs to the treasury (treasurer only)
+     * Proceeds of teams still selling or cancelled stay escrowed for refunds
+     * @param amount Amount to withdraw (0 = withdraw all)
+     */
+    function withdraw(uint256 amount) external onlyRole(TREASURER_ROLE) whenNotPaused {
+        uint256 withdrawAmount = withdrawalAmount(withdrawableProceeds, amount);
+        withdrawableProceeds -= withdrawAmount;
+        paymentToken.safeTransfer(treasury, withdrawAmount);
+        emit ProceedsWithdrawn(treasury, withdrawAmount);
+    }
+    
+    /**
+     * @dev Withdraw proceeds paid in another payment asset to the treasury (treasurer only)
+     * Cancelled teams' proceeds stay escrowed for refunds in the assets they were paid in
+     * @param asset Payment asset (see setPaymentAsset)
+     * @param amount Amount to withdraw in the asset's own units (0 = withdraw all)
+     */
+    function withdrawAsset(address asset, uint256 amount) external onlyRole(TREASURER_ROLE) whenNotPaused {
+        uint256 withdrawAmount = withdrawalAmount(withdrawableAssetProceeds[asset], amount);
+        withdrawableAssetProceeds[asset] -= withdrawAmount;
+        IERC20(asset).safeTransfer(treasury, withdrawAmount);
+        emit AssetProceedsWithdrawn(treasury, asset, withdrawAmount);
+    }
+    
+    /**
+     * @dev Claim everything the caller has been credited as a payee in an asset
+     * @param asset Asset to claim: paymentToken for USDC, or a payment asset
+     * @return amount Asset units sent to the caller
+     */
+    function claimPayments(address asset) external nonReentrant whenNotPaused returns (uint256 amount) {
+        amount = payeeAccrued[msg.sender][asset] - payeeClaimed[msg.sender][asset];
+        require(amount > 0, "Nothing to claim");
+        payeeClaimed[msg.sender][asset] += amount;
+        IERC20(asset).safeTransfer(msg.sender, amount);
+        emit PayeeClaimed(msg.sender, asset, amount);
+    }
+    
+    /**
+     * @dev Internal function to check a withdrawal against the withdrawable balance
+     * @return withdrawAmount amount, or the whole balance if amount is 0
+     */
+    function withdrawalAmount(uint256 balance, uint256 amount) internal pure returns (uint256 withdrawAmount) {
+        require(balance > 0, "No balance to withdraw");
+        withdrawAmount = amount == 0 ? balance : amount;
+        require(withdrawAmount <= balance, "Insufficient balance");
+    }
+    
+    /**
+     * @dev Emergency stop for the whole contract (pauser only)
+     * Halts every purchase, refund claim and withdrawal until unpause;
+     * team settings and role management keep working so the cause can be fixed
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Lift the emergency stop (pauser only)
+     * Per-team pauses set with pauseIPO stay in place
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+}
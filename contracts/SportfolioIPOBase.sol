@@ -0,0 +1,1037 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SportfolioIPOCore.sol";
+import "./SportfolioIPOAdmin.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title SportfolioIPOBase
+ * @dev ERC-1155 smart contract for IPO stage with sigmoid bonding curve pricing
+ * Handles the IPO phase; the post-IPO secondary market lives in SportfolioMarket
+ *
+ * Holds all IPO logic for both deployment flavours: SportfolioIPO (deployed
+ * directly, initialized in its constructor) and SportfolioIPOUpgradeable (behind a
+ * transparent proxy, initialized through initialize). State lives in SportfolioIPOCore;
+ * the admin calls are implemented in SportfolioIPOAdmin, which each deployment creates
+ * and forwards them to (see delegateToAdmin)
+ *
+ * Admin powers are split across roles (the deployer starts with all of them):
+ * - DEFAULT_ADMIN_ROLE: grants and revokes roles, sets the treasury, fee recipient, accepted payment assets, team payees and base metadata URI
+ * - TEAM_MANAGER_ROLE: registers teams and runs their IPO lifecycle (presale, caps, pause, complete, cancel, metadata URI)
+ * - PAUSER_ROLE: contract-wide emergency pause and unpause
+ * - TREASURER_ROLE: withdraws proceeds of completed teams, always to the treasury
+ */
+abstract contract SportfolioIPOBase is SportfolioIPOCore {
+    using SafeERC20 for IERC20;
+    
+    uint256 private constant CURVE_PRECISION = 1e36; // Fixed-point scale for closed-form cost math
+    uint256 private constant LN2 = 693147180559945309417232121458176568; // ln(2) scaled by CURVE_PRECISION
+    
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable adminModule; // SportfolioIPOAdmin instance the admin calls run in
+    
+    /**
+     * @dev Deploys the SportfolioIPOAdmin instance this contract forwards its admin calls to
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        adminModule = address(new SportfolioIPOAdmin());
+    }
+    
+    // Modifiers
+    modifier onlyDuringIPO(uint256 tokenId) {
+        requireDuringIPO(tokenId);
+        _;
+    }
+    
+    /**
+     * @dev Initializes the contract; the caller gets every role and is the initial treasury
+     */
+    function __SportfolioIPO_init(
+        string memory uri,
+        address _platformFeeRecipient,
+        address _paymentToken
+    ) internal onlyInitializing {
+        // AccessControl, ERC165 and Context have nothing to initialize
+        __ERC1155_init_unchained(uri);
+        __ReentrancyGuard_init_unchained();
+        __Pausable_init_unchained();
+        
+        require(_platformFeeRecipient != address(0), "Invalid fee recipient");
+        require(_paymentToken != address(0), "Invalid payment token");
+        platformFeeRecipient = _platformFeeRecipient;
+        paymentToken = IERC20(_paymentToken);
+        treasury = msg.sender;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(TEAM_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Returns current token price for a specific team based on sigmoid curve
+     * Formula: Price = Base_Price + (Base_Price × Sigmoid_Factor)
+     * Where: Sigmoid_Factor = tokens_sold / (total_supply - tokens_sold + smoothing_factor)
+     * All parameters are the team's own curve parameters
+     * @param tokenId Team token ID
+     */
+    function getCurrentPrice(uint256 tokenId) public view teamExists(tokenId) returns (uint256) {
+        TeamIPO storage team = teams[tokenId];
+        return getPriceAtSupply(team, team.tokensSold);
+    }
+    
+    /**
+     * @dev Calculates total cost for purchasing specific token amount for a team
+     * Uses continuous pricing - each token priced individually based on exact supply position
+     * The sum over all purchased tokens is evaluated in closed form (see getCurveCost),
+     * so gas is constant regardless of tokenAmount
+     * @param tokenId Team token ID
+     * @param tokenAmount Number of tokens to purchase
+     */
+    function calculatePurchaseCost(uint256 tokenId, uint256 tokenAmount) public view returns (uint256 tokenCost, uint256 platformFee) {
+        tokenCost = getCurveCostAt(tokenId, teams[tokenId].tokensSold, tokenAmount);
+        platformFee = (tokenCost * teams[tokenId].platformFeeRate) / BASIS_POINTS;
+    }
+    
+    /**
+     * @dev Returns the price on a team's curve at any supply level
+     * Used by SportfolioMarket to price trades after the IPO
+     * @param tokenId Team token ID
+     * @param soldAmount Supply level (tokens in circulation)
+     */
+    function getPriceAt(uint256 tokenId, uint256 soldAmount) external view teamExists(tokenId) returns (uint256) {
+        TeamIPO storage team = teams[tokenId];
+        require(soldAmount <= team.totalSupply, "Exceeds total supply");
+        return getPriceAtSupply(team, soldAmount);
+    }
+    
+    /**
+     * @dev Returns the closed-form curve cost (fees excluded) of tokenAmount tokens from any supply level
+     * Rounded up like calculatePurchaseCost; see getCurveCost for the error bound
+     * @param tokenId Team token ID
+     * @param soldAmount Supply level the tokens start at
+     * @param tokenAmount Number of tokens
+     */
+    function getCurveCostAt(uint256 tokenId, uint256 soldAmount, uint256 tokenAmount) public view teamExists(tokenId) returns (uint256) {
+        require(tokenAmount > 0, "Must buy at least 1 token");
+        TeamIPO storage team = teams[tokenId];
+        require(soldAmount + tokenAmount <= team.totalSupply, "Exceeds total supply");
+        return getCurveCost(team, soldAmount, tokenAmount);
+    }
+    
+    /**
+     * @dev Internal function to get the cost of tokenAmount tokens starting at soldAmount
+     * 
+     * Without integer rounding, the token at supply level s costs
+     * basePrice × K / (K - s) where K = totalSupply + smoothingFactor,
+     * so buying n tokens from supply level s costs
+     * basePrice × K × (H(K - s) - H(K - s - n)), with H the harmonic numbers.
+     * The harmonic difference is evaluated as ln((K - s) / (K - s - n)) plus the
+     * Euler-Maclaurin terms 1/(2x) and 1/(12x²); the omitted terms are below
+     * 1/(120x⁴) with x >= smoothingFactor, which addTeam keeps under 0.5 USDC units
+     * in total (basePrice × K <= 60 × smoothingFactor⁴).
+     * 
+     * Rounding: the result is rounded up, so it is never below the per-token sum
+     * of getPriceAtSupply (which truncates every price) and exceeds it by at most
+     * tokenAmount + 1 USDC units ($0.000001 per token), since addTeam keeps
+     * totalSupply × basePrice, and so tokenAmount × basePrice, below 1e18.
+     */
+    function getCurveCost(TeamIPO storage team, uint256 soldAmount, uint256 tokenAmount) internal view returns (uint256) {
+        // Callers keep soldAmount + tokenAmount <= totalSupply, and addTeam's bounds keep
+        // every intermediate below 2^256, so none of this can overflow or underflow
+        unchecked {
+            uint256 curveSize = team.totalSupply + team.smoothingFactor;
+            uint256 upper = curveSize - soldAmount;
+            uint256 lower = upper - tokenAmount;
+            
+            // H(upper) - H(lower), scaled by CURVE_PRECISION
+            uint256 harmonicDiff = lnRatio(upper, lower)
+                + CURVE_PRECISION / (2 * upper)
+                + CURVE_PRECISION / (12 * lower * lower)
+                - CURVE_PRECISION / (2 * lower)
+                - CURVE_PRECISION / (12 * upper * upper);
+            
+            return Math.ceilDiv(team.basePrice * curveSize * harmonicDiff, CURVE_PRECISION);
+        }
+    }
+    
+    /**
+     * @dev Internal function to get ln(numerator / denominator) scaled by CURVE_PRECISION
+     * Requires numerator >= denominator > 0
+     * Range reduction: ln(x) = k × ln(2) + ln(y) with y = x / 2^k in [1, 2)
+     * Series: ln(y) = 2 × (z + z³/3 + z⁵/5 + ...) with z = (y - 1) / (y + 1) < 1/3
+     */
+    function lnRatio(uint256 numerator, uint256 denominator) internal pure returns (uint256 result) {
+        // Only called with curve sizes (below 2^42), so the products stay far below 2^256
+        unchecked {
+            while (numerator >= 2 * denominator) {
+                denominator *= 2;
+                result += LN2;
+            }
+            
+            uint256 z = ((numerator - denominator) * CURVE_PRECISION) / (numerator + denominator);
+            uint256 zSquared = (z * z) / CURVE_PRECISION;
+            uint256 term = z;
+            uint256 series = z;
+            
+            // Each term shrinks by at least 9x, so this stops after at most 38 iterations
+            for (uint256 i = 3; term > 0; i += 2) {
+                term = (term * zSquared) / CURVE_PRECISION;
+                series += term / i;
+            }
+            
+            result += 2 * series;
+        }
+    }
+    
+    /**
+     * @dev Purchase tokens for a specific team during IPO phase using USDC
+     * Implements continuous pricing with constant-gas cost calculation
+     * 
+     * IMPORTANT: Users must approve USDC spending before calling this function
+     * Frontend should: 1) Approve USDC, 2) Call buyTokens()
+     * (or sign a permit and call buyTokensWithPermit in one transaction)
+     * 
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     */
+    function buyTokens(uint256 tokenId, uint256 amount) external nonReentrant {
+        requirePublicPurchase(tokenId, amount, block.timestamp);
+        executePurchase(tokenId, amount, address(paymentToken), type(uint256).max);
+    }
+    
+    /**
+     * @dev Purchase tokens with slippage protection
+     * Reverts if the cost at execution time (tokens + platform fee) exceeds the quote
+     * the buyer accepted, e.g. because another purchase landed first
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     * @param maxTotalCost Maximum USDC units to pay, platform fee included
+     * @param deadline Latest block timestamp at which the purchase may execute
+     */
+    function buyTokensWithMaxCost(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 maxTotalCost,
+        uint256 deadline
+    ) external nonReentrant {
+        requirePublicPurchase(tokenId, amount, deadline);
+        executePurchase(tokenId, amount, address(paymentToken), maxTotalCost);
+    }
+    
+    /**
+     * @dev Purchase tokens in one transaction using an EIP-2612 permit instead of a prior approve
+     * The buyer signs a permit for maxTotalCost with this contract as spender and the same
+     * deadline (see lib/permit.js). If the permit was already used, e.g. submitted by someone
+     * else first, the purchase still goes through on the allowance it created; if the permit
+     * fails and the allowance does not cover maxTotalCost, it reverts with the permit's reason
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     * @param maxTotalCost Maximum USDC units to pay, platform fee included (the permit value)
+     * @param deadline Latest block timestamp for both the permit and the purchase
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function buyTokensWithPermit(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 maxTotalCost,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        requirePublicPurchase(tokenId, amount, deadline);
+        try IERC20Permit(address(paymentToken)).permit(msg.sender, address(this), maxTotalCost, deadline, v, r, s) {} catch (bytes memory reason) {
+            // A failed permit only matters if no earlier permit or approval already covers the purchase
+            if (paymentToken.allowance(msg.sender, address(this)) < maxTotalCost) {
+                assembly {
+                    revert(add(reason, 32), mload(reason))
+                }
+            }
+        }
+        executePurchase(tokenId, amount, address(paymentToken), maxTotalCost);
+    }
+    
+    /**
+     * @dev Spend up to a USDC budget on as many tokens as it affords
+     * The largest affordable amount is computed on-chain and only its exact cost
+     * (platform fee included) is pulled, so nothing needs to be refunded
+     * The amount is also limited to what the buyer's wallet cap still allows
+     * @param tokenId Team token ID
+     * @param budget Maximum USDC units to spend, platform fee included
+     * @param minAmount Minimum number of tokens the buyer accepts
+     * @param deadline Latest block timestamp at which the purchase may execute
+     * @return amount Number of tokens purchased
+     */
+    function buyTokensWithBudget(
+        uint256 tokenId,
+        uint256 budget,
+        uint256 minAmount,
+        uint256 deadline
+    ) external nonReentrant returns (uint256 amount) {
+        requirePublicPurchase(tokenId, 1, deadline);
+        amount = Math.min(getMaxPurchaseForBudget(tokenId, budget), getRemainingWalletCap(tokenId, msg.sender));
+        require(amount > 0, "Budget too small for 1 token");
+        require(amount >= minAmount, "Below minimum token amount");
+        executePurchase(tokenId, amount, address(paymentToken), budget);
+    }
+    
+    /**
+     * @dev Purchase tokens during a team's allowlist presale
+     * The caller must be in the presale Merkle tree; purchases across the presale
+     * are limited to the caller's allocation
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     * @param maxTotalCost Maximum USDC units to pay, platform fee included
+     * @param deadline Latest block timestamp at which the purchase may execute
+     * @param allocation Caller's presale allocation (from the allowlist)
+     * @param proof Merkle proof of (caller, allocation) against the team's presale root
+     */
+    function buyPresaleTokens(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 maxTotalCost,
+        uint256 deadline,
+        uint256 allocation,
+        bytes32[] calldata proof
+    ) external nonReentrant onlyDuringIPO(tokenId) whenNotPaused {
+        require(block.timestamp <= deadline, "Transaction expired");
+        require(isPresaleActive(tokenId), "Presale not active");
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, allocation))));
+        require(MerkleProof.verifyCalldata(proof, presales[tokenId].merkleRoot, leaf), "Invalid presale proof");
+        require(purchasedBy[tokenId][msg.sender] + amount <= allocation, "Exceeds presale allocation");
+        executePurchase(tokenId, amount, address(paymentToken), maxTotalCost);
+    }
+    
+    /**
+     * @dev Purchase tokens of several teams in one transaction (e.g. a division bundle)
+     * Every team must be in its public IPO phase. Costs are quoted per team as in
+     * calculatePurchaseCost, the aggregate is pulled once and all tokens are minted
+     * together; if any team's purchase fails, the whole batch reverts
+     * @param tokenIds Team token IDs
+     * @param amounts Number of tokens to purchase per team
+     * @param maxTotalCost Maximum USDC units to pay for the whole batch, platform fees included
+     * @param deadline Latest block timestamp at which the purchase may execute
+     */
+    function buyTokensBatch(
+        uint256[] calldata tokenIds,
+        uint256[] calldata amounts,
+        uint256 maxTotalCost,
+        uint256 deadline
+    ) external nonReentrant {
+        require(tokenIds.length > 0, "Empty batch");
+        require(tokenIds.length == amounts.length, "Array length mismatch");
+        
+        uint256 totalRequired = 0;
+        uint256 totalFees = 0;
+        uint256 forwardedFees = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            requirePublicPurchase(tokenIds[i], amounts[i], deadline);
+            (uint256 tokenCost, uint256 platformFee, uint256 forwardedFee) = recordPurchase(tokenIds[i], amounts[i], address(paymentToken));
+            totalRequired += tokenCost + platformFee;
+            totalFees += platformFee;
+            forwardedFees += forwardedFee;
+        }
+        
+        collectPayment(address(paymentToken), totalRequired, totalFees, forwardedFees, maxTotalCost);
+        _mintBatch(msg.sender, tokenIds, amounts, "");
+    }
+    
+    /**
+     * @dev Purchase tokens paying with an accepted payment asset other than USDC, e.g. USDT or DAI
+     * The cost is quoted in USDC units as in calculatePurchaseCost and charged in the asset's
+     * own decimals, times paymentAssets(asset).scale; the platform fee goes to the asset's fee recipient
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     * @param asset Payment asset (see setPaymentAsset)
+     * @param maxTotalCost Maximum asset units to pay, platform fee included
+     * @param deadline Latest block timestamp at which the purchase may execute
+     */
+    function buyTokensWithAsset(
+        uint256 tokenId,
+        uint256 amount,
+        address asset,
+        uint256 maxTotalCost,
+        uint256 deadline
+    ) external nonReentrant {
+        requirePublicPurchase(tokenId, amount, deadline);
+        executePurchase(tokenId, amount, asset, maxTotalCost);
+    }
+    
+    /**
+     * @dev Revert unless a public-phase purchase of amount tokens may go ahead now
+     * (team live, presale over, contract not paused, deadline not passed, within the wallet cap)
+     */
+    function requirePublicPurchase(uint256 tokenId, uint256 amount, uint256 deadline) internal view {
+        requireDuringIPO(tokenId);
+        requirePublicPhase(tokenId);
+        _requireNotPaused();
+        require(block.timestamp <= deadline, "Transaction expired");
+        require(amount <= getRemainingWalletCap(tokenId, msg.sender), "Exceeds wallet cap");
+    }
+    
+    /**
+     * @dev Internal purchase flow shared by the single-team buy entry points
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to purchase
+     * @param asset Payment asset
+     * @param maxTotalCost Maximum asset units the buyer accepts to pay, platform fee included
+     */
+    function executePurchase(uint256 tokenId, uint256 amount, address asset, uint256 maxTotalCost) internal {
+        (uint256 tokenCost, uint256 platformFee, uint256 forwardedFee) = recordPurchase(tokenId, amount, asset);
+        collectPayment(asset, tokenCost + platformFee, platformFee, forwardedFee, maxTotalCost);
+        _mint(msg.sender, tokenId, amount, "");
+    }
+    
+    /**
+     * @dev Book a purchase against a team's IPO: prices it at the current supply,
+     * updates supply, escrow and wallet counters, credits the fee to the team's fee payees
+     * if it has any, and completes the IPO on sell-out.
+     * The caller pulls the payment (in asset) and mints the tokens
+     * @return tokenCost USDC units for the tokens
+     * @return platformFee USDC units for the platform fee
+     * @return forwardedFee USDC units of the fee to forward to the fee recipient (0 once credited to payees)
+     */
+    function recordPurchase(
+        uint256 tokenId,
+        uint256 amount,
+        address asset
+    ) internal returns (uint256 tokenCost, uint256 platformFee, uint256 forwardedFee) {
+        // Also checks the amount is non-zero and within the remaining supply
+        (tokenCost, platformFee) = calculatePurchaseCost(tokenId, amount);
+        TeamIPO storage team = teams[tokenId];
+        
+        // Update this team's tokens sold and escrow the payment until the IPO completes
+        team.tokensSold += amount;
+        teamFunds[tokenId].proceeds += tokenCost;
+        teamFunds[tokenId].feesCollected += platformFee;
+        escrowedPayments[tokenId][msg.sender] += tokenCost;
+        escrowedFees[tokenId][msg.sender] += platformFee;
+        uint256 scale = 1;
+        if (asset != address(paymentToken)) {
+            teamAssetProceeds[tokenId][asset] += tokenCost;
+            teamAssetFees[tokenId][asset] += platformFee;
+            AssetEscrow storage escrow = escrowedAssets[tokenId][msg.sender][asset];
+            escrow.payment += tokenCost;
+            escrow.fee += platformFee;
+            scale = paymentAssets[asset].scale;
+        }
+        
+        // The fee stays here for the team's fee payees, if it has any
+        forwardedFee = creditPayees(tokenId, asset, platformFee * scale, false) > 0 ? 0 : platformFee;
+        purchasedBy[tokenId][msg.sender] += amount;
+        
+        emit TokensPurchased(msg.sender, tokenId, amount, tokenCost, platformFee);
+        
+        // Check if this team's IPO is complete
+        if (team.tokensSold == team.totalSupply) {
+            team.ipoActive = false;
+            team.ipoEndTime = block.timestamp;
+            releaseProceeds(tokenId);
+            emit IPOCompleted(tokenId, getCurrentPrice(tokenId), block.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Pull a purchase payment from the buyer and forward the platform fee
+     * @param asset paymentToken, or an accepted payment asset
+     * @param totalRequired USDC units to pull, platform fee included
+     * @param platformFee USDC units of platform fee included in totalRequired
+     * @param forwardedFee USDC units of it forwarded to the asset's fee recipient (the rest went to payees)
+     * @param maxTotalCost Maximum asset units the buyer accepts to pay, platform fee included
+     */
+    function collectPayment(
+        address asset,
+        uint256 totalRequired,
+        uint256 platformFee,
+        uint256 forwardedFee,
+        uint256 maxTotalCost
+    ) internal {
+        address feeRecipient = platformFeeRecipient;
+        if (asset != address(paymentToken)) {
+            PaymentAsset storage paymentAsset = paymentAssets[asset];
+            require(paymentAsset.accepted, "Asset not accepted");
+            
+            // Convert to asset units; exact, since scale is a whole power of ten
+            totalRequired *= paymentAsset.scale;
+            platformFee *= paymentAsset.scale;
+            forwardedFee *= paymentAsset.scale;
+            if (paymentAsset.feeRecipient != address(0)) {
+                feeRecipient = paymentAsset.feeRecipient;
+            }
+            emit PaidWithAsset(msg.sender, asset, totalRequired, platformFee);
+        }
+        require(totalRequired <= maxTotalCost, "Exceeds max total cost");
+        
+        // Check user has approved enough of the asset
+        IERC20 token = IERC20(asset);
+        uint256 allowance = token.allowance(msg.sender, address(this));
+        require(allowance >= totalRequired, "Insufficient USDC allowance. Please approve first.");
+        
+        // Check user has enough of the asset
+        uint256 balance = token.balanceOf(msg.sender);
+        require(balance >= totalRequired, "Insufficient USDC balance");
+        
+        // Transfer payment from buyer to contract
+        token.safeTransferFrom(msg.sender, address(this), totalRequired);
+        
+        // Transfer platform fee to recipient
+        if (forwardedFee > 0) {
+            token.safeTransfer(feeRecipient, forwardedFee);
+        }
+    }
+    
+    /**
+     * @dev Revert unless the team is accepting purchases (see isIPOActive)
+     */
+    function requireDuringIPO(uint256 tokenId) internal view {
+        TeamIPO storage team = teams[tokenId];
+        require(team.ipoActive, "Team IPO has ended");
+        require(team.tokensSold < team.totalSupply, "All tokens sold");
+        require(block.timestamp >= team.ipoStartTime, "IPO has not started");
+        requireWindowOpen(team);
+    }
+    
+    /**
+     * @dev Revert while the team's allowlist presale is running
+     */
+    function requirePublicPhase(uint256 tokenId) internal view {
+        require(!isPresaleActive(tokenId), "Presale only");
+    }
+    
+    /**
+     * @dev Add a new team IPO with the default curve (team manager only)
+     * $30 base price, 2M supply, 200K smoothing factor, 3% platform fee
+     * The IPO opens immediately and runs until sell-out or completeIPO
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     */
+    function addTeam(uint256 tokenId, string calldata teamName) external {
+        tokenId; teamName;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Add a new team IPO with the default curve and a scheduled window (team manager only)
+     * Purchases are accepted from startTime until just before endTime
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param startTime Timestamp at which the IPO opens (not in the past)
+     * @param endTime Timestamp at which the IPO closes (0 = open until sell-out or completeIPO)
+     */
+    function addTeam(
+        uint256 tokenId,
+        string calldata teamName,
+        uint256 startTime,
+        uint256 endTime
+    ) external {
+        tokenId; teamName; startTime; endTime;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Add a new team IPO with its own curve parameters (team manager only)
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param basePrice Starting price in USDC units (6 decimals)
+     * @param totalSupply Tokens available in this team's IPO
+     * @param smoothingFactor Curve smoothing factor (final price = basePrice × (totalSupply + smoothingFactor) / smoothingFactor)
+     * @param platformFeeRate Platform fee in basis points
+     */
+    function addTeam(
+        uint256 tokenId,
+        string calldata teamName,
+        uint256 basePrice,
+        uint256 totalSupply,
+        uint256 smoothingFactor,
+        uint256 platformFeeRate
+    ) external {
+        tokenId; teamName; basePrice; totalSupply; smoothingFactor; platformFeeRate;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Add a new team IPO with its own curve parameters and a scheduled window (team manager only)
+     * @param tokenId Team token ID (should be sequential: 1, 2, 3...)
+     * @param teamName Team name (stored on-chain for quick access)
+     * @param basePrice Starting price in USDC units (6 decimals)
+     * @param totalSupply Tokens available in this team's IPO
+     * @param smoothingFactor Curve smoothing factor (final price = basePrice × (totalSupply + smoothingFactor) / smoothingFactor)
+     * @param platformFeeRate Platform fee in basis points
+     * @param startTime Timestamp at which the IPO opens (not in the past)
+     * @param endTime Timestamp at which the IPO closes (0 = open until sell-out or completeIPO)
+     */
+    function addTeam(
+        uint256 tokenId,
+        string calldata teamName,
+        uint256 basePrice,
+        uint256 totalSupply,
+        uint256 smoothingFactor,
+        uint256 platformFeeRate,
+        uint256 startTime,
+        uint256 endTime
+    ) external {
+        tokenId; teamName; basePrice; totalSupply; smoothingFactor; platformFeeRate; startTime; endTime;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Configure an allowlist presale for a specific team (team manager only)
+     * Until endTime only addresses in the tree can buy, through buyPresaleTokens;
+     * the public buy functions open at endTime. A zero root removes the presale.
+     * The root can be replaced mid-presale, e.g. to add addresses
+     * @param tokenId Team token ID
+     * @param merkleRoot Root printed by scripts/build-presale-tree.js
+     * @param endTime Timestamp at which the presale ends and the public phase starts
+     */
+    function setPresaleRoot(uint256 tokenId, bytes32 merkleRoot, uint256 endTime) external {
+        tokenId; merkleRoot; endTime;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Set the maximum tokens one wallet can buy in a team's IPO (team manager only)
+     * Enforced on the public buy functions and counts presale purchases too
+     * @param tokenId Team token ID
+     * @param walletCap Max tokens per wallet (0 = no cap)
+     */
+    function setWalletCap(uint256 tokenId, uint256 walletCap) external {
+        tokenId; walletCap;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Returns whether a team is in its allowlist presale phase
+     * @param tokenId Team token ID
+     */
+    function isPresaleActive(uint256 tokenId) public view returns (bool) {
+        Presale storage presale = presales[tokenId];
+        return presale.merkleRoot != bytes32(0) && block.timestamp < presale.endTime;
+    }
+    
+    /**
+     * @dev Returns how many more tokens a wallet can buy in a team's public phase
+     * @param tokenId Team token ID
+     * @param wallet Buyer address
+     */
+    function getRemainingWalletCap(uint256 tokenId, address wallet) public view returns (uint256) {
+        uint256 walletCap = walletCaps[tokenId];
+        if (walletCap == 0) return type(uint256).max;
+        
+        uint256 purchased = purchasedBy[tokenId][wallet];
+        return purchased >= walletCap ? 0 : walletCap - purchased;
+    }
+    
+    /**
+     * @dev Get team information
+     * ipoActive reflects the current status: false before the window opens and
+     * after it closes, even if no transaction has touched the team since
+     * @param tokenId Team token ID
+     */
+    function getTeamInfo(uint256 tokenId) external view returns (TeamIPO memory info) {
+        requireTeamExists(tokenId);
+        info = teams[tokenId];
+        info.ipoActive = isLive(teams[tokenId]);
+    }
+    
+    /**
+     * @dev Get all team token IDs
+     */
+    function getAllTeams() external view returns (uint256[] memory) {
+        return teamIds;
+    }
+    
+    /**
+     * @dev Get total number of teams
+     */
+    function getTeamCount() external view returns (uint256) {
+        return teamIds.length;
+    }
+    
+    /**
+     * @dev Returns total tokens sold for a specific team
+     * @param tokenId Team token ID
+     */
+    function getTokensSold(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].tokensSold;
+    }
+    
+    /**
+     * @dev Returns tokens still available for purchase for a specific team
+     * @param tokenId Team token ID
+     */
+    function getRemainingTokens(uint256 tokenId) public view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].totalSupply - teams[tokenId].tokensSold;
+    }
+    
+    /**
+     * @dev Returns maximum tokens that can be bought for a specific team (prevents overselling)
+     * @param tokenId Team token ID
+     */
+    function getMaxPurchaseAmount(uint256 tokenId) external view returns (uint256) {
+        return getRemainingTokens(tokenId);
+    }
+    
+    /**
+     * @dev Returns the largest token amount whose cost plus platform fee fits in a USDC budget
+     * Binary search over the closed-form cost, so gas grows only logarithmically with supply
+     * @param tokenId Team token ID
+     * @param budget USDC units available, platform fee included
+     */
+    function getMaxPurchaseForBudget(uint256 tokenId, uint256 budget) public view teamExists(tokenId) returns (uint256) {
+        TeamIPO storage team = teams[tokenId];
+        uint256 sold = team.tokensSold;
+        uint256 low = 0;
+        uint256 high = team.totalSupply - sold;
+        
+        // Amounts and costs on a curve addTeam accepts are far below 2^128
+        unchecked {
+            while (low < high) {
+                uint256 mid = (low + high + 1) / 2;
+                uint256 cost = getCurveCost(team, sold, mid);
+                if (cost + (cost * team.platformFeeRate) / BASIS_POINTS <= budget) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+        }
+        
+        return low;
+    }
+    
+    /**
+     * @dev Returns current sigmoid factor for price calculation for a specific team
+     * @param tokenId Team token ID
+     */
+    function getSigmoidFactor(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        TeamIPO storage team = teams[tokenId];
+        return getSigmoidFactorAtSupply(team, team.tokensSold);
+    }
+    
+    /**
+     * @dev Returns the smoothing factor parameter for a specific team
+     * @param tokenId Team token ID
+     */
+    function getSmoothingFactor(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].smoothingFactor;
+    }
+    
+    /**
+     * @dev Returns the total token supply for a specific team
+     * @param tokenId Team token ID
+     */
+    function getTotalSupply(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].totalSupply;
+    }
+    
+    /**
+     * @dev Returns the base starting price for a specific team
+     * @param tokenId Team token ID
+     */
+    function getBasePrice(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].basePrice;
+    }
+    
+    /**
+     * @dev Returns the platform fee rate (basis points) for a specific team
+     * @param tokenId Team token ID
+     */
+    function getPlatformFeeRate(uint256 tokenId) external view teamExists(tokenId) returns (uint256) {
+        return teams[tokenId].platformFeeRate;
+    }
+    
+    /**
+     * @dev Returns IPO status for a specific team
+     * True only while the team is accepting purchases: inside its window,
+     * not paused or completed, and not sold out
+     * @param tokenId Team token ID
+     */
+    function isIPOActive(uint256 tokenId) external view teamExists(tokenId) returns (bool) {
+        return isLive(teams[tokenId]);
+    }
+    
+    /**
+     * @dev Internal function to check whether a team is accepting purchases right now
+     */
+    function isLive(TeamIPO storage team) internal view returns (bool) {
+        return team.ipoActive
+            && team.tokensSold < team.totalSupply
+            && block.timestamp >= team.ipoStartTime
+            && !isWindowClosed(team);
+    }
+    
+    /**
+     * @dev Emergency pause IPO for a specific team (team manager only)
+     * @param tokenId Team token ID
+     */
+    function pauseIPO(uint256 tokenId) external {
+        tokenId;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Resume IPO for a specific team (team manager only)
+     * The scheduled close is not extended, so a team paused past its end time stays closed
+     * @param tokenId Team token ID
+     */
+    function resumeIPO(uint256 tokenId) external {
+        tokenId;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Manually complete IPO for a specific team (team manager only)
+     * For emergency situations or strategic decisions
+     * Completing after the scheduled close keeps the scheduled end time
+     * Releases the team's escrowed proceeds for withdrawal, so teams whose window
+     * closed without selling out must be completed (or cancelled) explicitly
+     * @param tokenId Team token ID
+     */
+    function completeIPO(uint256 tokenId) external {
+        tokenId;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Cancel IPO for a specific team and open refunds (team manager only)
+     * For league disputes, licensing issues or other reasons the IPO cannot go ahead
+     * Holders then burn their tokens through claimRefund to get back what they paid, in the
+     * assets they paid it in, out of the team's escrow. Platform fees have already been paid
+     * out, so refunds that include them wait until fundFeeRefunds pays the fees back in
+     * @param tokenId Team token ID
+     * @param refundFees Whether refunds include the platform fees buyers paid
+     */
+    function cancelIPO(uint256 tokenId, bool refundFees) external {
+        tokenId; refundFees;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Burn tokens of a cancelled team IPO and reclaim what was paid for them
+     * Refunds the holder's escrowed payment pro rata to the tokens burned, each part in the
+     * asset it was paid in; burning the whole balance refunds the whole escrow, so nothing
+     * is left behind
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to burn
+     * @return USDC units returned to the holder, across all the assets paid out
+     */
+    function claimRefund(uint256 tokenId, uint256 amount) external returns (uint256) {
+        tokenId; amount;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Pay back the platform fees of a cancelled team IPO whose refunds include them
+     * Pulls the team's collected fees from the caller, usually the treasury, each part in the
+     * asset it was paid in (see teamAssetFees); until then the team's refund claims revert
+     * @param tokenId Team token ID
+     */
+    function fundFeeRefunds(uint256 tokenId) external {
+        tokenId;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Returns the USDC units a holder would get back for burning tokens of a cancelled team IPO
+     * @param tokenId Team token ID
+     * @param holder Token holder
+     * @param amount Number of tokens to burn
+     */
+    function getRefundAmount(uint256 tokenId, address holder, uint256 amount) external view teamExists(tokenId) returns (uint256) {
+        (uint256 payment, uint256 fee) = escrowShare(tokenId, holder, amount);
+        return teams[tokenId].feesRefunded ? payment + fee : payment;
+    }
+    
+    /**
+     * @dev Update platform fee recipient (admin only)
+     */
+    function setPlatformFeeRecipient(address _newRecipient) external {
+        _newRecipient;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Accept or stop accepting a payment asset, and route its platform fees (admin only)
+     * USDC (paymentToken) is always accepted and is not configured here. The asset's decimals
+     * are read when it is first configured and must be 6 to 18, so prices in USDC units convert
+     * exactly. Stopping an asset only blocks new purchases: what was paid in it stays withdrawable
+     * @param asset ERC-20 stablecoin, e.g. USDT or DAI
+     * @param accepted Whether purchases may pay with it
+     * @param feeRecipient Receives platform fees paid in it (0 = platformFeeRecipient)
+     */
+    function setPaymentAsset(address asset, bool accepted, address feeRecipient) external {
+        asset; accepted; feeRecipient;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Get every payment asset ever configured with setPaymentAsset, accepted or not
+     */
+    function getPaymentAssets() external view returns (address[] memory) {
+        return paymentAssetList;
+    }
+    
+    /**
+     * @dev Set who shares in a team's revenue (admin only)
+     * Fee payees split every platform fee paid for the team from now on, in the asset paid,
+     * instead of it going to the fee recipient; royalty payees take their shares of the
+     * proceeds when the IPO completes, and the rest goes to the treasury as before.
+     * Replaces the team's previous payees; what they were credited stays theirs to claim
+     * @param tokenId Team token ID (IPO not yet completed or cancelled)
+     * @param accounts Payees, e.g. the club's wallet and platform partners (empty = none)
+     * @param feeShares Basis points of each platform fee per payee (sum 0 = fees go to the fee recipient, or 10,000)
+     * @param royaltyShares Basis points of the proceeds per payee (sum at most 10,000)
+     */
+    function setTeamPayees(
+        uint256 tokenId,
+        address[] calldata accounts,
+        uint256[] calldata feeShares,
+        uint256[] calldata royaltyShares
+    ) external {
+        tokenId; accounts; feeShares; royaltyShares;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Get a team's payees and their fee and royalty shares
+     */
+    function getTeamPayees(uint256 tokenId) external view returns (Payee[] memory) {
+        return teamPayees[tokenId];
+    }
+    
+    /**
+     * @dev Update the address withdrawn proceeds are sent to (admin only)
+     * @param _newTreasury New treasury, e.g. the team's multisig
+     */
+    function setTreasury(address _newTreasury) external {
+        _newTreasury;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Update the base metadata URI (admin only)
+     * Emits URI for every team still using the base URI, as ERC-1155 requires on a URI change
+     * @param newuri New base URI; clients replace {id} with the zero-padded hex token ID
+     */
+    function setURI(string calldata newuri) external {
+        newuri;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Give a team its own metadata URI instead of the base URI (team manager only)
+     * @param tokenId Team token ID
+     * @param tokenURI Full metadata URI ("" = use the base URI again)
+     */
+    function setTokenURI(uint256 tokenId, string calldata tokenURI) external {
+        tokenId; tokenURI;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Withdraw USDC proceeds of completed team IPOs to the treasury (treasurer only)
+     * Proceeds of teams still selling or cancelled stay escrowed for refunds
+     * @param amount Amount to withdraw (0 = withdraw all)
+     */
+    function withdraw(uint256 amount) external {
+        amount;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Withdraw proceeds paid in another payment asset to the treasury (treasurer only)
+     * Cancelled teams' proceeds stay escrowed for refunds in the assets they were paid in
+     * @param asset Payment asset (see setPaymentAsset)
+     * @param amount Amount to withdraw in the asset's own units (0 = withdraw all)
+     */
+    function withdrawAsset(address asset, uint256 amount) external {
+        asset; amount;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Claim everything the caller has been credited as a payee in an asset
+     * @param asset Asset to claim: paymentToken for USDC, or a payment asset
+     * @return Asset units sent to the caller
+     */
+    function claimPayments(address asset) external returns (uint256) {
+        asset;
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Emergency stop for the whole contract (pauser only)
+     * Halts every purchase, refund claim and withdrawal until unpause;
+     * team settings and role management keep working so the cause can be fixed
+     */
+    function pause() external {
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Lift the emergency stop (pauser only)
+     * Per-team pauses set with pauseIPO stay in place
+     */
+    function unpause() external {
+        delegateToAdmin();
+    }
+    
+    /**
+     * @dev Get payment token address (USDC)
+     * Useful for frontend to know which token to approve
+     */
+    function getPaymentToken() external view returns (address) {
+        return address(paymentToken);
+    }
+    
+    /**
+     * @dev Moves the refund escrow along with transferred tokens of teams that have not completed,
+     * so a cancelled IPO refunds whoever holds the tokens
+     */
+    function _beforeTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal virtual override {
+        super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
+        if (from == address(0) || to == address(0)) return;
+        
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 id = ids[i];
+            require(!isLive(teams[id]), "Transfers not allowed during IPO");
+            if (teams[id].completed || amounts[i] > balanceOf(from, id)) continue;
+            
+            moveEscrow(id, from, to, amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Runs the calling function's SportfolioIPOAdmin implementation on this contract's
+     * storage and returns or reverts with its result. It forwards the whole calldata, so the
+     * stubs only name their parameters for the NatSpec and mention them to mark them used
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    function delegateToAdmin() private {
+        address module = adminModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
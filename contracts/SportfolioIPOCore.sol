@@ -0,0 +1,354 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/ERC1155Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title SportfolioIPOCore
+ * @dev State, events and shared internals of the IPO contract
+ * SportfolioIPOBase (purchases and views) and SportfolioIPOAdmin (admin calls,
+ * run through delegatecall on SportfolioIPOBase's storage) both build on it, so they
+ * always agree on the storage layout. New state variables go after the existing ones
+ * and shrink __gap by the slots they use, so upgrades keep the layout
+ */
+abstract contract SportfolioIPOCore is Initializable, ERC1155Upgradeable, AccessControlUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable {
+    // Roles
+    bytes32 public constant TEAM_MANAGER_ROLE = keccak256("TEAM_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    
+    // Default curve parameters (used by addTeam(tokenId, teamName))
+    // Prices are in USDC units (6 decimals): $30 USD = 30,000,000 USDC units
+    uint256 public constant DEFAULT_BASE_PRICE = 30_000_000; // $30 USD in USDC (6 decimals)
+    uint256 public constant DEFAULT_TOTAL_SUPPLY = 2_000_000; // 2M total tokens per team
+    uint256 public constant DEFAULT_SMOOTHING_FACTOR = 200_000; // Prevents extreme price spikes
+    uint256 public constant DEFAULT_PLATFORM_FEE_RATE = 300; // 3% = 300 basis points
+    uint256 public constant BASIS_POINTS = 10_000; // 100% = 10,000 basis points
+    
+    // Curve parameter bounds (validated in addTeam)
+    uint256 public constant MAX_BASE_PRICE = 1_000_000_000_000; // $1M USD per token
+    uint256 public constant MAX_TOTAL_SUPPLY = 1_000_000_000_000; // 1T tokens per team
+    uint256 public constant MIN_SMOOTHING_FACTOR = 1_000;
+    uint256 public constant MAX_SMOOTHING_FACTOR = 1_000_000_000_000;
+    uint256 public constant MAX_PLATFORM_FEE_RATE = 1_000; // 10% = 1,000 basis points
+    uint256 public constant MAX_PAYMENT_ASSETS = 8; // Stablecoins accepted besides USDC (see setPaymentAsset)
+    uint256 public constant MAX_PAYEES = 8; // Payees per team (see setTeamPayees)
+    
+    // Team IPO data structure
+    struct TeamIPO {
+        uint256 tokenId;           // ERC1155 token ID (1, 2, 3...)
+        string teamName;           // Team name stored on-chain for quick access
+        uint256 tokensSold;        // Tokens sold for this team
+        bool ipoActive;            // False once paused or completed (getTeamInfo reports the time-based status)
+        uint256 ipoStartTime;      // When the IPO window opens
+        uint256 ipoEndTime;        // When the IPO window closes or the IPO ended (0 = no scheduled close)
+        uint256 basePrice;         // Starting price in USDC units
+        uint256 totalSupply;       // Tokens available in this team's IPO
+        uint256 smoothingFactor;   // Curve smoothing factor (prevents extreme price spikes)
+        uint256 platformFeeRate;   // Platform fee in basis points
+        bool completed;            // Sold out or completed by a team manager (proceeds released for withdrawal)
+        bool cancelled;            // Cancelled by a team manager (holders can burn tokens for refunds)
+        bool feesRefunded;         // Whether refunds of a cancelled IPO include platform fees
+    }
+    
+    // Per-team USDC held by the contract
+    struct TeamFunds {
+        uint256 proceeds;          // Token cost paid for this team (fees excluded), escrowed until completion
+        uint256 feesCollected;     // Platform fees paid for this team (refundable if the IPO is cancelled)
+    }
+    
+    // State variables
+    mapping(uint256 => TeamIPO) public teams;  // tokenId => TeamIPO
+    mapping(uint256 => TeamFunds) public teamFunds; // tokenId => TeamFunds
+    uint256[] public teamIds;                  // List of all team token IDs
+    address public platformFeeRecipient;
+    address public treasury; // Receives withdrawn proceeds
+    IERC20 public paymentToken; // USDC token address
+    
+    // Refund escrow: what each holder's tokens were paid for, per team
+    // Moves with the tokens on transfer so it always matches the holder's balance
+    mapping(uint256 => mapping(address => uint256)) public escrowedPayments; // tokenId => holder => token cost
+    mapping(uint256 => mapping(address => uint256)) public escrowedFees;     // tokenId => holder => platform fee
+    uint256 public withdrawableProceeds; // USDC proceeds of completed teams not yet withdrawn
+    
+    // Allowlist presale: during a team's presale only addresses in the Merkle tree can buy,
+    // each up to its allocation. Leaves are keccak256(keccak256(abi.encode(address, allocation))).
+    struct Presale {
+        bytes32 merkleRoot;        // Root of the allowlist tree (0 = no presale)
+        uint256 endTime;           // Public phase starts at this timestamp
+    }
+    
+    mapping(uint256 => Presale) public presales;                      // tokenId => Presale
+    mapping(uint256 => uint256) public walletCaps;                    // tokenId => max tokens per wallet (0 = no cap)
+    mapping(uint256 => mapping(address => uint256)) public purchasedBy; // tokenId => buyer => tokens bought in the IPO
+    
+    // Metadata URIs set for single teams; the others use the base URI with its {id} placeholder
+    mapping(uint256 => string) internal tokenURIs; // tokenId => full metadata URI (read through uri)
+    
+    // Stablecoins buyers may pay with besides USDC (paymentToken), e.g. USDT or DAI.
+    // Prices and all the ledgers above stay in USDC units; an asset with d decimals pays
+    // them times 10^(d - 6), so conversions are exact and never round in the buyer's favour
+    struct PaymentAsset {
+        uint256 scale;             // Asset units per USDC unit, 10^(decimals - 6) (0 = never configured)
+        address feeRecipient;      // Receives platform fees paid in this asset (0 = platformFeeRecipient)
+        bool accepted;             // Whether purchases may pay with this asset
+    }
+    
+    mapping(address => PaymentAsset) public paymentAssets;                    // asset => PaymentAsset
+    address[] internal paymentAssetList;                                      // Every asset ever configured (read through getPaymentAssets)
+    mapping(uint256 => mapping(address => uint256)) public teamAssetProceeds; // tokenId => asset => part of teamFunds.proceeds paid in it
+    mapping(address => uint256) public withdrawableAssetProceeds;             // asset => proceeds released in it not yet withdrawn (asset units)
+    
+    // Revenue sharing: a team's payees (e.g. the club and platform partners) split its platform
+    // fees and take royalties on its proceeds. Shares accrue here, in the asset that was paid,
+    // until each payee claims them. Shares are rounded on their running total, so the parts
+    // always add up to exactly the whole fee (or royalty) and no unit is lost
+    struct Payee {
+        address account;
+        uint16 feeShare;           // Basis points of each platform fee (a team's fee shares sum to 0 or 10,000)
+        uint16 royaltyShare;       // Basis points of the proceeds released on completion (sum at most 10,000)
+    }
+    
+    mapping(uint256 => Payee[]) internal teamPayees;                     // tokenId => payees (read through getTeamPayees)
+    mapping(address => mapping(address => uint256)) public payeeAccrued; // payee => asset => units credited (asset units)
+    mapping(address => mapping(address => uint256)) public payeeClaimed; // payee => asset => units claimed (asset units)
+    
+    // Refund escrow by payment asset: the parts of escrowedPayments and escrowedFees paid in each
+    // asset other than USDC (USDC units; USDC paid the rest), so a cancelled IPO refunds every part
+    // in the asset it was paid in. Platform fees have been paid out, so refunding them takes
+    // an explicit funding step first (see fundFeeRefunds)
+    struct AssetEscrow {
+        uint256 payment;           // Token cost paid in the asset
+        uint256 fee;               // Platform fee paid in the asset
+    }
+    
+    mapping(uint256 => mapping(address => mapping(address => AssetEscrow))) internal escrowedAssets; // tokenId => holder => asset => AssetEscrow
+    mapping(uint256 => mapping(address => uint256)) public teamAssetFees; // tokenId => asset => part of teamFunds.feesCollected paid in it
+    mapping(uint256 => bool) public feeRefundsFunded;                     // tokenId => whether the fees to refund have been paid back in
+    
+    // Reserved storage for state added by future versions (23 slots used above + 27 = 50)
+    uint256[27] private __gap;
+    
+    // Events
+    event TeamAdded(uint256 indexed tokenId, string teamName, uint256 timestamp);
+    event TeamCurveConfigured(uint256 indexed tokenId, uint256 basePrice, uint256 totalSupply, uint256 smoothingFactor, uint256 platformFeeRate);
+    event IPOScheduled(uint256 indexed tokenId, uint256 startTime, uint256 endTime);
+    event TokensPurchased(address indexed buyer, uint256 indexed tokenId, uint256 amount, uint256 totalCost, uint256 platformFee);
+    event IPOCompleted(uint256 indexed tokenId, uint256 finalPrice, uint256 timestamp);
+    event IPOPaused(uint256 indexed tokenId);
+    event IPOResumed(uint256 indexed tokenId);
+    event IPOCancelled(uint256 indexed tokenId, bool feesRefunded, uint256 timestamp);
+    event RefundClaimed(address indexed holder, uint256 indexed tokenId, uint256 amount, uint256 refund);
+    event FeeRefundsFunded(uint256 indexed tokenId, address indexed funder);
+    event PresaleConfigured(uint256 indexed tokenId, bytes32 merkleRoot, uint256 endTime);
+    event WalletCapUpdated(uint256 indexed tokenId, uint256 walletCap);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event ProceedsWithdrawn(address indexed treasury, uint256 amount);
+    event AssetProceedsWithdrawn(address indexed treasury, address indexed asset, uint256 amount);
+    event PaymentAssetConfigured(address indexed asset, bool accepted, address feeRecipient);
+    event PaidWithAsset(address indexed buyer, address indexed asset, uint256 amount, uint256 platformFee);
+    event TeamPayeesConfigured(uint256 indexed tokenId, address[] accounts, uint256[] feeShares, uint256[] royaltyShares);
+    event PayeeCredited(uint256 indexed tokenId, address indexed payee, address indexed asset, uint256 amount, bool royalty);
+    event PayeeClaimed(address indexed payee, address indexed asset, uint256 amount);
+    
+    // Modifiers
+    modifier teamExists(uint256 tokenId) {
+        requireTeamExists(tokenId);
+        _;
+    }
+    
+    /**
+     * @dev Internal function to get price at specific supply level on a team's curve
+     */
+    function getPriceAtSupply(TeamIPO storage team, uint256 soldAmount) internal view returns (uint256) {
+        uint256 basePrice = team.basePrice;
+        if (soldAmount == 0) return basePrice;
+        
+        uint256 sigmoidFactor = getSigmoidFactorAtSupply(team, soldAmount);
+        // sigmoidFactor is below 2^90 on any curve addTeam accepts
+        unchecked {
+            return basePrice + (basePrice * sigmoidFactor / 1e18);
+        }
+    }
+    
+    /**
+     * @dev Internal function to get the sigmoid factor (1e18 scale) at specific supply level on a team's curve
+     */
+    function getSigmoidFactorAtSupply(TeamIPO storage team, uint256 soldAmount) internal view returns (uint256) {
+        if (soldAmount == 0) return 0;
+        
+        // Callers keep soldAmount <= totalSupply
+        unchecked {
+            uint256 remaining = team.totalSupply - soldAmount;
+            return (soldAmount * 1e18) / (remaining + team.smoothingFactor);
+        }
+    }
+    
+    /**
+     * @dev Revert unless the team has been registered
+     */
+    function requireTeamExists(uint256 tokenId) internal view {
+        require(teams[tokenId].tokenId != 0, "Team does not exist");
+    }
+    
+    /**
+     * @dev Revert once the team's scheduled window has closed
+     */
+    function requireWindowOpen(TeamIPO storage team) internal view {
+        require(!isWindowClosed(team), "IPO window has closed");
+    }
+    
+    /**
+     * @dev Internal function to check whether a team's scheduled window has closed
+     */
+    function isWindowClosed(TeamIPO storage team) internal view returns (bool) {
+        return team.ipoEndTime != 0 && block.timestamp >= team.ipoEndTime;
+    }
+    
+    /**
+     * @dev Revert if the team's IPO has been completed or cancelled
+     */
+    function requireNotSettled(TeamIPO storage team) internal view {
+        require(!team.completed, "IPO already completed");
+        require(!team.cancelled, "IPO cancelled");
+    }
+    
+    /**
+     * @dev Internal function to get the escrowed payment and fee attributable to amount of a holder's tokens
+     * Rounds down; the holder's last token carries the remainder. Reverts if amount exceeds the balance
+     */
+    function escrowShare(uint256 tokenId, address holder, uint256 amount) internal view returns (uint256 payment, uint256 fee) {
+        uint256 balance = balanceOf(holder, tokenId);
+        require(amount <= balance, "Insufficient token balance");
+        if (balance == 0) return (0, 0);
+        
+        payment = (escrowedPayments[tokenId][holder] * amount) / balance;
+        fee = (escrowedFees[tokenId][holder] * amount) / balance;
+    }
+    
+    /**
+     * @dev Internal function to take the part of escrowShare paid in a payment asset off the holder
+     * Callers go through paymentAssetList in order. Each part is rounded on the running total of
+     * the holder's asset parts, like creditPayees, so no part exceeds what the holder has in that
+     * asset and the USDC rest of escrowShare never exceeds what the holder paid in USDC
+     * @param balance Holder's token balance (not zero)
+     * @param tally Running totals of the holder's escrow in the assets before this one; updated
+     * @return payment USDC units of token cost paid in the asset
+     * @return fee USDC units of platform fee paid in the asset
+     */
+    function takeAssetEscrow(
+        uint256 tokenId,
+        address holder,
+        address asset,
+        uint256 amount,
+        uint256 balance,
+        AssetEscrow memory tally
+    ) internal returns (uint256 payment, uint256 fee) {
+        AssetEscrow storage escrow = escrowedAssets[tokenId][holder][asset];
+        uint256 paymentsBefore = tally.payment;
+        uint256 feesBefore = tally.fee;
+        tally.payment += escrow.payment;
+        tally.fee += escrow.fee;
+        
+        payment = (tally.payment * amount) / balance - (paymentsBefore * amount) / balance;
+        fee = (tally.fee * amount) / balance - (feesBefore * amount) / balance;
+        escrow.payment -= payment;
+        escrow.fee -= fee;
+    }
+    
+    /**
+     * @dev Internal function to move the escrow of amount of a holder's tokens to another holder,
+     * in total as escrowShare attributes it and part by part for the payment assets
+     */
+    function moveEscrow(uint256 tokenId, address from, address to, uint256 amount) internal {
+        uint256 balance = balanceOf(from, tokenId);
+        (uint256 payment, uint256 fee) = escrowShare(tokenId, from, amount);
+        escrowedPayments[tokenId][from] -= payment;
+        escrowedPayments[tokenId][to] += payment;
+        escrowedFees[tokenId][from] -= fee;
+        escrowedFees[tokenId][to] += fee;
+        
+        AssetEscrow memory tally;
+        for (uint256 i = 0; i < paymentAssetList.length; i++) {
+            address asset = paymentAssetList[i];
+            (uint256 assetPayment, uint256 assetFee) = takeAssetEscrow(tokenId, from, asset, amount, balance, tally);
+            AssetEscrow storage escrow = escrowedAssets[tokenId][to][asset];
+            escrow.payment += assetPayment;
+            escrow.fee += assetFee;
+        }
+    }
+    
+    /**
+     * @dev Internal function to mark a team completed and release its escrowed proceeds,
+     * less the royalties credited to its payees
+     */
+    function releaseProceeds(uint256 tokenId) internal {
+        teams[tokenId].completed = true;
+        uint256 proceeds = teamFunds[tokenId].proceeds - releaseAssetProceeds(tokenId);
+        withdrawableProceeds += proceeds - creditPayees(tokenId, address(paymentToken), proceeds, true);
+    }
+    
+    /**
+     * @dev Internal function to make a team's proceeds paid in assets other than USDC withdrawable,
+     * less the royalties credited to its payees
+     * @return paidInAssets USDC units of the team's proceeds paid in those assets
+     */
+    function releaseAssetProceeds(uint256 tokenId) internal returns (uint256 paidInAssets) {
+        for (uint256 i = 0; i < paymentAssetList.length; i++) {
+            address asset = paymentAssetList[i];
+            uint256 proceeds = teamAssetProceeds[tokenId][asset];
+            if (proceeds > 0) {
+                uint256 released = proceeds * paymentAssets[asset].scale;
+                withdrawableAssetProceeds[asset] += released - creditPayees(tokenId, asset, released, true);
+                paidInAssets += proceeds;
+            }
+        }
+    }
+    
+    /**
+     * @dev Internal function to credit a team's payees their shares of an amount
+     * Each payee gets the growth of amount × (running share total) / BASIS_POINTS, so the
+     * credits add up to exactly amount × (sum of shares) / BASIS_POINTS
+     * @param asset Asset the amount is in (paymentToken for USDC)
+     * @param amount Asset units to share out
+     * @param royalty Whether to use the royalty shares (true) or the fee shares (false)
+     * @return credited Asset units credited (0 if the team has no payees with such shares)
+     */
+    function creditPayees(uint256 tokenId, address asset, uint256 amount, bool royalty) internal returns (uint256 credited) {
+        Payee[] storage payees = teamPayees[tokenId];
+        uint256 shareTotal = 0;
+        for (uint256 i = 0; i < payees.length; i++) {
+            Payee storage payee = payees[i];
+            uint256 share = royalty ? payee.royaltyShare : payee.feeShare;
+            if (share == 0) continue;
+            
+            shareTotal += share;
+            uint256 due = (amount * shareTotal) / BASIS_POINTS - credited;
+            if (due > 0) {
+                credited += due;
+                payeeAccrued[payee.account][asset] += due;
+                emit PayeeCredited(tokenId, payee.account, asset, due, royalty);
+            }
+        }
+    }
+    
+    /**
+     * @dev Metadata URI of a token: its own URI if set, otherwise the base URI
+     */
+    function uri(uint256 tokenId) public view virtual override returns (string memory) {
+        string memory tokenURI = tokenURIs[tokenId];
+        return bytes(tokenURI).length > 0 ? tokenURI : super.uri(tokenId);
+    }
+    
+    /**
+     * @dev ERC-1155 and AccessControl both implement ERC-165
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC1155Upgradeable, AccessControlUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
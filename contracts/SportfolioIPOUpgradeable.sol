@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SportfolioIPOBase.sol";
+
+/**
+ * @title SportfolioIPOUpgradeable
+ * @dev SportfolioIPO behind a transparent proxy (deployed with upgradeable: true in the
+ * deploy manifest, upgraded with scripts/upgrade.js)
+ * The proxy holds all state and USDC; the ProxyAdmin owner (the deployer, or a multisig
+ * it is handed to) can point it at a new implementation. Upgrades are validated with
+ * the OpenZeppelin upgrades plugin, which refuses storage layouts that would clobber state
+ */
+contract SportfolioIPOUpgradeable is SportfolioIPOBase {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Replaces the constructor: the caller gets every role and is the initial treasury
+     * Can only run once, through the proxy (the implementation itself is locked)
+     * @param uri ERC-1155 metadata URI
+     * @param _platformFeeRecipient Receives platform fees
+     * @param _paymentToken USDC token address
+     */
+    function initialize(
+        string memory uri,
+        address _platformFeeRecipient,
+        address _paymentToken
+    ) public initializer {
+        __SportfolioIPO_init(uri, _platformFeeRecipient, _paymentToken);
+    }
+}
@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./SportfolioIPO.sol";
+
+/**
+ * @title SportfolioMarket
+ * @dev Post-IPO secondary market for SportfolioIPO team tokens
+ * Once a team's IPO completes, holders sell tokens back to a per-team USDC reserve
+ * and others buy them from the reserve's inventory, both priced on the team's IPO curve
+ *
+ * Supply level: the market prices trades at tokensSold - inventory, i.e. the tokens
+ * in circulation outside the reserve. Selling moves down the curve, buying moves up.
+ *
+ * Pricing: buying n tokens from level s costs the IPO's closed-form curve cost
+ * (rounded up, never below the per-token sum). Selling n tokens down to level s
+ * pays that cost minus n + 1 USDC units, which the closed-form error bound guarantees
+ * is never above the per-token sum. So no sequence of buys and sells, however split,
+ * takes more out of a reserve than was put in.
+ *
+ * Obligation: a team's reserve owes its holders the curve cost of the tokens outstanding
+ * outside the reserve, which bounds what selling all of them back can take out. The owner
+ * can only withdraw what the reserve holds above it.
+ */
+contract SportfolioMarket is Ownable, ReentrancyGuard, ERC1155Holder {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BASIS_POINTS = 10_000; // 100% = 10,000 basis points
+    uint256 public constant MAX_FEE_RATE = 1_000; // 10% = 1,000 basis points
+
+    // Per-team reserve data
+    struct TeamReserve {
+        uint256 balance;   // USDC units backing sell-backs for this team
+        uint256 inventory; // Tokens held by the reserve, available to buy
+    }
+
+    // State variables
+    SportfolioIPO public immutable ipo;
+    IERC20 public immutable paymentToken; // USDC token address (same as the IPO)
+    mapping(uint256 => TeamReserve) public reserves; // tokenId => TeamReserve
+    uint256 public totalReserves; // Sum of all team reserve balances
+    address public feeRecipient;
+    uint256 public feeRate; // Secondary market fee in basis points (separate from the IPO platform fee)
+
+    // Events
+    event ReserveFunded(uint256 indexed tokenId, address indexed funder, uint256 amount, uint256 reserveBalance);
+    event ReserveWithdrawn(uint256 indexed tokenId, uint256 amount, uint256 reserveBalance);
+    event TokensSoldToReserve(address indexed seller, uint256 indexed tokenId, uint256 amount, uint256 proceeds, uint256 fee, uint256 priceAfter);
+    event TokensBoughtFromReserve(address indexed buyer, uint256 indexed tokenId, uint256 amount, uint256 cost, uint256 fee, uint256 priceAfter);
+    event FeeRateUpdated(uint256 feeRate);
+    event FeeRecipientUpdated(address feeRecipient);
+
+    // Modifiers
+    modifier onlyAfterIPO(uint256 tokenId) {
+        require(ipo.getTeamInfo(tokenId).completed, "IPO not completed");
+        _;
+    }
+
+    constructor(address _ipo, address _feeRecipient, uint256 _feeRate) Ownable() {
+        require(_ipo != address(0), "Invalid IPO contract");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        require(_feeRate <= MAX_FEE_RATE, "Invalid fee rate");
+        ipo = SportfolioIPO(_ipo);
+        paymentToken = IERC20(SportfolioIPO(_ipo).getPaymentToken());
+        feeRecipient = _feeRecipient;
+        feeRate = _feeRate;
+    }
+
+    /**
+     * @dev Returns the supply level the market prices a team's trades at
+     * @param tokenId Team token ID
+     */
+    function getMarketSupply(uint256 tokenId) public view returns (uint256) {
+        return ipo.getTokensSold(tokenId) - reserves[tokenId].inventory;
+    }
+
+    /**
+     * @dev Returns the current secondary market price for a team (fees excluded)
+     * @param tokenId Team token ID
+     */
+    function getPrice(uint256 tokenId) public view returns (uint256) {
+        return ipo.getPriceAt(tokenId, getMarketSupply(tokenId));
+    }
+
+    /**
+     * @dev Returns the USDC units a team's reserve owes its holders: the curve's buy-back value
+     * of the tokens outstanding outside the reserve
+     * Uses the closed-form cost, which is never below the per-token sum, so it covers selling the
+     * whole supply back however the sells are split. Zero for a cancelled team, whose holders
+     * are refunded by the IPO instead
+     * @param tokenId Team token ID
+     */
+    function getReserveObligation(uint256 tokenId) public view returns (uint256) {
+        if (ipo.getTeamInfo(tokenId).cancelled) return 0;
+        uint256 supply = getMarketSupply(tokenId);
+        return supply == 0 ? 0 : ipo.getCurveCostAt(tokenId, 0, supply);
+    }
+
+    /**
+     * @dev Returns the USDC units the owner can withdraw from a team's reserve (above its obligation)
+     * @param tokenId Team token ID
+     */
+    function getWithdrawableReserve(uint256 tokenId) public view returns (uint256) {
+        uint256 balance = reserves[tokenId].balance;
+        uint256 obligation = getReserveObligation(tokenId);
+        return balance > obligation ? balance - obligation : 0;
+    }
+
+    /**
+     * @dev Quotes selling tokens back to a team's reserve
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to sell
+     * @return proceeds USDC units paid to the seller
+     * @return fee USDC units paid to the fee recipient (proceeds + fee leave the reserve)
+     */
+    function quoteSell(uint256 tokenId, uint256 amount) public view returns (uint256 proceeds, uint256 fee) {
+        require(amount > 0, "Must sell at least 1 token");
+        uint256 supply = getMarketSupply(tokenId);
+        require(amount <= supply, "Exceeds circulating supply");
+
+        uint256 curveCost = ipo.getCurveCostAt(tokenId, supply - amount, amount);
+        uint256 value = curveCost > amount + 1 ? curveCost - amount - 1 : 0;
+        fee = (value * feeRate) / BASIS_POINTS;
+        proceeds = value - fee;
+    }
+
+    /**
+     * @dev Quotes buying tokens from a team's reserve inventory
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to buy
+     * @return cost USDC units added to the reserve
+     * @return fee USDC units paid to the fee recipient on top of cost
+     */
+    function quoteBuy(uint256 tokenId, uint256 amount) public view returns (uint256 cost, uint256 fee) {
+        require(amount > 0, "Must buy at least 1 token");
+        require(amount <= reserves[tokenId].inventory, "Exceeds reserve inventory");
+
+        cost = ipo.getCurveCostAt(tokenId, getMarketSupply(tokenId), amount);
+        fee = (cost * feeRate) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Sell tokens back to a team's reserve
+     *
+     * IMPORTANT: Sellers must call setApprovalForAll(market, true) on the IPO contract first
+     *
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to sell
+     * @param minProceeds Minimum USDC units the seller accepts, after fees
+     * @param deadline Latest block timestamp at which the sale may execute
+     * @return proceeds USDC units paid to the seller
+     */
+    function sellTokens(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline
+    ) external nonReentrant onlyAfterIPO(tokenId) returns (uint256 proceeds) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        uint256 fee;
+        (proceeds, fee) = quoteSell(tokenId, amount);
+        require(proceeds >= minProceeds, "Below minimum proceeds");
+
+        TeamReserve storage reserve = reserves[tokenId];
+        uint256 value = proceeds + fee;
+        require(value <= reserve.balance, "Insufficient reserve");
+
+        reserve.balance -= value;
+        reserve.inventory += amount;
+        totalReserves -= value;
+
+        ipo.safeTransferFrom(msg.sender, address(this), tokenId, amount, "");
+        if (proceeds > 0) {
+            paymentToken.safeTransfer(msg.sender, proceeds);
+        }
+        if (fee > 0) {
+            paymentToken.safeTransfer(feeRecipient, fee);
+        }
+
+        emit TokensSoldToReserve(msg.sender, tokenId, amount, proceeds, fee, getPrice(tokenId));
+    }
+
+    /**
+     * @dev Buy tokens from a team's reserve inventory
+     *
+     * IMPORTANT: Buyers must approve USDC spending (cost + fee) first
+     *
+     * @param tokenId Team token ID
+     * @param amount Number of tokens to buy
+     * @param maxTotalCost Maximum USDC units to pay, fee included
+     * @param deadline Latest block timestamp at which the purchase may execute
+     */
+    function buyTokens(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 maxTotalCost,
+        uint256 deadline
+    ) external nonReentrant onlyAfterIPO(tokenId) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        (uint256 cost, uint256 fee) = quoteBuy(tokenId, amount);
+        require(cost + fee <= maxTotalCost, "Exceeds max total cost");
+
+        TeamReserve storage reserve = reserves[tokenId];
+        reserve.balance += cost;
+        reserve.inventory -= amount;
+        totalReserves += cost;
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), cost + fee);
+        if (fee > 0) {
+            paymentToken.safeTransfer(feeRecipient, fee);
+        }
+        ipo.safeTransferFrom(address(this), msg.sender, tokenId, amount, "");
+
+        emit TokensBoughtFromReserve(msg.sender, tokenId, amount, cost, fee, getPrice(tokenId));
+    }
+
+    /**
+     * @dev Add USDC to a team's reserve (anyone can fund, e.g. the treasury or the club)
+     * @param tokenId Team token ID
+     * @param amount USDC units to add
+     */
+    function fundReserve(uint256 tokenId, uint256 amount) external nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        require(ipo.getTeamInfo(tokenId).tokenId != 0, "Team does not exist");
+
+        reserves[tokenId].balance += amount;
+        totalReserves += amount;
+        paymentToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit ReserveFunded(tokenId, msg.sender, amount, reserves[tokenId].balance);
+    }
+
+    /**
+     * @dev Withdraw USDC from a team's reserve (owner only)
+     * Limited to what that team's reserve holds above its obligation to holders
+     * (getWithdrawableReserve), so neither its sellers nor other teams' reserves are touched
+     * @param tokenId Team token ID
+     * @param amount USDC units to withdraw (0 = everything withdrawable)
+     */
+    function withdrawReserve(uint256 tokenId, uint256 amount) external onlyOwner nonReentrant {
+        TeamReserve storage reserve = reserves[tokenId];
+        require(reserve.balance > 0, "No reserve to withdraw");
+
+        uint256 withdrawable = getWithdrawableReserve(tokenId);
+        uint256 withdrawAmount = amount == 0 ? withdrawable : amount;
+        require(withdrawAmount <= reserve.balance, "Insufficient reserve");
+        require(withdrawAmount > 0 && withdrawAmount <= withdrawable, "Reserve owed to holders");
+
+        reserve.balance -= withdrawAmount;
+        totalReserves -= withdrawAmount;
+        paymentToken.safeTransfer(owner(), withdrawAmount);
+
+        emit ReserveWithdrawn(tokenId, withdrawAmount, reserve.balance);
+    }
+
+    /**
+     * @dev Update the secondary market fee rate (owner only)
+     * @param _feeRate Fee in basis points
+     */
+    function setFeeRate(uint256 _feeRate) external onlyOwner {
+        require(_feeRate <= MAX_FEE_RATE, "Invalid fee rate");
+        feeRate = _feeRate;
+        emit FeeRateUpdated(_feeRate);
+    }
+
+    /**
+     * @dev Update the secondary market fee recipient (owner only)
+     */
+    function setFeeRecipient(address _newRecipient) external onlyOwner {
+        require(_newRecipient != address(0), "Invalid recipient");
+        feeRecipient = _newRecipient;
+        emit FeeRecipientUpdated(_newRecipient);
+    }
+}
@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./SportfolioIPO.sol";
+
+/**
+ * @title SportfolioRewards
+ * @dev USDC reward distributions to the holders of a SportfolioIPO team token,
+ * e.g. when the team wins a game or a championship
+ *
+ * Snapshot: the owner funds a distribution together with the Merkle root of the
+ * team's holder balances at a past block, built off-chain from indexed transfers
+ * (lib/rewards.js). Leaves are keccak256(keccak256(abi.encode(holder, balance))),
+ * the same encoding as the IPO presale tree.
+ *
+ * Claims: each holder in the snapshot claims amount × balance / totalBalance once,
+ * rounded down. Transfers after the snapshot block do not move a distribution's
+ * rewards: they belong to whoever held the tokens at the snapshot.
+ *
+ * After its claim deadline, a distribution's unclaimed rest (including rounding
+ * dust) can be reclaimed by the owner. Every distribution is paid only from its
+ * own funding, so one pool never pays another team's holders.
+ */
+contract SportfolioRewards is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Per-distribution data
+    struct Distribution {
+        uint256 tokenId;       // Team token ID
+        bytes32 merkleRoot;    // Root of the (holder, balance) snapshot tree
+        uint256 snapshotBlock; // Block the balances were taken at
+        uint256 totalBalance;  // Sum of the snapshot balances
+        uint256 amount;        // USDC units funded
+        uint256 claimed;       // USDC units paid out (or reclaimed by the owner)
+        uint256 claimDeadline; // Claims are accepted until just before this timestamp
+    }
+
+    // State variables
+    SportfolioIPO public immutable ipo;
+    IERC20 public immutable paymentToken; // USDC token address (same as the IPO)
+    mapping(uint256 => Distribution) public distributions; // distributionId => Distribution
+    uint256 public distributionCount; // Distribution IDs run from 1 to distributionCount
+    mapping(uint256 => mapping(address => bool)) public hasClaimed; // distributionId => holder => claimed
+    mapping(uint256 => uint256[]) private teamDistributions; // tokenId => distribution IDs
+
+    // Events
+    event DistributionCreated(
+        uint256 indexed distributionId,
+        uint256 indexed tokenId,
+        bytes32 merkleRoot,
+        uint256 snapshotBlock,
+        uint256 totalBalance,
+        uint256 amount,
+        uint256 claimDeadline
+    );
+    event RewardClaimed(uint256 indexed distributionId, address indexed holder, uint256 balance, uint256 reward);
+    event UnclaimedReclaimed(uint256 indexed distributionId, uint256 amount);
+
+    constructor(address _ipo) Ownable() {
+        require(_ipo != address(0), "Invalid IPO contract");
+        ipo = SportfolioIPO(_ipo);
+        paymentToken = IERC20(SportfolioIPO(_ipo).getPaymentToken());
+    }
+
+    /**
+     * @dev Fund a reward distribution for a team's holders (owner only)
+     *
+     * IMPORTANT: The owner must approve `amount` USDC first
+     *
+     * @param tokenId Team token ID (its IPO must be completed)
+     * @param merkleRoot Root of the (holder, balance) snapshot tree
+     * @param snapshotBlock Block the balances were taken at (must be in the past)
+     * @param totalBalance Sum of the balances in the tree
+     * @param amount USDC units to distribute
+     * @param claimDeadline Timestamp from which claims close and the rest can be reclaimed
+     * @return distributionId ID of the new distribution
+     */
+    function createDistribution(
+        uint256 tokenId,
+        bytes32 merkleRoot,
+        uint256 snapshotBlock,
+        uint256 totalBalance,
+        uint256 amount,
+        uint256 claimDeadline
+    ) external onlyOwner nonReentrant returns (uint256 distributionId) {
+        require(ipo.getTeamInfo(tokenId).completed, "IPO not completed");
+        require(merkleRoot != bytes32(0), "Invalid merkle root");
+        require(snapshotBlock < block.number, "Snapshot must be in the past");
+        require(totalBalance > 0 && totalBalance <= ipo.getTokensSold(tokenId), "Invalid total balance");
+        require(amount > 0, "Amount must be greater than 0");
+        require(claimDeadline > block.timestamp, "Invalid claim deadline");
+
+        distributionId = ++distributionCount;
+        distributions[distributionId] = Distribution({
+            tokenId: tokenId,
+            merkleRoot: merkleRoot,
+            snapshotBlock: snapshotBlock,
+            totalBalance: totalBalance,
+            amount: amount,
+            claimed: 0,
+            claimDeadline: claimDeadline
+        });
+        teamDistributions[tokenId].push(distributionId);
+        paymentToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit DistributionCreated(distributionId, tokenId, merkleRoot, snapshotBlock, totalBalance, amount, claimDeadline);
+    }
+
+    /**
+     * @dev Returns a snapshot balance's share of a distribution, in USDC units (rounded down)
+     * @param distributionId Distribution ID
+     * @param balance Holder's snapshot balance
+     */
+    function getReward(uint256 distributionId, uint256 balance) public view returns (uint256) {
+        Distribution storage distribution = distributions[distributionId];
+        require(distribution.merkleRoot != bytes32(0), "Distribution does not exist");
+        return (distribution.amount * balance) / distribution.totalBalance;
+    }
+
+    /**
+     * @dev Claim the caller's reward from a distribution, once
+     * @param distributionId Distribution ID
+     * @param balance Caller's balance in the snapshot
+     * @param proof Merkle proof of (caller, balance) in the snapshot tree
+     * @return reward USDC units paid to the caller
+     */
+    function claim(
+        uint256 distributionId,
+        uint256 balance,
+        bytes32[] calldata proof
+    ) external nonReentrant returns (uint256 reward) {
+        reward = getReward(distributionId, balance);
+        Distribution storage distribution = distributions[distributionId];
+        require(block.timestamp < distribution.claimDeadline, "Distribution closed");
+        require(!hasClaimed[distributionId][msg.sender], "Already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, balance))));
+        require(MerkleProof.verifyCalldata(proof, distribution.merkleRoot, leaf), "Invalid reward proof");
+        // Guards other distributions against a tree whose balances add up to more than totalBalance
+        require(distribution.claimed + reward <= distribution.amount, "Exceeds distribution");
+
+        hasClaimed[distributionId][msg.sender] = true;
+        distribution.claimed += reward;
+        if (reward > 0) {
+            paymentToken.safeTransfer(msg.sender, reward);
+        }
+
+        emit RewardClaimed(distributionId, msg.sender, balance, reward);
+    }
+
+    /**
+     * @dev Return a closed distribution's unclaimed USDC to the owner (owner only)
+     * @param distributionId Distribution ID
+     * @return amount USDC units returned
+     */
+    function reclaimUnclaimed(uint256 distributionId) external onlyOwner nonReentrant returns (uint256 amount) {
+        Distribution storage distribution = distributions[distributionId];
+        require(distribution.merkleRoot != bytes32(0), "Distribution does not exist");
+        require(block.timestamp >= distribution.claimDeadline, "Claims still open");
+        amount = distribution.amount - distribution.claimed;
+        require(amount > 0, "Nothing to reclaim");
+
+        distribution.claimed = distribution.amount;
+        paymentToken.safeTransfer(owner(), amount);
+
+        emit UnclaimedReclaimed(distributionId, amount);
+    }
+
+    /**
+     * @dev Returns the IDs of a team's distributions, oldest first
+     * @param tokenId Team token ID
+     */
+    function getTeamDistributions(uint256 tokenId) external view returns (uint256[] memory) {
+        return teamDistributions[tokenId];
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev Test-only stablecoin with configurable decimals, e.g. 6 like USDT or 18 like DAI
+ * Mints 1 billion whole tokens to the deployer
+ */
+contract MockStablecoin is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(msg.sender, 1_000_000_000 * 10**decimals_);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+    
+    /**
+     * @dev Mint tokens to an address (for testing)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../SportfolioIPOUpgradeable.sol";
+
+/**
+ * @dev Test-only base whose variable lands in front of the existing storage
+ */
+contract StorageSquatter {
+    uint256 internal squatter;
+}
+
+/**
+ * @title SportfolioIPOBrokenLayout
+ * @dev Test-only next version with an incompatible storage layout: inheriting
+ * StorageSquatter first shifts every existing variable by one slot, so the
+ * upgrade tooling must refuse it
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract SportfolioIPOBrokenLayout is StorageSquatter, SportfolioIPOUpgradeable {
+    function version() external pure returns (string memory) {
+        return "broken";
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../SportfolioIPO.sol";
+
+/**
+ * @title SportfolioIPOHarness
+ * @dev Test-only extension of SportfolioIPO
+ * Lets tests jump a team to any supply level so pricing views can be checked
+ * across the whole curve without buying millions of tokens first
+ */
+contract SportfolioIPOHarness is SportfolioIPO {
+    constructor(
+        string memory uri,
+        address _platformFeeRecipient,
+        address _paymentToken
+    ) SportfolioIPO(uri, _platformFeeRecipient, _paymentToken) {}
+    
+    /**
+     * @dev Overwrite a team's sold counter (no tokens are minted)
+     */
+    function setTokensSold(uint256 tokenId, uint256 soldAmount) external teamExists(tokenId) {
+        require(soldAmount <= teams[tokenId].totalSupply, "Exceeds total supply");
+        teams[tokenId].tokensSold = soldAmount;
+    }
+    
+    /**
+     * @dev Reference implementation of the original per-token cost loop
+     * Used by differential tests against the closed-form calculatePurchaseCost
+     */
+    function legacyPurchaseCost(
+        uint256 tokenId,
+        uint256 soldAmount,
+        uint256 tokenAmount
+    ) external view teamExists(tokenId) returns (uint256 totalCost) {
+        TeamIPO storage team = teams[tokenId];
+        require(soldAmount + tokenAmount <= team.totalSupply, "Exceeds total supply");
+        for (uint256 i = 0; i < tokenAmount; i++) {
+            totalCost += getPriceAtSupply(team, soldAmount + i);
+        }
+    }
+}
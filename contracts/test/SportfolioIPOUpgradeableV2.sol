@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../SportfolioIPOUpgradeable.sol";
+
+/**
+ * @title SportfolioIPOUpgradeableV2
+ * @dev Test-only next version of SportfolioIPOUpgradeable
+ * Appends state after the existing layout and adds functions, the way a real upgrade would
+ * Next versions reuse the inherited initialize, which the upgrades plugin does not recognise
+ * through SportfolioIPOBase, hence the missing-initializer allowance
+ * @custom:oz-upgrades-from SportfolioIPOUpgradeable
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract SportfolioIPOUpgradeableV2 is SportfolioIPOUpgradeable {
+    mapping(uint256 => string) public teamLeagues; // tokenId => league
+    
+    function setTeamLeague(uint256 tokenId, string memory league) external onlyRole(TEAM_MANAGER_ROLE) teamExists(tokenId) {
+        teamLeagues[tokenId] = league;
+    }
+    
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -1,4 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
+require("./tasks/ipo");
 require("dotenv").config();
 
 /** @type import('hardhat/config').HardhatUserConfig */
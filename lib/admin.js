@@ -0,0 +1,232 @@
+/**
+ * Sportfolio Admin Library
+ * Shared logic behind the `ipo` Hardhat tasks (tasks/ipo.js): locating the deployed
+ * contract, team status rows, USDC and payee parsing, and running role-restricted calls in one of three modes:
+ *
+ *   send      Sign and send with the configured account (must hold the role)
+ *   dry-run   Simulate with staticCall from the role holder and estimate gas; nothing is sent
+ *   unsigned  Simulate, then return a Safe Transaction Builder batch (JSON) for a multisig role holder
+ */
+
+const { getAddress, parseUnits } = require("ethers");
+const { getRecordPath, readDeploymentRecord } = require("./deployment");
+
+const MODES = Object.freeze({ SEND: "send", DRY_RUN: "dry-run", UNSIGNED: "unsigned" });
+
+// Role names used on the command line => SportfolioIPO role constants
+const ROLES = Object.freeze({
+    admin: "DEFAULT_ADMIN_ROLE",
+    "team-manager": "TEAM_MANAGER_ROLE",
+    pauser: "PAUSER_ROLE",
+    treasurer: "TREASURER_ROLE",
+});
+
+const USDC_DECIMALS = 6;
+
+/**
+ * Attach to the deployed SportfolioIPO
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [address] Contract address; defaults to deployments/<network>.json
+ * @param {string} [recordPath] Deployment record to read instead of the network default
+ */
+async function getSportfolioIPO(hre, address, recordPath = getRecordPath(hre.network.name)) {
+    if (!address) {
+        const record = readDeploymentRecord(recordPath);
+        address = record.contracts.SportfolioIPO && record.contracts.SportfolioIPO.address;
+        if (!address) {
+            throw new Error(`No SportfolioIPO in ${recordPath}; deploy first or pass --contract`);
+        }
+    }
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+        throw new Error(`No contract at ${address} on ${hre.network.name}`);
+    }
+    return hre.ethers.getContractAt("SportfolioIPO", address);
+}
+
+/**
+ * Human-readable state of a team's IPO
+ * @param {object} info getTeamInfo result (ipoActive already reflects the window)
+ * @param {number|bigint} now Current block timestamp
+ * @returns {"live"|"paused"|"scheduled"|"closed"|"sold out"|"completed"|"cancelled"}
+ */
+function getTeamStatus(info, now) {
+    if (info.cancelled) return "cancelled";
+    if (info.completed) return info.tokensSold === info.totalSupply ? "sold out" : "completed";
+    if (info.ipoActive) return "live";
+    if (BigInt(now) < info.ipoStartTime) return "scheduled";
+    if (info.ipoEndTime !== 0n && BigInt(now) >= info.ipoEndTime) return "closed";
+    return "paused";
+}
+
+/**
+ * One row per team from getAllTeams / getTeamInfo
+ * @param {object} sportfolioIPO SportfolioIPO contract
+ * @returns {Promise<{tokenId: bigint, name: string, price: bigint, tokensSold: bigint, totalSupply: bigint, remaining: bigint, status: string}[]>}
+ */
+async function getTeamRows(sportfolioIPO) {
+    const now = (await sportfolioIPO.runner.provider.getBlock("latest")).timestamp;
+    const rows = [];
+    for (const tokenId of await sportfolioIPO.getAllTeams()) {
+        const info = await sportfolioIPO.getTeamInfo(tokenId);
+        rows.push({
+            tokenId,
+            name: info.teamName,
+            price: await sportfolioIPO.getCurrentPrice(tokenId),
+            tokensSold: info.tokensSold,
+            totalSupply: info.totalSupply,
+            remaining: info.totalSupply - info.tokensSold,
+            status: getTeamStatus(info, now),
+        });
+    }
+    return rows;
+}
+
+/**
+ * Parse a USDC amount typed by a person ("1250", "1,250.50") into USDC units
+ * @param {string} text Amount in dollars
+ * @returns {bigint} USDC units (6 decimals)
+ */
+function parseUSDC(text) {
+    const cleaned = String(text).replace(/[$,_\s]/g, "");
+    if (!/^\d+(\.\d+)?$/.test(cleaned)) {
+        throw new RangeError(`Invalid USDC amount "${text}"`);
+    }
+    const [, fraction = ""] = cleaned.split(".");
+    if (fraction.length > USDC_DECIMALS) {
+        throw new RangeError(`USDC amounts have at most ${USDC_DECIMALS} decimals, got "${text}"`);
+    }
+    return parseUnits(cleaned, USDC_DECIMALS);
+}
+
+/**
+ * Parse a team's payees typed as `address:feeBps:royaltyBps` entries separated by commas,
+ * e.g. "0xClub...:0:1000,0xPartner...:10000:0" (an empty string clears the payees)
+ * @param {string} text Payee list
+ * @returns {{accounts: string[], feeShares: bigint[], royaltyShares: bigint[]}} Arguments of setTeamPayees
+ */
+function parsePayees(text) {
+    const payees = { accounts: [], feeShares: [], royaltyShares: [] };
+    for (const entry of String(text).split(",").map((part) => part.trim()).filter(Boolean)) {
+        const [account, feeShare, royaltyShare, ...rest] = entry.split(":").map((field) => field.trim());
+        if (royaltyShare === undefined || rest.length > 0 || !/^\d+$/.test(feeShare) || !/^\d+$/.test(royaltyShare)) {
+            throw new SyntaxError(`Invalid payee "${entry}"; expected address:feeBps:royaltyBps`);
+        }
+        payees.accounts.push(getAddress(account.toLowerCase()));
+        payees.feeShares.push(BigInt(feeShare));
+        payees.royaltyShares.push(BigInt(royaltyShare));
+    }
+    return payees;
+}
+
+/**
+ * Role constant for a command-line role name
+ * @param {string} name One of the ROLES keys, e.g. "team-manager"
+ * @returns {string} Contract constant name, e.g. "TEAM_MANAGER_ROLE"
+ */
+function getRoleConstant(name) {
+    const constant = ROLES[name];
+    if (!constant) {
+        throw new RangeError(`Unknown role "${name}" (${Object.keys(ROLES).join(", ")})`);
+    }
+    return constant;
+}
+
+/**
+ * Roles an account holds
+ * @param {object} sportfolioIPO SportfolioIPO contract
+ * @param {string} account Address to check
+ * @returns {Promise<string[]>} Command-line role names, e.g. ["pauser"]
+ */
+async function getAccountRoles(sportfolioIPO, account) {
+    const held = [];
+    for (const [name, constant] of Object.entries(ROLES)) {
+        if (await sportfolioIPO.hasRole(await sportfolioIPO[constant](), account)) held.push(name);
+    }
+    return held;
+}
+
+/**
+ * Run a role-restricted call in the given mode
+ * @param {object} contract Contract connected to the configured signer
+ * @param {string} method Function name or full signature (for overloads)
+ * @param {Array} args Call arguments
+ * @param {object} options
+ * @param {string} options.role Role constant the call needs, e.g. "TEAM_MANAGER_ROLE"
+ * @param {string} [options.mode="send"] One of MODES
+ * @param {string} [options.from] Role holder to simulate as in dry-run / unsigned mode,
+ *   e.g. a multisig (default: the configured signer)
+ * @param {string} [options.description] Label for the multisig batch
+ * @returns {Promise<object>}
+ *   send: { mode, hash, blockNumber, gasUsed }
+ *   dry-run: { mode, from, result, gasEstimate }
+ *   unsigned: { mode, from, batch } where batch is a Safe Transaction Builder file
+ */
+async function runRoleCall(contract, method, args, { role, mode = MODES.SEND, from, description = method }) {
+    if (!Object.values(MODES).includes(mode)) {
+        throw new RangeError(`Unknown mode "${mode}"`);
+    }
+    const signer = await contract.runner.getAddress();
+    const account = mode === MODES.SEND || !from ? signer : getAddress(from);
+    if (!(await contract.hasRole(await contract[role](), account))) {
+        const hint = mode === MODES.SEND
+            ? "; use --unsigned --from <role holder> to prepare a multisig transaction"
+            : "";
+        throw new Error(`${account === signer ? "Signer " : ""}${account} does not have ${role}${hint}`);
+    }
+    const fn = contract.getFunction(method);
+
+    if (mode === MODES.SEND) {
+        const tx = await fn(...args);
+        const receipt = await tx.wait();
+        return { mode, hash: tx.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    }
+
+    // Both remaining modes simulate as the role holder, so reverts surface before anything is signed.
+    // Through the provider: a signer refuses calls "from" another account
+    const simulated = contract.connect(contract.runner.provider).getFunction(method);
+    const result = await simulated.staticCall(...args, { from: account });
+    if (mode === MODES.DRY_RUN) {
+        const gasEstimate = await simulated.estimateGas(...args, { from: account });
+        return { mode, from: account, result, gasEstimate };
+    }
+
+    const tx = await fn.populateTransaction(...args);
+    const { chainId } = await contract.runner.provider.getNetwork();
+    return {
+        mode,
+        from: account,
+        batch: buildSafeBatch(chainId, account, description, `${fn.fragment.format()} on ${tx.to}`, [tx]),
+    };
+}
+
+/**
+ * Safe Transaction Builder batch file for transactions a multisig should sign
+ * @param {bigint|string} chainId Chain the transactions are for
+ * @param {string} safe Multisig address the batch is created for
+ * @param {string} name Batch name shown in the Safe UI
+ * @param {string} description Batch description
+ * @param {{to: string, data: string}[]} transactions Calls to make (no ETH value)
+ */
+function buildSafeBatch(chainId, safe, name, description, transactions) {
+    return {
+        version: "1.0",
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: { name, description, createdFromSafeAddress: safe },
+        transactions: transactions.map((tx) => ({ to: tx.to, value: "0", data: tx.data })),
+    };
+}
+
+module.exports = {
+    MODES,
+    ROLES,
+    getSportfolioIPO,
+    getTeamStatus,
+    getTeamRows,
+    parseUSDC,
+    parsePayees,
+    getRoleConstant,
+    getAccountRoles,
+    runRoleCall,
+    buildSafeBatch,
+};
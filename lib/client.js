@@ -0,0 +1,343 @@
+/**
+ * Sportfolio Client SDK
+ * Wraps SportfolioIPO and its payment token for frontends and bots: quotes, allowance
+ * handling, purchases, team listing and purchase events. Contract reverts are rethrown
+ * as the typed errors of lib/errors.js, and amounts are formatted with the payment
+ * token's own decimals().
+ *
+ *   const client = createClient({ ipo: address, runner: signer });
+ *   const { purchases } = await client.buy(1n, 100n, { slippageBps: 50n });
+ *
+ * Requires ethers v6 providers and signers (as provided by hardhat-ethers). A client
+ * created with a provider is read-only.
+ */
+
+const { Contract, MaxUint256, formatUnits, parseUnits } = require("ethers");
+const { getTeamRows } = require("./admin");
+const { signPurchasePermit } = require("./permit");
+const { toSportfolioError } = require("./errors");
+
+const IPO_ABI = [
+    "function getPaymentToken() view returns (address)",
+    "function calculatePurchaseCost(uint256 tokenId, uint256 tokenAmount) view returns (uint256 tokenCost, uint256 platformFee)",
+    "function getAllTeams() view returns (uint256[])",
+    "function getTeamInfo(uint256 tokenId) view returns (tuple(uint256 tokenId, string teamName, uint256 tokensSold, bool ipoActive, uint256 ipoStartTime, uint256 ipoEndTime, uint256 basePrice, uint256 totalSupply, uint256 smoothingFactor, uint256 platformFeeRate, bool completed, bool cancelled, bool feesRefunded) info)",
+    "function getCurrentPrice(uint256 tokenId) view returns (uint256)",
+    "function getRemainingWalletCap(uint256 tokenId, address wallet) view returns (uint256)",
+    "function buyTokensWithMaxCost(uint256 tokenId, uint256 amount, uint256 maxTotalCost, uint256 deadline)",
+    "function buyTokensWithPermit(uint256 tokenId, uint256 amount, uint256 maxTotalCost, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "event TokensPurchased(address indexed buyer, uint256 indexed tokenId, uint256 amount, uint256 totalCost, uint256 platformFee)",
+];
+
+const TOKEN_ABI = [
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const BASIS_POINTS = 10_000n;
+const DEFAULT_SLIPPAGE_BPS = 50n; // 0.5% above the quote
+const DEFAULT_DEADLINE = 20n * 60n; // Purchases expire 20 minutes after the latest block
+
+/**
+ * @typedef {object} Quote
+ * @property {bigint} tokenId Team token ID
+ * @property {bigint} amount Number of tokens
+ * @property {bigint} tokenCost Payment token units for the tokens
+ * @property {bigint} platformFee Payment token units for the platform fee
+ * @property {bigint} totalCost tokenCost + platformFee
+ * @property {bigint} maxTotalCost totalCost plus the slippage allowance (passed as maxTotalCost)
+ */
+
+/**
+ * @typedef {object} Purchase Decoded TokensPurchased event
+ * @property {string} buyer
+ * @property {bigint} tokenId
+ * @property {bigint} amount
+ * @property {bigint} tokenCost Payment token units for the tokens (the event's totalCost field)
+ * @property {bigint} platformFee
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ */
+
+/**
+ * @typedef {object} PurchaseResult
+ * @property {string} hash Purchase transaction hash
+ * @property {import("ethers").TransactionReceipt} receipt
+ * @property {Quote} quote Quote the purchase was bounded by
+ * @property {Purchase[]} purchases TokensPurchased events of the transaction
+ */
+
+/**
+ * Decode a TokensPurchased log
+ * @param {import("ethers").Interface} iface SportfolioIPO interface
+ * @param {import("ethers").Log} log
+ * @returns {Purchase|null} null for logs of other events or contracts
+ */
+function parsePurchaseLog(iface, log) {
+    const parsed = iface.parseLog(log);
+    if (!parsed || parsed.name !== "TokensPurchased") return null;
+    const { buyer, tokenId, amount, totalCost, platformFee } = parsed.args;
+    return {
+        buyer,
+        tokenId,
+        amount,
+        tokenCost: totalCost,
+        platformFee,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+    };
+}
+
+/**
+ * Create a client for a SportfolioIPO deployment
+ * @param {object} options
+ * @param {Contract|string} options.ipo SportfolioIPO contract or address
+ * @param {import("ethers").ContractRunner} options.runner Signer (buys) or provider (read-only)
+ */
+function createClient({ ipo, runner }) {
+    if (!runner) {
+        throw new TypeError("createClient needs a signer or provider as runner");
+    }
+    const provider = runner.provider || runner;
+    let ipoContract;
+    let paymentToken;
+    let decimals;
+
+    // Run fn and rethrow contract reverts as typed errors
+    async function decoded(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw toSportfolioError(error);
+        }
+    }
+
+    async function getIPO() {
+        if (!ipoContract) {
+            const address = typeof ipo === "string" ? ipo : await ipo.getAddress();
+            ipoContract = new Contract(address, IPO_ABI, runner);
+        }
+        return ipoContract;
+    }
+
+    async function getAccount() {
+        if (typeof runner.getAddress !== "function") {
+            throw new TypeError("This client is read-only: create it with a signer to send transactions");
+        }
+        return runner.getAddress();
+    }
+
+    async function resolveDeadline(deadline) {
+        if (deadline !== undefined) return BigInt(deadline);
+        const block = await provider.getBlock("latest");
+        return BigInt(block.timestamp) + DEFAULT_DEADLINE;
+    }
+
+    /**
+     * Payment token contract (read from getPaymentToken once)
+     * @returns {Promise<Contract>}
+     */
+    async function getPaymentToken() {
+        if (!paymentToken) {
+            const address = await decoded(async () => (await getIPO()).getPaymentToken());
+            paymentToken = new Contract(address, TOKEN_ABI, runner);
+        }
+        return paymentToken;
+    }
+
+    /**
+     * Payment token decimals (read from decimals() once)
+     * @returns {Promise<number>}
+     */
+    async function getDecimals() {
+        if (decimals === undefined) {
+            decimals = Number(await (await getPaymentToken()).decimals());
+        }
+        return decimals;
+    }
+
+    /**
+     * Format payment token units with the token's decimals, e.g. 30_001_363n => "30.001363"
+     * @param {bigint} units
+     * @returns {Promise<string>}
+     */
+    async function formatAmount(units) {
+        return formatUnits(units, await getDecimals());
+    }
+
+    /**
+     * Parse a decimal amount into payment token units, e.g. "1250.5" => 1_250_500_000n
+     * @param {string} text
+     * @returns {Promise<bigint>}
+     */
+    async function parseAmount(text) {
+        return parseUnits(String(text), await getDecimals());
+    }
+
+    /**
+     * Quote a purchase at the current supply
+     * @param {bigint} tokenId Team token ID
+     * @param {bigint} amount Number of tokens
+     * @param {object} [options]
+     * @param {bigint} [options.slippageBps=50n] Headroom above the quote, in basis points
+     * @returns {Promise<Quote>}
+     */
+    async function quote(tokenId, amount, { slippageBps = DEFAULT_SLIPPAGE_BPS } = {}) {
+        return decoded(async () => {
+            const [tokenCost, platformFee] = await (await getIPO()).calculatePurchaseCost(tokenId, amount);
+            const totalCost = tokenCost + platformFee;
+            const maxTotalCost = totalCost + (totalCost * BigInt(slippageBps)) / BASIS_POINTS;
+            return { tokenId: BigInt(tokenId), amount: BigInt(amount), tokenCost, platformFee, totalCost, maxTotalCost };
+        });
+    }
+
+    /**
+     * Payment tokens the IPO contract may pull from an account
+     * @param {string} [owner] Defaults to the signer
+     * @returns {Promise<bigint>}
+     */
+    async function getAllowance(owner) {
+        const account = owner || (await getAccount());
+        return (await getPaymentToken()).allowance(account, await (await getIPO()).getAddress());
+    }
+
+    /**
+     * Payment token balance of an account
+     * @param {string} [owner] Defaults to the signer
+     * @returns {Promise<bigint>}
+     */
+    async function getBalance(owner) {
+        const account = owner || (await getAccount());
+        return (await getPaymentToken()).balanceOf(account);
+    }
+
+    /**
+     * Approve the IPO contract unless the signer's allowance already covers amount
+     * @param {bigint} amount Payment token units needed
+     * @param {object} [options]
+     * @param {boolean} [options.unlimited=false] Approve MaxUint256 instead of amount
+     * @returns {Promise<import("ethers").TransactionReceipt|null>} Approval receipt, or null if none was needed
+     */
+    async function ensureAllowance(amount, { unlimited = false } = {}) {
+        return decoded(async () => {
+            if ((await getAllowance()) >= BigInt(amount)) return null;
+            const spender = await (await getIPO()).getAddress();
+            const tx = await (await getPaymentToken()).approve(spender, unlimited ? MaxUint256 : amount);
+            return tx.wait();
+        });
+    }
+
+    /**
+     * Buy team tokens, bounded by a fresh quote plus slippage
+     * Approves the payment token first if needed (or signs a permit with usePermit)
+     * @param {bigint} tokenId Team token ID
+     * @param {bigint} amount Number of tokens
+     * @param {object} [options]
+     * @param {bigint} [options.slippageBps=50n] Headroom above the quote, in basis points
+     * @param {bigint} [options.deadline] Latest block timestamp (default: latest block + 20 minutes)
+     * @param {boolean} [options.usePermit=false] Sign an EIP-2612 permit instead of sending an approval
+     * @param {boolean} [options.unlimitedApproval=false] Approve MaxUint256 when an approval is needed
+     * @returns {Promise<PurchaseResult>}
+     */
+    async function buy(tokenId, amount, { slippageBps = DEFAULT_SLIPPAGE_BPS, deadline, usePermit = false, unlimitedApproval = false } = {}) {
+        await getAccount();
+        return decoded(async () => {
+            const contract = await getIPO();
+            const expiry = await resolveDeadline(deadline);
+            let purchaseQuote;
+            let tx;
+
+            if (usePermit) {
+                const signed = await signPurchasePermit(runner, contract, tokenId, amount, { deadline: expiry, slippageBps });
+                purchaseQuote = { tokenId: BigInt(tokenId), amount: BigInt(amount), ...signed.quote, maxTotalCost: signed.maxTotalCost };
+                tx = await contract.buyTokensWithPermit(...signed.args);
+            } else {
+                purchaseQuote = await quote(tokenId, amount, { slippageBps });
+                await ensureAllowance(purchaseQuote.maxTotalCost, { unlimited: unlimitedApproval });
+                tx = await contract.buyTokensWithMaxCost(tokenId, amount, purchaseQuote.maxTotalCost, expiry);
+            }
+
+            const receipt = await tx.wait();
+            const purchases = receipt.logs.map((log) => parsePurchaseLog(contract.interface, log)).filter(Boolean);
+            return { hash: tx.hash, receipt, quote: purchaseQuote, purchases };
+        });
+    }
+
+    /**
+     * One row per team, as listed by the `ipo teams` task
+     * @returns {Promise<{tokenId: bigint, name: string, price: bigint, tokensSold: bigint, totalSupply: bigint, remaining: bigint, status: string}[]>}
+     */
+    async function getTeams() {
+        return decoded(async () => getTeamRows(await getIPO()));
+    }
+
+    /**
+     * Full getTeamInfo struct of one team (ipoActive reflects the window)
+     * @param {bigint} tokenId Team token ID
+     * @returns {Promise<object>}
+     */
+    async function getTeam(tokenId) {
+        return decoded(async () => (await getIPO()).getTeamInfo(tokenId));
+    }
+
+    /**
+     * TokensPurchased events in a block range
+     * @param {object} [filter]
+     * @param {string} [filter.buyer] Only this buyer
+     * @param {bigint} [filter.tokenId] Only this team
+     * @param {number} [filter.fromBlock=0]
+     * @param {number|string} [filter.toBlock="latest"]
+     * @returns {Promise<Purchase[]>}
+     */
+    async function getPurchases({ buyer = null, tokenId = null, fromBlock = 0, toBlock = "latest" } = {}) {
+        const contract = await getIPO();
+        const logs = await contract.queryFilter(contract.filters.TokensPurchased(buyer, tokenId), fromBlock, toBlock);
+        return logs.map((log) => parsePurchaseLog(contract.interface, log));
+    }
+
+    /**
+     * Subscribe to new TokensPurchased events
+     * @param {(purchase: Purchase) => void} listener
+     * @param {object} [filter]
+     * @param {string} [filter.buyer] Only this buyer
+     * @param {bigint} [filter.tokenId] Only this team
+     * @returns {Promise<() => Promise<void>>} Unsubscribe function
+     */
+    async function onPurchase(listener, { buyer = null, tokenId = null } = {}) {
+        const contract = await getIPO();
+        const eventFilter = contract.filters.TokensPurchased(buyer, tokenId);
+        const handler = (...args) => {
+            const payload = args[args.length - 1];
+            listener(parsePurchaseLog(contract.interface, payload.log));
+        };
+        await contract.on(eventFilter, handler);
+        return () => contract.off(eventFilter, handler);
+    }
+
+    return {
+        getIPO,
+        getPaymentToken,
+        getDecimals,
+        formatAmount,
+        parseAmount,
+        quote,
+        getAllowance,
+        getBalance,
+        ensureAllowance,
+        buy,
+        getTeams,
+        getTeam,
+        getPurchases,
+        onPurchase,
+    };
+}
+
+module.exports = {
+    DEFAULT_SLIPPAGE_BPS,
+    DEFAULT_DEADLINE,
+    createClient,
+    parsePurchaseLog,
+};
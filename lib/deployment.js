@@ -0,0 +1,461 @@
+/**
+ * Sportfolio Deployment Library
+ * Manifest-driven, resumable deployment of SportfolioIPO and its teams.
+ *
+ * The manifest (JSON) describes the desired end state:
+ *   {
+ *     "network": "sepolia",
+ *     "paymentToken": "0x1c7D..." | "MockUSDC",
+ *     "feeRecipient": "0x..." | "deployer",
+ *     "metadataURI": "https://api.sportfolio.com/metadata/{id}.json",
+ *     "upgradeable": true,
+ *     "teams": [
+ *       { "tokenId": 1, "name": "Lakers", "image": "https://cdn.sportfolio.com/logos/lakers.png" },
+ *       { "tokenId": 2, "name": "Celtics", "basePrice": "25000000", "walletCap": 10000,
+ *         "startTime": "2025-01-01T18:00:00Z", "endTime": "2025-01-08T18:00:00Z",
+ *         "metadataURI": "ipfs://bafy.../celtics.json" }
+ *     ]
+ *   }
+ *
+ * Every step is written to the deployment record (deployments/<network>.json) as soon
+ * as its transaction is sent, so a run that fails part-way can simply be re-run:
+ * contracts already deployed are reused, pending transactions are awaited instead of
+ * re-sent, and only teams missing on-chain are registered.
+ *
+ * Curve values are in contract units: basePrice in USDC units (6 decimals),
+ * platformFeeRate in basis points. Omitted curve values use the contract defaults.
+ *
+ * A team's "metadataURI" replaces the base metadataURI for that team (setTokenURI); "image"
+ * is the logo scripts/generate-metadata.js puts in its metadata file. A changed base or team
+ * URI is updated on the deployed contract when the manifest is deployed again.
+ *
+ * With "upgradeable": true (default false) SportfolioIPOUpgradeable is deployed behind a
+ * transparent proxy instead of the immutable SportfolioIPO. The record keeps the proxy
+ * address under contracts.SportfolioIPO, so everything that reads the record works with
+ * both; see lib/upgrade.js for upgrading it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+const MOCK_PAYMENT_TOKEN = "MockUSDC";
+const DEPLOYER = "deployer";
+const UPGRADEABLE_CONTRACT = "SportfolioIPOUpgradeable";
+const CURVE_FIELDS = ["basePrice", "totalSupply", "smoothingFactor", "platformFeeRate"];
+
+// A scheduled team without a startTime opens this long after registration,
+// leaving time for the transaction to be mined (the contract rejects past start times)
+const DEFAULT_START_DELAY = 60n;
+
+// Chains reset on every run; a stale record there is discarded instead of rejected
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+/**
+ * Parse a non-negative whole number (number or decimal string)
+ * @param {number|string|bigint} value Value to parse
+ * @param {string} label Name used in the error message
+ * @returns {bigint}
+ */
+function toUint(value, label) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) {
+        throw new RangeError(`${label} must be a non-negative whole number, got "${value}"`);
+    }
+    return BigInt(text);
+}
+
+/**
+ * Parse a unix timestamp (seconds) or ISO date
+ * @param {number|string} value Timestamp or date
+ * @param {string} label Name used in the error message
+ * @returns {bigint} Unix seconds
+ */
+function toTimestamp(value, label) {
+    if (typeof value === "number" || /^\d+$/.test(String(value))) return toUint(value, label);
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new RangeError(`${label} must be a unix timestamp or ISO date, got "${value}"`);
+    }
+    return BigInt(Math.floor(millis / 1000));
+}
+
+function toAddress(value, label) {
+    try {
+        return getAddress(String(value).toLowerCase());
+    } catch (error) {
+        throw new SyntaxError(`${label} is not a valid address: "${value}"`);
+    }
+}
+
+/**
+ * Validate a manifest and normalize its values
+ * @param {object} manifest Parsed manifest
+ * @returns {{network: string, paymentToken: string, feeRecipient: string, metadataURI: string, upgradeable: boolean, teams: object[]}}
+ *   paymentToken / feeRecipient are checksummed addresses or the MockUSDC / deployer keywords;
+ *   team numbers are BigInt, omitted optional fields are undefined
+ */
+function normalizeManifest(manifest) {
+    for (const field of ["network", "paymentToken", "feeRecipient", "metadataURI"]) {
+        if (typeof manifest[field] !== "string" || manifest[field].trim() === "") {
+            throw new SyntaxError(`Manifest: "${field}" is required`);
+        }
+    }
+    if (!Array.isArray(manifest.teams)) {
+        throw new SyntaxError('Manifest: "teams" must be an array');
+    }
+    if (manifest.upgradeable !== undefined && typeof manifest.upgradeable !== "boolean") {
+        throw new SyntaxError('Manifest: "upgradeable" must be true or false');
+    }
+
+    const seen = new Set();
+    const teams = manifest.teams.map((team, index) => {
+        const label = `Manifest teams[${index}]`;
+        if (team.tokenId === undefined) throw new SyntaxError(`${label}: "tokenId" is required`);
+        const tokenId = toUint(team.tokenId, `${label}.tokenId`);
+        if (tokenId === 0n) throw new RangeError(`${label}: tokenId must be greater than 0`);
+        if (seen.has(tokenId)) throw new RangeError(`${label}: duplicate tokenId ${tokenId}`);
+        seen.add(tokenId);
+        if (typeof team.name !== "string" || team.name.trim() === "") {
+            throw new SyntaxError(`${label}: "name" is required`);
+        }
+
+        const normalized = { tokenId, name: team.name };
+        for (const field of CURVE_FIELDS) {
+            normalized[field] = team[field] === undefined ? undefined : toUint(team[field], `${label}.${field}`);
+        }
+        normalized.startTime = team.startTime === undefined ? undefined : toTimestamp(team.startTime, `${label}.startTime`);
+        normalized.endTime = team.endTime === undefined ? undefined : toTimestamp(team.endTime, `${label}.endTime`);
+        normalized.walletCap = team.walletCap === undefined ? undefined : toUint(team.walletCap, `${label}.walletCap`);
+        for (const field of ["metadataURI", "image"]) {
+            if (team[field] !== undefined && (typeof team[field] !== "string" || team[field].trim() === "")) {
+                throw new SyntaxError(`${label}: "${field}" must be a non-empty string`);
+            }
+            normalized[field] = team[field];
+        }
+        return normalized;
+    });
+
+    return {
+        network: manifest.network,
+        paymentToken: manifest.paymentToken === MOCK_PAYMENT_TOKEN
+            ? MOCK_PAYMENT_TOKEN
+            : toAddress(manifest.paymentToken, "Manifest paymentToken"),
+        feeRecipient: manifest.feeRecipient === DEPLOYER
+            ? DEPLOYER
+            : toAddress(manifest.feeRecipient, "Manifest feeRecipient"),
+        metadataURI: manifest.metadataURI,
+        upgradeable: manifest.upgradeable === true,
+        teams,
+    };
+}
+
+/**
+ * Read and validate a manifest file
+ * @param {string} manifestPath Path to the JSON manifest
+ */
+function loadManifest(manifestPath) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    } catch (error) {
+        throw new SyntaxError(`Cannot read manifest ${manifestPath}: ${error.message}`);
+    }
+    return normalizeManifest(manifest);
+}
+
+/**
+ * Default deployment record location for a network
+ * @param {string} network Hardhat network name
+ * @param {string} [rootDir] Project root
+ */
+function getRecordPath(network, rootDir = path.join(__dirname, "..")) {
+    return path.join(rootDir, "deployments", `${network}.json`);
+}
+
+/**
+ * Read a deployment record, or an empty one if the file does not exist
+ * @param {string} recordPath Path to deployments/<network>.json
+ */
+function readDeploymentRecord(recordPath) {
+    if (!fs.existsSync(recordPath)) return { contracts: {}, teams: {} };
+    const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+    return { ...record, contracts: record.contracts || {}, teams: record.teams || {} };
+}
+
+/**
+ * Write a deployment record atomically, so an interrupted write never leaves a broken file
+ * @param {string} recordPath Path to deployments/<network>.json
+ * @param {object} record Deployment record
+ */
+function writeDeploymentRecord(recordPath, record) {
+    fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+    const tempPath = `${recordPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...record, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+    fs.renameSync(tempPath, recordPath);
+}
+
+/**
+ * Deploy (or resume deploying) everything a manifest describes
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Result of loadManifest / normalizeManifest
+ * @param {object} [options]
+ * @param {string} [options.recordPath] Deployment record path (default deployments/<network>.json)
+ * @param {Function} [options.log] Progress logger (default console.log)
+ * @returns {Promise<{record: object, sportfolioIPO: object, paymentToken: string, registered: bigint[], skipped: bigint[]}>}
+ */
+async function deploySportfolio(hre, manifest, options = {}) {
+    const { ethers } = hre;
+    const network = hre.network.name;
+    const recordPath = options.recordPath || getRecordPath(network);
+    const log = options.log || console.log;
+
+    if (manifest.network !== network) {
+        throw new Error(`Manifest is for network "${manifest.network}" but Hardhat is connected to "${network}"`);
+    }
+
+    const [deployer] = await ethers.getSigners();
+    const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+
+    let record = readDeploymentRecord(recordPath);
+    if (record.chainId !== undefined && record.chainId !== chainId) {
+        throw new Error(`${recordPath} was written for chain ${record.chainId}, connected to chain ${chainId}`);
+    }
+    if (EPHEMERAL_NETWORKS.includes(network)) {
+        for (const entry of Object.values(record.contracts)) {
+            if (entry.address && (await ethers.provider.getCode(entry.address)) === "0x") {
+                log(`Discarding stale ${network} record (the in-process chain was reset)`);
+                record = { contracts: {}, teams: {} };
+                break;
+            }
+        }
+    }
+    record = { network, chainId, deployer: deployer.address, ...record };
+
+    const save = () => writeDeploymentRecord(recordPath, record);
+
+    // Deploy a contract once; resume from a recorded pending transaction or reuse a recorded address.
+    // With a proxied implementation name, deploys that contract behind a transparent proxy
+    // (the implementation's initialize takes args) and records the proxy under name
+    async function ensureContract(name, args, proxied) {
+        const entry = record.contracts[name];
+        const contractName = proxied || name;
+        if (entry && (entry.address || entry.txHash) && Boolean(entry.proxy) !== Boolean(proxied)) {
+            throw new Error(
+                `${name} in ${recordPath} was deployed ${entry.proxy ? "behind a proxy" : "without a proxy"}; ` +
+                `the manifest asks for ${proxied ? "an upgradeable" : "an immutable"} deployment`
+            );
+        }
+        if (entry && entry.address) {
+            if ((await ethers.provider.getCode(entry.address)) === "0x") {
+                throw new Error(`${name} recorded at ${entry.address} has no code on ${network}; fix or remove ${recordPath}`);
+            }
+            log(`${name}: reusing ${entry.address}`);
+            return ethers.getContractAt(contractName, entry.address);
+        }
+        if (entry && entry.txHash) {
+            log(`${name}: waiting for pending deployment ${entry.txHash}`);
+            const receipt = await waitForRecordedTransaction(ethers.provider, entry.txHash);
+            if (receipt && receipt.contractAddress) {
+                record.contracts[name] = { ...entry, address: receipt.contractAddress, blockNumber: receipt.blockNumber };
+                if (proxied) await recordProxyAddresses(name);
+                save();
+                return ethers.getContractAt(contractName, receipt.contractAddress);
+            }
+            log(`${name}: pending deployment failed, deploying again`);
+        }
+
+        const factory = await ethers.getContractFactory(contractName);
+        // deployProxy validates the implementation and refuses contracts that are not upgrade safe
+        const contract = proxied
+            ? await hre.upgrades.deployProxy(factory, args, { kind: "transparent" })
+            : await factory.deploy(...args);
+        const tx = contract.deploymentTransaction();
+        record.contracts[name] = proxied
+            ? { txHash: tx.hash, args: args.map(String), proxy: "transparent", contract: contractName }
+            : { txHash: tx.hash, args: args.map(String) };
+        save();
+
+        const receipt = await tx.wait();
+        const address = await contract.getAddress();
+        record.contracts[name] = { ...record.contracts[name], address, blockNumber: receipt.blockNumber };
+        if (proxied) await recordProxyAddresses(name);
+        save();
+        log(`${name}: deployed at ${address}${proxied ? ` (proxy for ${contractName})` : ""} (tx ${tx.hash})`);
+        return contract;
+    }
+
+    async function recordProxyAddresses(name) {
+        const { address } = record.contracts[name];
+        record.contracts[name].implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+        record.contracts[name].proxyAdmin = await hre.upgrades.erc1967.getAdminAddress(address);
+    }
+
+    // Payment token
+    let paymentToken = manifest.paymentToken;
+    if (paymentToken === MOCK_PAYMENT_TOKEN) {
+        const mockUSDC = await ensureContract("MockUSDC", []);
+        paymentToken = await mockUSDC.getAddress();
+    }
+    const feeRecipient = manifest.feeRecipient === DEPLOYER ? deployer.address : manifest.feeRecipient;
+
+    // IPO contract
+    const sportfolioIPO = await ensureContract(
+        "SportfolioIPO",
+        [manifest.metadataURI, feeRecipient, paymentToken],
+        manifest.upgradeable ? UPGRADEABLE_CONTRACT : undefined
+    );
+    const deployedToken = await sportfolioIPO.getPaymentToken();
+    if (getAddress(deployedToken) !== getAddress(paymentToken)) {
+        throw new Error(`SportfolioIPO at ${await sportfolioIPO.getAddress()} uses payment token ${deployedToken}, manifest wants ${paymentToken}`);
+    }
+    if (!(await sportfolioIPO.hasRole(await sportfolioIPO.TEAM_MANAGER_ROLE(), deployer.address))) {
+        throw new Error(`Deployer ${deployer.address} is not a SportfolioIPO team manager; cannot register teams`);
+    }
+    // Token 0 is never a team, so its URI is always the base URI
+    if ((await sportfolioIPO.uri(0)) !== manifest.metadataURI) {
+        if (!(await sportfolioIPO.hasRole(await sportfolioIPO.DEFAULT_ADMIN_ROLE(), deployer.address))) {
+            throw new Error(`Deployer ${deployer.address} is not a SportfolioIPO admin; cannot update the metadata URI`);
+        }
+        const tx = await sportfolioIPO.setURI(manifest.metadataURI);
+        await tx.wait();
+        record.contracts.SportfolioIPO.metadataURI = manifest.metadataURI;
+        save();
+        log(`SportfolioIPO: metadata URI set to ${manifest.metadataURI} (tx ${tx.hash})`);
+    }
+
+    // Teams
+    const defaults = {};
+    const registered = [];
+    const skipped = [];
+    for (const team of manifest.teams) {
+        const key = team.tokenId.toString();
+        const entry = record.teams[key];
+
+        if (entry && entry.txHash && !entry.blockNumber) {
+            log(`Team ${key}: waiting for pending registration ${entry.txHash}`);
+            const receipt = await waitForRecordedTransaction(ethers.provider, entry.txHash);
+            if (receipt) {
+                record.teams[key] = { ...entry, blockNumber: receipt.blockNumber };
+                save();
+            }
+        }
+
+        const onChain = await sportfolioIPO.teams(team.tokenId);
+        if (onChain.tokenId !== 0n) {
+            if (onChain.teamName !== team.name) {
+                log(`Team ${key}: already registered as "${onChain.teamName}" (manifest says "${team.name}"), leaving as is`);
+            } else {
+                log(`Team ${key}: ${team.name} already registered`);
+            }
+            if (!record.teams[key] || !record.teams[key].blockNumber) {
+                record.teams[key] = { ...record.teams[key], name: onChain.teamName };
+                save();
+            }
+            skipped.push(team.tokenId);
+        } else {
+            const { method, args } = await getAddTeamCall(sportfolioIPO, ethers.provider, team, defaults);
+            const tx = await sportfolioIPO[method](...args);
+            record.teams[key] = { name: team.name, txHash: tx.hash };
+            save();
+            const receipt = await tx.wait();
+            record.teams[key] = { ...record.teams[key], blockNumber: receipt.blockNumber };
+            save();
+            log(`Team ${key}: ${team.name} registered (tx ${tx.hash})`);
+            registered.push(team.tokenId);
+        }
+
+        if (team.walletCap !== undefined && (await sportfolioIPO.walletCaps(team.tokenId)) !== team.walletCap) {
+            const tx = await sportfolioIPO.setWalletCap(team.tokenId, team.walletCap);
+            await tx.wait();
+            record.teams[key] = { ...record.teams[key], walletCap: team.walletCap.toString(), walletCapTxHash: tx.hash };
+            save();
+            log(`Team ${key}: wallet cap set to ${team.walletCap} (tx ${tx.hash})`);
+        }
+
+        if (team.metadataURI !== undefined && (await sportfolioIPO.uri(team.tokenId)) !== team.metadataURI) {
+            const tx = await sportfolioIPO.setTokenURI(team.tokenId, team.metadataURI);
+            await tx.wait();
+            record.teams[key] = { ...record.teams[key], metadataURI: team.metadataURI, metadataURITxHash: tx.hash };
+            save();
+            log(`Team ${key}: metadata URI set to ${team.metadataURI} (tx ${tx.hash})`);
+        }
+    }
+
+    record.paymentToken = paymentToken;
+    record.feeRecipient = feeRecipient;
+    save();
+
+    return { record, sportfolioIPO, paymentToken, registered, skipped };
+}
+
+// Receipt of a transaction sent by an earlier run, or null if it was dropped or reverted
+async function waitForRecordedTransaction(provider, txHash) {
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) return null;
+    try {
+        return await tx.wait();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pick the addTeam overload matching the fields a team sets
+ * @param {object} sportfolioIPO SportfolioIPO contract
+ * @param {object} provider Provider (for the current block time)
+ * @param {object} team Normalized team (see normalizeManifest)
+ * @param {object} [defaults] Cache for the contract's default curve values
+ * @returns {Promise<{method: string, args: Array}>} Call for sportfolioIPO[method](...args)
+ */
+async function getAddTeamCall(sportfolioIPO, provider, team, defaults = {}) {
+    const hasCurve = CURVE_FIELDS.some((field) => team[field] !== undefined);
+    const hasSchedule = team.startTime !== undefined || team.endTime !== undefined;
+
+    let curve = [];
+    if (hasCurve) {
+        if (!defaults.basePrice) {
+            defaults.basePrice = await sportfolioIPO.DEFAULT_BASE_PRICE();
+            defaults.totalSupply = await sportfolioIPO.DEFAULT_TOTAL_SUPPLY();
+            defaults.smoothingFactor = await sportfolioIPO.DEFAULT_SMOOTHING_FACTOR();
+            defaults.platformFeeRate = await sportfolioIPO.DEFAULT_PLATFORM_FEE_RATE();
+        }
+        curve = CURVE_FIELDS.map((field) => (team[field] !== undefined ? team[field] : defaults[field]));
+    }
+
+    let schedule = [];
+    if (hasSchedule) {
+        const startTime = team.startTime !== undefined
+            ? team.startTime
+            : BigInt((await provider.getBlock("latest")).timestamp) + DEFAULT_START_DELAY;
+        schedule = [startTime, team.endTime !== undefined ? team.endTime : 0n];
+    }
+
+    if (hasCurve && hasSchedule) {
+        return {
+            method: "addTeam(uint256,string,uint256,uint256,uint256,uint256,uint256,uint256)",
+            args: [team.tokenId, team.name, ...curve, ...schedule],
+        };
+    }
+    if (hasCurve) {
+        return { method: "addTeam(uint256,string,uint256,uint256,uint256,uint256)", args: [team.tokenId, team.name, ...curve] };
+    }
+    if (hasSchedule) {
+        return { method: "addTeam(uint256,string,uint256,uint256)", args: [team.tokenId, team.name, ...schedule] };
+    }
+    return { method: "addTeam(uint256,string)", args: [team.tokenId, team.name] };
+}
+
+module.exports = {
+    MOCK_PAYMENT_TOKEN,
+    UPGRADEABLE_CONTRACT,
+    toUint,
+    toTimestamp,
+    normalizeManifest,
+    loadManifest,
+    getRecordPath,
+    readDeploymentRecord,
+    writeDeploymentRecord,
+    deploySportfolio,
+    getAddTeamCall,
+};
@@ -0,0 +1,267 @@
+/**
+ * Sportfolio Revert Errors
+ * Decodes SportfolioIPO and payment token reverts into typed error classes, so
+ * callers can branch on `instanceof` instead of matching revert strings:
+ *
+ *   try { await client.buy(1n, 100n); }
+ *   catch (error) { if (error instanceof InsufficientBalanceError) ... }
+ *
+ * Every require reason of SportfolioIPO maps to one class (REVERT_REASONS); OpenZeppelin
+ * reasons the purchase flow can hit (pause, ERC20 allowance/balance) map to the same classes,
+ * and AccessControl's missing-role reason, which names the account and role, is matched by
+ * pattern (REVERT_REASON_PATTERNS).
+ * Unmapped reverts and panics become UnknownRevertError; anything that is not a revert
+ * (rejected signature, network failure) is passed through unchanged.
+ */
+
+const { AbiCoder, dataSlice } = require("ethers");
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/**
+ * Base class of every decoded revert
+ * @property {string} reason Revert reason string as emitted by the contract
+ * @property {Error} [cause] Original provider or ethers error
+ */
+class SportfolioError extends Error {
+    constructor(reason, cause) {
+        super(reason);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        if (cause) this.cause = cause;
+    }
+}
+
+/** The team token ID is not registered */
+class TeamNotFoundError extends SportfolioError {}
+/** The team's IPO is paused, not yet open, or its window has closed */
+class IPONotLiveError extends SportfolioError {}
+/** Not enough supply left for the purchase */
+class SoldOutError extends SportfolioError {}
+/** Presale restrictions: public buy during presale, bad proof, allocation used up */
+class PresaleError extends SportfolioError {}
+/** The buyer's per-team wallet cap would be exceeded */
+class WalletCapError extends SportfolioError {}
+/** The price moved past the buyer's maximum cost or minimum amount */
+class SlippageError extends SportfolioError {}
+/** The transaction or permit was mined after its deadline */
+class DeadlineExpiredError extends SportfolioError {}
+/** The IPO contract may not pull enough payment tokens; approve first, or sign a valid permit */
+class InsufficientAllowanceError extends SportfolioError {}
+/** The buyer holds too few payment tokens */
+class InsufficientBalanceError extends SportfolioError {}
+/** Zero amounts, budgets below one token, malformed batches */
+class InvalidAmountError extends SportfolioError {}
+/** The contract-wide emergency pause is on */
+class ContractPausedError extends SportfolioError {}
+/** The purchase pays with an asset the IPO does not accept */
+class PaymentAssetError extends SportfolioError {}
+/** The caller lacks the role the function requires */
+class UnauthorizedError extends SportfolioError {}
+/** Refund claims on a team that is not cancelled, beyond the holder's balance or before its fee refunds are funded */
+class RefundError extends SportfolioError {}
+/** Team tokens cannot move while their IPO is live */
+class TransferRestrictedError extends SportfolioError {}
+/** Admin call with parameters addTeam, setPresaleRoot or the address setters reject */
+class InvalidConfigurationError extends SportfolioError {}
+/** Admin call that does not fit the IPO's lifecycle state (already completed, nothing to withdraw, ...) */
+class InvalidStateError extends SportfolioError {}
+/** A revert with no known reason: custom reasons, panics or empty revert data */
+class UnknownRevertError extends SportfolioError {}
+
+// Revert reason => error class
+const REVERT_REASONS = Object.freeze({
+    "Team does not exist": TeamNotFoundError,
+
+    "Team IPO has ended": IPONotLiveError,
+    "IPO has not started": IPONotLiveError,
+    "IPO window has closed": IPONotLiveError,
+
+    "All tokens sold": SoldOutError,
+    "Exceeds total supply": SoldOutError,
+
+    "Presale only": PresaleError,
+    "Presale not active": PresaleError,
+    "Invalid presale proof": PresaleError,
+    "Exceeds presale allocation": PresaleError,
+
+    "Exceeds wallet cap": WalletCapError,
+
+    "Exceeds max total cost": SlippageError,
+    "Below minimum token amount": SlippageError,
+
+    "Transaction expired": DeadlineExpiredError,
+    "ERC20Permit: expired deadline": DeadlineExpiredError,
+
+    "Insufficient USDC allowance. Please approve first.": InsufficientAllowanceError,
+    "ERC20: insufficient allowance": InsufficientAllowanceError,
+    "ERC20Permit: invalid signature": InsufficientAllowanceError,
+    "ECDSA: invalid signature": InsufficientAllowanceError,
+
+    "Insufficient USDC balance": InsufficientBalanceError,
+    "ERC20: transfer amount exceeds balance": InsufficientBalanceError,
+
+    "Must buy at least 1 token": InvalidAmountError,
+    "Budget too small for 1 token": InvalidAmountError,
+    "Must refund at least 1 token": InvalidAmountError,
+    "Empty batch": InvalidAmountError,
+    "Array length mismatch": InvalidAmountError,
+
+    "Asset not accepted": PaymentAssetError,
+
+    "Pausable: paused": ContractPausedError,
+
+    "IPO not cancelled": RefundError,
+    "Insufficient token balance": RefundError,
+    "Fee refunds not funded": RefundError,
+
+    "Transfers not allowed during IPO": TransferRestrictedError,
+
+    "Token ID must be greater than 0": InvalidConfigurationError,
+    "Team already exists": InvalidConfigurationError,
+    "Team name cannot be empty": InvalidConfigurationError,
+    "Invalid base price": InvalidConfigurationError,
+    "Invalid total supply": InvalidConfigurationError,
+    "Total supply too large for base price": InvalidConfigurationError,
+    "Invalid smoothing factor": InvalidConfigurationError,
+    "Smoothing factor too small for curve": InvalidConfigurationError,
+    "Invalid platform fee rate": InvalidConfigurationError,
+    "Start time in the past": InvalidConfigurationError,
+    "End time must be after start time": InvalidConfigurationError,
+    "Presale end time in the past": InvalidConfigurationError,
+    "Invalid fee recipient": InvalidConfigurationError,
+    "Invalid payment token": InvalidConfigurationError,
+    "Unsupported decimals": InvalidConfigurationError,
+    "Too many payment assets": InvalidConfigurationError,
+    "Too many payees": InvalidConfigurationError,
+    "Invalid payee": InvalidConfigurationError,
+    "Duplicate payee": InvalidConfigurationError,
+    "Shares exceed 100%": InvalidConfigurationError,
+    "Fee shares must sum to 100%": InvalidConfigurationError,
+    "Invalid recipient": InvalidConfigurationError,
+    "Invalid treasury": InvalidConfigurationError,
+
+    "IPO already active": InvalidStateError,
+    "IPO already paused or completed": InvalidStateError,
+    "IPO already completed": InvalidStateError,
+    "IPO already cancelled": InvalidStateError,
+    "Fees not refunded": InvalidStateError,
+    "Fee refunds already funded": InvalidStateError,
+    "IPO cancelled": InvalidStateError,
+    "No balance to withdraw": InvalidStateError,
+    "Insufficient balance": InvalidStateError,
+    "Nothing to claim": InvalidStateError,
+    "Pausable: not paused": InvalidStateError,
+});
+
+// AccessControl reason of a call without the required role
+const MISSING_ROLE = /^AccessControl: account 0x[0-9a-f]{40} is missing role 0x[0-9a-f]{64}$/;
+
+// Reasons that embed call-specific values, matched in order after REVERT_REASONS
+const REVERT_REASON_PATTERNS = Object.freeze([
+    [MISSING_ROLE, UnauthorizedError],
+]);
+
+/**
+ * Error class of a revert reason
+ * @param {string|null} reason Decoded revert reason
+ * @returns {typeof SportfolioError}
+ */
+function errorClassFor(reason) {
+    if (reason === null) return UnknownRevertError;
+    if (REVERT_REASONS[reason]) return REVERT_REASONS[reason];
+    const match = REVERT_REASON_PATTERNS.find(([pattern]) => pattern.test(reason));
+    return match ? match[1] : UnknownRevertError;
+}
+
+/**
+ * Revert data (hex) carried by an error, searching wrapped errors
+ * ethers v6 puts it on error.data, Hardhat and JSON-RPC providers nest it in error.error / error.info
+ */
+function findRevertData(error, depth = 0) {
+    if (!error || typeof error !== "object" || depth > 4) return null;
+    if (typeof error.data === "string" && error.data.startsWith("0x") && error.data.length >= 10) return error.data;
+    for (const nested of [error.error, error.info && error.info.error, error.data, error.cause]) {
+        const data = findRevertData(nested, depth + 1);
+        if (data) return data;
+    }
+    return null;
+}
+
+/**
+ * Reason string of a reverted call or transaction
+ * @param {Error} error Error thrown by ethers or the provider
+ * @returns {string|null} The require reason, "Panic(0x..)" for panics, or null if error is not a decodable revert
+ */
+function decodeRevertReason(error) {
+    const data = findRevertData(error);
+    if (data) {
+        const selector = dataSlice(data, 0, 4);
+        if (selector === ERROR_SELECTOR) {
+            return AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [code] = AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4));
+            return `Panic(0x${code.toString(16).padStart(2, "0")})`;
+        }
+    }
+    if (error && typeof error.reason === "string") return error.reason;
+
+    // Providers that drop the revert data still quote the reason in the message
+    const match = error && /reverted with reason string '(.*)'/.exec(error.message);
+    return match ? match[1] : null;
+}
+
+/**
+ * Whether an error is a revert (as opposed to e.g. a rejected signature or a network failure)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRevert(error) {
+    if (!error) return false;
+    return (
+        findRevertData(error) !== null ||
+        error.code === "CALL_EXCEPTION" ||
+        /reverted|revert/.test(error.message || "")
+    );
+}
+
+/**
+ * Convert a thrown error into its typed Sportfolio error
+ * @param {Error} error Error thrown by ethers or the provider
+ * @returns {Error} A SportfolioError subclass for reverts; error itself otherwise (already decoded errors included)
+ */
+function toSportfolioError(error) {
+    if (error instanceof SportfolioError || !isRevert(error)) return error;
+    const reason = decodeRevertReason(error);
+    const ErrorClass = errorClassFor(reason);
+    return new ErrorClass(reason === null ? "Transaction reverted without a reason" : reason, error);
+}
+
+module.exports = {
+    REVERT_REASONS,
+    REVERT_REASON_PATTERNS,
+    MISSING_ROLE,
+    SportfolioError,
+    TeamNotFoundError,
+    IPONotLiveError,
+    SoldOutError,
+    PresaleError,
+    WalletCapError,
+    SlippageError,
+    DeadlineExpiredError,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+    InvalidAmountError,
+    ContractPausedError,
+    PaymentAssetError,
+    UnauthorizedError,
+    RefundError,
+    TransferRestrictedError,
+    InvalidConfigurationError,
+    InvalidStateError,
+    UnknownRevertError,
+    decodeRevertReason,
+    toSportfolioError,
+};
@@ -0,0 +1,55 @@
+/**
+ * Sportfolio Fixtures
+ * Fresh local deployments for the tests, the gas benchmark and the demand simulator
+ * replay, so each of them deploys and funds the contracts the same way.
+ *
+ * Requires a Hardhat runtime environment with hardhat-ethers (ethers v6).
+ */
+
+const { MaxUint256 } = require("ethers");
+
+const METADATA_URI = "https://api.sportfolio.com/metadata/{id}.json";
+
+/**
+ * Deploy MockUSDC and a SportfolioIPO contract that takes payment in it
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} feeRecipient Platform fee recipient
+ * @param {object} [options]
+ * @param {string} [options.contract] Contract to deploy (default SportfolioIPO, e.g. SportfolioIPOHarness)
+ * @returns {Promise<{mockUSDC: object, sportfolioIPO: object}>}
+ */
+async function deployIPO(hre, feeRecipient, options = {}) {
+    const { ethers } = hre;
+    const mockUSDC = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    await mockUSDC.waitForDeployment();
+
+    const sportfolioIPO = await (await ethers.getContractFactory(options.contract || "SportfolioIPO")).deploy(
+        METADATA_URI,
+        feeRecipient,
+        await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    return { mockUSDC, sportfolioIPO };
+}
+
+/**
+ * Mint an amount of a mock token to each account and let every spender pull all of it
+ * @param {object} token MockUSDC or MockStablecoin
+ * @param {object[]} accounts Signers to fund
+ * @param {bigint} amount Units minted to each account (0n to only approve)
+ * @param {string[]} spenders Addresses approved for the maximum allowance
+ */
+async function fundAccounts(token, accounts, amount, spenders) {
+    for (const account of accounts) {
+        if (amount > 0n) await token.mint(account.address, amount);
+        for (const spender of spenders) {
+            await token.connect(account).approve(spender, MaxUint256);
+        }
+    }
+}
+
+module.exports = {
+    METADATA_URI,
+    deployIPO,
+    fundAccounts,
+};
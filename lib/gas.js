@@ -0,0 +1,266 @@
+/**
+ * Sportfolio Gas Benchmark Library
+ * Measures the gas SportfolioIPO uses on a fresh in-process deployment and compares it
+ * with a stored baseline (scripts/gas-benchmark.js, benchmarks/gas-baseline.json).
+ *
+ * Measured:
+ *   buyTokens      every purchase size at every supply level of the default curve, by a
+ *                  wallet buying for the first time (its escrow and counters start at zero)
+ *   other buys     max-cost, budget, and batch purchases of 1 / 5 / 10 teams
+ *   addTeam        default curve and custom curve with a scheduled window
+ *   transfers      after completion (escrow stays) and while paused (escrow moves)
+ *   admin calls    team lifecycle, refunds, withdrawal, settings, roles, emergency pause
+ *
+ * Every measurement runs from an evm_snapshot that is reverted afterwards, so each one
+ * sees the same state and the numbers are deterministic for a given compiler setup.
+ * At supply level 0 the purchase is the team's first, so it also pays for initializing
+ * the team's sold counter and funds.
+ *
+ * Limits: for each supply level, the largest buyTokens amount whose gas fits in the block
+ * gas limit (found by binary search on estimateGas), and the most teams one
+ * buyTokensBatch can hold, extrapolated from the 5 and 10 team batches.
+ */
+
+const { deployIPO, fundAccounts } = require("./fixtures");
+
+const DEFAULT_PURCHASE_SIZES = [1n, 10n, 100n, 1_000n, 10_000n, 100_000n, 1_000_000n];
+const DEFAULT_SUPPLY_LEVELS = [0n, 500_000n, 1_000_000n, 1_500_000n, 1_900_000n];
+const DEFAULT_BLOCK_GAS_LIMIT = 30_000_000n; // Ethereum mainnet and Sepolia
+const DEFAULT_THRESHOLD = 0.02; // A measurement more than 2% above its baseline is a regression
+const BATCH_SIZES = [1, 5, 10];
+
+const USDC = 10n ** 6n;
+
+/**
+ * Run the benchmark against a fresh deployment on the in-process Hardhat network
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {bigint[]} [options.purchaseSizes] buyTokens amounts
+ * @param {bigint[]} [options.supplyLevels] Tokens already sold when buying
+ * @param {bigint} [options.blockGasLimit] Gas limit used for the limits section
+ * @param {Function} [options.log] Progress logger (default: silent)
+ * @returns {Promise<{blockGasLimit: string, measurements: object, maxPurchase: object, maxBatchTeams: number}>}
+ *   measurements maps a name such as "buyTokens/supply=500000/amount=1000" to gas used;
+ *   maxPurchase maps a supply level to the largest amount under the block gas limit
+ */
+async function runBenchmark(hre, options = {}) {
+    const { ethers } = hre;
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The gas benchmark deploys its own contracts; run it on the hardhat network, not ${hre.network.name}`);
+    }
+    const purchaseSizes = options.purchaseSizes || DEFAULT_PURCHASE_SIZES;
+    const supplyLevels = options.supplyLevels || DEFAULT_SUPPLY_LEVELS;
+    const blockGasLimit = options.blockGasLimit || DEFAULT_BLOCK_GAS_LIMIT;
+    const log = options.log || (() => {});
+    const provider = ethers.provider;
+
+    const [owner, feeWallet, buyer, filler, holder, multisig] = await ethers.getSigners();
+    const { mockUSDC, sportfolioIPO } = await deployIPO(hre, feeWallet.address);
+    const ipo = await sportfolioIPO.getAddress();
+    await fundAccounts(mockUSDC, [buyer, filler, holder], 10n ** 12n * USDC, [ipo]);
+    await fundAccounts(mockUSDC, [owner], 0n, [ipo]);
+    // A fee wallet that already holds USDC, as it will after the first purchase anywhere
+    await mockUSDC.transfer(feeWallet.address, USDC);
+    await sportfolioIPO.addTeam(1n, "Lakers");
+
+    const measurements = {};
+
+    // Gas used by the transaction `send` returns, measured from a snapshot that is then reverted
+    async function measure(name, send) {
+        const snapshot = await provider.send("evm_snapshot", []);
+        try {
+            const receipt = await (await send()).wait();
+            measurements[name] = Number(receipt.gasUsed);
+            log(`${name}: ${receipt.gasUsed}`);
+        } finally {
+            await provider.send("evm_revert", [snapshot]);
+        }
+    }
+
+    // Run setup, then body, and revert to the state before setup
+    async function withState(setup, body) {
+        const snapshot = await provider.send("evm_snapshot", []);
+        try {
+            await setup();
+            return await body();
+        } finally {
+            await provider.send("evm_revert", [snapshot]);
+        }
+    }
+
+    // buyTokens matrix and the largest purchase per supply level
+    const maxPurchase = {};
+    for (const level of supplyLevels) {
+        await withState(
+            async () => {
+                if (level > 0n) await sportfolioIPO.connect(filler).buyTokens(1n, level);
+            },
+            async () => {
+                const remaining = await sportfolioIPO.getRemainingTokens(1n);
+                for (const amount of purchaseSizes) {
+                    if (amount > remaining) continue;
+                    await measure(`buyTokens/supply=${level}/amount=${amount}`, () =>
+                        sportfolioIPO.connect(buyer).buyTokens(1n, amount)
+                    );
+                }
+                maxPurchase[level.toString()] = (
+                    await findMaxAmount((amount) => sportfolioIPO.connect(buyer).buyTokens.estimateGas(1n, amount), remaining, blockGasLimit)
+                ).toString();
+            }
+        );
+    }
+
+    // Other purchase paths, from the middle of the curve
+    await withState(
+        async () => {
+            await sportfolioIPO.connect(filler).buyTokens(1n, 1_000_000n);
+            for (let tokenId = 2n; tokenId <= BigInt(BATCH_SIZES[BATCH_SIZES.length - 1]); tokenId++) {
+                await sportfolioIPO.addTeam(tokenId, `Team ${tokenId}`);
+                await sportfolioIPO.connect(filler).buyTokens(tokenId, 1_000n);
+            }
+        },
+        async () => {
+            const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(1n, 1_000n);
+            const deadline = BigInt((await provider.getBlock("latest")).timestamp) + 3_600n;
+            await measure("buyTokensWithMaxCost/amount=1000", () =>
+                sportfolioIPO.connect(buyer).buyTokensWithMaxCost(1n, 1_000n, cost + fee, deadline)
+            );
+            await measure("buyTokensWithBudget/amount=1000", () =>
+                sportfolioIPO.connect(buyer).buyTokensWithBudget(1n, cost + fee, 1n, deadline)
+            );
+            for (const teamCount of BATCH_SIZES) {
+                const tokenIds = Array.from({ length: teamCount }, (_, i) => BigInt(i + 1));
+                await measure(`buyTokensBatch/teams=${teamCount}/amount=100`, () =>
+                    sportfolioIPO.connect(buyer).buyTokensBatch(tokenIds, tokenIds.map(() => 100n), ethers.MaxUint256, deadline)
+                );
+            }
+            await measure("addTeam/default", () => sportfolioIPO.addTeam(100n, "Knicks"));
+            await measure("addTeam/custom-scheduled", () =>
+                sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256,uint256,uint256)"](
+                    100n, "Knicks", 25n * USDC, 1_000_000n, 100_000n, 250n, deadline, deadline + 86_400n
+                )
+            );
+
+            // Admin calls on a live team with sales
+            await measure("pauseIPO", () => sportfolioIPO.pauseIPO(1n));
+            await measure("completeIPO", () => sportfolioIPO.completeIPO(1n));
+            await measure("cancelIPO", () => sportfolioIPO.cancelIPO(1n, false));
+            await measure("cancelIPO/refundFees", () => sportfolioIPO.cancelIPO(1n, true));
+            await measure("setWalletCap", () => sportfolioIPO.setWalletCap(1n, 10_000n));
+            await measure("setPresaleRoot", () => sportfolioIPO.setPresaleRoot(1n, ethers.id("allowlist"), deadline));
+            await measure("setTokenURI", () => sportfolioIPO.setTokenURI(1n, "ipfs://bafybeihkoviema/lakers.json"));
+            await measure(`setURI/teams=${BATCH_SIZES[BATCH_SIZES.length - 1]}`, () => sportfolioIPO.setURI("ipfs://bafybeigdyrzt/{id}.json"));
+            await measure("setTreasury", () => sportfolioIPO.setTreasury(multisig.address));
+            await measure("setPlatformFeeRecipient", () => sportfolioIPO.setPlatformFeeRecipient(multisig.address));
+            await measure("grantRole", async () => sportfolioIPO.grantRole(await sportfolioIPO.PAUSER_ROLE(), multisig.address));
+            await measure("pause", () => sportfolioIPO.pause());
+
+            await withState(
+                () => sportfolioIPO.pause(),
+                () => measure("unpause", () => sportfolioIPO.unpause())
+            );
+            await withState(
+                () => sportfolioIPO.pauseIPO(1n),
+                async () => {
+                    await measure("resumeIPO", () => sportfolioIPO.resumeIPO(1n));
+                    await measure("safeTransferFrom/paused", () =>
+                        sportfolioIPO.connect(filler).safeTransferFrom(filler.address, holder.address, 1n, 1_000n, "0x")
+                    );
+                }
+            );
+            await withState(
+                () => sportfolioIPO.completeIPO(1n),
+                async () => {
+                    await measure("safeTransferFrom/completed", () =>
+                        sportfolioIPO.connect(filler).safeTransferFrom(filler.address, holder.address, 1n, 1_000n, "0x")
+                    );
+                    await measure("withdraw/all", () => sportfolioIPO.withdraw(0n));
+                }
+            );
+            await withState(
+                () => sportfolioIPO.cancelIPO(1n, false),
+                () => measure("claimRefund", () => sportfolioIPO.connect(filler).claimRefund(1n, 1_000n))
+            );
+            await withState(
+                () => sportfolioIPO.cancelIPO(1n, true),
+                () => measure("fundFeeRefunds", () => sportfolioIPO.fundFeeRefunds(1n))
+            );
+        }
+    );
+
+    return {
+        blockGasLimit: blockGasLimit.toString(),
+        measurements,
+        maxPurchase,
+        maxBatchTeams: maxBatchTeams(measurements, blockGasLimit),
+    };
+}
+
+/**
+ * Largest amount in 1..remaining whose estimated gas fits in the limit (0 if none does)
+ * @param {Function} estimate amount => Promise<bigint> gas estimate
+ * @param {bigint} remaining Upper bound
+ * @param {bigint} limit Block gas limit
+ */
+async function findMaxAmount(estimate, remaining, limit) {
+    const fits = async (amount) => (await estimate(amount)) <= limit;
+    if (remaining === 0n || !(await fits(1n))) return 0n;
+    if (await fits(remaining)) return remaining;
+
+    let low = 1n;
+    let high = remaining - 1n;
+    while (low < high) {
+        const mid = (low + high + 1n) / 2n;
+        if (await fits(mid)) low = mid;
+        else high = mid - 1n;
+    }
+    return low;
+}
+
+// Teams per buyTokensBatch under the limit, extrapolated from the two largest measured batches
+function maxBatchTeams(measurements, blockGasLimit) {
+    const [smaller, larger] = BATCH_SIZES.slice(-2);
+    const small = measurements[`buyTokensBatch/teams=${smaller}/amount=100`];
+    const large = measurements[`buyTokensBatch/teams=${larger}/amount=100`];
+    const perTeam = (large - small) / (larger - smaller);
+    const fixed = small - perTeam * smaller;
+    return Math.floor((Number(blockGasLimit) - fixed) / perTeam);
+}
+
+/**
+ * Compare a benchmark result with a baseline
+ * @param {object} current runBenchmark result
+ * @param {object} baseline Stored result (benchmarks/gas-baseline.json)
+ * @param {number} [threshold] Allowed increase as a fraction (0.02 = 2%)
+ * @returns {{rows: object[], regressions: object[], missing: string[]}}
+ *   rows: one per current measurement { name, gas, baseline, change } (change as a fraction,
+ *   null when the baseline lacks it); regressions: rows above the threshold;
+ *   missing: baseline measurements the current run no longer produces
+ */
+function compareWithBaseline(current, baseline, threshold = DEFAULT_THRESHOLD) {
+    const previous = baseline.measurements || {};
+    const rows = Object.entries(current.measurements).map(([name, gas]) => {
+        const before = previous[name];
+        return {
+            name,
+            gas,
+            baseline: before === undefined ? null : before,
+            change: before === undefined ? null : (gas - before) / before,
+        };
+    });
+    return {
+        rows,
+        regressions: rows.filter((row) => row.change !== null && row.change > threshold),
+        missing: Object.keys(previous).filter((name) => !(name in current.measurements)),
+    };
+}
+
+module.exports = {
+    DEFAULT_PURCHASE_SIZES,
+    DEFAULT_SUPPLY_LEVELS,
+    DEFAULT_BLOCK_GAS_LIMIT,
+    DEFAULT_THRESHOLD,
+    runBenchmark,
+    findMaxAmount,
+    compareWithBaseline,
+};
@@ -0,0 +1,414 @@
+/**
+ * Sportfolio Event Indexer
+ * Backfills and follows SportfolioIPO events into a local JSON store and derives
+ * finance reports from them: per-team cap tables, revenue and fees per team per day,
+ * price-over-time series, and what each revenue-sharing payee was credited and claimed.
+ *
+ * Reorg safety: blocks newer than `confirmations` are never indexed, and every sync
+ * first checks that the last checkpoint's block hash is still canonical. Because a
+ * block hash commits to all its ancestors, a matching checkpoint proves every indexed
+ * event is still valid; a mismatch rolls the store back to the newest recorded
+ * checkpoint that is still on the chain and re-indexes from there.
+ *
+ * Amounts in reports are BigInt (USDC units, 6 decimals; token counts); the store
+ * keeps them as decimal strings so it stays plain JSON.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+const { createCurve, getPriceAtSupply } = require("./pricing");
+
+const STORE_VERSION = 1;
+
+// Checkpoints kept for finding a common ancestor after a reorg
+const MAX_CHECKPOINTS = 128;
+
+const EVENT_ABI = [
+    "event TeamAdded(uint256 indexed tokenId, string teamName, uint256 timestamp)",
+    "event TeamCurveConfigured(uint256 indexed tokenId, uint256 basePrice, uint256 totalSupply, uint256 smoothingFactor, uint256 platformFeeRate)",
+    "event IPOScheduled(uint256 indexed tokenId, uint256 startTime, uint256 endTime)",
+    "event TokensPurchased(address indexed buyer, uint256 indexed tokenId, uint256 amount, uint256 totalCost, uint256 platformFee)",
+    "event IPOCompleted(uint256 indexed tokenId, uint256 finalPrice, uint256 timestamp)",
+    "event IPOPaused(uint256 indexed tokenId)",
+    "event IPOResumed(uint256 indexed tokenId)",
+    "event IPOCancelled(uint256 indexed tokenId, bool feesRefunded, uint256 timestamp)",
+    "event RefundClaimed(address indexed holder, uint256 indexed tokenId, uint256 amount, uint256 refund)",
+    "event PayeeCredited(uint256 indexed tokenId, address indexed payee, address indexed asset, uint256 amount, bool royalty)",
+    "event PayeeClaimed(address indexed payee, address indexed asset, uint256 amount)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+];
+
+const eventInterface = new Interface(EVENT_ABI);
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function toJsonValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    return value;
+}
+
+function decodeLog(log, timestamp) {
+    const parsed = eventInterface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+        args[input.name] = toJsonValue(parsed.args[index]);
+    });
+    return {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp,
+        event: parsed.name,
+        args,
+    };
+}
+
+/**
+ * Fresh, empty index for a contract
+ * @param {object} params
+ * @param {string} params.contract SportfolioIPO address
+ * @param {bigint|number|string} params.chainId Chain the contract lives on
+ * @param {number} [params.startBlock=0] First block to index (e.g. the deployment block)
+ */
+function createIndex({ contract, chainId, startBlock = 0 }) {
+    return {
+        version: STORE_VERSION,
+        contract,
+        chainId: chainId.toString(),
+        startBlock: Number(startBlock),
+        checkpoint: null,
+        checkpoints: [],
+        events: [],
+    };
+}
+
+/**
+ * Read an index store, or null if the file does not exist
+ * @param {string} storePath Path to the JSON store
+ */
+function loadIndex(storePath) {
+    if (!fs.existsSync(storePath)) return null;
+    const index = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    if (index.version !== STORE_VERSION) {
+        throw new Error(`${storePath} has store version ${index.version}, expected ${STORE_VERSION}; delete it to rebuild`);
+    }
+    return index;
+}
+
+/**
+ * Write an index store atomically
+ * @param {string} storePath Path to the JSON store
+ * @param {object} index Index state
+ */
+function saveIndex(storePath, index) {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index) + "\n");
+    fs.renameSync(tempPath, storePath);
+}
+
+// Roll back to the newest checkpoint still on the canonical chain; returns the dropped block range start
+async function rollBack(index, provider) {
+    for (let i = index.checkpoints.length - 1; i >= 0; i--) {
+        const checkpoint = index.checkpoints[i];
+        const block = await provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) {
+            index.checkpoints = index.checkpoints.slice(0, i + 1);
+            index.checkpoint = checkpoint;
+            index.events = index.events.filter((event) => event.blockNumber <= checkpoint.blockNumber);
+            return checkpoint.blockNumber + 1;
+        }
+    }
+    // Deeper than every checkpoint we kept: start over
+    index.checkpoints = [];
+    index.checkpoint = null;
+    index.events = [];
+    return index.startBlock;
+}
+
+/**
+ * Index new events up to the confirmed head (one backfill pass)
+ * @param {object} index Index state (mutated)
+ * @param {import("ethers").Provider} provider Chain provider
+ * @param {object} [options]
+ * @param {number} [options.confirmations=12] Blocks to stay behind the head
+ * @param {number} [options.batchSize=2000] Blocks per getLogs request
+ * @param {Function} [options.onBatch] Called with the index after each batch (e.g. to persist it)
+ * @returns {Promise<{fromBlock: number, toBlock: number, added: number, reorgedFrom: number|null}>}
+ *   reorgedFrom is the first re-indexed block when a reorg was detected
+ */
+async function syncIndex(index, provider, { confirmations = 12, batchSize = 2000, onBatch } = {}) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId.toString() !== index.chainId) {
+        throw new Error(`Index is for chain ${index.chainId}, provider is on chain ${chainId}`);
+    }
+
+    let reorgedFrom = null;
+    if (index.checkpoint) {
+        const block = await provider.getBlock(index.checkpoint.blockNumber);
+        if (!block || block.hash !== index.checkpoint.blockHash) {
+            reorgedFrom = await rollBack(index, provider);
+        }
+    }
+
+    const fromBlock = index.checkpoint ? index.checkpoint.blockNumber + 1 : index.startBlock;
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let added = 0;
+
+    for (let start = fromBlock; start <= head; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, head);
+        const logs = await provider.getLogs({ address: index.contract, fromBlock: start, toBlock: end });
+
+        const blocks = new Map();
+        const getBlock = async (number) => {
+            if (!blocks.has(number)) blocks.set(number, await provider.getBlock(number));
+            return blocks.get(number);
+        };
+
+        const events = [];
+        for (const log of logs) {
+            const block = await getBlock(log.blockNumber);
+            if (block.hash !== log.blockHash) {
+                // The chain moved while this batch was read; retry it on the next sync
+                return { fromBlock, toBlock: start - 1, added, reorgedFrom };
+            }
+            const event = decodeLog(log, block.timestamp);
+            if (event) events.push(event);
+        }
+
+        const endBlock = await getBlock(end);
+        index.events.push(...events);
+        index.checkpoint = { blockNumber: end, blockHash: endBlock.hash };
+        index.checkpoints.push(index.checkpoint);
+        if (index.checkpoints.length > MAX_CHECKPOINTS) index.checkpoints.shift();
+        added += events.length;
+        if (onBatch) await onBatch(index);
+    }
+
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), added, reorgedFrom };
+}
+
+/**
+ * Keep syncing until the signal aborts
+ * @param {object} index Index state (mutated)
+ * @param {import("ethers").Provider} provider Chain provider
+ * @param {object} [options] syncIndex options, plus:
+ * @param {number} [options.pollInterval=15000] Milliseconds between syncs
+ * @param {AbortSignal} [options.signal] Stops following when aborted
+ * @param {Function} [options.onSync] Called with each syncIndex result
+ */
+async function followIndex(index, provider, { pollInterval = 15_000, signal, onSync, ...syncOptions } = {}) {
+    while (!(signal && signal.aborted)) {
+        const result = await syncIndex(index, provider, syncOptions);
+        if (onSync) await onSync(result);
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, pollInterval);
+            if (signal) signal.addEventListener("abort", () => { clearTimeout(timer); resolve(); }, { once: true });
+        });
+    }
+}
+
+function eventsFor(index, tokenId, names) {
+    const id = tokenId === undefined ? undefined : tokenId.toString();
+    return index.events.filter((event) => names.includes(event.event) && (id === undefined || event.args.tokenId === id));
+}
+
+/**
+ * Teams seen in the index
+ * @param {object} index Index state
+ * @returns {Map<string, {tokenId: bigint, name: string, curve: object|null, status: string}>} Keyed by token ID
+ */
+function getTeams(index) {
+    const teams = new Map();
+    for (const event of index.events) {
+        const key = event.args.tokenId;
+        if (event.event === "TeamAdded") {
+            teams.set(key, { tokenId: BigInt(key), name: event.args.teamName, curve: null, status: "live" });
+        }
+        const team = teams.get(key);
+        if (!team) continue;
+        if (event.event === "TeamCurveConfigured") team.curve = createCurve(event.args);
+        if (event.event === "IPOPaused") team.status = "paused";
+        if (event.event === "IPOResumed") team.status = "live";
+        if (event.event === "IPOCompleted") team.status = "completed";
+        if (event.event === "IPOCancelled") team.status = "cancelled";
+    }
+    return teams;
+}
+
+/**
+ * Holder cap table for a team, from ERC-1155 transfers
+ * @param {object} index Index state
+ * @param {bigint|number|string} tokenId Team token ID
+ * @param {object} [options]
+ * @param {number} [options.blockNumber] Balances as of the end of this block (default: everything indexed)
+ * @returns {{holder: string, balance: bigint, shareBps: bigint}[]} Largest holders first; shareBps of circulating supply
+ */
+function getCapTable(index, tokenId, { blockNumber } = {}) {
+    const id = tokenId.toString();
+    const balances = new Map();
+    const move = (from, to, value) => {
+        if (from !== ZERO_ADDRESS) balances.set(from, (balances.get(from) || 0n) - value);
+        if (to !== ZERO_ADDRESS) balances.set(to, (balances.get(to) || 0n) + value);
+    };
+
+    for (const event of index.events) {
+        if (blockNumber !== undefined && event.blockNumber > blockNumber) break;
+        if (event.event === "TransferSingle" && event.args.id === id) {
+            move(event.args.from, event.args.to, BigInt(event.args.value));
+        } else if (event.event === "TransferBatch") {
+            event.args.ids.forEach((eventId, i) => {
+                if (eventId === id) move(event.args.from, event.args.to, BigInt(event.args.values[i]));
+            });
+        }
+    }
+
+    const holders = [...balances].filter(([, balance]) => balance > 0n);
+    const circulating = holders.reduce((sum, [, balance]) => sum + balance, 0n);
+    return holders
+        .map(([holder, balance]) => ({ holder, balance, shareBps: (balance * 10_000n) / circulating }))
+        .sort((a, b) => (a.balance === b.balance ? a.holder.localeCompare(b.holder) : a.balance > b.balance ? -1 : 1));
+}
+
+/**
+ * USDC revenue and platform fees per team per UTC day
+ * @param {object} index Index state
+ * @param {object} [options]
+ * @param {bigint|number|string} [options.tokenId] Only this team
+ * @returns {{date: string, tokenId: bigint, team: string, purchases: number, tokens: bigint, revenue: bigint, fees: bigint, refunds: bigint}[]}
+ *   revenue is the token cost paid (excluding fees); refunds are paid out by claimRefund. Sorted by date, then team
+ */
+function getRevenueByDay(index, { tokenId } = {}) {
+    const teams = getTeams(index);
+    const rows = new Map();
+    const rowFor = (event) => {
+        const date = new Date(event.timestamp * 1000).toISOString().slice(0, 10);
+        const key = `${date}:${event.args.tokenId}`;
+        if (!rows.has(key)) {
+            const team = teams.get(event.args.tokenId);
+            rows.set(key, {
+                date,
+                tokenId: BigInt(event.args.tokenId),
+                team: team ? team.name : "",
+                purchases: 0,
+                tokens: 0n,
+                revenue: 0n,
+                fees: 0n,
+                refunds: 0n,
+            });
+        }
+        return rows.get(key);
+    };
+
+    for (const event of eventsFor(index, tokenId, ["TokensPurchased", "RefundClaimed"])) {
+        const row = rowFor(event);
+        if (event.event === "TokensPurchased") {
+            row.purchases += 1;
+            row.tokens += BigInt(event.args.amount);
+            row.revenue += BigInt(event.args.totalCost);
+            row.fees += BigInt(event.args.platformFee);
+        } else {
+            row.refunds += BigInt(event.args.refund);
+        }
+    }
+
+    return [...rows.values()].sort((a, b) =>
+        a.date === b.date ? (a.tokenId < b.tokenId ? -1 : a.tokenId > b.tokenId ? 1 : 0) : a.date < b.date ? -1 : 1
+    );
+}
+
+/**
+ * Price after every purchase of a team
+ * @param {object} index Index state
+ * @param {bigint|number|string} tokenId Team token ID
+ * @returns {{blockNumber: number, timestamp: number, tokensSold: bigint|null, price: bigint|null, averagePrice: bigint|null}[]}
+ *   Starts at registration (base price). price is the curve price at the new supply level and
+ *   averagePrice what the purchase paid per token; tokensSold and price are null when the team
+ *   was registered before the index's start block (curve and earlier purchases unknown)
+ */
+function getPriceSeries(index, tokenId) {
+    const team = getTeams(index).get(tokenId.toString());
+    const curve = team ? team.curve : null;
+    const series = [];
+    let tokensSold = curve ? 0n : null;
+
+    for (const event of eventsFor(index, tokenId, ["TeamCurveConfigured", "TokensPurchased"])) {
+        if (event.event === "TeamCurveConfigured") {
+            series.push({ blockNumber: event.blockNumber, timestamp: event.timestamp, tokensSold, price: curve.basePrice, averagePrice: null });
+            continue;
+        }
+        const amount = BigInt(event.args.amount);
+        if (curve) tokensSold += amount;
+        series.push({
+            blockNumber: event.blockNumber,
+            timestamp: event.timestamp,
+            tokensSold,
+            price: curve ? getPriceAtSupply(tokensSold, curve) : null,
+            averagePrice: BigInt(event.args.totalCost) / amount,
+        });
+    }
+    return series;
+}
+
+/**
+ * Fee shares and royalties credited to each revenue-sharing payee, and what they claimed
+ * @param {object} index Index state
+ * @param {object} [options]
+ * @param {bigint|number|string} [options.tokenId] Only credits from this team (claims are per payee, not per team, so they are left out)
+ * @returns {{payee: string, asset: string, teams: bigint[], fees: bigint, royalties: bigint, accrued: bigint,
+ *   claimed: bigint|null, unclaimed: bigint|null}[]}
+ *   One row per payee and asset, amounts in the asset's units; sorted by payee, then asset
+ */
+function getPayeeBalances(index, { tokenId } = {}) {
+    const rows = new Map();
+    const rowFor = (payee, asset) => {
+        const key = `${payee}:${asset}`;
+        if (!rows.has(key)) {
+            rows.set(key, { payee, asset, teams: [], fees: 0n, royalties: 0n, accrued: 0n, claimed: 0n, unclaimed: 0n });
+        }
+        return rows.get(key);
+    };
+
+    for (const event of eventsFor(index, tokenId, ["PayeeCredited"])) {
+        const row = rowFor(event.args.payee, event.args.asset);
+        const team = BigInt(event.args.tokenId);
+        const amount = BigInt(event.args.amount);
+        if (!row.teams.includes(team)) row.teams.push(team);
+        if (event.args.royalty) row.royalties += amount;
+        else row.fees += amount;
+        row.accrued += amount;
+    }
+    if (tokenId === undefined) {
+        for (const event of eventsFor(index, undefined, ["PayeeClaimed"])) {
+            rowFor(event.args.payee, event.args.asset).claimed += BigInt(event.args.amount);
+        }
+    }
+
+    return [...rows.values()]
+        .map((row) => ({
+            ...row,
+            teams: row.teams.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)),
+            claimed: tokenId === undefined ? row.claimed : null,
+            unclaimed: tokenId === undefined ? row.accrued - row.claimed : null,
+        }))
+        .sort((a, b) => (a.payee === b.payee ? a.asset.localeCompare(b.asset) : a.payee.localeCompare(b.payee)));
+}
+
+module.exports = {
+    EVENT_ABI,
+    createIndex,
+    loadIndex,
+    saveIndex,
+    syncIndex,
+    followIndex,
+    getTeams,
+    getCapTable,
+    getRevenueByDay,
+    getPriceSeries,
+    getPayeeBalances,
+};
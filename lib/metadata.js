@@ -0,0 +1,112 @@
+/**
+ * Sportfolio Metadata Library
+ * Builds the ERC-1155 metadata JSON files the contract's URIs point to, one per team.
+ *
+ * The base URI (e.g. https://api.sportfolio.com/metadata/{id}.json) is resolved by clients
+ * by replacing {id} with the token ID as 64 lowercase hex digits, zero-padded and without
+ * 0x (ERC-1155 metadata), so team 1 is served from
+ *   .../metadata/0000000000000000000000000000000000000000000000000000000000000001.json
+ * Teams given their own URI with setTokenURI are served from that URI instead.
+ *
+ * Each file follows the ERC-1155 metadata JSON schema (name, description, image, decimals,
+ * properties). name comes from the on-chain teamName; properties hold the team's IPO
+ * stats (current price, tokens sold, supply, status) read from the contract, so files
+ * should be regenerated while IPOs are running (see scripts/generate-metadata.js).
+ */
+
+const { formatUSDC } = require("./pricing");
+const { getTeamStatus } = require("./admin");
+
+/**
+ * Token ID as the ERC-1155 {id} substitution: 64 lowercase hex digits, no 0x
+ * @param {bigint|number|string} tokenId Token ID
+ * @returns {string}
+ */
+function toHexId(tokenId) {
+    const id = BigInt(tokenId);
+    if (id < 0n || id >= 2n ** 256n) {
+        throw new RangeError(`Token ID out of range: ${tokenId}`);
+    }
+    return id.toString(16).padStart(64, "0");
+}
+
+/**
+ * Resolve a metadata URI for a token by substituting {id}
+ * @param {string} uri URI as returned by the contract's uri(tokenId)
+ * @param {bigint|number|string} tokenId Token ID
+ * @returns {string}
+ */
+function resolveURI(uri, tokenId) {
+    return uri.split("{id}").join(toHexId(tokenId));
+}
+
+/**
+ * Metadata JSON for one team
+ * @param {object} team
+ * @param {bigint} team.tokenId Token ID
+ * @param {object} team.info getTeamInfo result
+ * @param {bigint} team.currentPrice getCurrentPrice result (USDC units)
+ * @param {string} team.status getTeamStatus result
+ * @param {string} [team.image] Logo URL
+ * @returns {object} ERC-1155 metadata
+ */
+function buildTeamMetadata({ tokenId, info, currentPrice, status, image }) {
+    const metadata = {
+        name: info.teamName,
+        description: `${info.teamName} team token on Sportfolio. Prices follow the team's bonding curve during its IPO.`,
+        decimals: 0,
+    };
+    if (image) metadata.image = image;
+    metadata.properties = {
+        tokenId: tokenId.toString(),
+        ipoStatus: status,
+        currentPrice: currentPrice.toString(),
+        currentPriceUSD: formatUSDC(currentPrice),
+        basePrice: info.basePrice.toString(),
+        tokensSold: info.tokensSold.toString(),
+        totalSupply: info.totalSupply.toString(),
+        remainingTokens: (info.totalSupply - info.tokensSold).toString(),
+        platformFeeRate: info.platformFeeRate.toString(),
+        ipoStartTime: info.ipoStartTime.toString(),
+        ipoEndTime: info.ipoEndTime.toString(),
+    };
+    return metadata;
+}
+
+/**
+ * Metadata files for every team registered on a SportfolioIPO contract
+ * @param {object} sportfolioIPO SportfolioIPO contract
+ * @param {object} [options]
+ * @param {object} [options.images] Logo URL per token ID ({ "1": "https://..." })
+ * @returns {Promise<{tokenId: bigint, fileName: string, uri: string, metadata: object}[]>}
+ *   fileName is <hex id>.json; uri is the team's resolved on-chain URI
+ */
+async function generateMetadata(sportfolioIPO, options = {}) {
+    const images = options.images || {};
+    const now = (await sportfolioIPO.runner.provider.getBlock("latest")).timestamp;
+    const files = [];
+    for (const tokenId of await sportfolioIPO.getAllTeams()) {
+        const info = await sportfolioIPO.getTeamInfo(tokenId);
+        const metadata = buildTeamMetadata({
+            tokenId,
+            info,
+            currentPrice: await sportfolioIPO.getCurrentPrice(tokenId),
+            status: getTeamStatus(info, now),
+            image: images[tokenId.toString()],
+        });
+        files.push({
+            tokenId,
+            fileName: `${toHexId(tokenId)}.json`,
+            uri: resolveURI(await sportfolioIPO.uri(tokenId), tokenId),
+            metadata,
+        });
+    }
+    return files;
+}
+
+module.exports = {
+    toHexId,
+    resolveURI,
+    buildTeamMetadata,
+    generateMetadata,
+};
@@ -0,0 +1,140 @@
+/**
+ * Sportfolio Permit Helper
+ * Builds and signs EIP-2612 permits for the payment token, so a purchase
+ * needs one transaction (buyTokensWithPermit) instead of approve + buyTokens.
+ *
+ * Works with any ERC20Permit token: the EIP-712 domain is read from the token
+ * (ERC-5267 eip712Domain() when available, otherwise name() and version(),
+ * e.g. real USDC uses version "2").
+ *
+ * Requires ethers v6 contracts and signers (as provided by hardhat-ethers).
+ */
+
+const { Contract, Signature } = require("ethers");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+const TOKEN_ABI = [
+    "function name() view returns (string)",
+    "function version() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+const IPO_ABI = [
+    "function getPaymentToken() view returns (address)",
+    "function calculatePurchaseCost(uint256 tokenId, uint256 tokenAmount) view returns (uint256 tokenCost, uint256 platformFee)",
+];
+
+const BASIS_POINTS = 10_000n;
+
+/**
+ * EIP-712 domain of a permit token
+ * @param {Contract|string} token Token contract or address
+ * @param {import("ethers").ContractRunner} runner Provider or signer
+ * @returns {Promise<{name: string, version: string, chainId: bigint, verifyingContract: string}>}
+ */
+async function getPermitDomain(token, runner) {
+    const address = typeof token === "string" ? token : await token.getAddress();
+    const contract = new Contract(address, TOKEN_ABI, runner);
+    const { chainId } = await (runner.provider || runner).getNetwork();
+
+    try {
+        const domain = await contract.eip712Domain();
+        return { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract };
+    } catch (error) {
+        // Tokens without ERC-5267 (e.g. USDC) expose name() and version()
+        const name = await contract.name();
+        let version = "1";
+        try {
+            version = await contract.version();
+        } catch (versionError) {
+            // No version() either: OpenZeppelin's default
+        }
+        return { name, version, chainId, verifyingContract: address };
+    }
+}
+
+/**
+ * Build the EIP-712 payload for a permit
+ * @param {object} params
+ * @param {object} params.domain Result of getPermitDomain
+ * @param {string} params.owner Token holder (the buyer)
+ * @param {string} params.spender Contract allowed to spend (the IPO contract)
+ * @param {bigint} params.value Allowance in token units
+ * @param {bigint} params.nonce Holder's current permit nonce
+ * @param {bigint} params.deadline Signature expiry (unix seconds)
+ * @returns {{domain: object, types: object, message: object}}
+ */
+function buildPermitTypedData({ domain, owner, spender, value, nonce, deadline }) {
+    return {
+        domain,
+        types: PERMIT_TYPES,
+        message: { owner, spender, value: BigInt(value), nonce: BigInt(nonce), deadline: BigInt(deadline) },
+    };
+}
+
+/**
+ * Sign a permit for the payment token
+ * @param {import("ethers").Signer} signer Token holder
+ * @param {Contract|string} token Token contract or address
+ * @param {string} spender Contract allowed to spend
+ * @param {bigint} value Allowance in token units
+ * @param {bigint} deadline Signature expiry (unix seconds)
+ * @returns {Promise<{value: bigint, deadline: bigint, v: number, r: string, s: string}>}
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+    const domain = await getPermitDomain(token, signer);
+    const owner = await signer.getAddress();
+    const nonce = await new Contract(domain.verifyingContract, TOKEN_ABI, signer).nonces(owner);
+
+    const { types, message } = buildPermitTypedData({ domain, owner, spender, value, nonce, deadline });
+    const { v, r, s } = Signature.from(await signer.signTypedData(domain, types, message));
+    return { value: BigInt(value), deadline: BigInt(deadline), v, r, s };
+}
+
+/**
+ * Quote a purchase with calculatePurchaseCost and sign a permit covering it
+ * @param {import("ethers").Signer} signer Buyer
+ * @param {Contract|string} ipo SportfolioIPO contract or address
+ * @param {bigint} tokenId Team token ID
+ * @param {bigint} amount Number of tokens to purchase
+ * @param {object} options
+ * @param {bigint} options.deadline Expiry for the permit and the purchase (unix seconds)
+ * @param {bigint} [options.slippageBps=0n] Extra allowance above the quote, in basis points
+ * @returns {Promise<{args: Array, quote: {tokenCost: bigint, platformFee: bigint, totalCost: bigint}, maxTotalCost: bigint}>}
+ *   args are ready to spread into buyTokensWithPermit(...args)
+ */
+async function signPurchasePermit(signer, ipo, tokenId, amount, { deadline, slippageBps = 0n }) {
+    const ipoAddress = typeof ipo === "string" ? ipo : await ipo.getAddress();
+    const contract = new Contract(ipoAddress, IPO_ABI, signer);
+
+    const [tokenCost, platformFee] = await contract.calculatePurchaseCost(tokenId, amount);
+    const totalCost = tokenCost + platformFee;
+    const maxTotalCost = totalCost + (totalCost * BigInt(slippageBps)) / BASIS_POINTS;
+
+    const paymentToken = await contract.getPaymentToken();
+    const { v, r, s } = await signPermit(signer, paymentToken, ipoAddress, maxTotalCost, deadline);
+
+    return {
+        args: [BigInt(tokenId), BigInt(amount), maxTotalCost, BigInt(deadline), v, r, s],
+        quote: { tokenCost, platformFee, totalCost },
+        maxTotalCost,
+    };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    getPermitDomain,
+    buildPermitTypedData,
+    signPermit,
+    signPurchasePermit,
+};
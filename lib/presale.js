@@ -0,0 +1,146 @@
+/**
+ * Sportfolio Presale Allowlist Library
+ * Builds the Merkle tree behind SportfolioIPO.setPresaleRoot / buyPresaleTokens.
+ *
+ * Leaves match the contract: keccak256(keccak256(abi.encode(address, allocation))).
+ * Pairs are hashed in sorted order, as OpenZeppelin's MerkleProof expects,
+ * and an odd node at the end of a layer moves up unchanged.
+ *
+ * Allocations are token amounts (whole tokens, not USDC units).
+ */
+
+const { AbiCoder, getAddress, keccak256, concat } = require("ethers");
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+function toAllocation(value, line) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text) || BigInt(text) === 0n) {
+        throw new RangeError(`Line ${line}: allocation must be a positive whole number of tokens, got "${value}"`);
+    }
+    return BigInt(text);
+}
+
+/**
+ * Leaf hash for an allowlist entry, as computed by buyPresaleTokens
+ * @param {string} address Wallet address
+ * @param {bigint|number|string} allocation Presale allocation in tokens
+ * @returns {string} 0x-prefixed bytes32
+ */
+function getPresaleLeaf(address, allocation) {
+    return keccak256(keccak256(abiCoder.encode(["address", "uint256"], [address, allocation])));
+}
+
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Parse an allowlist CSV of `address,allocation` lines
+ * A header line, blank lines and `#` comments are skipped
+ * @param {string} csvText CSV file contents
+ * @returns {{address: string, allocation: bigint}[]} Checksummed addresses
+ */
+function parseAllowlistCsv(csvText) {
+    const entries = [];
+    const seen = new Set();
+    let firstLine = true;
+
+    csvText.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = rawLine.trim();
+        if (text === "" || text.startsWith("#")) return;
+
+        const [addressField, allocationField, ...rest] = text.split(",").map((field) => field.trim());
+        const isHeader = firstLine && !/^0x/i.test(addressField);
+        firstLine = false;
+        if (isHeader) return;
+        if (allocationField === undefined || rest.length > 0) {
+            throw new SyntaxError(`Line ${line}: expected "address,allocation"`);
+        }
+
+        let address;
+        try {
+            address = getAddress(addressField.toLowerCase());
+        } catch (error) {
+            throw new SyntaxError(`Line ${line}: invalid address "${addressField}"`);
+        }
+        if (seen.has(address)) {
+            throw new SyntaxError(`Line ${line}: duplicate address ${address}`);
+        }
+        seen.add(address);
+
+        entries.push({ address, allocation: toAllocation(allocationField, line) });
+    });
+
+    if (entries.length === 0) throw new RangeError("Allowlist is empty");
+    return entries;
+}
+
+/**
+ * Build the presale Merkle tree
+ * @param {{address: string, allocation: bigint|number|string}[]} entries Allowlist entries
+ * @returns {{root: string, proofs: Object<string, {allocation: string, proof: string[]}>}}
+ *   proofs is keyed by checksummed address; allocations are decimal strings (JSON-safe)
+ */
+function buildPresaleTree(entries) {
+    if (entries.length === 0) throw new RangeError("Allowlist is empty");
+
+    const leaves = entries.map(({ address, allocation }) => ({
+        address: getAddress(address),
+        allocation: BigInt(allocation),
+        hash: getPresaleLeaf(address, allocation),
+    }));
+    if (new Set(leaves.map((leaf) => leaf.address)).size !== leaves.length) {
+        throw new RangeError("Allowlist has duplicate addresses");
+    }
+
+    // Layer 0 in a fixed order so the root does not depend on CSV order
+    let layer = leaves.map((leaf) => leaf.hash).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+    const layers = [layer];
+    while (layer.length > 1) {
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+        layer = next;
+    }
+
+    const proofs = {};
+    for (const leaf of leaves) {
+        let index = layers[0].indexOf(leaf.hash);
+        const proof = [];
+        for (let depth = 0; depth < layers.length - 1; depth++) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < layers[depth].length) proof.push(layers[depth][sibling]);
+            index = Math.floor(index / 2);
+        }
+        proofs[leaf.address] = { allocation: leaf.allocation.toString(), proof };
+    }
+
+    return { root: layers[layers.length - 1][0], proofs };
+}
+
+/**
+ * Check a proof the same way MerkleProof.verify does
+ * @param {string[]} proof Sibling hashes
+ * @param {string} root Tree root
+ * @param {string} address Wallet address
+ * @param {bigint|number|string} allocation Presale allocation in tokens
+ * @returns {boolean}
+ */
+function verifyPresaleProof(proof, root, address, allocation) {
+    let hash = getPresaleLeaf(address, allocation);
+    for (const sibling of proof) {
+        hash = hashPair(hash, sibling);
+    }
+    return hash === root;
+}
+
+module.exports = {
+    getPresaleLeaf,
+    parseAllowlistCsv,
+    buildPresaleTree,
+    verifyPresaleProof,
+};
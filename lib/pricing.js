@@ -0,0 +1,399 @@
+/**
+ * Sportfolio Pricing Library
+ * Exact BigInt mirror of the SportfolioIPO sigmoid bonding curve.
+ *
+ * Every function reproduces the contract's integer math step by step
+ * (same operation order, same truncating division), so results match
+ * the on-chain view functions to the last USDC unit.
+ * calculatePurchaseCostIterative keeps the original per-token loop as a reference.
+ *
+ * Each team has its own curve parameters. Functions take an optional
+ * `curve` argument ({ basePrice, totalSupply, smoothingFactor, platformFeeRate });
+ * omit it for the default curve, or build it from getTeamInfo with curveFromTeamInfo.
+ *
+ * All amounts are BigInt USDC units (6 decimals): 30_000_000n = $30 USD.
+ * Inputs may be passed as bigint, number or numeric string.
+ */
+
+// Default curve parameters from contract
+const BASE_PRICE = 30_000_000n; // $30 USD in USDC (6 decimals)
+const TOTAL_SUPPLY = 2_000_000n; // 2M total tokens per team
+const SMOOTHING_FACTOR = 200_000n; // Prevents extreme price spikes
+const PLATFORM_FEE_RATE = 300n; // 3% = 300 basis points
+const BASIS_POINTS = 10_000n; // 100% = 10,000 basis points
+const PRECISION = 10n ** 18n; // Fixed-point scale used for the sigmoid factor
+const CURVE_PRECISION = 10n ** 36n; // Fixed-point scale for closed-form cost math
+const LN2 = 693147180559945309417232121458176568n; // ln(2) scaled by CURVE_PRECISION
+const USDC_DECIMALS = 6;
+
+// Curve parameter bounds from contract (validated in addTeam)
+const MAX_BASE_PRICE = 1_000_000_000_000n; // $1M USD per token
+const MAX_TOTAL_SUPPLY = 1_000_000_000_000n; // 1T tokens per team
+const MIN_SMOOTHING_FACTOR = 1_000n;
+const MAX_SMOOTHING_FACTOR = 1_000_000_000_000n;
+const MAX_PLATFORM_FEE_RATE = 1_000n; // 10% = 1,000 basis points
+
+const DEFAULT_CURVE = Object.freeze({
+    basePrice: BASE_PRICE,
+    totalSupply: TOTAL_SUPPLY,
+    smoothingFactor: SMOOTHING_FACTOR,
+    platformFeeRate: PLATFORM_FEE_RATE,
+});
+
+function toBigInt(value, name) {
+    try {
+        return BigInt(value);
+    } catch (error) {
+        throw new TypeError(`${name} must be an integer, got ${value}`);
+    }
+}
+
+/**
+ * Validate curve parameters with the same bounds addTeam enforces
+ * @param {object} curve { basePrice, totalSupply, smoothingFactor, platformFeeRate }
+ * @returns {{basePrice: bigint, totalSupply: bigint, smoothingFactor: bigint, platformFeeRate: bigint}}
+ */
+function createCurve(curve) {
+    const basePrice = toBigInt(curve.basePrice, "basePrice");
+    const totalSupply = toBigInt(curve.totalSupply, "totalSupply");
+    const smoothingFactor = toBigInt(curve.smoothingFactor, "smoothingFactor");
+    const platformFeeRate = toBigInt(curve.platformFeeRate, "platformFeeRate");
+
+    if (basePrice <= 0n || basePrice > MAX_BASE_PRICE) throw new RangeError("Invalid base price");
+    if (totalSupply <= 0n || totalSupply > MAX_TOTAL_SUPPLY) throw new RangeError("Invalid total supply");
+    if (smoothingFactor < MIN_SMOOTHING_FACTOR || smoothingFactor > MAX_SMOOTHING_FACTOR) {
+        throw new RangeError("Invalid smoothing factor");
+    }
+    if (platformFeeRate < 0n || platformFeeRate > MAX_PLATFORM_FEE_RATE) throw new RangeError("Invalid platform fee rate");
+    if (totalSupply * basePrice >= 10n ** 18n) throw new RangeError("Total supply too large for base price");
+    if (basePrice * (totalSupply + smoothingFactor) > 60n * smoothingFactor ** 4n) {
+        throw new RangeError("Smoothing factor too small for curve");
+    }
+
+    return Object.freeze({ basePrice, totalSupply, smoothingFactor, platformFeeRate });
+}
+
+/**
+ * Build a curve from a SportfolioIPO.getTeamInfo result
+ * @param {object} teamInfo TeamIPO struct as returned by ethers
+ * @returns {{basePrice: bigint, totalSupply: bigint, smoothingFactor: bigint, platformFeeRate: bigint}}
+ */
+function curveFromTeamInfo(teamInfo) {
+    return createCurve({
+        basePrice: teamInfo.basePrice,
+        totalSupply: teamInfo.totalSupply,
+        smoothingFactor: teamInfo.smoothingFactor,
+        platformFeeRate: teamInfo.platformFeeRate,
+    });
+}
+
+function resolveCurve(curve) {
+    return curve === undefined || curve === DEFAULT_CURVE ? DEFAULT_CURVE : createCurve(curve);
+}
+
+function assertSupplyLevel(soldAmount, curve) {
+    if (soldAmount < 0n || soldAmount > curve.totalSupply) {
+        throw new RangeError(`Supply level ${soldAmount} is outside 0..${curve.totalSupply}`);
+    }
+}
+
+function sigmoidFactorAt(sold, curve) {
+    if (sold === 0n) return 0n;
+
+    const remaining = curve.totalSupply - sold;
+    return (sold * PRECISION) / (remaining + curve.smoothingFactor);
+}
+
+function priceAt(sold, curve) {
+    if (sold === 0n) return curve.basePrice;
+
+    const sigmoidFactor = sigmoidFactorAt(sold, curve);
+    return curve.basePrice + (curve.basePrice * sigmoidFactor) / PRECISION;
+}
+
+function platformFeeOf(tokenCost, curve) {
+    return (tokenCost * curve.platformFeeRate) / BASIS_POINTS;
+}
+
+/**
+ * Sigmoid factor at a supply level, scaled by 1e18
+ * Mirrors SportfolioIPO.getSigmoidFactor
+ * @param {bigint|number|string} soldAmount Tokens already sold
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {bigint}
+ */
+function getSigmoidFactor(soldAmount, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(soldAmount, "soldAmount");
+    assertSupplyLevel(sold, params);
+    return sigmoidFactorAt(sold, params);
+}
+
+/**
+ * Price of the next token at a supply level
+ * Mirrors SportfolioIPO.getPriceAtSupply / getCurrentPrice
+ * @param {bigint|number|string} soldAmount Tokens already sold
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {bigint} Price in USDC units
+ */
+function getPriceAtSupply(soldAmount, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(soldAmount, "soldAmount");
+    assertSupplyLevel(sold, params);
+    return priceAt(sold, params);
+}
+
+/**
+ * Platform fee charged on top of a token cost
+ * @param {bigint} tokenCost Cost in USDC units
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {bigint}
+ */
+function calculatePlatformFee(tokenCost, curve) {
+    return platformFeeOf(toBigInt(tokenCost, "tokenCost"), resolveCurve(curve));
+}
+
+function ceilDiv(a, b) {
+    return a === 0n ? 0n : (a - 1n) / b + 1n;
+}
+
+/**
+ * ln(numerator / denominator) scaled by CURVE_PRECISION
+ * Mirrors SportfolioIPO.lnRatio
+ * @param {bigint} numerator
+ * @param {bigint} denominator Must satisfy numerator >= denominator > 0
+ * @returns {bigint}
+ */
+function lnRatio(numerator, denominator) {
+    let result = 0n;
+    while (numerator >= 2n * denominator) {
+        denominator *= 2n;
+        result += LN2;
+    }
+
+    const z = ((numerator - denominator) * CURVE_PRECISION) / (numerator + denominator);
+    const zSquared = (z * z) / CURVE_PRECISION;
+    let term = z;
+    let series = z;
+    for (let i = 3n; term > 0n; i += 2n) {
+        term = (term * zSquared) / CURVE_PRECISION;
+        series += term / i;
+    }
+
+    return result + 2n * series;
+}
+
+/**
+ * Closed-form token cost (fee excluded) of amount tokens starting at sold
+ * Mirrors SportfolioIPO.getCurveCost
+ * @param {bigint} sold Tokens already sold
+ * @param {bigint} amount Number of tokens to purchase
+ * @param {object} curve Validated curve parameters
+ * @returns {bigint}
+ */
+function getCurveCost(sold, amount, curve) {
+    const curveSize = curve.totalSupply + curve.smoothingFactor;
+    const upper = curveSize - sold;
+    const lower = upper - amount;
+
+    const harmonicDiff = lnRatio(upper, lower)
+        + CURVE_PRECISION / (2n * upper)
+        + CURVE_PRECISION / (12n * lower * lower)
+        - CURVE_PRECISION / (2n * lower)
+        - CURVE_PRECISION / (12n * upper * upper);
+
+    return ceilDiv(curve.basePrice * curveSize * harmonicDiff, CURVE_PRECISION);
+}
+
+function assertPurchase(sold, amount, curve) {
+    assertSupplyLevel(sold, curve);
+    if (amount <= 0n) throw new RangeError("Must buy at least 1 token");
+    if (sold + amount > curve.totalSupply) throw new RangeError("Exceeds total supply");
+}
+
+/**
+ * Total cost for purchasing tokenAmount tokens starting at tokensSold
+ * Mirrors SportfolioIPO.calculatePurchaseCost (closed form)
+ * @param {bigint|number|string} tokensSold Tokens already sold
+ * @param {bigint|number|string} tokenAmount Number of tokens to purchase
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {{tokenCost: bigint, platformFee: bigint, totalCost: bigint}}
+ */
+function calculatePurchaseCost(tokensSold, tokenAmount, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(tokensSold, "tokensSold");
+    const amount = toBigInt(tokenAmount, "tokenAmount");
+    assertPurchase(sold, amount, params);
+
+    const tokenCost = getCurveCost(sold, amount, params);
+    const platformFee = platformFeeOf(tokenCost, params);
+    return { tokenCost, platformFee, totalCost: tokenCost + platformFee };
+}
+
+/**
+ * Total cost using the original per-token loop (sum of getPriceAtSupply)
+ * Reference for the closed form: calculatePurchaseCost exceeds this
+ * by 0 to tokenAmount + 1 USDC units (when tokenAmount × basePrice < 1e18)
+ * @param {bigint|number|string} tokensSold Tokens already sold
+ * @param {bigint|number|string} tokenAmount Number of tokens to purchase
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {{tokenCost: bigint, platformFee: bigint, totalCost: bigint}}
+ */
+function calculatePurchaseCostIterative(tokensSold, tokenAmount, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(tokensSold, "tokensSold");
+    const amount = toBigInt(tokenAmount, "tokenAmount");
+    assertPurchase(sold, amount, params);
+
+    let tokenCost = 0n;
+    for (let i = 0n; i < amount; i++) {
+        tokenCost += priceAt(sold + i, params);
+    }
+
+    const platformFee = platformFeeOf(tokenCost, params);
+    return { tokenCost, platformFee, totalCost: tokenCost + platformFee };
+}
+
+/**
+ * Price of the next token once tokenAmount more tokens have been bought
+ * @param {bigint|number|string} tokensSold Tokens already sold
+ * @param {bigint|number|string} tokenAmount Number of tokens to purchase
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {bigint} Price in USDC units
+ */
+function getPriceAfterPurchase(tokensSold, tokenAmount, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(tokensSold, "tokensSold");
+    const amount = toBigInt(tokenAmount, "tokenAmount");
+    if (amount < 0n) throw new RangeError("Token amount cannot be negative");
+    if (sold + amount > params.totalSupply) throw new RangeError("Exceeds total supply");
+    return getPriceAtSupply(sold + amount, params);
+}
+
+/**
+ * Largest number of tokens whose cost plus platform fee fits in a USDC budget
+ * Mirrors SportfolioIPO.getMaxPurchaseForBudget (the amount buyTokensWithBudget buys)
+ * @param {bigint|number|string} tokensSold Tokens already sold
+ * @param {bigint|number|string} budget Available USDC units (fee included)
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {{amount: bigint, tokenCost: bigint, platformFee: bigint, totalCost: bigint}}
+ */
+function getMaxTokensForBudget(tokensSold, budget, curve) {
+    const params = resolveCurve(curve);
+    const sold = toBigInt(tokensSold, "tokensSold");
+    const available = toBigInt(budget, "budget");
+    assertSupplyLevel(sold, params);
+
+    // Total cost (fee included) is strictly increasing in amount,
+    // so binary search for the last amount that fits
+    let low = 0n;
+    let high = params.totalSupply - sold;
+    while (low < high) {
+        const mid = (low + high + 1n) / 2n;
+        const cost = getCurveCost(sold, mid, params);
+        if (cost + platformFeeOf(cost, params) <= available) {
+            low = mid;
+        } else {
+            high = mid - 1n;
+        }
+    }
+
+    const amount = low;
+    const tokenCost = amount === 0n ? 0n : getCurveCost(sold, amount, params);
+    const platformFee = platformFeeOf(tokenCost, params);
+    return { amount, tokenCost, platformFee, totalCost: tokenCost + platformFee };
+}
+
+function marketFeeOf(value, feeRate) {
+    const rate = toBigInt(feeRate, "feeRate");
+    if (rate < 0n || rate > MAX_PLATFORM_FEE_RATE) throw new RangeError("Invalid fee rate");
+    return (value * rate) / BASIS_POINTS;
+}
+
+/**
+ * Quote buying tokens from a SportfolioMarket reserve
+ * Mirrors SportfolioMarket.quoteBuy (inventory is not checked here)
+ * @param {bigint|number|string} marketSupply Supply level from getMarketSupply
+ * @param {bigint|number|string} tokenAmount Number of tokens to buy
+ * @param {bigint|number|string} feeRate Market fee rate in basis points
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {{cost: bigint, fee: bigint, totalCost: bigint}}
+ */
+function quoteMarketBuy(marketSupply, tokenAmount, feeRate, curve) {
+    const params = resolveCurve(curve);
+    const supply = toBigInt(marketSupply, "marketSupply");
+    const amount = toBigInt(tokenAmount, "tokenAmount");
+    assertPurchase(supply, amount, params);
+
+    const cost = getCurveCost(supply, amount, params);
+    const fee = marketFeeOf(cost, feeRate);
+    return { cost, fee, totalCost: cost + fee };
+}
+
+/**
+ * Quote selling tokens back to a SportfolioMarket reserve
+ * Mirrors SportfolioMarket.quoteSell: the closed-form cost of the tokens
+ * minus tokenAmount + 1 units, so the value never exceeds the per-token sum
+ * @param {bigint|number|string} marketSupply Supply level from getMarketSupply
+ * @param {bigint|number|string} tokenAmount Number of tokens to sell
+ * @param {bigint|number|string} feeRate Market fee rate in basis points
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @returns {{proceeds: bigint, fee: bigint, value: bigint}} value = proceeds + fee leaves the reserve
+ */
+function quoteMarketSell(marketSupply, tokenAmount, feeRate, curve) {
+    const params = resolveCurve(curve);
+    const supply = toBigInt(marketSupply, "marketSupply");
+    const amount = toBigInt(tokenAmount, "tokenAmount");
+    if (amount <= 0n) throw new RangeError("Must sell at least 1 token");
+    if (amount > supply) throw new RangeError("Exceeds circulating supply");
+    assertSupplyLevel(supply, params);
+
+    const curveCost = getCurveCost(supply - amount, amount, params);
+    const value = curveCost > amount + 1n ? curveCost - amount - 1n : 0n;
+    const fee = marketFeeOf(value, feeRate);
+    return { proceeds: value - fee, fee, value };
+}
+
+/**
+ * Format USDC units as a USD string, e.g. 30_001_363n => "$30.001363"
+ * @param {bigint|number|string} usdcUnits Amount in USDC units
+ * @returns {string}
+ */
+function formatUSDC(usdcUnits) {
+    const units = toBigInt(usdcUnits, "usdcUnits");
+    const scale = 10n ** BigInt(USDC_DECIMALS);
+    const sign = units < 0n ? "-" : "";
+    const abs = units < 0n ? -units : units;
+    const whole = (abs / scale).toLocaleString("en-US");
+    const fraction = (abs % scale).toString().padStart(USDC_DECIMALS, "0");
+    return `${sign}$${whole}.${fraction}`;
+}
+
+module.exports = {
+    BASE_PRICE,
+    TOTAL_SUPPLY,
+    SMOOTHING_FACTOR,
+    PLATFORM_FEE_RATE,
+    BASIS_POINTS,
+    PRECISION,
+    CURVE_PRECISION,
+    USDC_DECIMALS,
+    MAX_BASE_PRICE,
+    MAX_TOTAL_SUPPLY,
+    MIN_SMOOTHING_FACTOR,
+    MAX_SMOOTHING_FACTOR,
+    MAX_PLATFORM_FEE_RATE,
+    DEFAULT_CURVE,
+    createCurve,
+    curveFromTeamInfo,
+    getSigmoidFactor,
+    getPriceAtSupply,
+    calculatePlatformFee,
+    calculatePurchaseCost,
+    calculatePurchaseCostIterative,
+    getPriceAfterPurchase,
+    getMaxTokensForBudget,
+    quoteMarketBuy,
+    quoteMarketSell,
+    formatUSDC,
+};
@@ -0,0 +1,25 @@
+/**
+ * Sportfolio Random Helper
+ * Seeded pseudo-random numbers for the demand simulator and the randomized tests,
+ * so every run can be reproduced from its seed.
+ */
+
+/**
+ * Deterministic pseudo-random generator (mulberry32), uniform in [0, 1)
+ * @param {number} seed 32-bit seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    createRandom,
+};
@@ -0,0 +1,96 @@
+/**
+ * Sportfolio Reward Distribution Library
+ * Builds the holder balance snapshot behind SportfolioRewards.createDistribution / claim
+ * from an event index (lib/indexer.js).
+ *
+ * Leaves are (holder, balance) with the presale encoding,
+ * keccak256(keccak256(abi.encode(address, uint256))), so the tree comes from lib/presale.js.
+ * A holder's reward is amount × balance / totalBalance, rounded down, as the contract computes it.
+ */
+
+const { getAddress } = require("ethers");
+const indexer = require("./indexer");
+const { getPresaleLeaf, buildPresaleTree, verifyPresaleProof } = require("./presale");
+
+/**
+ * Leaf hash for a snapshot entry, as computed by SportfolioRewards.claim
+ * @param {string} address Holder address
+ * @param {bigint|number|string} balance Snapshot balance in tokens
+ * @returns {string} 0x-prefixed bytes32
+ */
+function getRewardLeaf(address, balance) {
+    return getPresaleLeaf(address, balance);
+}
+
+/**
+ * A snapshot balance's share of a distribution, as SportfolioRewards.getReward computes it
+ * @param {bigint} amount USDC units funded
+ * @param {bigint} balance Holder's snapshot balance
+ * @param {bigint} totalBalance Sum of the snapshot balances
+ * @returns {bigint} USDC units (rounded down)
+ */
+function getReward(amount, balance, totalBalance) {
+    return (BigInt(amount) * BigInt(balance)) / BigInt(totalBalance);
+}
+
+/**
+ * Snapshot a team's holder balances at a block and build the reward tree
+ * @param {object} index Index state (synced at least to blockNumber)
+ * @param {bigint|number|string} tokenId Team token ID
+ * @param {object} [options]
+ * @param {number} [options.blockNumber] Snapshot block (default: the index's checkpoint)
+ * @param {string[]} [options.exclude] Holders left out of the snapshot, e.g. the market reserve
+ * @returns {{tokenId: string, blockNumber: number, totalBalance: string, root: string,
+ *   holders: Object<string, {balance: string, proof: string[]}>}}
+ *   holders is keyed by checksummed address; amounts are decimal strings (JSON-safe)
+ */
+function buildRewardSnapshot(index, tokenId, { blockNumber, exclude = [] } = {}) {
+    if (!index.checkpoint) throw new Error("Index is empty; sync it first");
+    const snapshotBlock = blockNumber === undefined ? index.checkpoint.blockNumber : Number(blockNumber);
+    if (snapshotBlock > index.checkpoint.blockNumber) {
+        throw new RangeError(`Index has only reached block ${index.checkpoint.blockNumber}, not ${snapshotBlock}`);
+    }
+    if (!indexer.getTeams(index).has(tokenId.toString())) {
+        throw new Error(`Team #${tokenId} was not added within the indexed blocks`);
+    }
+
+    const excluded = new Set(exclude.map((address) => getAddress(address)));
+    const entries = indexer
+        .getCapTable(index, tokenId, { blockNumber: snapshotBlock })
+        .filter(({ holder }) => !excluded.has(getAddress(holder)))
+        .map(({ holder, balance }) => ({ address: holder, allocation: balance }));
+    if (entries.length === 0) throw new RangeError(`Team #${tokenId} has no holders at block ${snapshotBlock}`);
+
+    const { root, proofs } = buildPresaleTree(entries);
+    const holders = {};
+    for (const [address, { allocation, proof }] of Object.entries(proofs)) {
+        holders[address] = { balance: allocation, proof };
+    }
+
+    return {
+        tokenId: tokenId.toString(),
+        blockNumber: snapshotBlock,
+        totalBalance: entries.reduce((sum, entry) => sum + entry.allocation, 0n).toString(),
+        root,
+        holders,
+    };
+}
+
+/**
+ * Check a proof the same way SportfolioRewards.claim does
+ * @param {string[]} proof Sibling hashes
+ * @param {string} root Snapshot root
+ * @param {string} address Holder address
+ * @param {bigint|number|string} balance Snapshot balance in tokens
+ * @returns {boolean}
+ */
+function verifyRewardProof(proof, root, address, balance) {
+    return verifyPresaleProof(proof, root, address, balance);
+}
+
+module.exports = {
+    getRewardLeaf,
+    getReward,
+    buildRewardSnapshot,
+    verifyRewardProof,
+};
@@ -0,0 +1,482 @@
+/**
+ * Sportfolio IPO Demand Simulation Library
+ * Predicts how a team's IPO plays out under a demand model, for tuning curve parameters
+ * before launch (scripts/simulate-demand.js).
+ *
+ * Demand model:
+ *   arrivals  buyers arrive as a Poisson process, `arrivalRate` per hour, for the `hours`
+ *             the IPO window is open
+ *   budgets   each buyer's USDC budget (fee included) is log-normal: `medianBudget`
+ *             scaled by e^(budgetSigma × z), z standard normal
+ *   buying    each buyer spends its budget like buyTokensWithBudget: the most tokens
+ *             getMaxTokensForBudget (lib/pricing.js) affords at the current supply.
+ *             A buyer who cannot afford one token leaves without buying.
+ *
+ * Purchases are priced with the exact integer curve, so a run can be replayed as real
+ * transactions (replaySimulation) and must match the contract to the last USDC unit.
+ * Run `i` of every grid point uses seed + i, so curves are compared on the same buyers.
+ *
+ * All amounts are BigInt USDC units (6 decimals); hours and probabilities are numbers.
+ */
+
+const {
+    DEFAULT_CURVE,
+    createCurve,
+    getPriceAtSupply,
+    getMaxTokensForBudget,
+    formatUSDC,
+} = require("./pricing");
+const { createRandom } = require("./random");
+const { deployIPO, fundAccounts } = require("./fixtures");
+
+const DEFAULT_DEMAND = Object.freeze({
+    arrivalRate: 350, // Buyers per hour
+    hours: 72, // IPO window length
+    medianBudget: 2_000_000_000n, // $2,000 USD
+    budgetSigma: 1.5, // Spread of the log-normal budget (0 = every buyer has the median)
+});
+const DEFAULT_RUNS = 20;
+const DEFAULT_SEED = 1;
+const PURCHASE_PERCENTILES = [10, 50, 90, 99];
+const CURVE_PARAMETERS = ["basePrice", "totalSupply", "smoothingFactor", "platformFeeRate"];
+
+const REPLAY_TOKEN_ID = 1n;
+
+/**
+ * Validate a demand model, filling in defaults for omitted values
+ * @param {object} [demand] { arrivalRate, hours, medianBudget, budgetSigma }
+ * @returns {{arrivalRate: number, hours: number, medianBudget: bigint, budgetSigma: number}}
+ */
+function createDemand(demand = {}) {
+    const model = { ...DEFAULT_DEMAND, ...demand };
+    const arrivalRate = Number(model.arrivalRate);
+    const hours = Number(model.hours);
+    const budgetSigma = Number(model.budgetSigma);
+    const medianBudget = BigInt(model.medianBudget);
+
+    if (!(arrivalRate > 0) || !Number.isFinite(arrivalRate)) throw new RangeError("Arrival rate must be positive");
+    if (!(hours > 0) || !Number.isFinite(hours)) throw new RangeError("IPO window must be positive");
+    if (medianBudget <= 0n) throw new RangeError("Median budget must be positive");
+    if (!(budgetSigma >= 0) || !Number.isFinite(budgetSigma)) throw new RangeError("Budget sigma cannot be negative");
+
+    return Object.freeze({ arrivalRate, hours, medianBudget, budgetSigma });
+}
+
+// Standard normal sample (Box-Muller)
+function normalSample(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function drawBudget(random, demand) {
+    const budget = Math.round(Number(demand.medianBudget) * Math.exp(demand.budgetSigma * normalSample(random)));
+    return budget >= 1 ? BigInt(budget) : 1n;
+}
+
+/**
+ * Simulate one IPO: buyers arrive until the team sells out or its window closes
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @param {object} [demand] Demand model (see createDemand)
+ * @param {object} [options]
+ * @param {number} [options.seed] Random seed (default 1)
+ * @returns {{seed: number, buyers: Array<{hour: number, budget: bigint, amount: bigint, tokenCost: bigint, platformFee: bigint}>,
+ *   tokensSold: bigint, revenue: bigint, fees: bigint, soldOut: boolean, sellOutHour: number|null, finalPrice: bigint}}
+ *   buyers lists every arrival in order; amount is 0 for a buyer who could not afford a token.
+ *   revenue is the token cost paid, fees excluded
+ */
+function simulateIPO(curve = DEFAULT_CURVE, demand = DEFAULT_DEMAND, { seed = DEFAULT_SEED } = {}) {
+    const params = createCurve(curve);
+    const model = createDemand(demand);
+    const random = createRandom(seed);
+
+    const buyers = [];
+    let sold = 0n;
+    let revenue = 0n;
+    let fees = 0n;
+    let sellOutHour = null;
+    let hour = -Math.log(1 - random()) / model.arrivalRate;
+    while (hour < model.hours) {
+        const budget = drawBudget(random, model);
+        const { amount, tokenCost, platformFee } = getMaxTokensForBudget(sold, budget, params);
+        buyers.push({ hour, budget, amount, tokenCost, platformFee });
+        sold += amount;
+        revenue += tokenCost;
+        fees += platformFee;
+        if (sold === params.totalSupply) {
+            sellOutHour = hour;
+            break;
+        }
+        hour += -Math.log(1 - random()) / model.arrivalRate;
+    }
+
+    return {
+        seed,
+        buyers,
+        tokensSold: sold,
+        revenue,
+        fees,
+        soldOut: sellOutHour !== null,
+        sellOutHour,
+        finalPrice: getPriceAtSupply(sold, params),
+    };
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @param {Array<bigint|number>} sorted Ascending values
+ * @param {number} percent 0 < percent <= 100
+ * @returns {bigint|number|null} null for an empty array
+ */
+function percentile(sorted, percent) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil((percent / 100) * sorted.length) - 1)];
+}
+
+function sortBigInts(values) {
+    return values.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Simulate a curve many times and summarize the runs
+ * @param {object} [curve] Team curve parameters (default curve if omitted)
+ * @param {object} [demand] Demand model (see createDemand)
+ * @param {object} [options]
+ * @param {number} [options.runs] Number of runs (default 20)
+ * @param {number} [options.seed] Seed of the first run (default 1)
+ * @returns {object} One flat row: the curve parameters, runs, sellOutProbability,
+ *   sellOutHoursP50 / P90 (over runs that sold out, null if none did), revenueMean / P10 / P50 / P90,
+ *   feesMean, averagePrice (revenue per token over all runs), finalPriceMean,
+ *   purchaseP10 / P50 / P90 / P99 (tokens per purchase over all runs), buyersMean,
+ *   purchasesMean and pricedOutRate (share of buyers who could not afford a token)
+ */
+function runScenario(curve = DEFAULT_CURVE, demand = DEFAULT_DEMAND, { runs = DEFAULT_RUNS, seed = DEFAULT_SEED } = {}) {
+    const params = createCurve(curve);
+    const model = createDemand(demand);
+    if (!Number.isInteger(runs) || runs < 1) throw new RangeError("Runs must be a positive integer");
+
+    const revenues = [];
+    const sellOutHours = [];
+    const purchaseSizes = [];
+    let fees = 0n;
+    let tokens = 0n;
+    let finalPrices = 0n;
+    let buyers = 0;
+    let pricedOut = 0;
+    for (let i = 0; i < runs; i++) {
+        const run = simulateIPO(params, model, { seed: seed + i });
+        revenues.push(run.revenue);
+        if (run.soldOut) sellOutHours.push(run.sellOutHour);
+        for (const buyer of run.buyers) {
+            if (buyer.amount > 0n) purchaseSizes.push(buyer.amount);
+            else pricedOut++;
+        }
+        fees += run.fees;
+        tokens += run.tokensSold;
+        finalPrices += run.finalPrice;
+        buyers += run.buyers.length;
+    }
+
+    sortBigInts(revenues);
+    sortBigInts(purchaseSizes);
+    sellOutHours.sort((a, b) => a - b);
+    const totalRevenue = revenues.reduce((sum, revenue) => sum + revenue, 0n);
+    const row = {
+        ...params,
+        runs,
+        sellOutProbability: sellOutHours.length / runs,
+        sellOutHoursP50: percentile(sellOutHours, 50),
+        sellOutHoursP90: percentile(sellOutHours, 90),
+        revenueMean: totalRevenue / BigInt(runs),
+        revenueP10: percentile(revenues, 10),
+        revenueP50: percentile(revenues, 50),
+        revenueP90: percentile(revenues, 90),
+        feesMean: fees / BigInt(runs),
+        averagePrice: tokens === 0n ? null : totalRevenue / tokens,
+        finalPriceMean: finalPrices / BigInt(runs),
+    };
+    for (const percent of PURCHASE_PERCENTILES) {
+        row[`purchaseP${percent}`] = percentile(purchaseSizes, percent);
+    }
+    row.buyersMean = buyers / runs;
+    row.purchasesMean = purchaseSizes.length / runs;
+    row.pricedOutRate = buyers === 0 ? 0 : pricedOut / buyers;
+    return row;
+}
+
+/**
+ * Every combination of the grid's curve parameters, in order
+ * @param {object} grid { basePrice: [...], totalSupply: [...], smoothingFactor: [...], platformFeeRate: [...] };
+ *   an omitted or empty list uses the default curve's value
+ * @returns {Array<object>} Unvalidated curves
+ */
+function expandGrid(grid = {}) {
+    let curves = [{}];
+    for (const name of CURVE_PARAMETERS) {
+        const values = grid[name] && grid[name].length > 0 ? grid[name] : [DEFAULT_CURVE[name]];
+        curves = curves.flatMap((curve) => values.map((value) => ({ ...curve, [name]: BigInt(value) })));
+    }
+    return curves;
+}
+
+/**
+ * Run runScenario for every curve of a parameter grid
+ * Curves addTeam would reject (e.g. a smoothing factor too small for the supply) are skipped
+ * @param {object} grid Parameter lists (see expandGrid)
+ * @param {object} [demand] Demand model (see createDemand)
+ * @param {object} [options] runs and seed (see runScenario)
+ * @param {Function} [options.onScenario] Called with each row as it completes
+ * @returns {{rows: Array<object>, skipped: Array<{curve: object, reason: string}>}}
+ */
+function sweepGrid(grid, demand = DEFAULT_DEMAND, options = {}) {
+    const model = createDemand(demand);
+    const rows = [];
+    const skipped = [];
+    for (const candidate of expandGrid(grid)) {
+        let curve;
+        try {
+            curve = createCurve(candidate);
+        } catch (error) {
+            skipped.push({ curve: candidate, reason: error.message });
+            continue;
+        }
+        const row = runScenario(curve, model, options);
+        rows.push(row);
+        if (options.onScenario) options.onScenario(row);
+    }
+    return { rows, skipped };
+}
+
+/**
+ * Sweep rows as CSV, in raw units (USDC has 6 decimals); null values are left empty
+ * @param {Array<object>} rows sweepGrid rows
+ * @returns {string}
+ */
+function toCSV(rows) {
+    if (rows.length === 0) return "";
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => (row[column] === null ? "" : row[column].toString())).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+function formatDollars(usdcUnits) {
+    return usdcUnits === null ? "-" : `$${(usdcUnits / 1_000_000n).toLocaleString("en-US")}`;
+}
+
+// Prices with cents only, e.g. $27.50
+function formatPrice(usdcUnits) {
+    return usdcUnits === null ? "-" : `$${(Number(usdcUnits) / 1e6).toFixed(2)}`;
+}
+
+function formatHours(hours) {
+    return hours === null ? "-" : `${hours.toFixed(1)} h`;
+}
+
+function formatTokens(amount) {
+    return amount === null ? "-" : amount.toLocaleString("en-US");
+}
+
+function formatPercent(share) {
+    return `${(share * 100).toFixed(0)}%`;
+}
+
+/**
+ * Markdown summary of a sweep: the demand assumptions, one table row per curve,
+ * the curve with the highest mean revenue, and skipped curves
+ * @param {Array<object>} rows sweepGrid rows
+ * @param {object} [options]
+ * @param {object} [options.demand] Demand model the rows were simulated with
+ * @param {number} [options.seed] Seed of the first run
+ * @param {Array<{curve: object, reason: string}>} [options.skipped] sweepGrid skipped curves
+ * @returns {string}
+ */
+function toMarkdown(rows, { demand = DEFAULT_DEMAND, seed = DEFAULT_SEED, skipped = [] } = {}) {
+    const model = createDemand(demand);
+    const lines = [
+        "# IPO Demand Simulation",
+        "",
+        `Demand: ${model.arrivalRate} buyers/hour for ${model.hours} hours, median budget ${formatDollars(model.medianBudget)} ` +
+            `(log-normal, sigma ${model.budgetSigma}); ${rows.length > 0 ? rows[0].runs : 0} runs per curve from seed ${seed}.`,
+        "",
+        "| Base price | Supply | Smoothing | Fee | Sell-out | Sell-out time (p50 / p90) | Revenue (mean) | Revenue (p10 - p90) " +
+            "| Fees (mean) | Avg price | Final price | Purchase size (p10 / p50 / p90 / p99) | Priced out |",
+        "|---|---|---|---|---|---|---|---|---|---|---|---|---|",
+    ];
+    for (const row of rows) {
+        lines.push("| " + [
+            formatPrice(row.basePrice),
+            formatTokens(row.totalSupply),
+            formatTokens(row.smoothingFactor),
+            `${Number(row.platformFeeRate) / 100}%`,
+            formatPercent(row.sellOutProbability),
+            `${formatHours(row.sellOutHoursP50)} / ${formatHours(row.sellOutHoursP90)}`,
+            formatDollars(row.revenueMean),
+            `${formatDollars(row.revenueP10)} - ${formatDollars(row.revenueP90)}`,
+            formatDollars(row.feesMean),
+            formatPrice(row.averagePrice),
+            formatPrice(row.finalPriceMean),
+            PURCHASE_PERCENTILES.map((percent) => formatTokens(row[`purchaseP${percent}`])).join(" / "),
+            formatPercent(row.pricedOutRate),
+        ].join(" | ") + " |");
+    }
+
+    if (rows.length > 0) {
+        const best = rows.reduce((top, row) => (row.revenueMean > top.revenueMean ? row : top));
+        lines.push(
+            "",
+            `Highest mean revenue: base price ${formatPrice(best.basePrice)}, supply ${formatTokens(best.totalSupply)}, ` +
+                `smoothing ${formatTokens(best.smoothingFactor)} (${formatDollars(best.revenueMean)}, ` +
+                `sells out in ${formatPercent(best.sellOutProbability)} of runs).`
+        );
+    }
+    if (skipped.length > 0) {
+        lines.push("", "Skipped curves (addTeam would reject them):");
+        for (const { curve, reason } of skipped) {
+            lines.push(`- base price ${formatPrice(curve.basePrice)}, supply ${formatTokens(curve.totalSupply)}, ` +
+                `smoothing ${formatTokens(curve.smoothingFactor)}: ${reason}`);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Replay a simulated run as real transactions on the in-process Hardhat network and
+ * compare every purchase with the model
+ *
+ * Deploys MockUSDC and SportfolioIPO, adds the team with the run's curve and a window of
+ * demand.hours, then sends each buyer's buyTokensWithBudget at its arrival time (whole
+ * seconds, at least one second apart). Buyers rotate over the signers after the deployer.
+ * For a buyer the model priced out, getMaxPurchaseForBudget must return 0.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} curve Curve the run was simulated with
+ * @param {object} demand Demand model the run was simulated with
+ * @param {object} run simulateIPO result
+ * @param {object} [options]
+ * @param {number} [options.limit] Replay only the first `limit` buyers
+ * @param {Function} [options.log] Progress logger (default: silent)
+ * @returns {Promise<{replayed: number, truncated: boolean, mismatches: string[], contract: object}>}
+ *   truncated is true when buyers were left out (limit, or arrivals pushed past the window);
+ *   contract has the on-chain tokensSold, proceeds, fees, completed and currentPrice after the replay
+ */
+async function replaySimulation(hre, curve, demand, run, options = {}) {
+    const { ethers } = hre;
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The replay deploys its own contracts; run it on the hardhat network, not ${hre.network.name}`);
+    }
+    const params = createCurve(curve);
+    const model = createDemand(demand);
+    const log = options.log || (() => {});
+    const limit = options.limit === undefined ? run.buyers.length : Math.min(options.limit, run.buyers.length);
+    const buyers = run.buyers.slice(0, limit);
+    const provider = ethers.provider;
+
+    const [owner, ...wallets] = await ethers.getSigners();
+    const { mockUSDC, sportfolioIPO } = await deployIPO(hre, owner.address);
+    const ipo = await sportfolioIPO.getAddress();
+
+    // Each wallet is funded with exactly the budgets it will spend
+    const budgets = new Map();
+    buyers.forEach((buyer, i) => {
+        const wallet = wallets[i % wallets.length];
+        budgets.set(wallet, (budgets.get(wallet) || 0n) + buyer.budget);
+    });
+    for (const [wallet, total] of budgets) {
+        await fundAccounts(mockUSDC, [wallet], total, [ipo]);
+    }
+
+    const startTime = BigInt((await provider.getBlock("latest")).timestamp) + 60n;
+    const endTime = startTime + BigInt(Math.ceil(model.hours * 3600));
+    await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256,uint256,uint256)"](
+        REPLAY_TOKEN_ID, "Simulation", params.basePrice, params.totalSupply,
+        params.smoothingFactor, params.platformFeeRate, startTime, endTime
+    );
+
+    const mismatches = [];
+    let lastTimestamp = BigInt((await provider.getBlock("latest")).timestamp);
+    let replayed = 0;
+    for (const [i, buyer] of buyers.entries()) {
+        if (buyer.amount === 0n) {
+            // Nothing is sent for a priced-out buyer; the contract's budget query must agree
+            const affordable = await sportfolioIPO.getMaxPurchaseForBudget(REPLAY_TOKEN_ID, buyer.budget);
+            if (affordable !== 0n) {
+                mismatches.push(`Buyer ${i}: the model priced out a budget of ${formatUSDC(buyer.budget)}, the contract sells ${affordable} tokens`);
+            }
+            replayed++;
+            continue;
+        }
+
+        const arrival = startTime + BigInt(Math.floor(buyer.hour * 3600));
+        const timestamp = arrival > lastTimestamp ? arrival : lastTimestamp + 1n;
+        if (timestamp >= endTime) break;
+        await provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+        lastTimestamp = timestamp;
+
+        const wallet = wallets[i % wallets.length];
+        const balanceBefore = await mockUSDC.balanceOf(wallet.address);
+        const receipt = await (await sportfolioIPO.connect(wallet).buyTokensWithBudget(
+            REPLAY_TOKEN_ID, buyer.budget, buyer.amount, ethers.MaxUint256
+        )).wait();
+        const event = receipt.logs
+            .map((entry) => sportfolioIPO.interface.parseLog(entry))
+            .find((parsed) => parsed && parsed.name === "TokensPurchased");
+        const paid = balanceBefore - (await mockUSDC.balanceOf(wallet.address));
+        // TokensPurchased's totalCost is the token cost, fee excluded
+        if (event.args.amount !== buyer.amount || event.args.totalCost !== buyer.tokenCost || event.args.platformFee !== buyer.platformFee) {
+            mismatches.push(
+                `Buyer ${i}: model ${buyer.amount} tokens for ${buyer.tokenCost} + ${buyer.platformFee} fee, ` +
+                `contract ${event.args.amount} tokens for ${event.args.totalCost} + ${event.args.platformFee} fee`
+            );
+        } else if (paid !== buyer.tokenCost + buyer.platformFee) {
+            mismatches.push(`Buyer ${i}: paid ${paid}, model ${buyer.tokenCost + buyer.platformFee}`);
+        }
+        replayed++;
+        if (replayed % 100 === 0) log(`Replayed ${replayed}/${buyers.length} buyers`);
+    }
+
+    const expected = buyers.slice(0, replayed).reduce(
+        (sum, buyer) => ({
+            tokensSold: sum.tokensSold + buyer.amount,
+            proceeds: sum.proceeds + buyer.tokenCost,
+            fees: sum.fees + buyer.platformFee,
+        }),
+        { tokensSold: 0n, proceeds: 0n, fees: 0n }
+    );
+    const funds = await sportfolioIPO.teamFunds(REPLAY_TOKEN_ID);
+    const contract = {
+        tokensSold: await sportfolioIPO.getTokensSold(REPLAY_TOKEN_ID),
+        proceeds: funds.proceeds,
+        fees: funds.feesCollected,
+        completed: (await sportfolioIPO.getTeamInfo(REPLAY_TOKEN_ID)).completed,
+        currentPrice: await sportfolioIPO.getCurrentPrice(REPLAY_TOKEN_ID),
+    };
+    for (const name of ["tokensSold", "proceeds", "fees"]) {
+        if (contract[name] !== expected[name]) mismatches.push(`Total ${name}: model ${expected[name]}, contract ${contract[name]}`);
+    }
+    const truncated = replayed < run.buyers.length;
+    if (!truncated && contract.completed !== run.soldOut) {
+        mismatches.push(`Sell-out: model ${run.soldOut}, contract ${contract.completed}`);
+    }
+    const expectedPrice = getPriceAtSupply(expected.tokensSold, params);
+    if (contract.currentPrice !== expectedPrice) {
+        mismatches.push(`Price after the replay: model ${expectedPrice}, contract ${contract.currentPrice}`);
+    }
+
+    return { replayed, truncated, mismatches, contract };
+}
+
+module.exports = {
+    DEFAULT_DEMAND,
+    DEFAULT_RUNS,
+    DEFAULT_SEED,
+    createDemand,
+    simulateIPO,
+    percentile,
+    runScenario,
+    expandGrid,
+    sweepGrid,
+    toCSV,
+    toMarkdown,
+    replaySimulation,
+};
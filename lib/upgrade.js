@@ -0,0 +1,128 @@
+/**
+ * Sportfolio Upgrade Library
+ * Upgrades the SportfolioIPOUpgradeable proxy deployed by lib/deployment.js ("upgradeable": true)
+ * to a new implementation contract, in one of the admin modes (see lib/admin.js):
+ *
+ *   send      Deploy the new implementation and upgrade the proxy (the signer must own the ProxyAdmin)
+ *   dry-run   Only run the checks below; nothing is sent
+ *   unsigned  Deploy the new implementation, then return a Safe Transaction Builder batch
+ *             calling ProxyAdmin.upgradeAndCall for a multisig ProxyAdmin owner
+ *
+ * Every mode first runs the OpenZeppelin upgrades plugin checks: the new contract must be
+ * upgrade safe and its storage layout compatible with the one the proxy uses (no variables
+ * removed, reordered, retyped or inserted before existing ones). The layout in use comes from
+ * the plugin's network file, .openzeppelin/<network>.json, written when the proxy was deployed.
+ */
+
+const { getAddress } = require("ethers");
+const { MODES, buildSafeBatch } = require("./admin");
+const { getRecordPath, readDeploymentRecord, writeDeploymentRecord } = require("./deployment");
+
+// ProxyAdmin deployed with each transparent proxy (OpenZeppelin Contracts 5)
+const PROXY_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+];
+
+/**
+ * Upgrade the recorded SportfolioIPO proxy to contractName
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName New implementation, e.g. "SportfolioIPOUpgradeableV2"
+ * @param {object} [options]
+ * @param {string} [options.mode="send"] One of MODES
+ * @param {string} [options.recordPath] Deployment record path (default deployments/<network>.json)
+ * @param {Function} [options.log] Progress logger (default console.log)
+ * @returns {Promise<object>} { mode, proxy, proxyAdmin, owner, contract, previousImplementation } plus
+ *   send: { implementation, hash, blockNumber }
+ *   unsigned: { implementation, batch } where batch is a Safe Transaction Builder file
+ */
+async function upgradeSportfolio(hre, contractName, options = {}) {
+    const { ethers, upgrades } = hre;
+    const mode = options.mode || MODES.SEND;
+    if (!Object.values(MODES).includes(mode)) {
+        throw new RangeError(`Unknown mode "${mode}"`);
+    }
+    const recordPath = options.recordPath || getRecordPath(hre.network.name);
+    const log = options.log || console.log;
+
+    const record = readDeploymentRecord(recordPath);
+    const entry = record.contracts.SportfolioIPO;
+    if (!entry || !entry.address) {
+        throw new Error(`No SportfolioIPO in ${recordPath}; deploy first`);
+    }
+    if (!entry.proxy) {
+        throw new Error(`SportfolioIPO at ${entry.address} was deployed without a proxy and cannot be upgraded`);
+    }
+
+    const proxy = entry.address;
+    const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxy);
+    if (entry.pendingUpgrade && entry.pendingUpgrade.implementation === previousImplementation) {
+        // A multisig executed the batch of an earlier unsigned run
+        entry.contract = entry.pendingUpgrade.contract;
+        entry.implementation = entry.pendingUpgrade.implementation;
+        entry.upgrades = [...(entry.upgrades || []), entry.pendingUpgrade];
+        delete entry.pendingUpgrade;
+        writeDeploymentRecord(recordPath, record);
+    }
+
+    const proxyAdmin = await upgrades.erc1967.getAdminAddress(proxy);
+    const [signer] = await ethers.getSigners();
+    const admin = new ethers.Contract(proxyAdmin, PROXY_ADMIN_ABI, signer);
+    const owner = await admin.owner();
+    const factory = await ethers.getContractFactory(contractName);
+
+    // Throws the plugin's report (e.g. "New storage layout is incompatible") when a check fails
+    await upgrades.validateUpgrade(proxy, factory, { kind: "transparent" });
+    log(`${contractName} is upgrade safe and storage-compatible with ${entry.contract} at ${proxy}`);
+
+    const summary = { mode, proxy, proxyAdmin, owner, contract: contractName, previousImplementation };
+    if (mode === MODES.DRY_RUN) {
+        return summary;
+    }
+
+    if (mode === MODES.SEND) {
+        if (getAddress(owner) !== getAddress(signer.address)) {
+            throw new Error(`Signer ${signer.address} does not own ProxyAdmin ${proxyAdmin} (owner ${owner}); use unsigned mode to prepare a multisig transaction`);
+        }
+        const upgraded = await upgrades.upgradeProxy(proxy, factory, { kind: "transparent" });
+        const tx = upgraded.deployTransaction;
+        const receipt = await tx.wait();
+        const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+
+        delete entry.pendingUpgrade;
+        entry.contract = contractName;
+        entry.implementation = implementation;
+        entry.upgrades = [
+            ...(entry.upgrades || []),
+            { contract: contractName, implementation, txHash: tx.hash, blockNumber: receipt.blockNumber },
+        ];
+        writeDeploymentRecord(recordPath, record);
+        log(`SportfolioIPO at ${proxy} upgraded to ${contractName} at ${implementation} (tx ${tx.hash})`);
+        return { ...summary, implementation, hash: tx.hash, blockNumber: receipt.blockNumber };
+    }
+
+    // Unsigned: the implementation is deployed (anyone may), only the upgrade itself needs the owner
+    const implementation = getAddress(await upgrades.prepareUpgrade(proxy, factory, { kind: "transparent" }));
+    await admin.connect(ethers.provider).upgradeAndCall.staticCall(proxy, implementation, "0x", { from: owner });
+    const tx = await admin.upgradeAndCall.populateTransaction(proxy, implementation, "0x");
+    const { chainId } = await ethers.provider.getNetwork();
+
+    entry.pendingUpgrade = { contract: contractName, implementation };
+    writeDeploymentRecord(recordPath, record);
+    log(`${contractName} implementation at ${implementation}; the ProxyAdmin owner ${owner} must execute the upgrade`);
+    return {
+        ...summary,
+        implementation,
+        batch: buildSafeBatch(
+            chainId,
+            owner,
+            `Upgrade SportfolioIPO to ${contractName}`,
+            `upgradeAndCall(${proxy}, ${implementation}) on ProxyAdmin ${proxyAdmin}`,
+            [tx]
+        ),
+    };
+}
+
+module.exports = {
+    upgradeSportfolio,
+};
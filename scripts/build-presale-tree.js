@@ -0,0 +1,48 @@
+/**
+ * Presale Allowlist Builder
+ * Turns a CSV of `address,allocation` lines into the Merkle root for
+ * SportfolioIPO.setPresaleRoot and a JSON file of per-address proofs for the frontend
+ *
+ * Usage: node scripts/build-presale-tree.js <allowlist.csv> [proofs.json]
+ *
+ * The JSON file has the form:
+ *   { "root": "0x...", "proofs": { "0xAbC...": { "allocation": "5000", "proof": ["0x...", ...] } } }
+ * Frontend: look up the connected address (checksummed) and call
+ *   buyPresaleTokens(tokenId, amount, maxTotalCost, deadline, allocation, proof)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseAllowlistCsv, buildPresaleTree } = require("../lib/presale");
+
+function main() {
+    const [csvPath, outputArg] = process.argv.slice(2);
+    if (!csvPath) {
+        console.error("Usage: node scripts/build-presale-tree.js <allowlist.csv> [proofs.json]");
+        process.exit(1);
+    }
+
+    const outputPath = outputArg || path.join(path.dirname(csvPath), `${path.basename(csvPath, path.extname(csvPath))}.proofs.json`);
+
+    const entries = parseAllowlistCsv(fs.readFileSync(csvPath, "utf8"));
+    const { root, proofs } = buildPresaleTree(entries);
+    const totalAllocation = entries.reduce((sum, entry) => sum + entry.allocation, 0n);
+
+    fs.writeFileSync(outputPath, JSON.stringify({ root, proofs }, null, 2) + "\n");
+
+    console.log("=".repeat(80));
+    console.log("Presale Allowlist");
+    console.log("=".repeat(80));
+    console.log(`Addresses:        ${entries.length}`);
+    console.log(`Total allocation: ${totalAllocation.toLocaleString("en-US")} tokens`);
+    console.log(`Proofs written:   ${outputPath}`);
+    console.log();
+    console.log(`Merkle root (for setPresaleRoot): ${root}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
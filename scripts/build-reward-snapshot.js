@@ -0,0 +1,89 @@
+/**
+ * Reward Snapshot Builder
+ * Snapshots a team's holder balances from the event index (scripts/indexer.js sync)
+ * into the Merkle root for SportfolioRewards.createDistribution and a JSON file of
+ * per-holder proofs for the frontend
+ *
+ * Usage:
+ *   node scripts/build-reward-snapshot.js --team 1 [--block N] [--network sepolia] [--store PATH]
+ *     [--exclude 0x...,0x...] [--amount 5000] [--out snapshot.json]
+ *
+ * Defaults: the store is data/index-<network>.json, the snapshot block the last indexed block,
+ * and the output data/rewards-<network>-team<id>-block<N>.json. Exclude addresses that cannot
+ * claim, e.g. the SportfolioMarket reserve. With --amount (USDC), the largest rewards are printed.
+ *
+ * The JSON file has the form:
+ *   { "tokenId": "1", "blockNumber": 123, "totalBalance": "2000000", "root": "0x...",
+ *     "holders": { "0xAbC...": { "balance": "5000", "proof": ["0x...", ...] } } }
+ * Frontend: look up the connected address (checksummed) and call
+ *   claim(distributionId, balance, proof)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const indexer = require("../lib/indexer");
+const { buildRewardSnapshot, getReward } = require("../lib/rewards");
+const { formatUSDC } = require("../lib/pricing");
+const { parseUSDC } = require("../lib/admin");
+
+const OPTIONS = {
+    network: { type: "string", default: "sepolia" },
+    store: { type: "string" },
+    team: { type: "string" },
+    block: { type: "string" },
+    exclude: { type: "string", default: "" },
+    amount: { type: "string" },
+    out: { type: "string" },
+};
+
+function main() {
+    const { values: options } = parseArgs({ options: OPTIONS });
+    if (options.team === undefined) {
+        console.error("Usage: node scripts/build-reward-snapshot.js --team <id> [--block N] [--network sepolia] [--store PATH] [--exclude 0x...,0x...] [--amount USDC] [--out PATH]");
+        process.exit(1);
+    }
+
+    const storePath = options.store || path.join(__dirname, "..", "data", `index-${options.network}.json`);
+    const index = indexer.loadIndex(storePath);
+    if (!index) throw new Error(`No index at ${storePath}; run scripts/indexer.js sync first`);
+
+    const snapshot = buildRewardSnapshot(index, options.team, {
+        blockNumber: options.block,
+        exclude: options.exclude.split(",").map((address) => address.trim()).filter(Boolean),
+    });
+    const outputPath = options.out ||
+        path.join(__dirname, "..", "data", `rewards-${options.network}-team${snapshot.tokenId}-block${snapshot.blockNumber}.json`);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(snapshot, null, 2) + "\n");
+
+    const holders = Object.entries(snapshot.holders);
+    console.log("=".repeat(80));
+    console.log(`Reward Snapshot: team #${snapshot.tokenId} at block ${snapshot.blockNumber}`);
+    console.log("=".repeat(80));
+    console.log(`Holders:        ${holders.length}`);
+    console.log(`Total balance:  ${BigInt(snapshot.totalBalance).toLocaleString("en-US")} tokens`);
+    console.log(`Proofs written: ${outputPath}`);
+
+    if (options.amount !== undefined) {
+        const amount = parseUSDC(options.amount);
+        console.log();
+        console.log(`Largest rewards of ${formatUSDC(amount)}:`);
+        holders
+            .sort(([, a], [, b]) => (BigInt(b.balance) > BigInt(a.balance) ? 1 : BigInt(b.balance) < BigInt(a.balance) ? -1 : 0))
+            .slice(0, 10)
+            .forEach(([address, { balance }]) => {
+                console.log(`  ${address}  ${formatUSDC(getReward(amount, balance, snapshot.totalBalance))}`);
+            });
+    }
+
+    console.log();
+    console.log(`createDistribution(${snapshot.tokenId}, ${snapshot.root}, ${snapshot.blockNumber}, ${snapshot.totalBalance}, <amount>, <claimDeadline>)`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
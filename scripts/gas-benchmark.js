@@ -0,0 +1,90 @@
+/**
+ * Gas Benchmark
+ * Measures the gas used by purchases (a matrix of purchase sizes and supply levels),
+ * addTeam, transfers and admin calls on a fresh deployment, reports the largest purchase
+ * that fits in a block, and compares everything with benchmarks/gas-baseline.json.
+ * Exits with status 1 when any measurement is more than the threshold above its baseline.
+ *
+ * Usage:
+ *   npx hardhat run scripts/gas-benchmark.js --network hardhat
+ *   UPDATE_BASELINE=1 npx hardhat run scripts/gas-benchmark.js --network hardhat
+ *
+ * Environment:
+ *   BLOCK_GAS_LIMIT   Gas limit for the limits section (default 30000000)
+ *   GAS_THRESHOLD     Allowed increase in percent before failing (default 2)
+ *   BASELINE          Baseline file (default benchmarks/gas-baseline.json)
+ *   UPDATE_BASELINE   Write this run as the new baseline instead of comparing
+ *
+ * Measurements depend on the compiler settings in hardhat.config.js; update the baseline
+ * in the same commit as an intended gas change, so reviewers see the difference.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const gas = require("../lib/gas");
+
+function formatChange(change) {
+  if (change === null) return "new";
+  const percent = (change * 100).toFixed(2);
+  return change > 0 ? `+${percent}%` : `${percent}%`;
+}
+
+async function main() {
+  const baselinePath = process.env.BASELINE || path.join(__dirname, "..", "benchmarks", "gas-baseline.json");
+  const blockGasLimit = BigInt(process.env.BLOCK_GAS_LIMIT || gas.DEFAULT_BLOCK_GAS_LIMIT);
+  const threshold = process.env.GAS_THRESHOLD === undefined ? gas.DEFAULT_THRESHOLD : Number(process.env.GAS_THRESHOLD) / 100;
+  if (!(threshold >= 0)) {
+    throw new Error(`GAS_THRESHOLD must be a non-negative percentage, got ${process.env.GAS_THRESHOLD}`);
+  }
+
+  console.log("=".repeat(80));
+  console.log("SPORTFOLIO GAS BENCHMARK");
+  console.log("=".repeat(80));
+
+  const result = await gas.runBenchmark(hre, { blockGasLimit });
+
+  if (process.env.UPDATE_BASELINE) {
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    fs.writeFileSync(baselinePath, JSON.stringify(result, null, 2) + "\n");
+    console.log(`\nMeasured ${Object.keys(result.measurements).length} calls; baseline written to ${baselinePath}`);
+    return;
+  }
+
+  const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, "utf8")) : { measurements: {} };
+  const { rows, regressions, missing } = gas.compareWithBaseline(result, baseline, threshold);
+
+  console.log("\n" + "Call".padEnd(48) + "Gas".padStart(10) + "Baseline".padStart(10) + "Change".padStart(10));
+  console.log("-".repeat(78));
+  for (const row of rows) {
+    const marker = regressions.includes(row) ? "  ❌" : "";
+    const before = row.baseline === null ? "-" : row.baseline.toString();
+    console.log(row.name.padEnd(48) + row.gas.toString().padStart(10) + before.padStart(10) + formatChange(row.change).padStart(10) + marker);
+  }
+  for (const name of missing) {
+    console.log(`${name.padEnd(48)}${"-".padStart(10)}${baseline.measurements[name].toString().padStart(10)}   removed`);
+  }
+
+  console.log(`\nLargest buyTokens under a ${blockGasLimit} gas block:`);
+  for (const [level, amount] of Object.entries(result.maxPurchase)) {
+    const before = baseline.maxPurchase && baseline.maxPurchase[level];
+    const note = before !== undefined && before !== amount ? ` (baseline ${before})` : "";
+    console.log(`  at supply ${level.padStart(9)}: ${amount} tokens${note}`);
+  }
+  console.log(`Largest buyTokensBatch: ${result.maxBatchTeams} teams (extrapolated)`);
+
+  if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} measurement(s) regressed by more than ${threshold * 100}%`);
+    console.log("   If the increase is intended, re-run with UPDATE_BASELINE=1 and commit the baseline");
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`\n✅ No measurement regressed by more than ${threshold * 100}%`);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+/**
+ * Metadata Generator
+ * Writes one ERC-1155 metadata JSON file per team registered on the deployed SportfolioIPO
+ * (deployments/<network>.json), named after the {id} the base URI expects:
+ * <64 hex digit token ID>.json. Upload the directory to wherever the base URI points.
+ *
+ * Usage:
+ *   npx hardhat run scripts/generate-metadata.js --network sepolia
+ *   OUT=path/to/dir MANIFEST=path/to/manifest.json npx hardhat run scripts/generate-metadata.js --network sepolia
+ *
+ * OUT defaults to metadata/<network>. Team logos come from the "image" fields of the manifest
+ * (default manifests/<network>.json). Prices and supply are read at the latest block, so
+ * re-run the script to refresh them while IPOs are running.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getSportfolioIPO } = require("../lib/admin");
+const { loadManifest } = require("../lib/deployment");
+const { generateMetadata } = require("../lib/metadata");
+
+async function main() {
+  const network = hre.network.name;
+  const outDir = process.env.OUT || path.join(__dirname, "..", "metadata", network);
+  const manifestPath = process.env.MANIFEST || path.join(__dirname, "..", "manifests", `${network}.json`);
+
+  const images = {};
+  if (fs.existsSync(manifestPath)) {
+    for (const team of loadManifest(manifestPath).teams) {
+      if (team.image) images[team.tokenId.toString()] = team.image;
+    }
+  }
+
+  const sportfolioIPO = await getSportfolioIPO(hre);
+  console.log("Generating metadata for SportfolioIPO at", await sportfolioIPO.getAddress(), "on", network);
+
+  const files = await generateMetadata(sportfolioIPO, { images });
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const file of files) {
+    fs.writeFileSync(path.join(outDir, file.fileName), JSON.stringify(file.metadata, null, 2) + "\n");
+    const logo = file.metadata.image ? "" : " (no image)";
+    console.log(`  ${file.tokenId} ${file.metadata.name}: ${file.fileName}${logo}`);
+    console.log(`    served from ${file.uri}`);
+  }
+
+  console.log(`\n✅ ${files.length} metadata files written to ${outDir}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,196 @@
+/**
+ * Event Indexer
+ * Backfills / follows SportfolioIPO events into a JSON store and prints finance reports
+ *
+ * Usage:
+ *   node scripts/indexer.js sync   [--network sepolia] [--rpc URL] [--contract 0x...] [--from BLOCK] [--confirmations 12]
+ *   node scripts/indexer.js follow [same options] [--interval 15]
+ *   node scripts/indexer.js report cap-table --team 1 [--format table|csv|json]
+ *   node scripts/indexer.js report revenue [--team 1] [--format ...]
+ *   node scripts/indexer.js report prices --team 1 [--format ...]
+ *   node scripts/indexer.js report payees [--team 1] [--format ...]
+ *
+ * Defaults: the store is data/index-<network>.json; the contract address and start block come
+ * from deployments/<network>.json; the RPC URL from SEPOLIA_RPC_URL (sepolia) or
+ * http://127.0.0.1:8545 (any other network, e.g. a local `npx hardhat node`).
+ */
+
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider } = require("ethers");
+require("dotenv").config();
+const indexer = require("../lib/indexer");
+const { formatUSDC } = require("../lib/pricing");
+const { getRecordPath, readDeploymentRecord } = require("../lib/deployment");
+
+const OPTIONS = {
+    network: { type: "string", default: "sepolia" },
+    rpc: { type: "string" },
+    contract: { type: "string" },
+    from: { type: "string" },
+    confirmations: { type: "string", default: "12" },
+    interval: { type: "string", default: "15" },
+    store: { type: "string" },
+    team: { type: "string" },
+    format: { type: "string", default: "table" },
+};
+
+const REPORTS = {
+    "cap-table": {
+        needsTeam: true,
+        rows: (index, team) => indexer.getCapTable(index, team),
+        display: (row) => ({
+            holder: row.holder,
+            balance: row.balance.toLocaleString("en-US"),
+            share: `${(Number(row.shareBps) / 100).toFixed(2)}%`,
+        }),
+    },
+    revenue: {
+        needsTeam: false,
+        rows: (index, team) => indexer.getRevenueByDay(index, { tokenId: team }),
+        display: (row) => ({
+            date: row.date,
+            team: `#${row.tokenId} ${row.team}`,
+            purchases: row.purchases,
+            tokens: row.tokens.toLocaleString("en-US"),
+            revenue: formatUSDC(row.revenue),
+            fees: formatUSDC(row.fees),
+            refunds: formatUSDC(row.refunds),
+        }),
+    },
+    prices: {
+        needsTeam: true,
+        rows: (index, team) => indexer.getPriceSeries(index, team),
+        display: (row) => ({
+            block: row.blockNumber,
+            time: new Date(row.timestamp * 1000).toISOString(),
+            sold: row.tokensSold === null ? "" : row.tokensSold.toLocaleString("en-US"),
+            price: row.price === null ? "" : formatUSDC(row.price),
+            averagePaid: row.averagePrice === null ? "" : formatUSDC(row.averagePrice),
+        }),
+    },
+    payees: {
+        needsTeam: false,
+        rows: (index, team) => indexer.getPayeeBalances(index, { tokenId: team }),
+        display: (row) => ({
+            payee: row.payee,
+            asset: row.asset,
+            teams: row.teams.map((tokenId) => `#${tokenId}`).join(" "),
+            fees: row.fees.toLocaleString("en-US"),
+            royalties: row.royalties.toLocaleString("en-US"),
+            claimed: row.claimed === null ? "" : row.claimed.toLocaleString("en-US"),
+            unclaimed: row.unclaimed === null ? "" : row.unclaimed.toLocaleString("en-US"),
+        }),
+    },
+};
+
+function toPlainValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(toPlainValue);
+    return value;
+}
+
+function toPlain(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toPlainValue(value)]));
+}
+
+function printReport(rows, format, display) {
+    if (format === "json") {
+        console.log(JSON.stringify(rows.map(toPlain), null, 2));
+    } else if (format === "csv") {
+        const plain = rows.map(toPlain);
+        if (plain.length === 0) return;
+        const columns = Object.keys(plain[0]);
+        console.log(columns.join(","));
+        for (const row of plain) {
+            console.log(columns.map((column) => (row[column] === null ? "" : JSON.stringify(row[column]))).join(","));
+        }
+    } else if (format === "table") {
+        console.table(rows.map(display));
+    } else {
+        throw new Error(`Unknown format "${format}" (table, csv or json)`);
+    }
+}
+
+async function openIndex(options, storePath) {
+    const provider = new JsonRpcProvider(
+        options.rpc || (options.network === "sepolia" ? process.env.SEPOLIA_RPC_URL : undefined) || "http://127.0.0.1:8545"
+    );
+    const existing = indexer.loadIndex(storePath);
+    if (existing) {
+        if (options.contract && options.contract.toLowerCase() !== existing.contract.toLowerCase()) {
+            throw new Error(`${storePath} indexes ${existing.contract}; use another --store for ${options.contract}`);
+        }
+        return { provider, index: existing };
+    }
+
+    const record = readDeploymentRecord(getRecordPath(options.network));
+    const deployed = record.contracts.SportfolioIPO || {};
+    const contract = options.contract || deployed.address;
+    if (!contract) {
+        throw new Error(`No SportfolioIPO in ${getRecordPath(options.network)}; pass --contract`);
+    }
+    const startBlock = options.from !== undefined
+        ? Number(options.from)
+        : contract === deployed.address && deployed.blockNumber !== undefined ? deployed.blockNumber : 0;
+    const { chainId } = await provider.getNetwork();
+    return { provider, index: indexer.createIndex({ contract, chainId, startBlock }) };
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const [command, reportName] = positionals;
+    const storePath = options.store || path.join(__dirname, "..", "data", `index-${options.network}.json`);
+
+    if (command === "report") {
+        const report = REPORTS[reportName];
+        if (!report) throw new Error(`Unknown report "${reportName}" (${Object.keys(REPORTS).join(", ")})`);
+        if (report.needsTeam && options.team === undefined) throw new Error(`Report ${reportName} needs --team`);
+        const index = indexer.loadIndex(storePath);
+        if (!index) throw new Error(`No index at ${storePath}; run sync first`);
+        printReport(report.rows(index, options.team), options.format, report.display);
+        return;
+    }
+    if (command !== "sync" && command !== "follow") {
+        throw new Error("Usage: node scripts/indexer.js <sync|follow|report> [options]");
+    }
+
+    const { provider, index } = await openIndex(options, storePath);
+    const syncOptions = {
+        confirmations: Number(options.confirmations),
+        onBatch: (state) => indexer.saveIndex(storePath, state),
+    };
+    const logResult = (result) => {
+        if (result.reorgedFrom !== null) console.log(`Reorg detected: re-indexing from block ${result.reorgedFrom}`);
+        if (result.toBlock >= result.fromBlock) {
+            console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.added} events (${index.events.length} total)`);
+        }
+    };
+
+    console.log(`Indexing ${index.contract} on chain ${index.chainId} into ${storePath}`);
+    if (command === "sync") {
+        logResult(await indexer.syncIndex(index, provider, syncOptions));
+        indexer.saveIndex(storePath, index);
+        provider.destroy();
+        return;
+    }
+
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+    process.once("SIGTERM", () => controller.abort());
+    await indexer.followIndex(index, provider, {
+        ...syncOptions,
+        pollInterval: Number(options.interval) * 1000,
+        signal: controller.signal,
+        onSync: (result) => {
+            logResult(result);
+            indexer.saveIndex(storePath, index);
+        },
+    });
+    provider.destroy();
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
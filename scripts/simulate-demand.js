@@ -0,0 +1,133 @@
+/**
+ * IPO Demand Simulator
+ * Simulates buyer demand against a grid of curve parameters with the exact integer curve
+ * (lib/simulation.js) and writes a CSV of every curve plus a markdown summary, to predict
+ * revenue, fees, prices and time to sell-out before launching a team
+ *
+ * Usage:
+ *   node scripts/simulate-demand.js [--base-price 30 --base-price 35] [--supply 2000000] [--smoothing 200000]
+ *     [--fee-bps 300] [--rate 350] [--hours 72] [--median-budget 2000] [--budget-sigma 1.5]
+ *     [--runs 20] [--seed 1] [--out data/simulation]
+ *   node scripts/simulate-demand.js --replay [--replay-limit 500] [same curve and demand options]
+ *
+ * Repeat a curve option to sweep it; every combination is simulated, and omitted parameters
+ * use the default curve. Prices and budgets are in USD, e.g. --median-budget 2,500.
+ * Output: <out>.csv (raw USDC units) and <out>.md, which is also printed.
+ *
+ * --replay sends the first run of the first curve as real buyTokensWithBudget transactions
+ * to a fresh deployment on the in-process Hardhat network and checks every purchase against
+ * the model. Exits with status 1 on any mismatch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const simulation = require("../lib/simulation");
+const { formatUSDC } = require("../lib/pricing");
+const { parseUSDC } = require("../lib/admin");
+
+const OPTIONS = {
+    "base-price": { type: "string", multiple: true, default: [] },
+    supply: { type: "string", multiple: true, default: [] },
+    smoothing: { type: "string", multiple: true, default: [] },
+    "fee-bps": { type: "string", multiple: true, default: [] },
+    rate: { type: "string", default: simulation.DEFAULT_DEMAND.arrivalRate.toString() },
+    hours: { type: "string", default: simulation.DEFAULT_DEMAND.hours.toString() },
+    "median-budget": { type: "string" },
+    "budget-sigma": { type: "string", default: simulation.DEFAULT_DEMAND.budgetSigma.toString() },
+    runs: { type: "string", default: simulation.DEFAULT_RUNS.toString() },
+    seed: { type: "string", default: simulation.DEFAULT_SEED.toString() },
+    out: { type: "string" },
+    replay: { type: "boolean", default: false },
+    "replay-limit": { type: "string" },
+};
+
+function toInteger(value, name) {
+    if (!/^\d+$/.test(value)) throw new TypeError(`${name} must be a whole number, got ${value}`);
+    return Number(value);
+}
+
+function readOptions() {
+    const { values: options } = parseArgs({ options: OPTIONS });
+    const grid = {
+        basePrice: options["base-price"].map(parseUSDC),
+        totalSupply: options.supply.map((value) => BigInt(toInteger(value, "--supply"))),
+        smoothingFactor: options.smoothing.map((value) => BigInt(toInteger(value, "--smoothing"))),
+        platformFeeRate: options["fee-bps"].map((value) => BigInt(toInteger(value, "--fee-bps"))),
+    };
+    const demand = simulation.createDemand({
+        arrivalRate: Number(options.rate),
+        hours: Number(options.hours),
+        medianBudget: options["median-budget"] === undefined ? simulation.DEFAULT_DEMAND.medianBudget : parseUSDC(options["median-budget"]),
+        budgetSigma: Number(options["budget-sigma"]),
+    });
+    return {
+        options,
+        grid,
+        demand,
+        runs: toInteger(options.runs, "--runs"),
+        seed: toInteger(options.seed, "--seed"),
+    };
+}
+
+function sweep({ options, grid, demand, runs, seed }) {
+    const outputPrefix = options.out || path.join(__dirname, "..", "data", "simulation");
+    const { rows, skipped } = simulation.sweepGrid(grid, demand, {
+        runs,
+        seed,
+        onScenario: (row) => {
+            console.error(`Simulated base ${formatUSDC(row.basePrice)}, supply ${row.totalSupply}, smoothing ${row.smoothingFactor}`);
+        },
+    });
+    if (rows.length === 0) throw new Error("Every curve in the grid is invalid");
+
+    const markdown = simulation.toMarkdown(rows, { demand, seed, skipped });
+    fs.mkdirSync(path.dirname(outputPrefix), { recursive: true });
+    fs.writeFileSync(`${outputPrefix}.csv`, simulation.toCSV(rows));
+    fs.writeFileSync(`${outputPrefix}.md`, markdown);
+    console.log(markdown);
+    console.log(`Written: ${outputPrefix}.csv, ${outputPrefix}.md`);
+}
+
+async function replay({ options, grid, demand, seed }) {
+    // Loaded here so sweeps run without compiling the contracts
+    process.env.HARDHAT_NETWORK = "hardhat";
+    const hre = require("hardhat");
+    await hre.run("compile", { quiet: true });
+
+    const [curve] = simulation.expandGrid(grid);
+    const run = simulation.simulateIPO(curve, demand, { seed });
+    const limit = options["replay-limit"] === undefined ? undefined : toInteger(options["replay-limit"], "--replay-limit");
+    console.log("=".repeat(80));
+    console.log(`Replaying seed ${seed}: ${run.buyers.length} buyers, ${run.tokensSold.toLocaleString("en-US")} tokens, ` +
+        `${formatUSDC(run.revenue)} revenue${run.soldOut ? `, sold out at hour ${run.sellOutHour.toFixed(2)}` : ""}`);
+    console.log("=".repeat(80));
+
+    const result = await simulation.replaySimulation(hre, curve, demand, run, { limit, log: (message) => console.log(message) });
+    console.log(`Replayed ${result.replayed} of ${run.buyers.length} buyers${result.truncated ? " (truncated)" : ""}`);
+    console.log(`Contract: ${result.contract.tokensSold.toLocaleString("en-US")} tokens sold, ` +
+        `${formatUSDC(result.contract.proceeds)} proceeds, ${formatUSDC(result.contract.fees)} fees, ` +
+        `price ${formatUSDC(result.contract.currentPrice)}${result.contract.completed ? ", completed" : ""}`);
+
+    if (result.mismatches.length > 0) {
+        console.log(`\n❌ ${result.mismatches.length} mismatch(es) between the model and the contract:`);
+        result.mismatches.slice(0, 20).forEach((mismatch) => console.log(`   ${mismatch}`));
+        process.exitCode = 1;
+        return;
+    }
+    console.log("\n✅ Every replayed purchase matches the model");
+}
+
+async function main() {
+    const config = readOptions();
+    if (config.options.replay) {
+        await replay(config);
+    } else {
+        sweep(config);
+    }
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Upgrade Script
+ * Upgrades the SportfolioIPO proxy recorded in deployments/<network>.json (deployed with
+ * "upgradeable": true in the manifest) to a new implementation contract. Refuses contracts
+ * whose storage layout is incompatible with the deployed one (see lib/upgrade.js).
+ *
+ * Usage:
+ *   CONTRACT=SportfolioIPOUpgradeableV2 npx hardhat run scripts/upgrade.js --network sepolia
+ *   DRY_RUN=1 CONTRACT=... npx hardhat run scripts/upgrade.js --network sepolia
+ *   UNSIGNED=1 OUT=upgrade.json CONTRACT=... npx hardhat run scripts/upgrade.js --network sepolia
+ *
+ * DRY_RUN only runs the upgrade safety and storage-layout checks. UNSIGNED deploys the new
+ * implementation and writes a Safe Transaction Builder batch (to OUT, or stdout) for a
+ * multisig ProxyAdmin owner. Keep .openzeppelin/<network>.json under version control:
+ * it holds the deployed layout the checks compare against.
+ */
+
+const fs = require("fs");
+const hre = require("hardhat");
+const { MODES } = require("../lib/admin");
+const { getRecordPath } = require("../lib/deployment");
+const { upgradeSportfolio } = require("../lib/upgrade");
+
+async function main() {
+  const network = hre.network.name;
+  const contractName = process.env.CONTRACT;
+  if (!contractName) {
+    throw new Error("Set CONTRACT to the new implementation, e.g. CONTRACT=SportfolioIPOUpgradeableV2");
+  }
+  if (process.env.DRY_RUN && process.env.UNSIGNED) {
+    throw new Error("Use either DRY_RUN or UNSIGNED, not both");
+  }
+  const mode = process.env.DRY_RUN ? MODES.DRY_RUN : process.env.UNSIGNED ? MODES.UNSIGNED : MODES.SEND;
+
+  console.log(`Upgrading SportfolioIPO on ${network} to ${contractName} (${mode})`);
+  console.log("Record:", getRecordPath(network));
+  console.log();
+
+  const outcome = await upgradeSportfolio(hre, contractName, { mode });
+  console.log("  Proxy:", outcome.proxy);
+  console.log("  ProxyAdmin:", outcome.proxyAdmin, "owned by", outcome.owner);
+  console.log("  Current implementation:", outcome.previousImplementation);
+
+  if (mode === MODES.DRY_RUN) {
+    console.log("\n✅ Dry run OK: nothing was sent");
+  } else if (mode === MODES.SEND) {
+    console.log("\n✅ Upgrade complete");
+    console.log("  New implementation:", outcome.implementation);
+  } else {
+    const json = JSON.stringify(outcome.batch, null, 2);
+    console.log("  New implementation:", outcome.implementation);
+    if (process.env.OUT) {
+      fs.writeFileSync(process.env.OUT, json + "\n");
+      console.log(`\nUnsigned upgrade for ${outcome.owner} written to ${process.env.OUT}`);
+    } else {
+      console.log(json);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
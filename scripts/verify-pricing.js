@@ -1,34 +1,18 @@
 /**
  * Pricing Verification Script
  * Verifies that pricing calculations match expected values
+ * Uses the shared BigInt pricing library (lib/pricing.js), which mirrors the contract's integer math exactly
  */
 
-// Constants from contract
-const BASE_PRICE = 30_000_000; // $30 USD in USDC (6 decimals)
-const TOTAL_SUPPLY = 2_000_000;
-const SMOOTHING_FACTOR = 200_000;
-
-// Calculate price at specific supply level
-function getPriceAtSupply(soldAmount) {
-    if (soldAmount === 0) return BASE_PRICE;
-    
-    const remaining = TOTAL_SUPPLY - soldAmount;
-    const sigmoidFactor = (soldAmount * 1e18) / (remaining + SMOOTHING_FACTOR);
-    
-    return BASE_PRICE + (BASE_PRICE * sigmoidFactor / 1e18);
-}
-
-// Calculate total cost for purchasing tokens
-function calculatePurchaseCost(tokensSold, purchaseAmount) {
-    let totalCost = 0;
-    for (let i = 0; i < purchaseAmount; i++) {
-        const tokenPrice = getPriceAtSupply(tokensSold + i);
-        totalCost += tokenPrice;
-    }
-    
-    const platformFee = (totalCost * 300) / 10000; // 3%
-    return { tokenCost: totalCost, platformFee: platformFee };
-}
+const {
+    TOTAL_SUPPLY,
+    getPriceAtSupply,
+    getSigmoidFactor,
+    calculatePurchaseCost,
+    calculatePurchaseCostIterative,
+    getMaxTokensForBudget,
+    formatUSDC,
+} = require("../lib/pricing");
 
 // Test cases from example table
 const testCases = [
@@ -40,6 +24,10 @@ const testCases = [
     { tokensSold: 1_950_000, expectedPriceUSD: 264.00 },
 ];
 
+function absDiff(a, b) {
+    return a > b ? a - b : b - a;
+}
+
 console.log("=".repeat(80));
 console.log("Pricing Verification - USDC Implementation");
 console.log("=".repeat(80));
@@ -50,9 +38,9 @@ console.log("1. Verifying Example Table Prices:");
 console.log("-".repeat(80));
 testCases.forEach((test, index) => {
     const calculatedPrice = getPriceAtSupply(test.tokensSold);
-    const expectedPrice = Math.floor(test.expectedPriceUSD * 1_000_000);
-    const diff = Math.abs(calculatedPrice - expectedPrice);
-    const match = diff < 10_000; // Allow $0.01 tolerance
+    const expectedPrice = BigInt(Math.round(test.expectedPriceUSD * 1_000_000));
+    const diff = absDiff(calculatedPrice, expectedPrice);
+    const match = diff < 10_000n; // Allow $0.01 tolerance
     
     console.log(`\nTest ${index + 1}: ${test.tokensSold.toLocaleString()} tokens sold`);
     console.log(`  Expected: ${expectedPrice.toLocaleString()} USDC units ($${test.expectedPriceUSD})`);
@@ -73,40 +61,50 @@ const initialPurchase = calculatePurchaseCost(0, 100);
 console.log("\nInitial Purchase (0 tokens sold, buying 100):");
 console.log(`  Token Cost: ${initialPurchase.tokenCost.toLocaleString()} USDC units`);
 console.log(`  Platform Fee: ${initialPurchase.platformFee.toLocaleString()} USDC units`);
-console.log(`  Total: ${(initialPurchase.tokenCost + initialPurchase.platformFee).toLocaleString()} USDC units`);
+console.log(`  Total: ${initialPurchase.totalCost.toLocaleString()} USDC units`);
 
 // After 100 tokens sold, price should be:
 const priceAfter100 = getPriceAtSupply(100);
 console.log(`\nPrice after 100 tokens sold: ${priceAfter100.toLocaleString()} USDC units`);
-console.log(`  Expected: ~30,001,363 USDC units (from your test)`);
-console.log(`  Difference: ${Math.abs(priceAfter100 - 30_001_363).toLocaleString()} units`);
+console.log(`  Expected: 30,001,363 USDC units (from your test)`);
+console.log(`  Difference: ${absDiff(priceAfter100, 30_001_363n).toLocaleString()} units`);
 
 // Second purchase (100 tokens sold, buying 100 more)
 const secondPurchase = calculatePurchaseCost(100, 100);
 console.log("\nSecond Purchase (100 tokens sold, buying 100 more):");
 console.log(`  Token Cost: ${secondPurchase.tokenCost.toLocaleString()} USDC units`);
 console.log(`  Platform Fee: ${secondPurchase.platformFee.toLocaleString()} USDC units`);
-console.log(`  Total: ${(secondPurchase.tokenCost + secondPurchase.platformFee).toLocaleString()} USDC units`);
+console.log(`  Total: ${secondPurchase.totalCost.toLocaleString()} USDC units`);
 
 // Verify your actual values
 console.log("\nYour Actual Values:");
 console.log(`  Initial: ${3_000_067_455} (cost) + ${90_002_023} (fee) = ${3_090_069_478}`);
 console.log(`  Second: ${3_000_203_827} (cost) + ${90_006_114} (fee) = ${3_090_209_941}`);
 
-const initialDiff = Math.abs(initialPurchase.tokenCost - 3_000_067_455);
-const secondDiff = Math.abs(secondPurchase.tokenCost - 3_000_203_827);
+// Your values came from the original per-token loop, which the iterative reference reproduces exactly
+const initialLoop = calculatePurchaseCostIterative(0, 100).tokenCost;
+const secondLoop = calculatePurchaseCostIterative(100, 100).tokenCost;
+const initialDiff = absDiff(initialLoop, 3_000_067_455n);
+const secondDiff = absDiff(secondLoop, 3_000_203_827n);
 
-console.log(`\nVerification:`);
-console.log(`  Initial cost difference: ${initialDiff.toLocaleString()} units ${initialDiff < 1000 ? '✅' : '❌'}`);
-console.log(`  Second cost difference: ${secondDiff.toLocaleString()} units ${secondDiff < 1000 ? '✅' : '❌'}`);
+console.log(`\nVerification (per-token loop, exact integer match expected):`);
+console.log(`  Initial cost difference: ${initialDiff.toLocaleString()} units ${initialDiff === 0n ? '✅' : '❌'}`);
+console.log(`  Second cost difference: ${secondDiff.toLocaleString()} units ${secondDiff === 0n ? '✅' : '❌'}`);
+
+// The contract now uses the closed form, rounded up by at most 1 unit per token (+1)
+const initialExcess = initialPurchase.tokenCost - initialLoop;
+const secondExcess = secondPurchase.tokenCost - secondLoop;
+console.log(`\nVerification (closed form vs loop, 0..101 units allowed):`);
+console.log(`  Initial closed-form excess: ${initialExcess.toLocaleString()} units ${initialExcess >= 0n && initialExcess <= 101n ? '✅' : '❌'}`);
+console.log(`  Second closed-form excess: ${secondExcess.toLocaleString()} units ${secondExcess >= 0n && secondExcess <= 101n ? '✅' : '❌'}`);
 
 // Final price at 2M tokens
 console.log("\n\n3. Final Price at 2,000,000 Tokens Sold:");
 console.log("-".repeat(80));
-const finalPrice = getPriceAtSupply(2_000_000);
-const finalPriceUSD = finalPrice / 1_000_000;
+const finalPrice = getPriceAtSupply(TOTAL_SUPPLY);
 console.log(`  Price: ${finalPrice.toLocaleString()} USDC units`);
-console.log(`  Price: $${finalPriceUSD.toFixed(2)} USD`);
+console.log(`  Price: ${formatUSDC(finalPrice)} USD`);
+console.log(`  Sigmoid factor: ${getSigmoidFactor(TOTAL_SUPPLY).toLocaleString()} (1e18 scale)`);
 console.log(`  Note: At 2M tokens, remaining = 0, sigmoid factor = 2M / 200K = 10`);
 console.log(`  Expected: $30 + ($30 × 10) = $330 USD`);
 
@@ -115,11 +113,17 @@ console.log("\n\n4. Price Progression (First 10 tokens):");
 console.log("-".repeat(80));
 for (let i = 0; i <= 10; i++) {
     const price = getPriceAtSupply(i);
-    const priceUSD = price / 1_000_000;
-    console.log(`  Token ${i}: ${price.toLocaleString()} USDC = $${priceUSD.toFixed(6)} USD`);
+    console.log(`  Token ${i}: ${price.toLocaleString()} USDC = ${formatUSDC(price)} USD`);
+}
+
+// Inverse query: how many tokens does a budget buy (3% fee included)
+console.log("\n\n5. Tokens Affordable With a USDC Budget (fee included, 0 tokens sold):");
+console.log("-".repeat(80));
+for (const budgetUSD of [100n, 1_000n, 10_000n]) {
+    const quote = getMaxTokensForBudget(0, budgetUSD * 1_000_000n);
+    console.log(`  $${budgetUSD.toLocaleString()} → ${quote.amount.toLocaleString()} tokens for ${formatUSDC(quote.totalCost)} (incl. ${formatUSDC(quote.platformFee)} fee)`);
 }
 
 console.log("\n" + "=".repeat(80));
 console.log("✅ Verification Complete!");
 console.log("=".repeat(80));
-
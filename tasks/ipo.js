@@ -0,0 +1,306 @@
+/**
+ * IPO admin tasks: `npx hardhat ipo <task> --network <network>`
+ *
+ * The contract address comes from deployments/<network>.json (written by scripts/deploy.js)
+ * unless --contract is given. Each task that writes needs one contract role (team manager,
+ * pauser, treasurer or admin) and supports:
+ *   --dry-run   simulate with staticCall from the role holder, print the gas estimate, send nothing
+ *   --unsigned  print (or --out) a Safe Transaction Builder JSON batch for a multisig role holder
+ *   --from      the role holder to simulate as (default: the configured account)
+ */
+
+const fs = require("fs");
+const { scope } = require("hardhat/config");
+const admin = require("../lib/admin");
+const { getAddTeamCall, toUint, toTimestamp } = require("../lib/deployment");
+const { formatUSDC } = require("../lib/pricing");
+
+const ipo = scope("ipo", "Operate live Sportfolio IPOs");
+
+function withContract(task) {
+  return task.addOptionalParam("contract", "SportfolioIPO address (default: deployments/<network>.json)");
+}
+
+// Common flags for tasks that send a transaction
+function roleTask(name, description) {
+  return withContract(ipo.task(name, description))
+    .addFlag("dryRun", "Simulate with staticCall from the role holder; send nothing")
+    .addFlag("unsigned", "Print an unsigned transaction batch for a multisig instead of sending")
+    .addOptionalParam("out", "With --unsigned, write the batch JSON to this file")
+    .addOptionalParam("from", "With --dry-run or --unsigned, the role holder to simulate as (default: configured account)");
+}
+
+async function runRoleTask(hre, taskArgs, role, method, args, description) {
+  if (taskArgs.dryRun && taskArgs.unsigned) {
+    throw new Error("Use either --dry-run or --unsigned, not both");
+  }
+  const mode = taskArgs.dryRun ? admin.MODES.DRY_RUN : taskArgs.unsigned ? admin.MODES.UNSIGNED : admin.MODES.SEND;
+  const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+
+  const outcome = await admin.runRoleCall(sportfolioIPO, method, args, { role, mode, from: taskArgs.from, description });
+  if (mode === admin.MODES.SEND) {
+    console.log(`✅ ${description} (tx ${outcome.hash}, block ${outcome.blockNumber}, gas ${outcome.gasUsed})`);
+  } else if (mode === admin.MODES.DRY_RUN) {
+    console.log(`Dry run OK: ${description} as ${outcome.from}, estimated gas ${outcome.gasEstimate}`);
+  } else {
+    const json = JSON.stringify(outcome.batch, null, 2);
+    if (taskArgs.out) {
+      fs.writeFileSync(taskArgs.out, json + "\n");
+      console.log(`Unsigned transaction for ${outcome.from} written to ${taskArgs.out}`);
+    } else {
+      console.log(json);
+    }
+  }
+  return outcome;
+}
+
+withContract(ipo.task("teams", "List teams with price, tokens sold and remaining supply"))
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const rows = await admin.getTeamRows(sportfolioIPO);
+
+    console.table(
+      rows.map((row) => ({
+        id: row.tokenId.toString(),
+        team: row.name,
+        price: formatUSDC(row.price),
+        sold: row.tokensSold.toLocaleString("en-US"),
+        remaining: row.remaining.toLocaleString("en-US"),
+        status: row.status,
+      }))
+    );
+    console.log(`Withdrawable proceeds: ${formatUSDC(await sportfolioIPO.withdrawableProceeds())}`);
+    if (await sportfolioIPO.paused()) {
+      console.log("⚠️  Contract is paused: purchases, refunds and withdrawals are halted (ipo unpause-all)");
+    }
+    return rows;
+  });
+
+withContract(ipo.task("quote", "Quote a purchase (tokens + platform fee)"))
+  .addParam("team", "Team token ID")
+  .addParam("amount", "Number of tokens")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const tokenId = toUint(taskArgs.team, "--team");
+    const amount = toUint(taskArgs.amount, "--amount");
+
+    const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(tokenId, amount);
+    const totalCost = tokenCost + platformFee;
+    const info = await sportfolioIPO.getTeamInfo(tokenId);
+    const priceAfter = await sportfolioIPO.getPriceAt(tokenId, info.tokensSold + amount);
+
+    console.log(`${amount.toLocaleString("en-US")} × ${info.teamName} (#${tokenId})`);
+    console.log(`  Current price: ${formatUSDC(await sportfolioIPO.getCurrentPrice(tokenId))}`);
+    console.log(`  Token cost:    ${formatUSDC(tokenCost)}`);
+    console.log(`  Platform fee:  ${formatUSDC(platformFee)}`);
+    console.log(`  Total:         ${formatUSDC(totalCost)}`);
+    console.log(`  Average price: ${formatUSDC(tokenCost / amount)}`);
+    console.log(`  Price after:   ${formatUSDC(priceAfter)}`);
+    return { tokenCost, platformFee, totalCost, priceAfter };
+  });
+
+roleTask("add-team", "Register a new team IPO")
+  .addParam("id", "Team token ID")
+  .addParam("name", "Team name")
+  .addOptionalParam("basePrice", "Starting price in USDC, e.g. 30 or 27.50 (default: contract default)")
+  .addOptionalParam("supply", "Total token supply")
+  .addOptionalParam("smoothing", "Smoothing factor")
+  .addOptionalParam("feeBps", "Platform fee in basis points")
+  .addOptionalParam("start", "IPO start (unix seconds or ISO date)")
+  .addOptionalParam("end", "IPO end (unix seconds or ISO date)")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+
+    const team = {
+      tokenId: toUint(taskArgs.id, "--id"),
+      name: taskArgs.name,
+      basePrice: taskArgs.basePrice === undefined ? undefined : admin.parseUSDC(taskArgs.basePrice),
+      totalSupply: taskArgs.supply === undefined ? undefined : toUint(taskArgs.supply, "--supply"),
+      smoothingFactor: taskArgs.smoothing === undefined ? undefined : toUint(taskArgs.smoothing, "--smoothing"),
+      platformFeeRate: taskArgs.feeBps === undefined ? undefined : toUint(taskArgs.feeBps, "--fee-bps"),
+      startTime: taskArgs.start === undefined ? undefined : toTimestamp(taskArgs.start, "--start"),
+      endTime: taskArgs.end === undefined ? undefined : toTimestamp(taskArgs.end, "--end"),
+    };
+    const { method, args } = await getAddTeamCall(sportfolioIPO, hre.ethers.provider, team);
+    return runRoleTask(hre, taskArgs, "TEAM_MANAGER_ROLE", method, args, `Add team #${taskArgs.id} ${taskArgs.name}`);
+  });
+
+roleTask("pause", "Pause a team's IPO")
+  .addParam("team", "Team token ID")
+  .setAction(async (taskArgs, hre) =>
+    runRoleTask(hre, taskArgs, "TEAM_MANAGER_ROLE", "pauseIPO", [toUint(taskArgs.team, "--team")], `Pause team #${taskArgs.team}`)
+  );
+
+roleTask("resume", "Resume a paused team IPO")
+  .addParam("team", "Team token ID")
+  .setAction(async (taskArgs, hre) =>
+    runRoleTask(hre, taskArgs, "TEAM_MANAGER_ROLE", "resumeIPO", [toUint(taskArgs.team, "--team")], `Resume team #${taskArgs.team}`)
+  );
+
+roleTask("complete", "Complete a team's IPO and release its proceeds")
+  .addParam("team", "Team token ID")
+  .setAction(async (taskArgs, hre) =>
+    runRoleTask(hre, taskArgs, "TEAM_MANAGER_ROLE", "completeIPO", [toUint(taskArgs.team, "--team")], `Complete team #${taskArgs.team}`)
+  );
+
+roleTask("withdraw", "Withdraw proceeds of completed teams to the treasury")
+  .addOptionalParam("amount", 'USDC to withdraw, e.g. 1500.25, or "all"', "all")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+
+    const available = await sportfolioIPO.withdrawableProceeds();
+    const amount = taskArgs.amount === "all" ? 0n : admin.parseUSDC(taskArgs.amount);
+    console.log(`Withdrawable proceeds: ${formatUSDC(available)} (treasury ${await sportfolioIPO.treasury()})`);
+    return runRoleTask(hre, taskArgs, "TREASURER_ROLE", "withdraw", [amount], `Withdraw ${formatUSDC(amount === 0n ? available : amount)}`);
+  });
+
+roleTask("withdraw-asset", "Withdraw proceeds paid in another payment asset to the treasury")
+  .addParam("asset", "Payment asset address")
+  .addOptionalParam("amount", 'Amount in the asset\'s units, e.g. 1500.25, or "all"', "all")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const asset = hre.ethers.getAddress(taskArgs.asset);
+    const token = await hre.ethers.getContractAt("IERC20Metadata", asset);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+
+    const available = await sportfolioIPO.withdrawableAssetProceeds(asset);
+    const amount = taskArgs.amount === "all" ? 0n : hre.ethers.parseUnits(taskArgs.amount.replace(/,/g, ""), decimals);
+    const shown = `${hre.ethers.formatUnits(amount === 0n ? available : amount, decimals)} ${symbol}`;
+    console.log(`Withdrawable ${symbol} proceeds: ${hre.ethers.formatUnits(available, decimals)} (treasury ${await sportfolioIPO.treasury()})`);
+    return runRoleTask(hre, taskArgs, "TREASURER_ROLE", "withdrawAsset", [asset, amount], `Withdraw ${shown}`);
+  });
+
+roleTask("set-payment-asset", "Accept a stablecoin besides USDC, or stop accepting it")
+  .addParam("asset", "ERC-20 stablecoin address (6 to 18 decimals)")
+  .addOptionalParam("feeRecipient", "Receives platform fees paid in the asset (default: the platform fee recipient)")
+  .addFlag("disable", "Stop accepting the asset for new purchases")
+  .setAction(async (taskArgs, hre) => {
+    const asset = hre.ethers.getAddress(taskArgs.asset);
+    const feeRecipient = taskArgs.feeRecipient ? hre.ethers.getAddress(taskArgs.feeRecipient) : hre.ethers.ZeroAddress;
+    const description = taskArgs.disable ? `Stop accepting ${asset}` : `Accept ${asset}`;
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "setPaymentAsset", [asset, !taskArgs.disable, feeRecipient], description);
+  });
+
+roleTask("set-payees", "Set who shares in a team's platform fees and proceeds")
+  .addParam("team", "Team token ID")
+  .addParam("payees", 'address:feeBps:royaltyBps entries separated by commas ("" = no payees)')
+  .setAction(async (taskArgs, hre) => {
+    const tokenId = toUint(taskArgs.team, "--team");
+    const { accounts, feeShares, royaltyShares } = admin.parsePayees(taskArgs.payees);
+    const description = accounts.length === 0
+      ? `Clear the payees of team #${tokenId}`
+      : `Set ${accounts.length} payee(s) for team #${tokenId}`;
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "setTeamPayees", [tokenId, accounts, feeShares, royaltyShares], description);
+  });
+
+withContract(ipo.task("payees", "Show a team's payees with their shares and what they were credited and claimed in each payment asset"))
+  .addParam("team", "Team token ID")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const usdc = await sportfolioIPO.getPaymentToken();
+    const assets = [];
+    for (const address of [usdc, ...(await sportfolioIPO.getPaymentAssets())]) {
+      const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      assets.push({ address, symbol, decimals });
+    }
+
+    const rows = [];
+    for (const payee of await sportfolioIPO.getTeamPayees(toUint(taskArgs.team, "--team"))) {
+      for (const asset of assets) {
+        const accrued = await sportfolioIPO.payeeAccrued(payee.account, asset.address);
+        const claimed = await sportfolioIPO.payeeClaimed(payee.account, asset.address);
+        rows.push({ account: payee.account, feeShare: payee.feeShare, royaltyShare: payee.royaltyShare, asset: asset.address, accrued, claimed });
+      }
+    }
+
+    const assetsByAddress = new Map(assets.map((asset) => [asset.address, asset]));
+    const format = (row, amount) => {
+      const { symbol, decimals } = assetsByAddress.get(row.asset);
+      return `${hre.ethers.formatUnits(amount, decimals)} ${symbol}`;
+    };
+    console.table(
+      rows.map((row) => ({
+        payee: row.account,
+        fee: `${(Number(row.feeShare) / 100).toFixed(2)}%`,
+        royalty: `${(Number(row.royaltyShare) / 100).toFixed(2)}%`,
+        credited: format(row, row.accrued),
+        claimed: format(row, row.claimed),
+      }))
+    );
+    console.log("Credits are per payee and asset across teams");
+    return rows;
+  });
+
+roleTask("set-fee-recipient", "Change the platform fee recipient")
+  .addParam("recipient", "New fee recipient address")
+  .setAction(async (taskArgs, hre) => {
+    const recipient = hre.ethers.getAddress(taskArgs.recipient);
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "setPlatformFeeRecipient", [recipient], `Set fee recipient to ${recipient}`);
+  });
+
+roleTask("set-treasury", "Change the address withdrawals are sent to")
+  .addParam("treasury", "New treasury address")
+  .setAction(async (taskArgs, hre) => {
+    const treasury = hre.ethers.getAddress(taskArgs.treasury);
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "setTreasury", [treasury], `Set treasury to ${treasury}`);
+  });
+
+roleTask("set-uri", "Change the base metadata URI ({id} is replaced by the hex token ID)")
+  .addParam("uri", "New base URI, e.g. https://api.sportfolio.com/metadata/{id}.json")
+  .setAction(async (taskArgs, hre) =>
+    runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "setURI", [taskArgs.uri], `Set metadata URI to ${taskArgs.uri}`)
+  );
+
+roleTask("set-token-uri", "Give a team its own metadata URI instead of the base URI")
+  .addParam("team", "Team token ID")
+  .addParam("uri", "Full metadata URI (\"\" to use the base URI again)")
+  .setAction(async (taskArgs, hre) => {
+    const description = taskArgs.uri === ""
+      ? `Reset team #${taskArgs.team} to the base metadata URI`
+      : `Set team #${taskArgs.team} metadata URI to ${taskArgs.uri}`;
+    return runRoleTask(hre, taskArgs, "TEAM_MANAGER_ROLE", "setTokenURI", [toUint(taskArgs.team, "--team"), taskArgs.uri], description);
+  });
+
+roleTask("pause-all", "Emergency stop: halt every purchase, refund and withdrawal")
+  .setAction(async (taskArgs, hre) => runRoleTask(hre, taskArgs, "PAUSER_ROLE", "pause", [], "Pause the contract"));
+
+roleTask("unpause-all", "Lift the emergency stop")
+  .setAction(async (taskArgs, hre) => runRoleTask(hre, taskArgs, "PAUSER_ROLE", "unpause", [], "Unpause the contract"));
+
+roleTask("grant-role", "Give an account a role")
+  .addParam("role", `Role: ${Object.keys(admin.ROLES).join(", ")}`)
+  .addParam("account", "Account to grant the role to")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const account = hre.ethers.getAddress(taskArgs.account);
+    const role = await sportfolioIPO[admin.getRoleConstant(taskArgs.role)]();
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "grantRole", [role, account], `Grant ${taskArgs.role} to ${account}`);
+  });
+
+roleTask("revoke-role", "Take a role away from an account")
+  .addParam("role", `Role: ${Object.keys(admin.ROLES).join(", ")}`)
+  .addParam("account", "Account to revoke the role from")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const account = hre.ethers.getAddress(taskArgs.account);
+    const role = await sportfolioIPO[admin.getRoleConstant(taskArgs.role)]();
+    return runRoleTask(hre, taskArgs, "DEFAULT_ADMIN_ROLE", "revokeRole", [role, account], `Revoke ${taskArgs.role} from ${account}`);
+  });
+
+withContract(ipo.task("roles", "Show the roles an account holds, the treasury and the pause state"))
+  .addOptionalParam("account", "Account to check (default: configured account)")
+  .setAction(async (taskArgs, hre) => {
+    const sportfolioIPO = await admin.getSportfolioIPO(hre, taskArgs.contract);
+    const account = taskArgs.account
+      ? hre.ethers.getAddress(taskArgs.account)
+      : await (await hre.ethers.getSigners())[0].getAddress();
+
+    const roles = await admin.getAccountRoles(sportfolioIPO, account);
+    const treasury = await sportfolioIPO.treasury();
+    const paused = await sportfolioIPO.paused();
+    console.log(`${account}: ${roles.length > 0 ? roles.join(", ") : "no roles"}`);
+    console.log(`Treasury: ${treasury}`);
+    console.log(`Paused: ${paused ? "yes" : "no"}`);
+    return { account, roles, treasury, paused };
+  });
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Admin Module", function () {
+  let sportfolioIPO;
+  let adminModule;
+  let mockUSDC;
+  let deployer, alice, treasury, platformFeeRecipient;
+
+  const URI = "https://api.sportfolio.com/metadata/{id}.json";
+  const LAKERS = 1n;
+  const USDC = 10n ** 6n;
+
+  // The admin module is the first contract an IPO contract creates
+  async function moduleOf(contract) {
+    const moduleAddress = ethers.getCreateAddress({ from: await contract.getAddress(), nonce: 1 });
+    return ethers.getContractAt("SportfolioIPOAdmin", moduleAddress);
+  }
+
+  // Storage entries of a contract as [label, slot, offset, type], from the compiler's layout output
+  async function storageLayout(name) {
+    const { sourceName, contractName } = await artifacts.readArtifact(name);
+    const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+    const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+    return storage.map((entry) => [entry.label, entry.slot, entry.offset, types[entry.type].label]);
+  }
+
+  beforeEach(async function () {
+    [deployer, alice, treasury, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(URI, platformFeeRecipient.address, await mockUSDC.getAddress());
+    await sportfolioIPO.waitForDeployment();
+    adminModule = await moduleOf(sportfolioIPO);
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await mockUSDC.transfer(alice.address, 1_000_000n * USDC);
+    await mockUSDC.connect(alice).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Storage layout", function () {
+    it("Should lay out the module's storage exactly like both IPO contracts", async function () {
+      const moduleLayout = await storageLayout("SportfolioIPOAdmin");
+      expect(moduleLayout.map(([label]) => label)).to.include.members(["teams", "escrowedPayments", "treasury", "__gap"]);
+
+      // The IPO contracts add no state of their own: the module address is an immutable in their code
+      expect(await storageLayout("SportfolioIPO")).to.deep.equal(moduleLayout);
+      expect(await storageLayout("SportfolioIPOUpgradeable")).to.deep.equal(moduleLayout);
+    });
+
+    it("Should keep the layout at 50 slots after the inherited OpenZeppelin state", async function () {
+      const layout = await storageLayout("SportfolioIPOAdmin");
+      const first = layout.findIndex(([label]) => label === "teams");
+      const [, gapSlot, , gapType] = layout.at(-1);
+      const gapLength = Number(gapType.match(/\[(\d+)\]/)[1]);
+
+      expect(Number(gapSlot) + gapLength - Number(layout[first][1])).to.equal(50);
+    });
+  });
+
+  describe("Delegatecall", function () {
+    it("Should run admin calls on the IPO's storage and leave the module's untouched", async function () {
+      await expect(sportfolioIPO.setTreasury(treasury.address))
+        .to.emit(sportfolioIPO, "TreasuryUpdated")
+        .withArgs(deployer.address, treasury.address);
+
+      expect(await sportfolioIPO.treasury()).to.equal(treasury.address);
+      expect(await adminModule.treasury()).to.equal(ethers.ZeroAddress);
+      expect(await adminModule.platformFeeRecipient()).to.equal(ethers.ZeroAddress);
+      await expect(adminModule.teamIds(0)).to.be.reverted;
+    });
+
+    it("Should check roles against the original caller", async function () {
+      await expect(sportfolioIPO.connect(alice).setTreasury(alice.address)).to.be.revertedWith(MISSING_ROLE);
+      await sportfolioIPO.grantRole(await sportfolioIPO.DEFAULT_ADMIN_ROLE(), alice.address);
+      await sportfolioIPO.connect(alice).setTreasury(alice.address);
+      expect(await sportfolioIPO.treasury()).to.equal(alice.address);
+    });
+
+    it("Should return the implementation's return values and bubble up its revert reasons", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      const paid = await sportfolioIPO.escrowedPayments(LAKERS, alice.address);
+
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n)).to.be.revertedWith("IPO not cancelled");
+      await expect(sportfolioIPO.addTeam(LAKERS, "Lakers")).to.be.revertedWith("Team already exists");
+
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      expect(await sportfolioIPO.connect(alice).claimRefund.staticCall(LAKERS, 1_000n)).to.equal(paid);
+    });
+
+    it("Should give every admin function a stub with the implementation's signature and output types", async function () {
+      const { abi: moduleAbi } = await artifacts.readArtifact("SportfolioIPOAdmin");
+      const moduleInterface = new ethers.Interface(moduleAbi);
+
+      moduleInterface.forEachFunction((implementation) => {
+        const stub = sportfolioIPO.interface.getFunction(implementation.format());
+        expect(stub, implementation.format()).to.not.equal(null);
+        expect(stub.outputs.map((output) => output.format()), implementation.format())
+          .to.deep.equal(implementation.outputs.map((output) => output.format()));
+      });
+    });
+
+    it("Should leave the module unusable on its own", async function () {
+      expect(await ethers.provider.getCode(await adminModule.getAddress())).to.not.equal("0x");
+      await expect(adminModule.connect(alice).claimRefund(LAKERS, 1n)).to.be.revertedWith("Team does not exist");
+      await expect(adminModule.pause()).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should reach the implementation's module through a transparent proxy", async function () {
+      const SportfolioIPOUpgradeable = await ethers.getContractFactory("SportfolioIPOUpgradeable");
+      const proxy = await upgrades.deployProxy(
+        SportfolioIPOUpgradeable,
+        [URI, platformFeeRecipient.address, await mockUSDC.getAddress()],
+        { kind: "transparent" }
+      );
+      await proxy.waitForDeployment();
+      const implementation = await upgrades.erc1967.getImplementationAddress(await proxy.getAddress());
+      const implementationModule = await moduleOf(await ethers.getContractAt("SportfolioIPOUpgradeable", implementation));
+
+      await proxy.addTeam(LAKERS, "Lakers");
+
+      expect((await proxy.getTeamInfo(LAKERS)).teamName).to.equal("Lakers");
+      expect(await ethers.provider.getCode(await implementationModule.getAddress())).to.not.equal("0x");
+      await expect(implementationModule.teamIds(0)).to.be.reverted;
+    });
+  });
+});
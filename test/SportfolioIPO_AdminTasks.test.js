@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const admin = require("../lib/admin");
+const deployment = require("../lib/deployment");
+
+const { ethers } = hre;
+
+describe("SportfolioIPO - Admin Tasks", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, multisig, newRecipient;
+  let contract;
+  let output;
+  let originalLog, originalTable;
+
+  const USDC = 10n ** 6n;
+
+  // Runs an `ipo` task with console output captured in `output`
+  async function runTask(task, args = {}) {
+    return hre.run({ scope: "ipo", task }, { contract, ...args });
+  }
+
+  // Moves a role from the deployer to the multisig
+  async function handOver(role) {
+    const roleId = await sportfolioIPO[role]();
+    await sportfolioIPO.grantRole(roleId, multisig.address);
+    await sportfolioIPO.renounceRole(roleId, owner.address);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, multisig, newRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      owner.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contract = await sportfolioIPO.getAddress();
+
+    await sportfolioIPO.addTeam(1n, "Lakers");
+    await sportfolioIPO.addTeam(2n, "Celtics");
+    await mockUSDC.transfer(alice.address, 10_000_000n * USDC);
+    await mockUSDC.connect(alice).approve(contract, ethers.MaxUint256);
+    await sportfolioIPO.connect(alice).buyTokens(1n, 1_000n);
+
+    output = [];
+    originalLog = console.log;
+    originalTable = console.table;
+    console.log = (...parts) => output.push(parts.join(" "));
+    console.table = (rows) => output.push(JSON.stringify(rows));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    console.table = originalTable;
+  });
+
+  describe("Read-only tasks", function () {
+    it("Should list every team with price, sold, remaining and status", async function () {
+      await sportfolioIPO.pauseIPO(2n);
+
+      const rows = await runTask("teams");
+
+      expect(rows.map((row) => row.tokenId)).to.deep.equal([1n, 2n]);
+      expect(rows[0]).to.include({ name: "Lakers", tokensSold: 1_000n, remaining: 1_999_000n, status: "live" });
+      expect(rows[0].price).to.equal(await sportfolioIPO.getCurrentPrice(1n));
+      expect(rows[1]).to.include({ name: "Celtics", tokensSold: 0n, status: "paused" });
+      expect(output[0]).to.include('"price":"$30.000000"');
+      expect(output[0]).to.include('"sold":"1,000"');
+    });
+
+    it("Should quote a purchase in USDC", async function () {
+      const quote = await runTask("quote", { team: "1", amount: "100" });
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(1n, 100n);
+
+      expect(quote).to.include({ tokenCost, platformFee, totalCost: tokenCost + platformFee });
+      expect(output.join("\n")).to.include("100 × Lakers (#1)");
+      expect(output.some((line) => line.startsWith("  Total:") && line.includes("$"))).to.equal(true);
+    });
+
+    it("Should read the contract address from the deployment record", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-admin-"));
+      const recordPath = path.join(dir, "hardhat.json");
+      try {
+        await expect(admin.getSportfolioIPO(hre, undefined, recordPath)).to.be.rejectedWith("No SportfolioIPO in");
+
+        deployment.writeDeploymentRecord(recordPath, { contracts: { SportfolioIPO: { address: contract } }, teams: {} });
+        const attached = await admin.getSportfolioIPO(hre, undefined, recordPath);
+        expect(await attached.getAddress()).to.equal(contract);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Sending", function () {
+    it("Should add a team with a custom curve and window", async function () {
+      const start = BigInt(await time.latest()) + 3600n;
+      await runTask("add-team", {
+        id: "3",
+        name: "Warriors",
+        basePrice: "27.50",
+        feeBps: "250",
+        start: start.toString(),
+        end: (start + 86400n).toString(),
+      });
+
+      const info = await sportfolioIPO.getTeamInfo(3n);
+      expect(info.teamName).to.equal("Warriors");
+      expect(info.basePrice).to.equal(27_500_000n);
+      expect(info.platformFeeRate).to.equal(250n);
+      expect(info.totalSupply).to.equal(await sportfolioIPO.DEFAULT_TOTAL_SUPPLY());
+      expect(info.ipoStartTime).to.equal(start);
+      expect((await admin.getTeamRows(sportfolioIPO))[2].status).to.equal("scheduled");
+    });
+
+    it("Should pause, resume and complete a team", async function () {
+      await runTask("pause", { team: "1" });
+      expect(await sportfolioIPO.isIPOActive(1n)).to.equal(false);
+
+      await runTask("resume", { team: "1" });
+      expect(await sportfolioIPO.isIPOActive(1n)).to.equal(true);
+
+      const outcome = await runTask("complete", { team: "1" });
+      expect(outcome.mode).to.equal("send");
+      expect((await sportfolioIPO.getTeamInfo(1n)).completed).to.equal(true);
+      expect(output.at(-1)).to.match(/^✅ Complete team #1 \(tx 0x[0-9a-f]{64}/);
+    });
+
+    it("Should withdraw all or part of the proceeds", async function () {
+      await sportfolioIPO.completeIPO(1n);
+      const available = await sportfolioIPO.withdrawableProceeds();
+      const ownerBefore = await mockUSDC.balanceOf(owner.address);
+
+      await runTask("withdraw", { amount: "1,000.5" });
+      expect((await mockUSDC.balanceOf(owner.address)) - ownerBefore).to.equal(1_000_500_000n);
+
+      await runTask("withdraw");
+      expect((await mockUSDC.balanceOf(owner.address)) - ownerBefore).to.equal(available);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(0n);
+    });
+
+    it("Should accept another stablecoin and withdraw its proceeds", async function () {
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const dai = await MockStablecoin.deploy("Mock Dai", "mDAI", 18);
+      const asset = await dai.getAddress();
+
+      await runTask("set-payment-asset", { asset, feeRecipient: newRecipient.address });
+      expect((await sportfolioIPO.paymentAssets(asset)).feeRecipient).to.equal(newRecipient.address);
+
+      await dai.transfer(alice.address, 100_000n * 10n ** 18n);
+      await dai.connect(alice).approve(contract, ethers.MaxUint256);
+      await sportfolioIPO.connect(alice).buyTokensWithAsset(2n, 100n, asset, ethers.MaxUint256, ethers.MaxUint256);
+      await sportfolioIPO.completeIPO(2n);
+      const available = await sportfolioIPO.withdrawableAssetProceeds(asset);
+      const ownerBefore = await dai.balanceOf(owner.address);
+
+      await runTask("withdraw-asset", { asset, amount: "1.5" });
+      expect((await dai.balanceOf(owner.address)) - ownerBefore).to.equal(15n * 10n ** 17n);
+      await runTask("withdraw-asset", { asset });
+      expect((await dai.balanceOf(owner.address)) - ownerBefore).to.equal(available);
+
+      await runTask("set-payment-asset", { asset, disable: true });
+      expect((await sportfolioIPO.paymentAssets(asset)).accepted).to.equal(false);
+    });
+
+    it("Should split a team's fees and royalties between payees and list them", async function () {
+      await runTask("set-payees", { team: "2", payees: `${newRecipient.address}:10000:500,${multisig.address}:0:250` });
+      const payees = await sportfolioIPO.getTeamPayees(2n);
+      expect(payees.map((payee) => payee.account)).to.deep.equal([newRecipient.address, multisig.address]);
+
+      const dai = await (await ethers.getContractFactory("MockStablecoin")).deploy("Mock Dai", "mDAI", 18);
+      const asset = await dai.getAddress();
+      await sportfolioIPO.setPaymentAsset(asset, true, ethers.ZeroAddress);
+      await dai.transfer(alice.address, 100_000n * 10n ** 18n);
+      await dai.connect(alice).approve(contract, ethers.MaxUint256);
+
+      await sportfolioIPO.connect(alice).buyTokens(2n, 1_000n);
+      const usdcFees = (await sportfolioIPO.teamFunds(2n)).feesCollected;
+      const [, daiFee] = await sportfolioIPO.calculatePurchaseCost(2n, 100n);
+      await sportfolioIPO.connect(alice).buyTokensWithAsset(2n, 100n, asset, ethers.MaxUint256, ethers.MaxUint256);
+
+      const rows = await runTask("payees", { team: "2" });
+      expect(rows).to.have.length(4);
+      expect(rows[0]).to.include({ account: newRecipient.address, feeShare: 10000n, royaltyShare: 500n, asset: await mockUSDC.getAddress() });
+      expect(rows[0].accrued).to.equal(usdcFees);
+      expect(rows[1]).to.include({ account: newRecipient.address, asset, accrued: daiFee * 10n ** 12n, claimed: 0n });
+      expect(rows[3]).to.include({ account: multisig.address, asset, accrued: 0n });
+      expect(output.some((line) => line.includes("mDAI"))).to.equal(true);
+
+      await runTask("set-payees", { team: "2", payees: "" });
+      expect(await sportfolioIPO.getTeamPayees(2n)).to.have.length(0);
+    });
+
+    it("Should change the fee recipient", async function () {
+      await runTask("set-fee-recipient", { recipient: newRecipient.address.toLowerCase() });
+      expect(await sportfolioIPO.platformFeeRecipient()).to.equal(newRecipient.address);
+    });
+
+    it("Should refuse to send from an account without the role", async function () {
+      await handOver("TEAM_MANAGER_ROLE");
+      await expect(runTask("pause", { team: "1" })).to.be.rejectedWith(`Signer ${owner.address} does not have TEAM_MANAGER_ROLE`);
+      // Other roles are unaffected
+      await runTask("set-fee-recipient", { recipient: newRecipient.address });
+    });
+
+    it("Should halt and restart the whole contract", async function () {
+      await runTask("pause-all");
+      expect(await sportfolioIPO.paused()).to.equal(true);
+      await expect(sportfolioIPO.connect(alice).buyTokens(1n, 1n)).to.be.revertedWith("Pausable: paused");
+
+      await runTask("teams");
+      expect(output.at(-1)).to.include("Contract is paused");
+
+      await runTask("unpause-all");
+      expect(await sportfolioIPO.paused()).to.equal(false);
+    });
+
+    it("Should change the treasury withdrawals go to", async function () {
+      await runTask("set-treasury", { treasury: multisig.address });
+      await sportfolioIPO.completeIPO(1n);
+      const available = await sportfolioIPO.withdrawableProceeds();
+
+      await runTask("withdraw");
+      expect(await mockUSDC.balanceOf(multisig.address)).to.equal(available);
+    });
+
+    it("Should grant, list and revoke roles", async function () {
+      await runTask("grant-role", { role: "pauser", account: alice.address });
+      const { roles } = await runTask("roles", { account: alice.address });
+      expect(roles).to.deep.equal(["pauser"]);
+      expect(output.at(-3)).to.equal(`${alice.address}: pauser`);
+
+      expect((await runTask("roles")).roles).to.deep.equal(["admin", "team-manager", "pauser", "treasurer"]);
+
+      await runTask("revoke-role", { role: "pauser", account: alice.address });
+      expect((await runTask("roles", { account: alice.address })).roles).to.deep.equal([]);
+      await expect(runTask("grant-role", { role: "owner", account: alice.address })).to.be.rejectedWith('Unknown role "owner"');
+    });
+  });
+
+  describe("Dry run", function () {
+    it("Should simulate without sending", async function () {
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const outcome = await runTask("pause", { team: "1", dryRun: true });
+
+      expect(outcome.mode).to.equal("dry-run");
+      expect(outcome.gasEstimate).to.be.gt(0n);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(await sportfolioIPO.isIPOActive(1n)).to.equal(true);
+      expect(output.at(-1)).to.include("Dry run OK: Pause team #1");
+    });
+
+    it("Should surface the revert reason the real call would hit", async function () {
+      await expect(runTask("withdraw", { dryRun: true })).to.be.rejectedWith("No balance to withdraw");
+      await expect(runTask("resume", { team: "1", dryRun: true })).to.be.rejectedWith("IPO already active");
+    });
+
+    it("Should simulate as another role holder, e.g. a multisig", async function () {
+      await handOver("TEAM_MANAGER_ROLE");
+
+      const outcome = await runTask("complete", { team: "2", dryRun: true, from: multisig.address });
+      expect(outcome.from).to.equal(multisig.address);
+      await expect(runTask("complete", { team: "2", dryRun: true })).to.be.rejectedWith("does not have TEAM_MANAGER_ROLE");
+    });
+
+    it("Should reject --dry-run together with --unsigned", async function () {
+      await expect(runTask("pause", { team: "1", dryRun: true, unsigned: true })).to.be.rejectedWith("not both");
+    });
+  });
+
+  describe("Unsigned transactions for a multisig", function () {
+    it("Should emit a Safe batch whose calldata performs the call", async function () {
+      await handOver("TEAM_MANAGER_ROLE");
+
+      const { batch } = await runTask("pause", { team: "2", unsigned: true, from: multisig.address });
+
+      expect(batch.chainId).to.equal("31337");
+      expect(batch.meta.createdFromSafeAddress).to.equal(multisig.address);
+      expect(batch.transactions).to.have.length(1);
+      const [tx] = batch.transactions;
+      expect(tx).to.include({ to: contract, value: "0" });
+      expect(sportfolioIPO.interface.parseTransaction({ data: tx.data }).name).to.equal("pauseIPO");
+      expect(JSON.parse(output.at(-1))).to.deep.equal(batch);
+
+      // The multisig executing the payload has the intended effect
+      await multisig.sendTransaction({ to: tx.to, data: tx.data, value: 0n });
+      expect(await sportfolioIPO.isIPOActive(2n)).to.equal(false);
+    });
+
+    it("Should pick the right addTeam overload and write the batch to a file", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-admin-"));
+      const out = path.join(dir, "add-team.json");
+      try {
+        await runTask("add-team", { id: "4", name: "Knicks", supply: "1000", smoothing: "1000", unsigned: true, out });
+
+        const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+        const call = sportfolioIPO.interface.parseTransaction({ data: batch.transactions[0].data });
+        expect(call.signature).to.equal("addTeam(uint256,string,uint256,uint256,uint256,uint256)");
+        expect(call.args[3]).to.equal(1_000n);
+        expect(await sportfolioIPO.getTeamCount()).to.equal(2n);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should not produce a batch for a call that would revert", async function () {
+      await expect(runTask("add-team", { id: "1", name: "Lakers", unsigned: true })).to.be.rejectedWith("Team already exists");
+    });
+  });
+
+  describe("Helpers", function () {
+    it("Should parse USDC amounts typed by a person", function () {
+      expect(admin.parseUSDC("30")).to.equal(30_000_000n);
+      expect(admin.parseUSDC("$1,250.5")).to.equal(1_250_500_000n);
+      expect(admin.parseUSDC("0.000001")).to.equal(1n);
+      expect(() => admin.parseUSDC("0.0000001")).to.throw("at most 6 decimals");
+      expect(() => admin.parseUSDC("-5")).to.throw("Invalid USDC amount");
+    });
+
+    it("Should parse payee lists", function () {
+      const account = "0x" + "11".repeat(20);
+      expect(admin.parsePayees(` ${account}:6000:0, ${account}:4000:1250 `)).to.deep.equal({
+        accounts: [account, account],
+        feeShares: [6000n, 4000n],
+        royaltyShares: [0n, 1250n],
+      });
+      expect(admin.parsePayees("")).to.deep.equal({ accounts: [], feeShares: [], royaltyShares: [] });
+      expect(() => admin.parsePayees(`${account}:6000`)).to.throw("expected address:feeBps:royaltyBps");
+      expect(() => admin.parsePayees(`${account}:60%:0`)).to.throw("expected address:feeBps:royaltyBps");
+    });
+  });
+});
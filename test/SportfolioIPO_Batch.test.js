@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SportfolioIPO - Batch Purchases", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let contractAddress;
+
+  const LAKERS = 1n;
+  const CELTICS = 2n;
+  const WARRIORS = 3n;
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  async function deadlineIn(seconds) {
+    return BigInt(await time.latest()) + seconds;
+  }
+
+  async function quote(tokenIds, amounts) {
+    let tokenCost = 0n;
+    let platformFee = 0n;
+    for (let i = 0; i < tokenIds.length; i++) {
+      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(tokenIds[i], amounts[i]);
+      tokenCost += cost;
+      platformFee += fee;
+    }
+    return { tokenCost, platformFee, totalCost: tokenCost + platformFee };
+  }
+
+  async function buyBatch(buyer, tokenIds, amounts, maxTotalCost = ethers.MaxUint256) {
+    return sportfolioIPO.connect(buyer).buyTokensBatch(tokenIds, amounts, maxTotalCost, await deadlineIn(HOUR));
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contractAddress = await sportfolioIPO.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await sportfolioIPO.addTeam(CELTICS, "Celtics");
+    // Small custom curve so a batch can sell it out
+    await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+      WARRIORS, "Warriors", 10n * USDC, 1_000n, 1_000n, 200n
+    );
+
+    for (const buyer of [alice, bob]) {
+      await mockUSDC.transfer(buyer.address, 10_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+    }
+  });
+
+  describe("Successful batches", function () {
+    it("Should buy several teams for the sum of their quotes and pull USDC once", async function () {
+      const tokenIds = [LAKERS, CELTICS, WARRIORS];
+      const amounts = [1_000n, 2_500n, 100n];
+      const expected = await quote(tokenIds, amounts);
+
+      const aliceBefore = await mockUSDC.balanceOf(alice.address);
+      const feesBefore = await mockUSDC.balanceOf(platformFeeRecipient.address);
+      const tx = await buyBatch(alice, tokenIds, amounts, expected.totalCost);
+      const receipt = await tx.wait();
+
+      expect(aliceBefore - (await mockUSDC.balanceOf(alice.address))).to.equal(expected.totalCost);
+      expect((await mockUSDC.balanceOf(platformFeeRecipient.address)) - feesBefore).to.equal(expected.platformFee);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(expected.tokenCost);
+
+      const owners = tokenIds.map(() => alice.address);
+      expect(await sportfolioIPO.balanceOfBatch(owners, tokenIds)).to.deep.equal(amounts);
+
+      // One USDC pull from Alice and one fee transfer, whatever the batch size
+      const usdcTransfers = receipt.logs
+        .filter((log) => log.address === mockUSDC.target)
+        .map((log) => mockUSDC.interface.parseLog(log))
+        .filter((event) => event.name === "Transfer");
+      expect(usdcTransfers).to.have.length(2);
+    });
+
+    it("Should emit TokensPurchased per team and a single TransferBatch", async function () {
+      const tokenIds = [LAKERS, CELTICS];
+      const amounts = [500n, 700n];
+      const [lakersCost, lakersFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 500n);
+      const [celticsCost, celticsFee] = await sportfolioIPO.calculatePurchaseCost(CELTICS, 700n);
+
+      const tx = buyBatch(alice, tokenIds, amounts);
+      await expect(tx).to.emit(sportfolioIPO, "TokensPurchased").withArgs(alice.address, LAKERS, 500n, lakersCost, lakersFee);
+      await expect(tx).to.emit(sportfolioIPO, "TokensPurchased").withArgs(alice.address, CELTICS, 700n, celticsCost, celticsFee);
+      await expect(tx)
+        .to.emit(sportfolioIPO, "TransferBatch")
+        .withArgs(alice.address, ethers.ZeroAddress, alice.address, tokenIds, amounts);
+    });
+
+    it("Should track each team's supply, funds and escrow like single purchases", async function () {
+      await buyBatch(alice, [LAKERS, CELTICS], [1_000n, 2_000n]);
+
+      for (const [tokenId, amount] of [[LAKERS, 1_000n], [CELTICS, 2_000n]]) {
+        const info = await sportfolioIPO.getTeamInfo(tokenId);
+        const funds = await sportfolioIPO.teamFunds(tokenId);
+        expect(info.tokensSold).to.equal(amount);
+        expect(await sportfolioIPO.purchasedBy(tokenId, alice.address)).to.equal(amount);
+        expect(await sportfolioIPO.escrowedPayments(tokenId, alice.address)).to.equal(funds.proceeds);
+        expect(await sportfolioIPO.escrowedFees(tokenId, alice.address)).to.equal(funds.feesCollected);
+      }
+    });
+
+    it("Should price a repeated team ID on the supply left by the earlier entry", async function () {
+      const [first] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 1_000n);
+      const [both] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 2_000n);
+
+      await buyBatch(alice, [LAKERS, LAKERS], [1_000n, 1_000n]);
+
+      expect(await sportfolioIPO.balanceOf(alice.address, LAKERS)).to.equal(2_000n);
+      const funds = await sportfolioIPO.teamFunds(LAKERS);
+      expect(funds.proceeds).to.be.gte(both);
+      expect(funds.proceeds).to.be.gt(2n * first);
+    });
+
+    it("Should complete a team sold out by the batch", async function () {
+      const tokenIds = [LAKERS, WARRIORS];
+      const amounts = [100n, 1_000n];
+
+      await expect(buyBatch(alice, tokenIds, amounts)).to.emit(sportfolioIPO, "IPOCompleted");
+
+      const warriors = await sportfolioIPO.getTeamInfo(WARRIORS);
+      expect(warriors.completed).to.equal(true);
+      expect(await sportfolioIPO.isIPOActive(WARRIORS)).to.equal(false);
+      expect(await sportfolioIPO.isIPOActive(LAKERS)).to.equal(true);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal((await sportfolioIPO.teamFunds(WARRIORS)).proceeds);
+    });
+  });
+
+  describe("All-or-nothing", function () {
+    async function expectNothingBought(tx, reason) {
+      const aliceBefore = await mockUSDC.balanceOf(alice.address);
+      await expect(tx()).to.be.revertedWith(reason);
+      expect(await mockUSDC.balanceOf(alice.address)).to.equal(aliceBefore);
+      for (const tokenId of [LAKERS, CELTICS, WARRIORS]) {
+        expect(await sportfolioIPO.balanceOf(alice.address, tokenId)).to.equal(0n);
+      }
+    }
+
+    it("Should revert the whole batch when one team is completed", async function () {
+      await sportfolioIPO.completeIPO(CELTICS);
+
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, CELTICS], [1_000n, 1_000n]), "Team IPO has ended");
+      expect((await sportfolioIPO.getTeamInfo(LAKERS)).tokensSold).to.equal(0n);
+    });
+
+    it("Should revert the whole batch when one team is sold out", async function () {
+      await buyBatch(bob, [WARRIORS], [1_000n]);
+
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, WARRIORS], [1_000n, 1n]), "Team IPO has ended");
+    });
+
+    it("Should revert when one team is paused, not yet open, or in presale", async function () {
+      await sportfolioIPO.pauseIPO(CELTICS);
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, CELTICS], [1n, 1n]), "Team IPO has ended");
+      await sportfolioIPO.resumeIPO(CELTICS);
+
+      const start = await deadlineIn(HOUR);
+      await sportfolioIPO["addTeam(uint256,string,uint256,uint256)"](4n, "Knicks", start, start + HOUR);
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, 4n], [1n, 1n]), "IPO has not started");
+
+      await sportfolioIPO.setPresaleRoot(CELTICS, ethers.id("allowlist"), await deadlineIn(HOUR));
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, CELTICS], [1n, 1n]), "Presale only");
+    });
+
+    it("Should revert when one entry exceeds the team's supply or wallet cap", async function () {
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, WARRIORS], [1n, 1_001n]), "Exceeds total supply");
+
+      await sportfolioIPO.setWalletCap(CELTICS, 100n);
+      await expectNothingBought(() => buyBatch(alice, [LAKERS, CELTICS], [1n, 101n]), "Exceeds wallet cap");
+      // Repeated IDs count against the same cap
+      await expectNothingBought(() => buyBatch(alice, [CELTICS, CELTICS], [60n, 60n]), "Exceeds wallet cap");
+    });
+
+    it("Should revert when the aggregate cost exceeds maxTotalCost", async function () {
+      const tokenIds = [LAKERS, CELTICS];
+      const amounts = [1_000n, 1_000n];
+      const { totalCost } = await quote(tokenIds, amounts);
+
+      await expectNothingBought(() => buyBatch(alice, tokenIds, amounts, totalCost - 1n), "Exceeds max total cost");
+    });
+
+    it("Should revert without enough allowance for the aggregate cost", async function () {
+      const tokenIds = [LAKERS, CELTICS];
+      const amounts = [1_000n, 1_000n];
+      const { totalCost } = await quote(tokenIds, amounts);
+      await mockUSDC.connect(alice).approve(contractAddress, totalCost - 1n);
+
+      await expectNothingBought(() => buyBatch(alice, tokenIds, amounts), "Insufficient USDC allowance. Please approve first.");
+    });
+  });
+
+  describe("Input validation", function () {
+    it("Should reject empty and mismatched arrays", async function () {
+      await expect(buyBatch(alice, [], [])).to.be.revertedWith("Empty batch");
+      await expect(buyBatch(alice, [LAKERS, CELTICS], [1n])).to.be.revertedWith("Array length mismatch");
+    });
+
+    it("Should reject zero amounts and unknown teams", async function () {
+      await expect(buyBatch(alice, [LAKERS, CELTICS], [1n, 0n])).to.be.revertedWith("Must buy at least 1 token");
+      await expect(buyBatch(alice, [LAKERS, 99n], [1n, 1n])).to.be.revertedWith("Team IPO has ended");
+    });
+
+    it("Should reject an expired deadline", async function () {
+      const deadline = await deadlineIn(60n);
+      await time.increaseTo(deadline + 1n);
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensBatch([LAKERS], [1n], ethers.MaxUint256, deadline)
+      ).to.be.revertedWith("Transaction expired");
+    });
+  });
+});
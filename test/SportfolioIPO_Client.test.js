@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const path = require("path");
+const { createClient } = require("../lib/client");
+const errors = require("../lib/errors");
+const presale = require("../lib/presale");
+
+describe("SportfolioIPO - Client SDK", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let ipoAddress;
+  let client;
+
+  const TOKEN_ID = 1n;
+  const OTHER_TEAM = 2n;
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  // Resolves with the error a promise rejects with
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the call to reject");
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    ipoAddress = await sportfolioIPO.getAddress();
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+    await sportfolioIPO.addTeam(OTHER_TEAM, "Celtics");
+
+    // No approvals: the client handles them
+    await mockUSDC.transfer(alice.address, 1_000_000n * USDC);
+    await mockUSDC.transfer(bob.address, 1_000_000n * USDC);
+
+    client = createClient({ ipo: ipoAddress, runner: alice });
+  });
+
+  describe("Payment token", function () {
+    it("Should read the payment token and its decimals from the IPO", async function () {
+      expect(await (await client.getPaymentToken()).getAddress()).to.equal(await mockUSDC.getAddress());
+      expect(await client.getDecimals()).to.equal(6);
+    });
+
+    it("Should format and parse amounts with the token's decimals", async function () {
+      expect(await client.formatAmount(30_001_363n)).to.equal("30.001363");
+      expect(await client.parseAmount("1250.5")).to.equal(1_250_500_000n);
+    });
+
+    it("Should report the signer's balance and allowance", async function () {
+      expect(await client.getBalance()).to.equal(1_000_000n * USDC);
+      expect(await client.getAllowance()).to.equal(0n);
+      expect(await client.getBalance(bob.address)).to.equal(1_000_000n * USDC);
+    });
+  });
+
+  describe("quote", function () {
+    it("Should match calculatePurchaseCost and add the slippage headroom", async function () {
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, 1_000n);
+      const q = await client.quote(TOKEN_ID, 1_000n, { slippageBps: 100n });
+
+      expect(q.tokenCost).to.equal(tokenCost);
+      expect(q.platformFee).to.equal(platformFee);
+      expect(q.totalCost).to.equal(tokenCost + platformFee);
+      expect(q.maxTotalCost).to.equal(q.totalCost + (q.totalCost * 100n) / 10_000n);
+    });
+  });
+
+  describe("ensureAllowance", function () {
+    it("Should approve only when the allowance falls short", async function () {
+      const receipt = await client.ensureAllowance(500n * USDC);
+      expect(receipt.status).to.equal(1);
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(500n * USDC);
+
+      expect(await client.ensureAllowance(200n * USDC)).to.equal(null);
+    });
+
+    it("Should approve the maximum when asked to", async function () {
+      await client.ensureAllowance(1n, { unlimited: true });
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(ethers.MaxUint256);
+    });
+  });
+
+  describe("buy", function () {
+    it("Should approve, buy and return the decoded TokensPurchased event", async function () {
+      const balanceBefore = await mockUSDC.balanceOf(alice.address);
+      const { quote, purchases, receipt } = await client.buy(TOKEN_ID, 1_000n);
+
+      expect(receipt.status).to.equal(1);
+      expect(purchases).to.have.length(1);
+      expect(purchases[0]).to.include({ buyer: alice.address, tokenId: TOKEN_ID, amount: 1_000n });
+      expect(purchases[0].tokenCost).to.equal(quote.tokenCost);
+      expect(purchases[0].platformFee).to.equal(quote.platformFee);
+
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(1_000n);
+      expect(balanceBefore - (await mockUSDC.balanceOf(alice.address))).to.equal(quote.totalCost);
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(quote.maxTotalCost - quote.totalCost);
+    });
+
+    it("Should buy with a permit instead of an approval", async function () {
+      const { quote, purchases } = await client.buy(TOKEN_ID, 100n, { usePermit: true, slippageBps: 0n });
+
+      expect(purchases[0].amount).to.equal(100n);
+      expect(quote.maxTotalCost).to.equal(quote.totalCost);
+      expect(await mockUSDC.nonces(alice.address)).to.equal(1n);
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(0n);
+    });
+
+    it("Should refuse to buy from a read-only client", async function () {
+      const readOnly = createClient({ ipo: sportfolioIPO, runner: ethers.provider });
+      const error = await rejectionOf(readOnly.buy(TOKEN_ID, 1n));
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+
+  describe("Teams and events", function () {
+    it("Should list every team with its price and status", async function () {
+      await sportfolioIPO.pauseIPO(OTHER_TEAM);
+      const teams = await client.getTeams();
+
+      expect(teams.map((team) => team.name)).to.deep.equal(["Lakers", "Celtics"]);
+      expect(teams[0]).to.include({ tokenId: TOKEN_ID, status: "live", price: await sportfolioIPO.getCurrentPrice(TOKEN_ID) });
+      expect(teams[1].status).to.equal("paused");
+      expect((await client.getTeam(TOKEN_ID)).teamName).to.equal("Lakers");
+    });
+
+    it("Should query past purchases by buyer and team", async function () {
+      await client.buy(TOKEN_ID, 10n);
+      await client.buy(OTHER_TEAM, 20n);
+      await createClient({ ipo: ipoAddress, runner: bob }).buy(TOKEN_ID, 30n);
+
+      const lakers = await client.getPurchases({ tokenId: TOKEN_ID });
+      expect(lakers.map((p) => p.amount)).to.deep.equal([10n, 30n]);
+      const alices = await client.getPurchases({ buyer: alice.address });
+      expect(alices.map((p) => p.tokenId)).to.deep.equal([TOKEN_ID, OTHER_TEAM]);
+    });
+
+    it("Should notify subscribers of new purchases", async function () {
+      let resolvePurchase;
+      const received = new Promise((resolve) => (resolvePurchase = resolve));
+      const unsubscribe = await client.onPurchase(resolvePurchase, { tokenId: OTHER_TEAM });
+
+      await createClient({ ipo: ipoAddress, runner: bob }).buy(TOKEN_ID, 5n);
+      await createClient({ ipo: ipoAddress, runner: bob }).buy(OTHER_TEAM, 25n);
+
+      const purchase = await received;
+      await unsubscribe();
+      expect(purchase).to.include({ buyer: bob.address, tokenId: OTHER_TEAM, amount: 25n });
+    });
+  });
+
+  describe("Typed errors", function () {
+    it("Should map every require reason of the IPO contract to an error class", async function () {
+      const source = ["SportfolioIPOCore.sol", "SportfolioIPOBase.sol", "SportfolioIPOAdmin.sol"]
+        .map((file) => fs.readFileSync(path.join(__dirname, "..", "contracts", file), "utf8"))
+        .join("\n");
+      const reasons = [...source.matchAll(/require\([^;]*?"([^"]+)"\s*\)/g)].map((match) => match[1]);
+
+      expect(reasons.length).to.be.greaterThan(40);
+      for (const reason of reasons) {
+        expect(errors.REVERT_REASONS, reason).to.have.property(reason);
+      }
+    });
+
+    it("Should raise TeamNotFoundError for unknown teams", async function () {
+      const error = await rejectionOf(client.quote(99n, 1n));
+      expect(error).to.be.instanceOf(errors.TeamNotFoundError);
+      expect(error).to.be.instanceOf(errors.SportfolioError);
+      expect(error.reason).to.equal("Team does not exist");
+    });
+
+    it("Should raise InsufficientBalanceError when the buyer cannot pay", async function () {
+      const poor = createClient({ ipo: ipoAddress, runner: platformFeeRecipient });
+      const error = await rejectionOf(poor.buy(TOKEN_ID, 100n));
+      expect(error).to.be.instanceOf(errors.InsufficientBalanceError);
+      expect(error.cause).to.be.an("error");
+    });
+
+    it("Should raise InsufficientAllowanceError for direct purchases without approval", async function () {
+      const error = errors.toSportfolioError(await rejectionOf(sportfolioIPO.connect(alice).buyTokens(TOKEN_ID, 1n)));
+      expect(error).to.be.instanceOf(errors.InsufficientAllowanceError);
+      expect(error.reason).to.equal("Insufficient USDC allowance. Please approve first.");
+    });
+
+    it("Should raise SlippageError and DeadlineExpiredError for stale purchases", async function () {
+      await mockUSDC.connect(alice).approve(ipoAddress, ethers.MaxUint256);
+      const deadline = BigInt(await time.latest()) + HOUR;
+
+      const slipped = await rejectionOf(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 100n, 1n, deadline));
+      expect(errors.toSportfolioError(slipped)).to.be.instanceOf(errors.SlippageError);
+
+      const error = await rejectionOf(client.buy(TOKEN_ID, 100n, { deadline: BigInt(await time.latest()) }));
+      expect(error).to.be.instanceOf(errors.DeadlineExpiredError);
+    });
+
+    it("Should raise IPONotLiveError, PresaleError and ContractPausedError", async function () {
+      await sportfolioIPO.pauseIPO(OTHER_TEAM);
+      expect(await rejectionOf(client.buy(OTHER_TEAM, 1n))).to.be.instanceOf(errors.IPONotLiveError);
+
+      await sportfolioIPO.pause();
+      expect(await rejectionOf(client.buy(TOKEN_ID, 1n))).to.be.instanceOf(errors.ContractPausedError);
+      await sportfolioIPO.unpause();
+
+      const tree = presale.buildPresaleTree([{ address: bob.address, allocation: 100n }]);
+      await sportfolioIPO.setPresaleRoot(TOKEN_ID, tree.root, BigInt(await time.latest()) + HOUR);
+      expect(await rejectionOf(client.buy(TOKEN_ID, 1n))).to.be.instanceOf(errors.PresaleError);
+    });
+
+    it("Should raise UnauthorizedError for role-restricted calls", async function () {
+      const error = errors.toSportfolioError(await rejectionOf(sportfolioIPO.connect(alice).pause()));
+      expect(error).to.be.instanceOf(errors.UnauthorizedError);
+    });
+
+    it("Should keep unknown reasons and pass non-revert errors through", function () {
+      const data = ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["Something new"])]);
+      const unknown = errors.toSportfolioError({ code: "CALL_EXCEPTION", data, message: "execution reverted" });
+      expect(unknown).to.be.instanceOf(errors.UnknownRevertError);
+      expect(unknown.reason).to.equal("Something new");
+
+      const panic = ethers.concat(["0x4e487b71", ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11])]);
+      expect(errors.decodeRevertReason({ data: panic })).to.equal("Panic(0x11)");
+
+      const rejected = Object.assign(new Error("user rejected action"), { code: "ACTION_REJECTED" });
+      expect(errors.toSportfolioError(rejected)).to.equal(rejected);
+    });
+  });
+});
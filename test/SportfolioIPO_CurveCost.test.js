@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployIPO, fundAccounts } = require("../lib/fixtures");
+const pricing = require("../lib/pricing");
+const { createRandom } = require("../lib/random");
+
+/**
+ * Differential tests: closed-form calculatePurchaseCost vs the original per-token loop
+ *
+ * Documented maximum rounding error: the closed form is rounded up, so for every
+ * (tokensSold, amount) pair
+ *   0 <= closedForm - loop <= amount + 1 USDC units
+ * i.e. buyers never pay less than the per-token sum and at most $0.000001 more per token.
+ */
+describe("SportfolioIPO - Closed-Form Purchase Cost", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, buyer, platformFeeRecipient;
+
+  const TOKEN_ID = 1n;
+
+  function randomPairs(seed, count, maxAmount) {
+    const random = createRandom(seed);
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+      const sold = BigInt(Math.floor(random() * Number(pricing.TOTAL_SUPPLY)));
+      const remaining = pricing.TOTAL_SUPPLY - sold;
+      const limit = remaining < maxAmount ? remaining : maxAmount;
+      const amount = 1n + BigInt(Math.floor(random() * Number(limit)));
+      pairs.push([sold, amount]);
+    }
+    return pairs;
+  }
+
+  function expectWithinBound(closedForm, loop, amount, label) {
+    expect(closedForm, `${label}: below loop`).to.be.gte(loop);
+    expect(closedForm - loop, `${label}: above bound`).to.be.lte(amount + 1n);
+  }
+
+  beforeEach(async function () {
+    [owner, buyer, platformFeeRecipient] = await ethers.getSigners();
+
+    ({ mockUSDC, sportfolioIPO } = await deployIPO(hre, platformFeeRecipient.address, { contract: "SportfolioIPOHarness" }));
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+  });
+
+  describe("Differential against the on-chain loop", function () {
+    it("Should stay within the documented bound for random (tokensSold, amount) pairs", async function () {
+      for (const [sold, amount] of randomPairs(7, 40, 500n)) {
+        await sportfolioIPO.setTokensSold(TOKEN_ID, sold);
+        const [tokenCost] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
+        const loop = await sportfolioIPO.legacyPurchaseCost(TOKEN_ID, sold, amount);
+
+        expectWithinBound(tokenCost, loop, amount, `sold=${sold} amount=${amount}`);
+        expect(loop).to.equal(pricing.calculatePurchaseCostIterative(sold, amount).tokenCost);
+        expect(tokenCost).to.equal(pricing.calculatePurchaseCost(sold, amount).tokenCost);
+      }
+    });
+
+    it("Should stay within the bound at the curve edges", async function () {
+      const edges = [
+        [0n, 1n], [0n, 2n], [1n, 1n], [0n, 100n], [100n, 100n],
+        [1_999_999n, 1n], [1_999_000n, 1_000n], [1_000_000n, 1n],
+      ];
+      for (const [sold, amount] of edges) {
+        await sportfolioIPO.setTokensSold(TOKEN_ID, sold);
+        const [tokenCost] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
+        const loop = await sportfolioIPO.legacyPurchaseCost(TOKEN_ID, sold, amount);
+        expectWithinBound(tokenCost, loop, amount, `sold=${sold} amount=${amount}`);
+      }
+    });
+  });
+
+  describe("Differential against the JS loop for whale purchases", function () {
+    it("Should stay within the bound for large random purchases", function () {
+      for (const [sold, amount] of randomPairs(11, 8, pricing.TOTAL_SUPPLY)) {
+        const closedForm = pricing.calculatePurchaseCost(sold, amount).tokenCost;
+        const loop = pricing.calculatePurchaseCostIterative(sold, amount).tokenCost;
+        expectWithinBound(closedForm, loop, amount, `sold=${sold} amount=${amount}`);
+      }
+    });
+
+    it("Should stay within the bound for the entire supply", async function () {
+      const [tokenCost] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, pricing.TOTAL_SUPPLY);
+      const loop = pricing.calculatePurchaseCostIterative(0n, pricing.TOTAL_SUPPLY).tokenCost;
+      expectWithinBound(tokenCost, loop, pricing.TOTAL_SUPPLY, "full supply");
+    });
+  });
+
+  describe("Differential at the largest valid curves", function () {
+    // addTeam keeps totalSupply × basePrice below 1e18, which the bound relies on;
+    // 12,000 is about the smallest smoothing factor addTeam accepts for these curves
+    const EXTREMES = [
+      { basePrice: pricing.MAX_BASE_PRICE, totalSupply: 999_999n, smoothingFactor: 12_000n, platformFeeRate: 0n },
+      { basePrice: 999_999n, totalSupply: pricing.MAX_TOTAL_SUPPLY, smoothingFactor: 12_000n, platformFeeRate: 0n },
+    ];
+
+    it("Should stay within the bound at the start, middle and end of each curve", function () {
+      for (const curve of EXTREMES) {
+        const middle = curve.totalSupply / 2n;
+        const edges = [[0n, 1n], [0n, 1_000n], [middle, 1_000n], [curve.totalSupply - 1_000n, 1_000n], [curve.totalSupply - 1n, 1n]];
+        for (const [sold, amount] of edges) {
+          const closedForm = pricing.calculatePurchaseCost(sold, amount, curve).tokenCost;
+          const loop = pricing.calculatePurchaseCostIterative(sold, amount, curve).tokenCost;
+          expectWithinBound(closedForm, loop, amount, `basePrice=${curve.basePrice} sold=${sold} amount=${amount}`);
+        }
+      }
+    });
+
+    it("Should match the contract on the largest valid curves", async function () {
+      for (const [index, curve] of EXTREMES.entries()) {
+        const tokenId = 2n + BigInt(index);
+        await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+          tokenId, "Extreme", curve.basePrice, curve.totalSupply, curve.smoothingFactor, curve.platformFeeRate
+        );
+        const sold = curve.totalSupply - 1_000n;
+        expect(await sportfolioIPO.getCurveCostAt(tokenId, sold, 1_000n))
+          .to.equal(pricing.calculatePurchaseCost(sold, 1_000n, curve).tokenCost);
+      }
+    });
+  });
+
+  describe("Gas", function () {
+    beforeEach(async function () {
+      await fundAccounts(mockUSDC, [buyer], 500_000_000n * 10n ** 6n, [await sportfolioIPO.getAddress()]);
+    });
+
+    it("Should let a whale buy the entire supply in one transaction", async function () {
+      const tx = await sportfolioIPO.connect(buyer).buyTokens(TOKEN_ID, pricing.TOTAL_SUPPLY);
+      const receipt = await tx.wait();
+
+      expect(await sportfolioIPO.balanceOf(buyer.address, TOKEN_ID)).to.equal(pricing.TOTAL_SUPPLY);
+      expect(await sportfolioIPO.isIPOActive(TOKEN_ID)).to.equal(false);
+      // Includes first-time writes of the buyer's refund escrow and wallet-cap counter
+      expect(receipt.gasUsed).to.be.lt(400_000n);
+    });
+
+    it("Should keep cost calculation gas independent of the purchase amount", async function () {
+      const small = await sportfolioIPO.calculatePurchaseCost.estimateGas(TOKEN_ID, 1n);
+      const large = await sportfolioIPO.calculatePurchaseCost.estimateGas(TOKEN_ID, 1_500_000n);
+      const diff = small > large ? small - large : large - small;
+      expect(diff).to.be.lt(20_000n);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const deployment = require("../lib/deployment");
+
+const { ethers } = hre;
+
+describe("SportfolioIPO - Manifest Deployment", function () {
+  let tempDir, recordPath;
+  let deployer, feeWallet;
+  const logs = [];
+  const log = (line) => logs.push(line);
+
+  const BASE_MANIFEST = {
+    network: "hardhat",
+    paymentToken: "MockUSDC",
+    feeRecipient: "deployer",
+    metadataURI: "https://api.sportfolio.com/metadata/{id}.json",
+    teams: [
+      { tokenId: 1, name: "Lakers" },
+      { tokenId: 2, name: "Celtics", basePrice: "25000000", platformFeeRate: 200 },
+      { tokenId: 3, name: "Warriors", walletCap: 5000 },
+    ],
+  };
+
+  function manifestWith(overrides = {}) {
+    return deployment.normalizeManifest({ ...BASE_MANIFEST, ...overrides });
+  }
+
+  function deploy(manifest = manifestWith()) {
+    return deployment.deploySportfolio(hre, manifest, { recordPath, log });
+  }
+
+  beforeEach(async function () {
+    [deployer, feeWallet] = await ethers.getSigners();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-deploy-"));
+    recordPath = path.join(tempDir, "deployments", "hardhat.json");
+    logs.length = 0;
+  });
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Manifest validation", function () {
+    it("Should normalize addresses, numbers and dates", function () {
+      const manifest = deployment.normalizeManifest({
+        ...BASE_MANIFEST,
+        paymentToken: "0x1c7d4b196cb0c7b01d743fbc6116a902379c7238",
+        teams: [{ tokenId: "7", name: "Knicks", totalSupply: 1000, startTime: "2030-01-01T00:00:00Z", endTime: 1893542400 }],
+      });
+
+      expect(manifest.paymentToken).to.equal("0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238");
+      expect(manifest.feeRecipient).to.equal("deployer");
+      expect(manifest.teams[0]).to.include({ tokenId: 7n, name: "Knicks", totalSupply: 1000n, startTime: 1893456000n, endTime: 1893542400n });
+      expect(manifest.teams[0].basePrice).to.equal(undefined);
+    });
+
+    it("Should reject missing fields, bad addresses and duplicate teams", function () {
+      expect(() => deployment.normalizeManifest({ ...BASE_MANIFEST, metadataURI: "" })).to.throw('"metadataURI" is required');
+      expect(() => deployment.normalizeManifest({ ...BASE_MANIFEST, feeRecipient: "0x1234" })).to.throw("not a valid address");
+      expect(() =>
+        deployment.normalizeManifest({ ...BASE_MANIFEST, teams: [{ tokenId: 1, name: "A" }, { tokenId: 1, name: "B" }] })
+      ).to.throw("duplicate tokenId 1");
+      expect(() => deployment.normalizeManifest({ ...BASE_MANIFEST, teams: [{ tokenId: 0, name: "A" }] })).to.throw(
+        "tokenId must be greater than 0"
+      );
+      expect(() => deployment.normalizeManifest({ ...BASE_MANIFEST, teams: [{ tokenId: 1, name: "A", basePrice: "30.5" }] })).to.throw(
+        "must be a non-negative whole number"
+      );
+    });
+
+    it("Should refuse a manifest for another network", async function () {
+      await expect(deploy(manifestWith({ network: "sepolia" }))).to.be.rejectedWith('Manifest is for network "sepolia"');
+    });
+  });
+
+  describe("Fresh deployment", function () {
+    it("Should deploy MockUSDC and SportfolioIPO and register every team", async function () {
+      const { sportfolioIPO, paymentToken, registered, record } = await deploy();
+
+      expect(registered).to.deep.equal([1n, 2n, 3n]);
+      expect(await sportfolioIPO.getPaymentToken()).to.equal(paymentToken);
+      expect(await sportfolioIPO.platformFeeRecipient()).to.equal(deployer.address);
+      expect(await sportfolioIPO.getAllTeams()).to.deep.equal([1n, 2n, 3n]);
+
+      // Partial curve: given values applied, the rest from the contract defaults
+      const celtics = await sportfolioIPO.getTeamInfo(2n);
+      expect(celtics.basePrice).to.equal(25_000_000n);
+      expect(celtics.platformFeeRate).to.equal(200n);
+      expect(celtics.totalSupply).to.equal(await sportfolioIPO.DEFAULT_TOTAL_SUPPLY());
+      expect(await sportfolioIPO.walletCaps(3n)).to.equal(5000n);
+
+      expect(record.contracts.SportfolioIPO.address).to.equal(await sportfolioIPO.getAddress());
+      expect(record.contracts.MockUSDC.address).to.equal(paymentToken);
+    });
+
+    it("Should write addresses and transaction hashes to the record", async function () {
+      const { sportfolioIPO } = await deploy();
+      const record = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+
+      expect(record.network).to.equal("hardhat");
+      expect(record.chainId).to.equal("31337");
+      expect(record.contracts.SportfolioIPO.address).to.equal(await sportfolioIPO.getAddress());
+      const receipt = await ethers.provider.getTransactionReceipt(record.contracts.SportfolioIPO.txHash);
+      expect(receipt.contractAddress).to.equal(await sportfolioIPO.getAddress());
+      for (const tokenId of ["1", "2", "3"]) {
+        expect(record.teams[tokenId].txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(record.teams[tokenId].blockNumber).to.be.a("number");
+      }
+      expect(fs.existsSync(`${recordPath}.tmp`)).to.equal(false);
+    });
+
+    it("Should use an existing payment token and fee recipient from the manifest", async function () {
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const usdc = await MockUSDC.deploy();
+      await usdc.waitForDeployment();
+
+      const { sportfolioIPO, record } = await deploy(
+        manifestWith({ paymentToken: await usdc.getAddress(), feeRecipient: feeWallet.address })
+      );
+
+      expect(await sportfolioIPO.getPaymentToken()).to.equal(await usdc.getAddress());
+      expect(await sportfolioIPO.platformFeeRecipient()).to.equal(feeWallet.address);
+      expect(record.contracts.MockUSDC).to.equal(undefined);
+    });
+
+    it("Should register scheduled teams with their window", async function () {
+      const start = BigInt(await time.latest()) + 3600n;
+      const manifest = manifestWith({
+        teams: [
+          { tokenId: 1, name: "Lakers", startTime: Number(start), endTime: Number(start + 7200n) },
+          { tokenId: 2, name: "Celtics", endTime: Number(start + 7200n), totalSupply: 1000 },
+        ],
+      });
+
+      const { sportfolioIPO } = await deploy(manifest);
+
+      const lakers = await sportfolioIPO.getTeamInfo(1n);
+      expect(lakers.ipoStartTime).to.equal(start);
+      expect(lakers.ipoEndTime).to.equal(start + 7200n);
+      expect(await sportfolioIPO.isIPOActive(1n)).to.equal(false);
+
+      // No startTime: opens shortly after registration
+      const celtics = await sportfolioIPO.getTeamInfo(2n);
+      expect(celtics.totalSupply).to.equal(1000n);
+      expect(celtics.ipoStartTime).to.be.gt(BigInt(await time.latest()));
+      expect(celtics.ipoStartTime).to.be.lte(BigInt(await time.latest()) + 61n);
+    });
+  });
+
+  describe("Resuming", function () {
+    it("Should reuse everything on a re-run without sending transactions", async function () {
+      const first = await deploy();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      const second = await deploy();
+
+      expect(await second.sportfolioIPO.getAddress()).to.equal(await first.sportfolioIPO.getAddress());
+      expect(second.registered).to.deep.equal([]);
+      expect(second.skipped).to.deep.equal([1n, 2n, 3n]);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    });
+
+    it("Should register only the missing teams after a partial failure", async function () {
+      // Team 2's window ends before it starts: registration reverts after team 1 is in
+      const start = BigInt(await time.latest()) + 3600n;
+      const broken = manifestWith({
+        teams: [
+          { tokenId: 1, name: "Lakers" },
+          { tokenId: 2, name: "Celtics", startTime: Number(start), endTime: Number(start - 1n) },
+          { tokenId: 3, name: "Warriors" },
+        ],
+      });
+      await expect(deploy(broken)).to.be.rejectedWith("End time must be after start time");
+
+      const partial = deployment.readDeploymentRecord(recordPath);
+      expect(partial.contracts.SportfolioIPO.address).to.be.a("string");
+      expect(Object.keys(partial.teams)).to.deep.equal(["1"]);
+
+      const { sportfolioIPO, registered, skipped } = await deploy();
+
+      expect(await sportfolioIPO.getAddress()).to.equal(partial.contracts.SportfolioIPO.address);
+      expect(skipped).to.deep.equal([1n]);
+      expect(registered).to.deep.equal([2n, 3n]);
+      expect(await sportfolioIPO.getAllTeams()).to.deep.equal([1n, 2n, 3n]);
+    });
+
+    it("Should pick up a deployment whose transaction was sent but not recorded as mined", async function () {
+      const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const usdc = await MockUSDC.deploy();
+      await usdc.waitForDeployment();
+      const ipo = await SportfolioIPO.deploy(BASE_MANIFEST.metadataURI, deployer.address, await usdc.getAddress());
+
+      // Simulates a crash right after sending: only the hashes were written
+      deployment.writeDeploymentRecord(recordPath, {
+        network: "hardhat",
+        chainId: "31337",
+        contracts: {
+          MockUSDC: { txHash: usdc.deploymentTransaction().hash },
+          SportfolioIPO: { txHash: ipo.deploymentTransaction().hash },
+        },
+        teams: {},
+      });
+
+      const { sportfolioIPO, paymentToken } = await deploy();
+
+      expect(await sportfolioIPO.getAddress()).to.equal(await ipo.getAddress());
+      expect(paymentToken).to.equal(await usdc.getAddress());
+      expect(logs).to.include(`SportfolioIPO: waiting for pending deployment ${ipo.deploymentTransaction().hash}`);
+    });
+
+    it("Should not touch teams already registered by hand, and update changed wallet caps", async function () {
+      const { sportfolioIPO } = await deploy(manifestWith({ teams: [{ tokenId: 1, name: "Lakers" }] }));
+      await sportfolioIPO.addTeam(2n, "Boston Celtics");
+
+      const { registered, skipped } = await deploy(
+        manifestWith({ teams: [...BASE_MANIFEST.teams.slice(0, 2), { tokenId: 3, name: "Warriors", walletCap: 7500 }] })
+      );
+
+      expect(skipped).to.deep.equal([1n, 2n]);
+      expect(registered).to.deep.equal([3n]);
+      expect((await sportfolioIPO.getTeamInfo(2n)).teamName).to.equal("Boston Celtics");
+      expect(logs.some((line) => line.includes('already registered as "Boston Celtics"'))).to.equal(true);
+      expect(await sportfolioIPO.walletCaps(3n)).to.equal(7500n);
+    });
+
+    it("Should refuse a record from another chain and a recorded contract with a different payment token", async function () {
+      deployment.writeDeploymentRecord(recordPath, { network: "hardhat", chainId: "1", contracts: {}, teams: {} });
+      await expect(deploy()).to.be.rejectedWith("was written for chain 1");
+
+      fs.rmSync(recordPath);
+      await deploy();
+      const otherToken = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+      await expect(deploy(manifestWith({ paymentToken: otherToken }))).to.be.rejectedWith(`manifest wants ${otherToken}`);
+    });
+
+    it("Should discard a stale in-process record whose contracts no longer exist", async function () {
+      deployment.writeDeploymentRecord(recordPath, {
+        network: "hardhat",
+        chainId: "31337",
+        contracts: { SportfolioIPO: { address: ethers.Wallet.createRandom().address, txHash: ethers.ZeroHash } },
+        teams: { 1: { name: "Lakers", txHash: ethers.ZeroHash, blockNumber: 1 } },
+      });
+
+      const { registered } = await deploy();
+
+      expect(registered).to.deep.equal([1n, 2n, 3n]);
+      expect(logs[0]).to.include("Discarding stale hardhat record");
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const gas = require("../lib/gas");
+
+describe("SportfolioIPO - Gas Benchmark", function () {
+  describe("Benchmark run", function () {
+    let result;
+
+    before(async function () {
+      result = await gas.runBenchmark(hre, {
+        purchaseSizes: [1n, 1_000n, 100_000n],
+        supplyLevels: [0n, 1_950_000n],
+        blockGasLimit: 30_000_000n,
+      });
+    });
+
+    it("Should measure buyTokens at every size that fits the remaining supply", function () {
+      const names = Object.keys(result.measurements).filter((name) => name.startsWith("buyTokens/"));
+      expect(names).to.deep.equal([
+        "buyTokens/supply=0/amount=1",
+        "buyTokens/supply=0/amount=1000",
+        "buyTokens/supply=0/amount=100000",
+        "buyTokens/supply=1950000/amount=1",
+        "buyTokens/supply=1950000/amount=1000",
+      ]);
+    });
+
+    it("Should measure every call from the same starting state", async function () {
+      const again = await gas.runBenchmark(hre, { purchaseSizes: [1n, 1_000n], supplyLevels: [1_950_000n] });
+      for (const [name, used] of Object.entries(again.measurements)) {
+        if (name in result.measurements) expect(used, name).to.equal(result.measurements[name]);
+      }
+      // The team's first purchase also initializes its counters
+      expect(result.measurements["buyTokens/supply=0/amount=1"]).to.be.greaterThan(
+        result.measurements["buyTokens/supply=1950000/amount=1"]
+      );
+    });
+
+    it("Should cover addTeam, transfers and admin calls", function () {
+      for (const name of ["addTeam/default", "safeTransferFrom/paused", "safeTransferFrom/completed", "pauseIPO", "withdraw/all", "claimRefund"]) {
+        expect(result.measurements[name], name).to.be.a("number").and.greaterThan(21_000);
+      }
+    });
+
+    it("Should report the largest purchase and batch under the block gas limit", function () {
+      expect(result.maxPurchase).to.deep.equal({ 0: "2000000", 1950000: "50000" });
+      expect(result.maxBatchTeams).to.be.greaterThan(10);
+    });
+  });
+
+  describe("Limits", function () {
+    it("Should binary search the largest amount under the gas limit", async function () {
+      const estimate = async (amount) => 100_000n + amount * 3n;
+
+      expect(await gas.findMaxAmount(estimate, 1_000_000n, 400_000n)).to.equal(100_000n);
+      expect(await gas.findMaxAmount(estimate, 50_000n, 400_000n)).to.equal(50_000n);
+      expect(await gas.findMaxAmount(estimate, 1_000n, 90_000n)).to.equal(0n);
+      expect(await gas.findMaxAmount(estimate, 0n, 400_000n)).to.equal(0n);
+    });
+  });
+
+  describe("Baseline comparison", function () {
+    const baseline = { measurements: { buy: 100_000, transfer: 50_000, removed: 30_000 } };
+
+    it("Should flag only measurements above the threshold", function () {
+      const current = { measurements: { buy: 102_500, transfer: 50_900, addTeam: 200_000 } };
+      const { rows, regressions, missing } = gas.compareWithBaseline(current, baseline, 0.02);
+
+      expect(rows).to.deep.equal([
+        { name: "buy", gas: 102_500, baseline: 100_000, change: 0.025 },
+        { name: "transfer", gas: 50_900, baseline: 50_000, change: 0.018 },
+        { name: "addTeam", gas: 200_000, baseline: null, change: null },
+      ]);
+      expect(regressions.map((row) => row.name)).to.deep.equal(["buy"]);
+      expect(missing).to.deep.equal(["removed"]);
+    });
+
+    it("Should accept improvements and a zero threshold on unchanged gas", function () {
+      const current = { measurements: { buy: 90_000, transfer: 50_000 } };
+      expect(gas.compareWithBaseline(current, baseline, 0).regressions).to.deep.equal([]);
+      expect(gas.compareWithBaseline({ measurements: { buy: 100_001 } }, baseline, 0).regressions).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const indexer = require("../lib/indexer");
+
+describe("SportfolioIPO - Event Indexer", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, carol, platformFeeRecipient;
+  let contractAddress;
+  let index;
+
+  const LAKERS = 1n;
+  const CELTICS = 2n;
+  const USDC = 10n ** 6n;
+  const DAY = 24 * 60 * 60;
+
+  async function sync(options = {}) {
+    return indexer.syncIndex(index, ethers.provider, { confirmations: 0, ...options });
+  }
+
+  async function purchased(tokenId, amount) {
+    const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(tokenId, amount);
+    return { tokenCost, platformFee };
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contractAddress = await sportfolioIPO.getAddress();
+    const deployBlock = (await sportfolioIPO.deploymentTransaction().wait()).blockNumber;
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await sportfolioIPO.addTeam(CELTICS, "Celtics");
+    for (const buyer of [alice, bob, carol]) {
+      await mockUSDC.transfer(buyer.address, 10_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    index = indexer.createIndex({ contract: contractAddress, chainId, startBlock: deployBlock });
+  });
+
+  describe("Backfill", function () {
+    it("Should index team, purchase and transfer events from the start block", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      await sportfolioIPO.pauseIPO(CELTICS);
+
+      const result = await sync();
+
+      const names = index.events.map((event) => event.event);
+      expect(names.filter((name) => name === "TeamAdded")).to.have.length(2);
+      expect(names).to.include.members(["TeamCurveConfigured", "IPOScheduled", "TokensPurchased", "TransferSingle", "IPOPaused"]);
+      expect(result.added).to.equal(index.events.length);
+      expect(index.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+
+      const teams = indexer.getTeams(index);
+      expect(teams.get("1")).to.include({ name: "Lakers", status: "live" });
+      expect(teams.get("2")).to.include({ name: "Celtics", status: "paused" });
+    });
+
+    it("Should pick up only new events on the next sync, in small batches", async function () {
+      await sync();
+      const before = index.events.length;
+
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 10n);
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 20n);
+      const result = await sync({ batchSize: 1 });
+
+      expect(result.added).to.equal(4); // TokensPurchased + TransferSingle per purchase
+      expect(index.events).to.have.length(before + 4);
+      expect(index.events.slice(before).map((event) => event.blockNumber)).to.deep.equal(
+        [...index.events.slice(before).map((event) => event.blockNumber)].sort((a, b) => a - b)
+      );
+    });
+
+    it("Should stay behind the head by the confirmation depth", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 10n);
+      const head = await ethers.provider.getBlockNumber();
+
+      await sync({ confirmations: 1 });
+      expect(index.checkpoint.blockNumber).to.equal(head - 1);
+      expect(index.events.some((event) => event.event === "TokensPurchased")).to.equal(false);
+
+      await network.provider.send("evm_mine");
+      await sync({ confirmations: 1 });
+      expect(index.events.some((event) => event.event === "TokensPurchased")).to.equal(true);
+    });
+
+    it("Should refuse a provider on another chain", async function () {
+      index.chainId = "1";
+      await expect(sync()).to.be.rejectedWith("Index is for chain 1");
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back orphaned events and re-index the new chain", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+      await sync();
+      const canonical = index.checkpoint;
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 5_000n);
+      await sync();
+      expect(indexer.getCapTable(index, LAKERS).map((row) => row.holder)).to.include(bob.address);
+
+      // Replace the last block with a different one at the same height
+      await network.provider.send("evm_revert", [snapshot]);
+      await sportfolioIPO.connect(carol).buyTokens(LAKERS, 7n);
+      const result = await sync();
+
+      expect(result.reorgedFrom).to.equal(canonical.blockNumber + 1);
+      const holders = indexer.getCapTable(index, LAKERS);
+      expect(holders.map((row) => row.holder)).to.have.members([alice.address, carol.address]);
+      expect(index.events.filter((event) => event.event === "TokensPurchased")).to.have.length(2);
+    });
+
+    it("Should start over when the reorg is older than every checkpoint kept", async function () {
+      const snapshot = await network.provider.send("evm_snapshot");
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 50n);
+      await sync({ batchSize: 1000 });
+      index.checkpoints = [index.checkpoint];
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await sportfolioIPO.connect(carol).buyTokens(LAKERS, 60n);
+      const result = await sync();
+
+      expect(result.reorgedFrom).to.equal(index.startBlock);
+      expect(indexer.getCapTable(index, LAKERS)).to.deep.equal([{ holder: carol.address, balance: 60n, shareBps: 10_000n }]);
+    });
+  });
+
+  describe("Reports", function () {
+    it("Should build a cap table from mints, transfers and batch mints", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 3_000n);
+      await sportfolioIPO.connect(bob).buyTokensBatch([LAKERS, CELTICS], [1_000n, 500n], ethers.MaxUint256, (await time.latest()) + 3600);
+      await sportfolioIPO.completeIPO(LAKERS);
+      await sportfolioIPO.connect(alice).safeTransferFrom(alice.address, carol.address, LAKERS, 1_000n, "0x");
+      await sync();
+
+      expect(indexer.getCapTable(index, LAKERS)).to.deep.equal([
+        { holder: alice.address, balance: 2_000n, shareBps: 5_000n },
+        { holder: bob.address, balance: 1_000n, shareBps: 2_500n },
+        { holder: carol.address, balance: 1_000n, shareBps: 2_500n },
+      ]);
+      expect(indexer.getCapTable(index, CELTICS)).to.deep.equal([{ holder: bob.address, balance: 500n, shareBps: 10_000n }]);
+
+      // Balances match the chain
+      for (const row of indexer.getCapTable(index, LAKERS)) {
+        expect(await sportfolioIPO.balanceOf(row.holder, LAKERS)).to.equal(row.balance);
+      }
+    });
+
+    it("Should drop holders whose tokens were burned for refunds", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(CELTICS, 100n);
+      await sportfolioIPO.connect(bob).buyTokens(CELTICS, 100n);
+      await sportfolioIPO.cancelIPO(CELTICS, false);
+      await sportfolioIPO.connect(alice).claimRefund(CELTICS, 100n);
+      await sync();
+
+      expect(indexer.getCapTable(index, CELTICS).map((row) => row.holder)).to.deep.equal([bob.address]);
+      expect(indexer.getTeams(index).get("2").status).to.equal("cancelled");
+    });
+
+    it("Should report revenue and fees per team per day", async function () {
+      const day1Lakers = await purchased(LAKERS, 1_000n);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      const day1Celtics = await purchased(CELTICS, 200n);
+      await sportfolioIPO.connect(bob).buyTokens(CELTICS, 200n);
+
+      await time.increase(DAY);
+      const day2First = await purchased(LAKERS, 500n);
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 500n);
+      const day2Second = await purchased(LAKERS, 250n);
+      await sportfolioIPO.connect(carol).buyTokens(LAKERS, 250n);
+      await sync();
+
+      const rows = indexer.getRevenueByDay(index);
+      expect(rows).to.have.length(3);
+      const [first, second, third] = rows;
+      expect(first.date < third.date).to.equal(true);
+      expect(first).to.include({ tokenId: LAKERS, team: "Lakers", purchases: 1, tokens: 1_000n });
+      expect(first.revenue).to.equal(day1Lakers.tokenCost);
+      expect(first.fees).to.equal(day1Lakers.platformFee);
+      expect(second).to.include({ tokenId: CELTICS, team: "Celtics", purchases: 1, revenue: day1Celtics.tokenCost });
+      expect(third).to.include({ tokenId: LAKERS, purchases: 2, tokens: 750n });
+      expect(third.revenue).to.equal(day2First.tokenCost + day2Second.tokenCost);
+      expect(third.fees).to.equal(day2First.platformFee + day2Second.platformFee);
+
+      // Totals reconcile with the contract's accounting
+      const lakersRows = indexer.getRevenueByDay(index, { tokenId: LAKERS });
+      const funds = await sportfolioIPO.teamFunds(LAKERS);
+      expect(lakersRows.reduce((sum, row) => sum + row.revenue, 0n)).to.equal(funds.proceeds);
+      expect(lakersRows.reduce((sum, row) => sum + row.fees, 0n)).to.equal(funds.feesCollected);
+    });
+
+    it("Should produce a price series matching the contract after each purchase", async function () {
+      const expected = [await sportfolioIPO.getCurrentPrice(LAKERS)];
+      for (const [buyer, amount] of [[alice, 10_000n], [bob, 250_000n], [carol, 1n]]) {
+        await sportfolioIPO.connect(buyer).buyTokens(LAKERS, amount);
+        expected.push(await sportfolioIPO.getCurrentPrice(LAKERS));
+      }
+      await sync();
+
+      const series = indexer.getPriceSeries(index, LAKERS);
+      expect(series.map((point) => point.price)).to.deep.equal(expected);
+      expect(series.map((point) => point.tokensSold)).to.deep.equal([0n, 10_000n, 260_000n, 260_001n]);
+      expect(series[0].averagePrice).to.equal(null);
+      expect(series[2].averagePrice).to.be.gt(series[1].averagePrice);
+      expect(series[1].timestamp).to.be.a("number");
+    });
+
+    it("Should leave the supply level and curve price empty when the team predates the index", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+      index.startBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const { tokenCost } = await purchased(LAKERS, 100n);
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 100n);
+      await sync();
+
+      const series = indexer.getPriceSeries(index, LAKERS);
+      expect(series).to.have.length(1);
+      expect(series[0].tokensSold).to.equal(null);
+      expect(series[0].price).to.equal(null);
+      expect(series[0].averagePrice).to.equal(tokenCost / 100n);
+    });
+  });
+
+  describe("Store and CLI", function () {
+    let tempDir, storePath;
+
+    beforeEach(function () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-index-"));
+      storePath = path.join(tempDir, "index.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("Should persist after each batch and resume from the saved checkpoint", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+      await sync({ batchSize: 2, onBatch: (state) => indexer.saveIndex(storePath, state) });
+
+      const reloaded = indexer.loadIndex(storePath);
+      expect(reloaded.checkpoint).to.deep.equal(index.checkpoint);
+      expect(reloaded.events).to.deep.equal(index.events);
+
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 50n);
+      const result = await indexer.syncIndex(reloaded, ethers.provider, { confirmations: 0 });
+      expect(result.fromBlock).to.equal(index.checkpoint.blockNumber + 1);
+      expect(indexer.getCapTable(reloaded, LAKERS)).to.have.length(2);
+    });
+
+    it("Should follow the chain until stopped", async function () {
+      const controller = new AbortController();
+      const results = [];
+
+      await indexer.followIndex(index, ethers.provider, {
+        confirmations: 0,
+        pollInterval: 10,
+        signal: controller.signal,
+        onSync: async (result) => {
+          results.push(result);
+          if (results.length === 1) await sportfolioIPO.connect(alice).buyTokens(LAKERS, 5n);
+          else controller.abort();
+        },
+      });
+
+      expect(results).to.have.length(2);
+      expect(results[1].added).to.equal(2);
+      expect(indexer.getCapTable(index, LAKERS)[0]).to.include({ holder: alice.address, balance: 5n });
+    });
+
+    it("Should print reports from a saved store", async function () {
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 300n);
+      await sportfolioIPO.connect(bob).buyTokens(LAKERS, 100n);
+      await sync();
+      indexer.saveIndex(storePath, index);
+
+      const run = (...args) => execFileSync("node", ["scripts/indexer.js", "report", ...args, "--store", storePath], { encoding: "utf8" });
+
+      const capTable = run("cap-table", "--team", "1", "--format", "csv").trim().split("\n");
+      expect(capTable[0]).to.equal("holder,balance,shareBps");
+      expect(capTable[1]).to.equal(`"${alice.address}","300","7500"`);
+
+      const revenue = JSON.parse(run("revenue", "--format", "json"));
+      expect(revenue).to.have.length(1);
+      expect(revenue[0]).to.include({ tokenId: "1", team: "Lakers", purchases: 2, tokens: "400" });
+
+      expect(run("prices", "--team", "1")).to.include("$30.000000");
+    });
+  });
+});
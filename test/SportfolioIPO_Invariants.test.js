@@ -0,0 +1,337 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const pricing = require("../lib/pricing");
+const { createRandom } = require("../lib/random");
+const { deployIPO, fundAccounts } = require("../lib/fixtures");
+
+/**
+ * Stateful fuzzing: random interleavings of team registration, purchases from many
+ * buyers, per-team pause / resume / complete / cancel, transfers, refunds, withdrawals
+ * and time jumps across several teams, with the invariants below checked after every step.
+ *
+ *   USDC      contract balance == token costs collected + refundable fees pulled back
+ *             - withdrawals - refunds, and == withdrawable proceeds + escrow of every
+ *             team not completed (+ fees of cancelled teams refunding them)
+ *   Escrow    per team, holders' escrowed payments sum to the team's proceeds; a holder
+ *             of a team not completed has escrow only while holding tokens
+ *   Supply    tokensSold == ERC-1155 tokens minted (held + burned for refunds)
+ *   Price     getCurrentPrice never decreases and matches lib/pricing at tokensSold;
+ *             every purchase costs exactly what lib/pricing quotes
+ *   Transfers revert exactly while getTeamInfo reports ipoActive
+ *
+ * Every run is reproducible from its seed; a failure reports the seed and the last steps:
+ *   FUZZ_SEED=1234 FUZZ_RUNS=1 FUZZ_STEPS=400 npx hardhat test test/SportfolioIPO_Invariants.test.js --network hardhat
+ */
+describe("SportfolioIPO - Stateful Invariants", function () {
+  const RUNS = Number(process.env.FUZZ_RUNS || 2);
+  const STEPS = Number(process.env.FUZZ_STEPS || 80);
+  const FIRST_SEED = Number(process.env.FUZZ_SEED || 20_240_601);
+  const MAX_TEAMS = 8;
+  const USDC = 10n ** 6n;
+
+  // One fuzz run: fresh contracts, STEPS random actions, invariants after each
+  async function runCampaign(seed) {
+    const random = createRandom(seed);
+    const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const bigBetween = (min, max) => min + BigInt(Math.floor(random() * Number(max - min + 1n)));
+
+    const [owner, feeWallet, ...rest] = await ethers.getSigners();
+    const buyers = rest.slice(0, 6);
+    const holders = [owner, ...buyers];
+
+    const { mockUSDC, sportfolioIPO } = await deployIPO(hre, feeWallet.address);
+    const ipoAddress = await sportfolioIPO.getAddress();
+    await fundAccounts(mockUSDC, buyers, 1_000_000_000n * USDC, [ipoAddress]);
+    // The owner funds fee refunds after cancelling with refundFees, as the treasury would
+    await fundAccounts(mockUSDC, [owner], 0n, [ipoAddress]);
+
+    const ghost = { collected: 0n, feesPulled: 0n, withdrawn: 0n, refunded: 0n };
+    const teams = []; // { tokenId, curve, burned, lastPrice }
+    const history = [];
+
+    // Sends a call the model cannot always predict; a revert must be one of the expected reasons
+    async function attempt(promise, reasons) {
+      try {
+        return await (await promise).wait();
+      } catch (error) {
+        const reason = error.reason || error.shortMessage || error.message;
+        expect(reasons.some((expected) => reason.includes(expected)), `unexpected revert: ${reason}`).to.equal(true);
+        return null;
+      }
+    }
+
+    // Teams accepting purchases right now; most purchases and pauses go to these
+    async function pickTeam(preferLive) {
+      if (preferLive && random() < 0.85) {
+        const live = [];
+        for (const team of teams) {
+          if (await sportfolioIPO.isIPOActive(team.tokenId)) live.push(team);
+        }
+        if (live.length > 0) return pick(live);
+      }
+      return pick(teams);
+    }
+
+    function parseEvents(receipt, name) {
+      return receipt.logs
+        .map((log) => sportfolioIPO.interface.parseLog(log))
+        .filter((event) => event && event.name === name);
+    }
+
+    const actions = {
+      async addTeam() {
+        if (teams.length >= MAX_TEAMS) return "addTeam skipped (max teams)";
+        const tokenId = BigInt(teams.length + 1);
+        const curve = pricing.createCurve({
+          basePrice: bigBetween(1n, 50n) * USDC,
+          totalSupply: bigBetween(2_000n, 40_000n),
+          smoothingFactor: bigBetween(1_000n, 20_000n),
+          platformFeeRate: bigBetween(0n, 1_000n),
+        });
+        const curveArgs = [curve.basePrice, curve.totalSupply, curve.smoothingFactor, curve.platformFeeRate];
+
+        if (random() < 0.3) {
+          const startTime = BigInt(await time.latest()) + bigBetween(1n, 3_600n);
+          const endTime = random() < 0.5 ? 0n : startTime + bigBetween(600n, 7_200n);
+          await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256,uint256,uint256)"](
+            tokenId, `Team ${tokenId}`, ...curveArgs, startTime, endTime
+          );
+        } else {
+          await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](tokenId, `Team ${tokenId}`, ...curveArgs);
+        }
+        teams.push({ tokenId, curve, burned: 0n, lastPrice: curve.basePrice });
+        return `addTeam ${tokenId} supply ${curve.totalSupply}`;
+      },
+
+      async buy() {
+        if (teams.length === 0) return "buy skipped (no teams)";
+        const team = await pickTeam(true);
+        const buyer = pick(buyers);
+        const info = await sportfolioIPO.getTeamInfo(team.tokenId);
+        const remaining = info.totalSupply - info.tokensSold;
+
+        const roll = random();
+        let amount;
+        if (roll < 0.04) amount = remaining + 1n;
+        else if (roll < 0.08) amount = remaining;
+        else if (roll < 0.6) amount = bigBetween(1n, 50n);
+        else amount = bigBetween(1n, remaining > 10n ? remaining / 10n : 1n);
+
+        const label = `buy ${amount} of ${team.tokenId} by buyer ${buyers.indexOf(buyer)}`;
+        if (!info.ipoActive || amount === 0n || amount > remaining) {
+          await expect(sportfolioIPO.connect(buyer).buyTokens(team.tokenId, amount)).to.be.reverted;
+          return `${label} (rejected)`;
+        }
+
+        const quote = pricing.calculatePurchaseCost(info.tokensSold, amount, team.curve);
+        const balanceBefore = await mockUSDC.balanceOf(buyer.address);
+        const feesBefore = await mockUSDC.balanceOf(feeWallet.address);
+        const receipt = await (await sportfolioIPO.connect(buyer).buyTokens(team.tokenId, amount)).wait();
+
+        const [purchase] = parseEvents(receipt, "TokensPurchased");
+        expect(purchase.args.totalCost).to.equal(quote.tokenCost);
+        expect(purchase.args.platformFee).to.equal(quote.platformFee);
+        expect(balanceBefore - (await mockUSDC.balanceOf(buyer.address))).to.equal(quote.totalCost);
+        expect((await mockUSDC.balanceOf(feeWallet.address)) - feesBefore).to.equal(quote.platformFee);
+        ghost.collected += quote.tokenCost;
+        return label;
+      },
+
+      async pause() {
+        if (teams.length === 0) return "pause skipped (no teams)";
+        const { tokenId } = await pickTeam(true);
+        const receipt = await attempt(sportfolioIPO.pauseIPO(tokenId), [
+          "IPO already paused or completed",
+          "IPO window has closed",
+        ]);
+        return `pause ${tokenId}${receipt ? "" : " (rejected)"}`;
+      },
+
+      async resume() {
+        if (teams.length === 0) return "resume skipped (no teams)";
+        const { tokenId } = pick(teams);
+        const receipt = await attempt(sportfolioIPO.resumeIPO(tokenId), [
+          "IPO already active",
+          "All tokens sold",
+          "IPO already completed",
+          "IPO cancelled",
+          "IPO window has closed",
+        ]);
+        return `resume ${tokenId}${receipt ? "" : " (rejected)"}`;
+      },
+
+      async complete() {
+        if (teams.length === 0) return "complete skipped (no teams)";
+        const { tokenId } = pick(teams);
+        const receipt = await attempt(sportfolioIPO.completeIPO(tokenId), ["IPO already completed", "IPO cancelled"]);
+        return `complete ${tokenId}${receipt ? "" : " (rejected)"}`;
+      },
+
+      async cancel() {
+        if (teams.length === 0) return "cancel skipped (no teams)";
+        const { tokenId } = pick(teams);
+        const refundFees = random() < 0.5;
+        const fees = (await sportfolioIPO.teamFunds(tokenId)).feesCollected;
+        const receipt = await attempt(sportfolioIPO.cancelIPO(tokenId, refundFees), [
+          "IPO already completed",
+          "IPO already cancelled",
+        ]);
+        if (receipt && refundFees) {
+          await (await sportfolioIPO.fundFeeRefunds(tokenId)).wait();
+          ghost.feesPulled += fees;
+        }
+        return `cancel ${tokenId} refundFees ${refundFees}${receipt ? "" : " (rejected)"}`;
+      },
+
+      async transfer() {
+        const candidates = [];
+        for (const team of teams) {
+          for (const holder of holders) {
+            const balance = await sportfolioIPO.balanceOf(holder.address, team.tokenId);
+            if (balance > 0n) candidates.push({ team, holder, balance });
+          }
+        }
+        if (candidates.length === 0) return "transfer skipped (no holders)";
+
+        const { team, holder, balance } = pick(candidates);
+        const to = pick(holders.filter((account) => account !== holder));
+        const amount = random() < 0.3 ? balance : bigBetween(1n, balance);
+        const live = (await sportfolioIPO.getTeamInfo(team.tokenId)).ipoActive;
+        const transfer = sportfolioIPO
+          .connect(holder)
+          .safeTransferFrom(holder.address, to.address, team.tokenId, amount, "0x");
+
+        if (live) {
+          await expect(transfer).to.be.revertedWith("Transfers not allowed during IPO");
+          return `transfer ${amount} of ${team.tokenId} (blocked, live)`;
+        }
+        const toBefore = await sportfolioIPO.balanceOf(to.address, team.tokenId);
+        await (await transfer).wait();
+        expect(await sportfolioIPO.balanceOf(holder.address, team.tokenId)).to.equal(balance - amount);
+        expect(await sportfolioIPO.balanceOf(to.address, team.tokenId)).to.equal(toBefore + amount);
+        return `transfer ${amount} of ${team.tokenId}`;
+      },
+
+      async refund() {
+        const candidates = [];
+        for (const team of teams) {
+          if (!(await sportfolioIPO.getTeamInfo(team.tokenId)).cancelled) continue;
+          for (const holder of holders) {
+            const balance = await sportfolioIPO.balanceOf(holder.address, team.tokenId);
+            if (balance > 0n) candidates.push({ team, holder, balance });
+          }
+        }
+        if (candidates.length === 0) return "refund skipped (nothing to refund)";
+
+        const { team, holder, balance } = pick(candidates);
+        const amount = random() < 0.5 ? balance : bigBetween(1n, balance);
+        const expected = await sportfolioIPO.getRefundAmount(team.tokenId, holder.address, amount);
+        const receipt = await (await sportfolioIPO.connect(holder).claimRefund(team.tokenId, amount)).wait();
+
+        const [claim] = parseEvents(receipt, "RefundClaimed");
+        expect(claim.args.refund).to.equal(expected);
+        ghost.refunded += expected;
+        team.burned += amount;
+        return `refund ${amount} of ${team.tokenId}`;
+      },
+
+      async withdraw() {
+        const available = await sportfolioIPO.withdrawableProceeds();
+        if (available === 0n) {
+          await expect(sportfolioIPO.withdraw(0n)).to.be.revertedWith("No balance to withdraw");
+          return "withdraw (nothing to withdraw)";
+        }
+        const amount = random() < 0.5 ? 0n : bigBetween(1n, available);
+        await (await sportfolioIPO.withdraw(amount)).wait();
+        const withdrawn = amount === 0n ? available : amount;
+        ghost.withdrawn += withdrawn;
+        expect(await sportfolioIPO.withdrawableProceeds()).to.equal(available - withdrawn);
+        return `withdraw ${withdrawn}`;
+      },
+
+      async wait() {
+        const seconds = between(60, 4_000);
+        await time.increase(seconds);
+        return `wait ${seconds}s`;
+      },
+    };
+
+    const weighted = [
+      ["addTeam", 2], ["buy", 14], ["pause", 2], ["resume", 2], ["complete", 1], ["cancel", 1],
+      ["transfer", 4], ["refund", 2], ["withdraw", 2], ["wait", 1],
+    ].flatMap(([name, weight]) => Array(weight).fill(name));
+
+    async function checkInvariants() {
+      const balance = await mockUSDC.balanceOf(ipoAddress);
+      expect(balance, "USDC vs ghost ledger").to.equal(ghost.collected + ghost.feesPulled - ghost.withdrawn - ghost.refunded);
+
+      let owed = await sportfolioIPO.withdrawableProceeds();
+      for (const team of teams) {
+        const info = await sportfolioIPO.getTeamInfo(team.tokenId);
+        const funds = await sportfolioIPO.teamFunds(team.tokenId);
+        if (!info.completed) owed += funds.proceeds;
+        if (info.cancelled && info.feesRefunded) owed += funds.feesCollected;
+
+        const ids = holders.map(() => team.tokenId);
+        const balances = await sportfolioIPO.balanceOfBatch(holders.map((holder) => holder.address), ids);
+        const held = balances.reduce((sum, value) => sum + value, 0n);
+        expect(held + team.burned, `team ${team.tokenId} supply`).to.equal(info.tokensSold);
+
+        let escrowed = 0n;
+        for (let i = 0; i < holders.length; i++) {
+          const escrow = await sportfolioIPO.escrowedPayments(team.tokenId, holders[i].address);
+          if (!info.completed && balances[i] === 0n) {
+            expect(escrow, `team ${team.tokenId} escrow without tokens`).to.equal(0n);
+          }
+          escrowed += escrow;
+        }
+        expect(escrowed, `team ${team.tokenId} escrow`).to.equal(funds.proceeds);
+
+        const price = await sportfolioIPO.getCurrentPrice(team.tokenId);
+        expect(price, `team ${team.tokenId} price decreased`).to.be.gte(team.lastPrice);
+        expect(price, `team ${team.tokenId} price vs library`).to.equal(pricing.getPriceAtSupply(info.tokensSold, team.curve));
+        team.lastPrice = price;
+
+        const index = balances.findIndex((value) => value > 0n);
+        if (index !== -1) {
+          const holder = holders[index];
+          const to = holders[(index + 1) % holders.length];
+          const transfer = sportfolioIPO
+            .connect(holder)
+            .safeTransferFrom.staticCall(holder.address, to.address, team.tokenId, 1n, "0x");
+          if (info.ipoActive) {
+            await expect(transfer, `team ${team.tokenId} transfer while live`).to.be.revertedWith("Transfers not allowed during IPO");
+          } else {
+            await transfer;
+          }
+        }
+      }
+      expect(balance, "USDC vs contract accounting").to.equal(owed);
+    }
+
+    for (let step = 0; step < STEPS; step++) {
+      const action = pick(weighted);
+      try {
+        history.push(await actions[action]());
+        await checkInvariants();
+      } catch (error) {
+        error.message = `FUZZ_SEED=${seed}, step ${step} (${action}): ${error.message}\n` +
+          `  last steps: ${history.slice(-10).join(" | ")}`;
+        throw error;
+      }
+    }
+    return history;
+  }
+
+  for (let run = 0; run < RUNS; run++) {
+    const seed = FIRST_SEED + run;
+    it(`Should hold every invariant over ${STEPS} random steps (seed ${seed})`, async function () {
+      this.timeout(0);
+      const history = await runCampaign(seed);
+      expect(history).to.have.length(STEPS);
+    });
+  }
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const deployment = require("../lib/deployment");
+const metadata = require("../lib/metadata");
+const { MISSING_ROLE } = require("../lib/errors");
+
+const { ethers } = hre;
+
+describe("SportfolioIPO - Metadata", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, manager, buyer, stranger;
+
+  const USDC = 10n ** 6n;
+  const BASE_URI = "https://api.sportfolio.com/metadata/{id}.json";
+  const NEW_BASE_URI = "ipfs://bafybeigdyrzt/{id}.json";
+  const LAKERS_URI = "ipfs://bafybeihkoviema/lakers.json";
+
+  beforeEach(async function () {
+    [owner, manager, buyer, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(BASE_URI, owner.address, await mockUSDC.getAddress());
+    await sportfolioIPO.waitForDeployment();
+
+    await sportfolioIPO.addTeam(1n, "Lakers");
+    await sportfolioIPO.addTeam(2n, "Celtics");
+    await sportfolioIPO.addTeam(3n, "Warriors");
+    await sportfolioIPO.grantRole(await sportfolioIPO.TEAM_MANAGER_ROLE(), manager.address);
+  });
+
+  describe("On-chain URIs", function () {
+    it("Should serve the base URI for every team until one gets its own", async function () {
+      expect(await sportfolioIPO.uri(1n)).to.equal(BASE_URI);
+      expect(await sportfolioIPO.uri(0n)).to.equal(BASE_URI);
+
+      await expect(sportfolioIPO.connect(manager).setTokenURI(1n, LAKERS_URI))
+        .to.emit(sportfolioIPO, "URI")
+        .withArgs(LAKERS_URI, 1n);
+
+      expect(await sportfolioIPO.uri(1n)).to.equal(LAKERS_URI);
+      expect(await sportfolioIPO.uri(2n)).to.equal(BASE_URI);
+    });
+
+    it("Should fall back to the base URI when a team's URI is cleared", async function () {
+      await sportfolioIPO.setTokenURI(1n, LAKERS_URI);
+
+      await expect(sportfolioIPO.setTokenURI(1n, ""))
+        .to.emit(sportfolioIPO, "URI")
+        .withArgs(BASE_URI, 1n);
+      expect(await sportfolioIPO.uri(1n)).to.equal(BASE_URI);
+    });
+
+    it("Should emit URI for each team using the base URI when it changes", async function () {
+      await sportfolioIPO.setTokenURI(1n, LAKERS_URI);
+
+      const tx = await sportfolioIPO.setURI(NEW_BASE_URI);
+      const receipt = await tx.wait();
+      const events = receipt.logs
+        .map((log) => sportfolioIPO.interface.parseLog(log))
+        .filter((event) => event && event.name === "URI")
+        .map((event) => [event.args.value, event.args.id]);
+
+      expect(events).to.deep.equal([
+        [NEW_BASE_URI, 2n],
+        [NEW_BASE_URI, 3n],
+      ]);
+      expect(await sportfolioIPO.uri(1n)).to.equal(LAKERS_URI);
+      expect(await sportfolioIPO.uri(3n)).to.equal(NEW_BASE_URI);
+    });
+
+    it("Should restrict the base URI to admins and team URIs to team managers", async function () {
+      await expect(sportfolioIPO.connect(manager).setURI(NEW_BASE_URI)).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(stranger).setTokenURI(1n, LAKERS_URI)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should reject a URI for a team that does not exist", async function () {
+      await expect(sportfolioIPO.setTokenURI(9n, LAKERS_URI)).to.be.revertedWith("Team does not exist");
+    });
+
+    it("Should keep URIs settable while the contract is paused", async function () {
+      await sportfolioIPO.pause();
+
+      await sportfolioIPO.setURI(NEW_BASE_URI);
+      await sportfolioIPO.setTokenURI(2n, LAKERS_URI);
+      expect(await sportfolioIPO.uri(2n)).to.equal(LAKERS_URI);
+    });
+  });
+
+  describe("Metadata generator", function () {
+    it("Should format token IDs as 64 zero-padded lowercase hex digits", function () {
+      expect(metadata.toHexId(1n)).to.equal("0".repeat(63) + "1");
+      expect(metadata.toHexId(255)).to.equal("0".repeat(62) + "ff");
+      expect(metadata.toHexId("314592")).to.have.length(64).and.to.equal("0".repeat(59) + "4cce0");
+      expect(() => metadata.toHexId(-1n)).to.throw(RangeError);
+      expect(() => metadata.toHexId(2n ** 256n)).to.throw(RangeError);
+    });
+
+    it("Should substitute every {id} in a URI", function () {
+      expect(metadata.resolveURI("https://x.io/{id}/{id}.json", 26n)).to.equal(
+        `https://x.io/${"0".repeat(62)}1a/${"0".repeat(62)}1a.json`
+      );
+      expect(metadata.resolveURI(LAKERS_URI, 1n)).to.equal(LAKERS_URI);
+    });
+
+    it("Should build one file per team with live IPO stats from the contract", async function () {
+      await mockUSDC.transfer(buyer.address, 1_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+      await sportfolioIPO.connect(buyer).buyTokens(1n, 2_500n);
+      await sportfolioIPO.pauseIPO(2n);
+      await sportfolioIPO.setTokenURI(3n, LAKERS_URI);
+
+      const files = await metadata.generateMetadata(sportfolioIPO, {
+        images: { 1: "https://cdn.sportfolio.com/logos/lakers.png" },
+      });
+
+      expect(files.map((file) => file.tokenId)).to.deep.equal([1n, 2n, 3n]);
+      expect(files[0].fileName).to.equal(`${"0".repeat(63)}1.json`);
+      expect(files[0].uri).to.equal(`https://api.sportfolio.com/metadata/${"0".repeat(63)}1.json`);
+      expect(files[2].uri).to.equal(LAKERS_URI);
+
+      const lakers = files[0].metadata;
+      expect(lakers).to.include({
+        name: "Lakers",
+        decimals: 0,
+        image: "https://cdn.sportfolio.com/logos/lakers.png",
+      });
+      expect(lakers.description).to.contain("Lakers");
+      expect(lakers.properties).to.deep.include({
+        tokenId: "1",
+        ipoStatus: "live",
+        currentPrice: (await sportfolioIPO.getCurrentPrice(1n)).toString(),
+        tokensSold: "2500",
+        totalSupply: "2000000",
+        remainingTokens: "1997500",
+        basePrice: "30000000",
+        platformFeeRate: "300",
+      });
+      expect(lakers.properties.currentPriceUSD).to.match(/^\$30\.\d{6}$/);
+
+      expect(files[1].metadata.properties.ipoStatus).to.equal("paused");
+      expect(files[1].metadata).to.not.have.property("image");
+      expect(JSON.parse(JSON.stringify(files[1].metadata))).to.deep.equal(files[1].metadata);
+    });
+  });
+
+  describe("Manifest deployment and tasks", function () {
+    let tempDir, recordPath;
+    const logs = [];
+    const log = (line) => logs.push(line);
+
+    const MANIFEST = {
+      network: "hardhat",
+      paymentToken: "MockUSDC",
+      feeRecipient: "deployer",
+      metadataURI: BASE_URI,
+      teams: [
+        { tokenId: 1, name: "Lakers", image: "https://cdn.sportfolio.com/logos/lakers.png" },
+        { tokenId: 2, name: "Celtics", metadataURI: "ipfs://bafybeihkoviema/celtics.json" },
+      ],
+    };
+
+    function deploy(overrides = {}) {
+      const manifest = deployment.normalizeManifest({ ...MANIFEST, ...overrides });
+      return deployment.deploySportfolio(hre, manifest, { recordPath, log });
+    }
+
+    beforeEach(function () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-metadata-"));
+      recordPath = path.join(tempDir, "deployments", "hardhat.json");
+      logs.length = 0;
+    });
+
+    afterEach(function () {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("Should validate team metadataURI and image", function () {
+      const manifest = deployment.normalizeManifest(MANIFEST);
+      expect(manifest.teams[0].image).to.equal("https://cdn.sportfolio.com/logos/lakers.png");
+      expect(manifest.teams[1].metadataURI).to.equal("ipfs://bafybeihkoviema/celtics.json");
+
+      expect(() => deployment.normalizeManifest({ ...MANIFEST, teams: [{ tokenId: 1, name: "Lakers", image: 5 }] }))
+        .to.throw('Manifest teams[0]: "image" must be a non-empty string');
+      expect(() => deployment.normalizeManifest({ ...MANIFEST, teams: [{ tokenId: 1, name: "Lakers", metadataURI: " " }] }))
+        .to.throw('Manifest teams[0]: "metadataURI" must be a non-empty string');
+    });
+
+    it("Should set team URIs on deployment and sync changed URIs on a re-run", async function () {
+      const { sportfolioIPO: deployed, record } = await deploy();
+      expect(await deployed.uri(1n)).to.equal(BASE_URI);
+      expect(await deployed.uri(2n)).to.equal("ipfs://bafybeihkoviema/celtics.json");
+      expect(record.teams["2"].metadataURITxHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      // Nothing changed: nothing is sent
+      const blockBefore = await ethers.provider.getBlockNumber();
+      await deploy();
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+      await deploy({
+        metadataURI: NEW_BASE_URI,
+        teams: [MANIFEST.teams[0], { ...MANIFEST.teams[1], metadataURI: "ipfs://bafybeihkoviema/celtics-v2.json" }],
+      });
+      expect(await deployed.uri(1n)).to.equal(NEW_BASE_URI);
+      expect(await deployed.uri(2n)).to.equal("ipfs://bafybeihkoviema/celtics-v2.json");
+      const saved = deployment.readDeploymentRecord(recordPath);
+      expect(saved.contracts.SportfolioIPO.metadataURI).to.equal(NEW_BASE_URI);
+      expect(logs.some((line) => line.startsWith(`SportfolioIPO: metadata URI set to ${NEW_BASE_URI}`))).to.equal(true);
+    });
+
+    it("Should set URIs through the ipo tasks", async function () {
+      const contract = await sportfolioIPO.getAddress();
+      const originalLog = console.log;
+      console.log = () => {};
+      try {
+        await hre.run({ scope: "ipo", task: "set-uri" }, { contract, uri: NEW_BASE_URI });
+        await hre.run({ scope: "ipo", task: "set-token-uri" }, { contract, team: "2", uri: LAKERS_URI });
+        await expect(hre.run({ scope: "ipo", task: "set-token-uri" }, { contract, team: "9", uri: LAKERS_URI }))
+          .to.be.rejectedWith("Team does not exist");
+      } finally {
+        console.log = originalLog;
+      }
+
+      expect(await sportfolioIPO.uri(1n)).to.equal(NEW_BASE_URI);
+      expect(await sportfolioIPO.uri(2n)).to.equal(LAKERS_URI);
+    });
+  });
+});
@@ -0,0 +1,329 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Payment Assets", function () {
+  let sportfolioIPO;
+  let mockUSDC, mockDAI, mockUSDT;
+  let owner, alice, bob, platformFeeRecipient, daiFeeWallet, treasurer;
+  let contractAddress;
+
+  const LAKERS = 1n;  // Default curve
+  const HORNETS = 2n; // Small curve that sells out cheaply
+  const DAI_SCALE = 10n ** 12n; // 18 decimals over USDC's 6
+  const HOUR = 60n * 60n;
+
+  async function deadline() {
+    return BigInt(await time.latest()) + HOUR;
+  }
+
+  // Buys with an asset at exactly its quoted cost; returns the quote in USDC units
+  async function buyWith(buyer, asset, tokenId, amount) {
+    const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(tokenId, amount);
+    const scale = asset === mockUSDC ? 1n : (await sportfolioIPO.paymentAssets(await asset.getAddress())).scale;
+    await sportfolioIPO
+      .connect(buyer)
+      .buyTokensWithAsset(tokenId, amount, await asset.getAddress(), (tokenCost + platformFee) * scale, await deadline());
+    return { tokenCost, platformFee };
+  }
+
+  // Change in an account's balance of a token caused by fn
+  async function balanceChange(token, account, fn) {
+    const before = await token.balanceOf(account);
+    await fn();
+    return (await token.balanceOf(account)) - before;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient, daiFeeWallet, treasurer] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+    mockDAI = await MockStablecoin.deploy("Mock Dai", "mDAI", 18);
+    mockUSDT = await MockStablecoin.deploy("Mock Tether", "mUSDT", 6);
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contractAddress = await sportfolioIPO.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](HORNETS, "Hornets", 1_000_000n, 1_000n, 1_000n, 300n);
+
+    await sportfolioIPO.setPaymentAsset(await mockDAI.getAddress(), true, daiFeeWallet.address);
+    await sportfolioIPO.setPaymentAsset(await mockUSDT.getAddress(), true, ethers.ZeroAddress);
+
+    for (const buyer of [alice, bob]) {
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        await token.transfer(buyer.address, (await token.totalSupply()) / 100n);
+        await token.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+      }
+    }
+  });
+
+  describe("setPaymentAsset", function () {
+    it("Should record each asset's scale and fee recipient", async function () {
+      const dai = await sportfolioIPO.paymentAssets(await mockDAI.getAddress());
+      expect(dai.scale).to.equal(DAI_SCALE);
+      expect(dai.feeRecipient).to.equal(daiFeeWallet.address);
+      expect(dai.accepted).to.equal(true);
+      expect((await sportfolioIPO.paymentAssets(await mockUSDT.getAddress())).scale).to.equal(1n);
+
+      expect(await sportfolioIPO.getPaymentAssets()).to.deep.equal([await mockDAI.getAddress(), await mockUSDT.getAddress()]);
+    });
+
+    it("Should emit PaymentAssetConfigured and keep the list free of duplicates", async function () {
+      await expect(sportfolioIPO.setPaymentAsset(await mockDAI.getAddress(), false, ethers.ZeroAddress))
+        .to.emit(sportfolioIPO, "PaymentAssetConfigured")
+        .withArgs(await mockDAI.getAddress(), false, ethers.ZeroAddress);
+
+      expect((await sportfolioIPO.paymentAssets(await mockDAI.getAddress())).scale).to.equal(DAI_SCALE);
+      expect(await sportfolioIPO.getPaymentAssets()).to.have.length(2);
+    });
+
+    it("Should reject USDC itself, the zero address and unsupported decimals", async function () {
+      await expect(sportfolioIPO.setPaymentAsset(await mockUSDC.getAddress(), true, ethers.ZeroAddress)).to.be.revertedWith("Invalid payment token");
+      await expect(sportfolioIPO.setPaymentAsset(ethers.ZeroAddress, true, ethers.ZeroAddress)).to.be.revertedWith("Invalid payment token");
+
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      for (const decimals of [2, 24]) {
+        const token = await MockStablecoin.deploy("Odd", "ODD", decimals);
+        await expect(sportfolioIPO.setPaymentAsset(await token.getAddress(), true, ethers.ZeroAddress)).to.be.revertedWith("Unsupported decimals");
+      }
+    });
+
+    it("Should cap the number of assets", async function () {
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const room = (await sportfolioIPO.MAX_PAYMENT_ASSETS()) - 2n;
+      for (let i = 0n; i < room; i++) {
+        const token = await MockStablecoin.deploy("Extra", "XTRA", 6);
+        await sportfolioIPO.setPaymentAsset(await token.getAddress(), true, ethers.ZeroAddress);
+      }
+
+      const oneTooMany = await MockStablecoin.deploy("Extra", "XTRA", 6);
+      await expect(sportfolioIPO.setPaymentAsset(await oneTooMany.getAddress(), true, ethers.ZeroAddress)).to.be.revertedWith("Too many payment assets");
+    });
+
+    it("Should be admin only", async function () {
+      await expect(sportfolioIPO.connect(alice).setPaymentAsset(await mockDAI.getAddress(), false, alice.address)).to.be.revertedWith(MISSING_ROLE);
+    });
+  });
+
+  describe("buyTokensWithAsset", function () {
+    it("Should charge an 18-decimal asset the USDC quote scaled up exactly", async function () {
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 1_000n);
+      const maxTotalCost = (tokenCost + platformFee) * DAI_SCALE;
+
+      const paid = await balanceChange(mockDAI, alice.address, async () => {
+        await expect(sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 1_000n, await mockDAI.getAddress(), maxTotalCost, await deadline()))
+          .to.emit(sportfolioIPO, "TokensPurchased")
+          .withArgs(alice.address, LAKERS, 1_000n, tokenCost, platformFee)
+          .and.to.emit(sportfolioIPO, "PaidWithAsset")
+          .withArgs(alice.address, await mockDAI.getAddress(), maxTotalCost, platformFee * DAI_SCALE);
+      });
+
+      expect(paid).to.equal(-maxTotalCost);
+      expect(await mockDAI.balanceOf(daiFeeWallet.address)).to.equal(platformFee * DAI_SCALE);
+      expect(await mockDAI.balanceOf(contractAddress)).to.equal(tokenCost * DAI_SCALE);
+      expect(await sportfolioIPO.balanceOf(alice.address, LAKERS)).to.equal(1_000n);
+      expect(await sportfolioIPO.teamAssetProceeds(LAKERS, await mockDAI.getAddress())).to.equal(tokenCost);
+      expect((await sportfolioIPO.teamFunds(LAKERS)).proceeds).to.equal(tokenCost);
+      expect(await sportfolioIPO.escrowedPayments(LAKERS, alice.address)).to.equal(tokenCost);
+    });
+
+    it("Should send fees of an asset without its own recipient to the platform fee recipient", async function () {
+      const { tokenCost, platformFee } = await buyWith(alice, mockUSDT, LAKERS, 500n);
+
+      expect(await mockUSDT.balanceOf(platformFeeRecipient.address)).to.equal(platformFee);
+      expect(await mockUSDT.balanceOf(contractAddress)).to.equal(tokenCost);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(0n);
+    });
+
+    it("Should treat USDC like buyTokensWithMaxCost", async function () {
+      const { tokenCost, platformFee } = await buyWith(alice, mockUSDC, LAKERS, 500n);
+
+      expect(await mockUSDC.balanceOf(platformFeeRecipient.address)).to.equal(platformFee);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(tokenCost);
+      expect(await sportfolioIPO.teamAssetProceeds(LAKERS, await mockUSDC.getAddress())).to.equal(0n);
+    });
+
+    it("Should never let a buyer pay less than the USDC price, whatever the decimals", async function () {
+      // Awkward amounts at awkward supply levels, so every quote has a rounded-up remainder
+      const amounts = [1n, 7n, 333n, 12_345n, 99_999n];
+      for (const amount of amounts) {
+        const snapshot = await takeSnapshot();
+        const usdcPaid = await balanceChange(mockUSDC, alice.address, () => buyWith(alice, mockUSDC, LAKERS, amount));
+        await snapshot.restore();
+        const usdtPaid = await balanceChange(mockUSDT, alice.address, () => buyWith(alice, mockUSDT, LAKERS, amount));
+        await snapshot.restore();
+        const daiPaid = await balanceChange(mockDAI, alice.address, () => buyWith(alice, mockDAI, LAKERS, amount));
+
+        expect(usdtPaid, `${amount} tokens in USDT`).to.equal(usdcPaid);
+        expect(daiPaid, `${amount} tokens in DAI`).to.equal(usdcPaid * DAI_SCALE);
+        await buyWith(bob, mockUSDC, LAKERS, 54_321n); // Move the curve before the next amount
+      }
+    });
+
+    it("Should reject a maximum one asset unit below the scaled cost", async function () {
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 77n);
+      const exact = (tokenCost + platformFee) * DAI_SCALE;
+
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 77n, await mockDAI.getAddress(), exact - 1n, await deadline())
+      ).to.be.revertedWith("Exceeds max total cost");
+    });
+
+    it("Should reject assets that are not accepted", async function () {
+      await sportfolioIPO.setPaymentAsset(await mockUSDT.getAddress(), false, ethers.ZeroAddress);
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 1n, await mockUSDT.getAddress(), ethers.MaxUint256, await deadline())
+      ).to.be.revertedWith("Asset not accepted");
+
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const unknown = await MockStablecoin.deploy("Unknown", "UNK", 6);
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 1n, await unknown.getAddress(), ethers.MaxUint256, await deadline())
+      ).to.be.revertedWith("Asset not accepted");
+    });
+
+    it("Should apply the public purchase checks", async function () {
+      await sportfolioIPO.setWalletCap(LAKERS, 10n);
+      const dai = await mockDAI.getAddress();
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 11n, dai, ethers.MaxUint256, await deadline())).to.be.revertedWith("Exceeds wallet cap");
+      await expect(sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 1n, dai, ethers.MaxUint256, 1n)).to.be.revertedWith("Transaction expired");
+      await sportfolioIPO.pause();
+      await expect(sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 1n, dai, ethers.MaxUint256, await deadline())).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Completion and withdrawal", function () {
+    it("Should release proceeds per asset on sell-out and withdraw each to the treasury", async function () {
+      await sportfolioIPO.setTreasury(treasurer.address);
+      const usdc = await buyWith(alice, mockUSDC, HORNETS, 300n);
+      const dai = await buyWith(bob, mockDAI, HORNETS, 500n);
+      const usdt = await buyWith(alice, mockUSDT, HORNETS, 200n); // Sells out
+
+      expect((await sportfolioIPO.getTeamInfo(HORNETS)).completed).to.equal(true);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(usdc.tokenCost);
+      expect(await sportfolioIPO.withdrawableAssetProceeds(await mockDAI.getAddress())).to.equal(dai.tokenCost * DAI_SCALE);
+      expect(await sportfolioIPO.withdrawableAssetProceeds(await mockUSDT.getAddress())).to.equal(usdt.tokenCost);
+
+      await sportfolioIPO.withdraw(0n);
+      await expect(sportfolioIPO.withdrawAsset(await mockDAI.getAddress(), 0n))
+        .to.emit(sportfolioIPO, "AssetProceedsWithdrawn")
+        .withArgs(treasurer.address, await mockDAI.getAddress(), dai.tokenCost * DAI_SCALE);
+      await sportfolioIPO.withdrawAsset(await mockUSDT.getAddress(), 0n);
+
+      expect(await mockUSDC.balanceOf(treasurer.address)).to.equal(usdc.tokenCost);
+      expect(await mockDAI.balanceOf(treasurer.address)).to.equal(dai.tokenCost * DAI_SCALE);
+      expect(await mockUSDT.balanceOf(treasurer.address)).to.equal(usdt.tokenCost);
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        expect(await token.balanceOf(contractAddress)).to.equal(0n);
+      }
+    });
+
+    it("Should withdraw part of an asset's proceeds and never more than released", async function () {
+      const dai = await mockDAI.getAddress();
+      await expect(sportfolioIPO.withdrawAsset(dai, 0n)).to.be.revertedWith("No balance to withdraw");
+
+      await buyWith(alice, mockDAI, LAKERS, 1_000n);
+      await sportfolioIPO.completeIPO(LAKERS);
+      const available = await sportfolioIPO.withdrawableAssetProceeds(dai);
+
+      await expect(sportfolioIPO.withdrawAsset(dai, available + 1n)).to.be.revertedWith("Insufficient balance");
+      await sportfolioIPO.withdrawAsset(dai, 1n);
+      expect(await sportfolioIPO.withdrawableAssetProceeds(dai)).to.equal(available - 1n);
+      await expect(sportfolioIPO.connect(alice).withdrawAsset(dai, 0n)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should keep an unaccepted asset's proceeds withdrawable", async function () {
+      const { tokenCost } = await buyWith(alice, mockDAI, LAKERS, 100n);
+      await sportfolioIPO.setPaymentAsset(await mockDAI.getAddress(), false, ethers.ZeroAddress);
+      await sportfolioIPO.completeIPO(LAKERS);
+
+      expect(await balanceChange(mockDAI, owner.address, () => sportfolioIPO.withdrawAsset(mockDAI.getAddress(), 0n))).to.equal(tokenCost * DAI_SCALE);
+    });
+  });
+
+  describe("Cancellation", function () {
+    // Change in each token's balance of an account caused by fn, in [USDC, DAI, USDT] order
+    async function balanceChanges(account, fn) {
+      const tokens = [mockUSDC, mockDAI, mockUSDT];
+      const before = await Promise.all(tokens.map((token) => token.balanceOf(account)));
+      await fn();
+      return Promise.all(tokens.map(async (token, i) => (await token.balanceOf(account)) - before[i]));
+    }
+
+    it("Should refund every holder in the assets they paid, out of the team's escrow", async function () {
+      const usdc = await buyWith(alice, mockUSDC, LAKERS, 1_000n);
+      const dai = await buyWith(bob, mockDAI, LAKERS, 2_000n);
+      const usdt = await buyWith(bob, mockUSDT, LAKERS, 500n);
+
+      expect(await balanceChanges(owner.address, () => sportfolioIPO.cancelIPO(LAKERS, false))).to.deep.equal([0n, 0n, 0n]);
+      expect(await sportfolioIPO.withdrawableAssetProceeds(await mockDAI.getAddress())).to.equal(0n);
+      expect(await sportfolioIPO.teamAssetProceeds(LAKERS, await mockDAI.getAddress())).to.equal(dai.tokenCost);
+
+      const aliceRefund = await balanceChanges(alice.address, () => sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n));
+      expect(await sportfolioIPO.getRefundAmount(LAKERS, bob.address, 2_500n)).to.equal(dai.tokenCost + usdt.tokenCost);
+      const bobRefund = await balanceChanges(bob.address, () => sportfolioIPO.connect(bob).claimRefund(LAKERS, 2_500n));
+      expect(aliceRefund).to.deep.equal([usdc.tokenCost, 0n, 0n]);
+      expect(bobRefund).to.deep.equal([0n, dai.tokenCost * DAI_SCALE, usdt.tokenCost]);
+
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        expect(await token.balanceOf(contractAddress)).to.equal(0n);
+      }
+      expect(await sportfolioIPO.teamAssetProceeds(LAKERS, await mockDAI.getAddress())).to.equal(0n);
+    });
+
+    it("Should take fee refunds back in the assets they were paid in", async function () {
+      const usdc = await buyWith(alice, mockUSDC, LAKERS, 1_000n);
+      const dai = await buyWith(bob, mockDAI, LAKERS, 2_000n);
+      const usdt = await buyWith(bob, mockUSDT, LAKERS, 500n);
+      await sportfolioIPO.cancelIPO(LAKERS, true);
+
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        await token.approve(contractAddress, ethers.MaxUint256);
+      }
+      const funded = await balanceChanges(owner.address, () => sportfolioIPO.fundFeeRefunds(LAKERS));
+      expect(funded).to.deep.equal([-usdc.platformFee, -dai.platformFee * DAI_SCALE, -usdt.platformFee]);
+      expect(await sportfolioIPO.teamAssetFees(LAKERS, await mockDAI.getAddress())).to.equal(dai.platformFee);
+
+      const bobRefund = await balanceChanges(bob.address, () => sportfolioIPO.connect(bob).claimRefund(LAKERS, 2_500n));
+      expect(bobRefund).to.deep.equal([0n, (dai.tokenCost + dai.platformFee) * DAI_SCALE, usdt.tokenCost + usdt.platformFee]);
+      await sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n);
+
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        expect(await token.balanceOf(contractAddress)).to.equal(0n);
+      }
+    });
+
+    it("Should split a holder's escrow by asset across transfers and partial refunds", async function () {
+      const usdc = await buyWith(bob, mockUSDC, HORNETS, 3n);
+      const dai = await buyWith(bob, mockDAI, HORNETS, 5n);
+      const usdt = await buyWith(bob, mockUSDT, HORNETS, 2n);
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+
+      await sportfolioIPO.connect(bob).safeTransferFrom(bob.address, alice.address, HORNETS, 3n, "0x");
+      const refunds = [await balanceChanges(alice.address, () => sportfolioIPO.connect(alice).claimRefund(HORNETS, 3n))];
+      for (const amount of [1n, 4n, 2n]) {
+        const expected = await sportfolioIPO.getRefundAmount(HORNETS, bob.address, amount);
+        const refund = await balanceChanges(bob.address, () => sportfolioIPO.connect(bob).claimRefund(HORNETS, amount));
+        expect(refund[0] + refund[1] / DAI_SCALE + refund[2]).to.equal(expected);
+        refunds.push(refund);
+      }
+
+      const total = (i) => refunds.reduce((sum, refund) => sum + refund[i], 0n);
+      expect([total(0), total(1), total(2)]).to.deep.equal([usdc.tokenCost, dai.tokenCost * DAI_SCALE, usdt.tokenCost]);
+      for (const token of [mockUSDC, mockDAI, mockUSDT]) {
+        expect(await token.balanceOf(contractAddress)).to.equal(0n);
+      }
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const permit = require("../lib/permit");
+
+describe("SportfolioIPO - Permit Purchases", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let ipoAddress;
+
+  const TOKEN_ID = 1n;
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  async function deadlineIn(seconds) {
+    return BigInt(await time.latest()) + seconds;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    ipoAddress = await sportfolioIPO.getAddress();
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+
+    // No approvals: buyers only sign permits
+    await mockUSDC.transfer(alice.address, 1_000_000n * USDC);
+    await mockUSDC.transfer(bob.address, 1_000_000n * USDC);
+  });
+
+  describe("MockUSDC permit support", function () {
+    it("Should expose an EIP-712 domain the helper can read", async function () {
+      const domain = await permit.getPermitDomain(mockUSDC, alice);
+      expect(domain.name).to.equal("Mock USD Coin");
+      expect(domain.version).to.equal("1");
+      expect(domain.chainId).to.equal((await ethers.provider.getNetwork()).chainId);
+      expect(domain.verifyingContract).to.equal(await mockUSDC.getAddress());
+    });
+
+    it("Should set the allowance from a signed permit and bump the nonce", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { value, v, r, s } = await permit.signPermit(alice, mockUSDC, ipoAddress, 500n * USDC, deadline);
+
+      await mockUSDC.connect(bob).permit(alice.address, ipoAddress, value, deadline, v, r, s);
+
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(500n * USDC);
+      expect(await mockUSDC.nonces(alice.address)).to.equal(1n);
+    });
+  });
+
+  describe("buyTokensWithPermit", function () {
+    it("Should buy in one transaction without a prior approval", async function () {
+      const amount = 1_000n;
+      const { args, quote } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, amount, {
+        deadline: await deadlineIn(HOUR),
+      });
+
+      const balanceBefore = await mockUSDC.balanceOf(alice.address);
+      await expect(sportfolioIPO.connect(alice).buyTokensWithPermit(...args))
+        .to.emit(sportfolioIPO, "TokensPurchased")
+        .withArgs(alice.address, TOKEN_ID, amount, quote.tokenCost, quote.platformFee);
+
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(amount);
+      expect(balanceBefore - (await mockUSDC.balanceOf(alice.address))).to.equal(quote.totalCost);
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(0n);
+    });
+
+    it("Should still buy when the permit was front-run", async function () {
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+      });
+      const [, , maxTotalCost, deadline, v, r, s] = args;
+
+      // Someone submits the signed permit first; the allowance it creates is still Alice's
+      await mockUSDC.connect(bob).permit(alice.address, ipoAddress, maxTotalCost, deadline, v, r, s);
+
+      await sportfolioIPO.connect(alice).buyTokensWithPermit(...args);
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(100n);
+    });
+
+    it("Should leave unused slippage headroom as allowance", async function () {
+      const { args, quote, maxTotalCost } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+        slippageBps: 100n,
+      });
+      expect(maxTotalCost).to.equal(quote.totalCost + (quote.totalCost * 100n) / 10_000n);
+
+      await sportfolioIPO.connect(alice).buyTokensWithPermit(...args);
+      expect(await mockUSDC.allowance(alice.address, ipoAddress)).to.equal(maxTotalCost - quote.totalCost);
+    });
+
+    it("Should revert when the price moved past the signed maximum", async function () {
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 1_000n, {
+        deadline: await deadlineIn(HOUR),
+      });
+
+      await mockUSDC.connect(bob).approve(ipoAddress, ethers.MaxUint256);
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 5_000n);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithPermit(...args)).to.be.revertedWith("Exceeds max total cost");
+    });
+
+    it("Should revert after the deadline", async function () {
+      const deadline = await deadlineIn(60n);
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, { deadline });
+
+      await time.increaseTo(deadline + 1n);
+      await expect(sportfolioIPO.connect(alice).buyTokensWithPermit(...args)).to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should not let another account use someone else's permit", async function () {
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+      });
+
+      // The signature does not match Bob as owner, so no allowance is created for him
+      await expect(sportfolioIPO.connect(bob).buyTokensWithPermit(...args)).to.be.revertedWith(
+        "ERC20Permit: invalid signature"
+      );
+      expect(await mockUSDC.nonces(alice.address)).to.equal(0n);
+    });
+
+    it("Should revert with the permit's reason when it fails and no allowance covers the purchase", async function () {
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+      });
+      const [tokenId, amount, maxTotalCost, deadline, v, r] = args;
+
+      // A partial approval does not cover maxTotalCost either
+      await mockUSDC.connect(alice).approve(ipoAddress, maxTotalCost - 1n);
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensWithPermit(tokenId, amount, maxTotalCost, deadline, v, r, ethers.ZeroHash)
+      ).to.be.revertedWith("ECDSA: invalid signature");
+      await expect(
+        sportfolioIPO.connect(alice).buyTokensWithPermit(tokenId, amount, maxTotalCost + 1n, ...args.slice(3))
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+
+    it("Should ignore a failed permit when an approval already covers the purchase", async function () {
+      const { args, maxTotalCost } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+      });
+      await mockUSDC.connect(alice).approve(ipoAddress, maxTotalCost);
+
+      const [tokenId, amount, , deadline, v, r] = args;
+      await sportfolioIPO.connect(alice).buyTokensWithPermit(tokenId, amount, maxTotalCost, deadline, v, r, ethers.ZeroHash);
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(100n);
+      expect(await mockUSDC.nonces(alice.address)).to.equal(0n);
+    });
+
+    it("Should respect wallet caps and the presale phase", async function () {
+      await sportfolioIPO.setWalletCap(TOKEN_ID, 50n);
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, TOKEN_ID, 100n, {
+        deadline: await deadlineIn(HOUR),
+      });
+      await expect(sportfolioIPO.connect(alice).buyTokensWithPermit(...args)).to.be.revertedWith("Exceeds wallet cap");
+
+      await sportfolioIPO.setWalletCap(TOKEN_ID, 0n);
+      await sportfolioIPO.setPresaleRoot(TOKEN_ID, ethers.id("allowlist"), await deadlineIn(HOUR));
+      await expect(sportfolioIPO.connect(alice).buyTokensWithPermit(...args)).to.be.revertedWith("Presale only");
+    });
+  });
+
+  describe("Permit helper", function () {
+    it("Should build typed data matching the token's nonce and domain", async function () {
+      const domain = await permit.getPermitDomain(await mockUSDC.getAddress(), ethers.provider);
+      const typedData = permit.buildPermitTypedData({
+        domain,
+        owner: alice.address,
+        spender: ipoAddress,
+        value: 1n,
+        nonce: 0n,
+        deadline: 2n,
+      });
+
+      expect(typedData.types).to.deep.equal(permit.PERMIT_TYPES);
+      expect(typedData.message).to.deep.equal({ owner: alice.address, spender: ipoAddress, value: 1n, nonce: 0n, deadline: 2n });
+
+      const signature = await alice.signTypedData(typedData.domain, typedData.types, typedData.message);
+      expect(ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature)).to.equal(alice.address);
+    });
+  });
+});
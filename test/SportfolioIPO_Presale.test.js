@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const presale = require("../lib/presale");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Allowlist Presale and Wallet Caps", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, carol, platformFeeRecipient;
+  let tree, presaleEnd;
+
+  const TOKEN_ID = 1n;
+  const OTHER_TEAM = 2n;
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  function buyPresale(buyer, amount, entry = tree.proofs[buyer.address], deadline = ethers.MaxUint256) {
+    return sportfolioIPO.connect(buyer).buyPresaleTokens(TOKEN_ID, amount, ethers.MaxUint256, deadline, entry.allocation, entry.proof);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+    await sportfolioIPO.addTeam(OTHER_TEAM, "Celtics");
+
+    for (const buyer of [alice, bob, carol]) {
+      await mockUSDC.transfer(buyer.address, 1_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+    }
+
+    tree = presale.buildPresaleTree([
+      { address: alice.address, allocation: 5_000n },
+      { address: bob.address, allocation: 1_000n },
+    ]);
+    presaleEnd = BigInt(await time.latest()) + 24n * HOUR;
+    await sportfolioIPO.setPresaleRoot(TOKEN_ID, tree.root, presaleEnd);
+  });
+
+  describe("Presale configuration", function () {
+    it("Should store the root and emit PresaleConfigured", async function () {
+      const end = BigInt(await time.latest()) + HOUR;
+      await expect(sportfolioIPO.setPresaleRoot(OTHER_TEAM, tree.root, end))
+        .to.emit(sportfolioIPO, "PresaleConfigured")
+        .withArgs(OTHER_TEAM, tree.root, end);
+
+      const config = await sportfolioIPO.presales(OTHER_TEAM);
+      expect(config.merkleRoot).to.equal(tree.root);
+      expect(config.endTime).to.equal(end);
+      expect(await sportfolioIPO.isPresaleActive(OTHER_TEAM)).to.equal(true);
+    });
+
+    it("Should reject an end time in the past and non-owners", async function () {
+      const now = BigInt(await time.latest());
+      await expect(sportfolioIPO.setPresaleRoot(OTHER_TEAM, tree.root, now))
+        .to.be.revertedWith("Presale end time in the past");
+      await expect(sportfolioIPO.connect(alice).setPresaleRoot(OTHER_TEAM, tree.root, presaleEnd))
+        .to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.setPresaleRoot(99n, tree.root, presaleEnd))
+        .to.be.revertedWith("Team does not exist");
+    });
+
+    it("Should leave teams without a presale in the public phase", async function () {
+      expect(await sportfolioIPO.isPresaleActive(OTHER_TEAM)).to.equal(false);
+      await sportfolioIPO.connect(carol).buyTokens(OTHER_TEAM, 10n);
+    });
+  });
+
+  describe("Presale phase", function () {
+    it("Should let allowlisted wallets buy up to their allocation across purchases", async function () {
+      await buyPresale(alice, 3_000n);
+      await buyPresale(alice, 2_000n);
+      expect(await sportfolioIPO.purchasedBy(TOKEN_ID, alice.address)).to.equal(5_000n);
+
+      await expect(buyPresale(alice, 1n)).to.be.revertedWith("Exceeds presale allocation");
+      await expect(buyPresale(bob, 1_001n)).to.be.revertedWith("Exceeds presale allocation");
+      await buyPresale(bob, 1_000n);
+    });
+
+    it("Should reject wallets that are not on the allowlist", async function () {
+      await expect(buyPresale(carol, 1n, tree.proofs[alice.address]))
+        .to.be.revertedWith("Invalid presale proof");
+    });
+
+    it("Should reject a claimed allocation that differs from the allowlist", async function () {
+      const forged = { ...tree.proofs[bob.address], allocation: "1000000" };
+      await expect(buyPresale(bob, 2_000n, forged)).to.be.revertedWith("Invalid presale proof");
+    });
+
+    it("Should close the public buy functions during the presale", async function () {
+      const deadline = presaleEnd + HOUR;
+      await expect(sportfolioIPO.connect(carol).buyTokens(TOKEN_ID, 1n)).to.be.revertedWith("Presale only");
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1n, ethers.MaxUint256, deadline))
+        .to.be.revertedWith("Presale only");
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, 1_000n * USDC, 1n, deadline))
+        .to.be.revertedWith("Presale only");
+    });
+
+    it("Should reject presale purchases after their deadline", async function () {
+      const deadline = BigInt(await time.latest()) + 60n;
+      await time.increaseTo(deadline + 1n);
+      await expect(buyPresale(alice, 1n, tree.proofs[alice.address], deadline)).to.be.revertedWith("Transaction expired");
+
+      await buyPresale(alice, 1n, tree.proofs[alice.address], deadline + HOUR);
+      expect(await sportfolioIPO.purchasedBy(TOKEN_ID, alice.address)).to.equal(1n);
+    });
+
+    it("Should keep the usual IPO state checks", async function () {
+      await sportfolioIPO.pauseIPO(TOKEN_ID);
+      await expect(buyPresale(alice, 1n)).to.be.revertedWith("Team IPO has ended");
+    });
+
+    it("Should accept a replacement root mid-presale", async function () {
+      const updated = presale.buildPresaleTree([
+        { address: alice.address, allocation: 5_000n },
+        { address: bob.address, allocation: 1_000n },
+        { address: carol.address, allocation: 250n },
+      ]);
+      await sportfolioIPO.setPresaleRoot(TOKEN_ID, updated.root, presaleEnd);
+      await buyPresale(carol, 250n, updated.proofs[carol.address]);
+    });
+  });
+
+  describe("Public phase", function () {
+    it("Should open the public buy functions at the presale end time", async function () {
+      await time.increaseTo(presaleEnd);
+      expect(await sportfolioIPO.isPresaleActive(TOKEN_ID)).to.equal(false);
+
+      await sportfolioIPO.connect(carol).buyTokens(TOKEN_ID, 10n);
+      await expect(buyPresale(alice, 1n)).to.be.revertedWith("Presale not active");
+    });
+
+    it("Should open the public phase when the owner removes the presale", async function () {
+      await sportfolioIPO.setPresaleRoot(TOKEN_ID, ethers.ZeroHash, 0n);
+      await sportfolioIPO.connect(carol).buyTokens(TOKEN_ID, 10n);
+    });
+
+    it("Should enforce the wallet cap on every public buy function", async function () {
+      await time.increaseTo(presaleEnd);
+      await expect(sportfolioIPO.setWalletCap(TOKEN_ID, 100n))
+        .to.emit(sportfolioIPO, "WalletCapUpdated")
+        .withArgs(TOKEN_ID, 100n);
+
+      await sportfolioIPO.connect(carol).buyTokens(TOKEN_ID, 60n);
+      expect(await sportfolioIPO.getRemainingWalletCap(TOKEN_ID, carol.address)).to.equal(40n);
+
+      const deadline = BigInt(await time.latest()) + HOUR;
+      await expect(sportfolioIPO.connect(carol).buyTokens(TOKEN_ID, 41n)).to.be.revertedWith("Exceeds wallet cap");
+      await expect(sportfolioIPO.connect(carol).buyTokensWithMaxCost(TOKEN_ID, 41n, ethers.MaxUint256, deadline))
+        .to.be.revertedWith("Exceeds wallet cap");
+
+      // A budget purchase stops at the cap instead of reverting
+      await sportfolioIPO.connect(carol).buyTokensWithBudget(TOKEN_ID, 100_000n * USDC, 1n, deadline);
+      expect(await sportfolioIPO.balanceOf(carol.address, TOKEN_ID)).to.equal(100n);
+      await expect(sportfolioIPO.connect(carol).buyTokensWithBudget(TOKEN_ID, 100_000n * USDC, 1n, deadline))
+        .to.be.revertedWith("Exceeds wallet cap");
+    });
+
+    it("Should count presale purchases toward the wallet cap", async function () {
+      await buyPresale(alice, 5_000n);
+      await time.increaseTo(presaleEnd);
+      await sportfolioIPO.setWalletCap(TOKEN_ID, 5_500n);
+
+      expect(await sportfolioIPO.getRemainingWalletCap(TOKEN_ID, alice.address)).to.equal(500n);
+      await expect(sportfolioIPO.connect(alice).buyTokens(TOKEN_ID, 501n)).to.be.revertedWith("Exceeds wallet cap");
+      await sportfolioIPO.connect(alice).buyTokens(TOKEN_ID, 500n);
+    });
+
+    it("Should apply caps per team and allow removing them", async function () {
+      await sportfolioIPO.setWalletCap(OTHER_TEAM, 10n);
+      await expect(sportfolioIPO.connect(carol).buyTokens(OTHER_TEAM, 11n)).to.be.revertedWith("Exceeds wallet cap");
+
+      await sportfolioIPO.setWalletCap(OTHER_TEAM, 0n);
+      expect(await sportfolioIPO.getRemainingWalletCap(OTHER_TEAM, carol.address)).to.equal(ethers.MaxUint256);
+      await sportfolioIPO.connect(carol).buyTokens(OTHER_TEAM, 11n);
+    });
+  });
+
+  describe("Allowlist tooling", function () {
+    it("Should produce proofs that verify in JS and on-chain for any tree size", async function () {
+      const wallets = Array.from({ length: 13 }, () => ethers.Wallet.createRandom().address);
+      const entries = wallets.map((address, i) => ({ address, allocation: BigInt(100 * (i + 1)) }));
+      entries.push({ address: carol.address, allocation: 700n });
+
+      const built = presale.buildPresaleTree(entries);
+      for (const { address, allocation } of entries) {
+        const { proof } = built.proofs[address];
+        expect(presale.verifyPresaleProof(proof, built.root, address, allocation)).to.equal(true);
+      }
+
+      await sportfolioIPO.setPresaleRoot(OTHER_TEAM, built.root, presaleEnd);
+      const entry = built.proofs[carol.address];
+      await sportfolioIPO.connect(carol).buyPresaleTokens(OTHER_TEAM, 700n, ethers.MaxUint256, ethers.MaxUint256, entry.allocation, entry.proof);
+    });
+
+    it("Should give the same root regardless of CSV order", function () {
+      const entries = [
+        { address: alice.address, allocation: 5_000n },
+        { address: bob.address, allocation: 1_000n },
+      ];
+      expect(presale.buildPresaleTree([...entries].reverse()).root).to.equal(tree.root);
+    });
+
+    it("Should parse CSV files and reject malformed ones", function () {
+      const entries = presale.parseAllowlistCsv(
+        `address,allocation\n# fan club\n${alice.address.toLowerCase()}, 5000\n\n${bob.address},1000\n`
+      );
+      expect(entries).to.deep.equal([
+        { address: alice.address, allocation: 5_000n },
+        { address: bob.address, allocation: 1_000n },
+      ]);
+
+      expect(() => presale.parseAllowlistCsv(`${alice.address},5000\n${alice.address},1`)).to.throw("duplicate address");
+      expect(() => presale.parseAllowlistCsv(`${alice.address},0`)).to.throw("positive whole number");
+      expect(() => presale.parseAllowlistCsv(`${alice.address},1.5`)).to.throw("positive whole number");
+      expect(() => presale.parseAllowlistCsv(`0x1234,10\n${alice.address},10`)).to.throw("invalid address");
+      expect(() => presale.parseAllowlistCsv("address,allocation\n")).to.throw("Allowlist is empty");
+    });
+
+    it("Should print the root and write per-address proofs from the CLI script", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "presale-"));
+      try {
+        const csvPath = path.join(dir, "allowlist.csv");
+        const jsonPath = path.join(dir, "proofs.json");
+        fs.writeFileSync(csvPath, `address,allocation\n${alice.address},5000\n${bob.address},1000\n`);
+
+        const output = execFileSync(
+          process.execPath,
+          [path.join(__dirname, "..", "scripts", "build-presale-tree.js"), csvPath, jsonPath],
+          { encoding: "utf8", timeout: 30_000 }
+        );
+        expect(output).to.include(`Merkle root (for setPresaleRoot): ${tree.root}`);
+
+        const written = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+        expect(written.root).to.equal(tree.root);
+        const entry = written.proofs[bob.address];
+        await sportfolioIPO.connect(bob).buyPresaleTokens(TOKEN_ID, 1_000n, ethers.MaxUint256, ethers.MaxUint256, entry.allocation, entry.proof);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
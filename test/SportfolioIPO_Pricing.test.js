@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployIPO } = require("../lib/fixtures");
+const pricing = require("../lib/pricing");
+const { createRandom } = require("../lib/random");
+
+describe("SportfolioIPO - Pricing Library Parity", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, buyer, platformFeeRecipient;
+
+  const TOKEN_ID = 1n;
+  const QUOTE_AMOUNT = 25n; // Tokens quoted at each supply level
+
+  // Supply levels covering the whole 0 - 2,000,000 range:
+  // a regular grid, the curve edges, and random points in between
+  function supplyLevels() {
+    const levels = new Set();
+    for (let sold = 0n; sold <= pricing.TOTAL_SUPPLY; sold += 20_000n) {
+      levels.add(sold);
+    }
+    for (const sold of [1n, 2n, 99n, 100n, 1_999_975n, 1_999_999n]) {
+      levels.add(sold);
+    }
+    const random = createRandom(2024);
+    for (let i = 0; i < 50; i++) {
+      levels.add(BigInt(Math.floor(random() * Number(pricing.TOTAL_SUPPLY))));
+    }
+    return [...levels].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  beforeEach(async function () {
+    [owner, buyer, platformFeeRecipient] = await ethers.getSigners();
+
+    ({ mockUSDC, sportfolioIPO } = await deployIPO(hre, platformFeeRecipient.address, { contract: "SportfolioIPOHarness" }));
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+  });
+
+  describe("Contract parity across the supply range", function () {
+    it("Should match getCurrentPrice, getSigmoidFactor and calculatePurchaseCost at every sampled supply level", async function () {
+      for (const sold of supplyLevels()) {
+        await sportfolioIPO.setTokensSold(TOKEN_ID, sold);
+
+        expect(await sportfolioIPO.getCurrentPrice(TOKEN_ID), `price at ${sold}`)
+          .to.equal(pricing.getPriceAtSupply(sold));
+        expect(await sportfolioIPO.getSigmoidFactor(TOKEN_ID), `sigmoid factor at ${sold}`)
+          .to.equal(pricing.getSigmoidFactor(sold));
+
+        const remaining = pricing.TOTAL_SUPPLY - sold;
+        if (remaining === 0n) continue;
+
+        const amount = remaining < QUOTE_AMOUNT ? remaining : QUOTE_AMOUNT;
+        const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
+        const quote = pricing.calculatePurchaseCost(sold, amount);
+        expect(tokenCost, `token cost at ${sold}`).to.equal(quote.tokenCost);
+        expect(platformFee, `platform fee at ${sold}`).to.equal(quote.platformFee);
+      }
+    });
+
+    it("Should match the final price at full supply", async function () {
+      await sportfolioIPO.setTokensSold(TOKEN_ID, pricing.TOTAL_SUPPLY);
+      expect(await sportfolioIPO.getCurrentPrice(TOKEN_ID)).to.equal(pricing.getPriceAtSupply(pricing.TOTAL_SUPPLY));
+      expect(pricing.getPriceAtSupply(pricing.TOTAL_SUPPLY)).to.equal(330_000_000n);
+    });
+
+    it("Should match larger purchase quotes", async function () {
+      for (const [sold, amount] of [[0n, 5_000n], [1_000_000n, 3_000n], [1_990_000n, 10_000n]]) {
+        await sportfolioIPO.setTokensSold(TOKEN_ID, sold);
+        const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
+        const quote = pricing.calculatePurchaseCost(sold, amount);
+        expect(tokenCost).to.equal(quote.tokenCost);
+        expect(platformFee).to.equal(quote.platformFee);
+      }
+    });
+  });
+
+  describe("Inverse queries", function () {
+    beforeEach(async function () {
+      await mockUSDC.transfer(buyer.address, 1_000_000n * 10n ** 6n);
+    });
+
+    it("Should buy exactly the amount a budget affords, fee included", async function () {
+      const contractAddress = await sportfolioIPO.getAddress();
+      await sportfolioIPO.setTokensSold(TOKEN_ID, 750_000n);
+      const budget = 5_000_000_000n; // $5,000
+
+      const quote = pricing.getMaxTokensForBudget(750_000n, budget);
+      expect(quote.amount).to.be.gt(0n);
+      expect(quote.totalCost).to.be.lte(budget);
+
+      // One more token must not fit in the budget
+      const next = pricing.calculatePurchaseCost(750_000n, quote.amount + 1n);
+      expect(next.totalCost).to.be.gt(budget);
+
+      await mockUSDC.connect(buyer).approve(contractAddress, budget);
+      await expect(sportfolioIPO.connect(buyer).buyTokens(TOKEN_ID, quote.amount + 1n))
+        .to.be.revertedWith("Insufficient USDC allowance. Please approve first.");
+
+      const balanceBefore = await mockUSDC.balanceOf(buyer.address);
+      await sportfolioIPO.connect(buyer).buyTokens(TOKEN_ID, quote.amount);
+      expect(balanceBefore - await mockUSDC.balanceOf(buyer.address)).to.equal(quote.totalCost);
+    });
+
+    it("Should predict the price after a purchase", async function () {
+      const contractAddress = await sportfolioIPO.getAddress();
+      await mockUSDC.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+      await sportfolioIPO.setTokensSold(TOKEN_ID, 1_200_000n);
+
+      const expectedPrice = pricing.getPriceAfterPurchase(1_200_000n, 400n);
+      await sportfolioIPO.connect(buyer).buyTokens(TOKEN_ID, 400n);
+      expect(await sportfolioIPO.getCurrentPrice(TOKEN_ID)).to.equal(expectedPrice);
+    });
+
+    it("Should return zero tokens when the budget cannot cover one token plus fee", function () {
+      const price = pricing.getPriceAtSupply(0);
+      const quote = pricing.getMaxTokensForBudget(0, price);
+      expect(quote.amount).to.equal(0n);
+      expect(quote.totalCost).to.equal(0n);
+    });
+
+    it("Should stop at the end of the supply", function () {
+      const quote = pricing.getMaxTokensForBudget(pricing.TOTAL_SUPPLY - 3n, 10n ** 18n);
+      expect(quote.amount).to.equal(3n);
+    });
+  });
+
+  describe("Input validation", function () {
+    it("Should reject the same inputs the contract rejects", function () {
+      expect(() => pricing.calculatePurchaseCost(0, 0)).to.throw("Must buy at least 1 token");
+      expect(() => pricing.calculatePurchaseCost(pricing.TOTAL_SUPPLY - 1n, 2)).to.throw("Exceeds total supply");
+      expect(() => pricing.getPriceAtSupply(pricing.TOTAL_SUPPLY + 1n)).to.throw(RangeError);
+      expect(() => pricing.getPriceAtSupply("1.5")).to.throw(TypeError);
+    });
+
+    it("Should format USDC units as USD", function () {
+      expect(pricing.formatUSDC(30_001_363n)).to.equal("$30.001363");
+      expect(pricing.formatUSDC(3_090_069_478n)).to.equal("$3,090.069478");
+    });
+  });
+});
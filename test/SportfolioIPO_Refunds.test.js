@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Cancellation and Refunds", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let contractAddress;
+
+  const LAKERS = 1n;  // Default curve
+  const HORNETS = 2n; // Small curve that sells out cheaply
+  const USDC = 10n ** 6n;
+
+  const SMALL_CURVE = {
+    basePrice: 1_000_000n, // $1
+    totalSupply: 1_000n,
+    smoothingFactor: 1_000n,
+    platformFeeRate: 300n,
+  };
+
+  async function buy(buyer, tokenId, amount) {
+    const receipt = await (await sportfolioIPO.connect(buyer).buyTokens(tokenId, amount)).wait();
+    const event = receipt.logs
+      .map((log) => sportfolioIPO.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "TokensPurchased");
+    return { tokenCost: event.args.totalCost, platformFee: event.args.platformFee };
+  }
+
+  async function claimAll(holder, tokenId) {
+    const balance = await sportfolioIPO.balanceOf(holder.address, tokenId);
+    const before = await mockUSDC.balanceOf(holder.address);
+    await sportfolioIPO.connect(holder).claimRefund(tokenId, balance);
+    return (await mockUSDC.balanceOf(holder.address)) - before;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contractAddress = await sportfolioIPO.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+      HORNETS, "Hornets", SMALL_CURVE.basePrice, SMALL_CURVE.totalSupply, SMALL_CURVE.smoothingFactor, SMALL_CURVE.platformFeeRate
+    );
+
+    for (const buyer of [alice, bob]) {
+      await mockUSDC.transfer(buyer.address, 1_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+    }
+  });
+
+  describe("Escrow accounting", function () {
+    it("Should track what each buyer paid per team", async function () {
+      const first = await buy(alice, LAKERS, 1_000n);
+      const second = await buy(alice, LAKERS, 500n);
+      const third = await buy(bob, LAKERS, 2_000n);
+
+      expect(await sportfolioIPO.escrowedPayments(LAKERS, alice.address)).to.equal(first.tokenCost + second.tokenCost);
+      expect(await sportfolioIPO.escrowedFees(LAKERS, alice.address)).to.equal(first.platformFee + second.platformFee);
+      expect(await sportfolioIPO.escrowedPayments(LAKERS, bob.address)).to.equal(third.tokenCost);
+
+      const funds = await sportfolioIPO.teamFunds(LAKERS);
+      expect(funds.proceeds).to.equal(first.tokenCost + second.tokenCost + third.tokenCost);
+      expect(funds.feesCollected).to.equal(first.platformFee + second.platformFee + third.platformFee);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(funds.proceeds);
+    });
+
+    it("Should move the escrow with transferred tokens", async function () {
+      const paid = await buy(alice, HORNETS, 300n);
+      await sportfolioIPO.pauseIPO(HORNETS);
+
+      await sportfolioIPO.connect(alice).safeTransferFrom(alice.address, bob.address, HORNETS, 100n, "0x");
+
+      const moved = (paid.tokenCost * 100n) / 300n;
+      expect(await sportfolioIPO.escrowedPayments(HORNETS, bob.address)).to.equal(moved);
+      expect(await sportfolioIPO.escrowedPayments(HORNETS, alice.address)).to.equal(paid.tokenCost - moved);
+    });
+  });
+
+  describe("withdraw", function () {
+    it("Should not touch proceeds of teams still selling", async function () {
+      await buy(alice, LAKERS, 1_000n);
+      await expect(sportfolioIPO.withdraw(0)).to.be.revertedWith("No balance to withdraw");
+    });
+
+    it("Should only take proceeds of completed teams", async function () {
+      const lakers = await buy(alice, LAKERS, 1_000n);
+      const hornets = await buy(bob, HORNETS, SMALL_CURVE.totalSupply); // Sells out
+
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(hornets.tokenCost);
+      await expect(sportfolioIPO.withdraw(hornets.tokenCost + 1n)).to.be.revertedWith("Insufficient balance");
+
+      const ownerBefore = await mockUSDC.balanceOf(owner.address);
+      await sportfolioIPO.withdraw(0);
+      expect(await mockUSDC.balanceOf(owner.address) - ownerBefore).to.equal(hornets.tokenCost);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(lakers.tokenCost);
+
+      await expect(sportfolioIPO.withdraw(0)).to.be.revertedWith("No balance to withdraw");
+    });
+
+    it("Should release proceeds when the owner completes an IPO", async function () {
+      const paid = await buy(alice, LAKERS, 1_000n);
+      await sportfolioIPO.completeIPO(LAKERS);
+
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(paid.tokenCost);
+      await sportfolioIPO.withdraw(paid.tokenCost / 2n);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(paid.tokenCost - paid.tokenCost / 2n);
+    });
+
+    it("Should let the owner complete a paused IPO", async function () {
+      await buy(alice, LAKERS, 1_000n);
+      await sportfolioIPO.pauseIPO(LAKERS);
+
+      await expect(sportfolioIPO.completeIPO(LAKERS)).to.emit(sportfolioIPO, "IPOCompleted");
+      await expect(sportfolioIPO.resumeIPO(LAKERS)).to.be.revertedWith("IPO already completed");
+      await expect(sportfolioIPO.completeIPO(LAKERS)).to.be.revertedWith("IPO already completed");
+    });
+  });
+
+  describe("cancelIPO", function () {
+    it("Should stop sales and open refunds", async function () {
+      await buy(alice, LAKERS, 1_000n);
+
+      await expect(sportfolioIPO.cancelIPO(LAKERS, false))
+        .to.emit(sportfolioIPO, "IPOCancelled");
+
+      const info = await sportfolioIPO.getTeamInfo(LAKERS);
+      expect(info.cancelled).to.equal(true);
+      expect(info.ipoActive).to.equal(false);
+      await expect(sportfolioIPO.connect(bob).buyTokens(LAKERS, 1n)).to.be.revertedWith("Team IPO has ended");
+      await expect(sportfolioIPO.resumeIPO(LAKERS)).to.be.revertedWith("IPO cancelled");
+      await expect(sportfolioIPO.completeIPO(LAKERS)).to.be.revertedWith("IPO cancelled");
+      await expect(sportfolioIPO.cancelIPO(LAKERS, false)).to.be.revertedWith("IPO already cancelled");
+    });
+
+    it("Should not cancel a completed IPO", async function () {
+      await buy(bob, HORNETS, SMALL_CURVE.totalSupply);
+      await expect(sportfolioIPO.cancelIPO(HORNETS, false)).to.be.revertedWith("IPO already completed");
+    });
+
+    it("Should only let the owner cancel", async function () {
+      await expect(sportfolioIPO.connect(alice).cancelIPO(LAKERS, false))
+        .to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should charge the owner nothing when refunding fees", async function () {
+      const paid = await buy(alice, LAKERS, 1_000n);
+      await mockUSDC.approve(contractAddress, ethers.MaxUint256);
+
+      const ownerBefore = await mockUSDC.balanceOf(owner.address);
+      await sportfolioIPO.cancelIPO(LAKERS, true);
+
+      expect(await mockUSDC.balanceOf(owner.address)).to.equal(ownerBefore);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(paid.tokenCost);
+    });
+  });
+
+  describe("fundFeeRefunds", function () {
+    it("Should pull the collected fees from the caller and open the refunds", async function () {
+      const paid = await buy(alice, LAKERS, 1_000n);
+      await sportfolioIPO.cancelIPO(LAKERS, true);
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n)).to.be.revertedWith("Fee refunds not funded");
+
+      await expect(sportfolioIPO.fundFeeRefunds(LAKERS)).to.be.revertedWith("ERC20: insufficient allowance");
+      await mockUSDC.approve(contractAddress, paid.platformFee);
+      const ownerBefore = await mockUSDC.balanceOf(owner.address);
+      await expect(sportfolioIPO.fundFeeRefunds(LAKERS))
+        .to.emit(sportfolioIPO, "FeeRefundsFunded")
+        .withArgs(LAKERS, owner.address);
+
+      expect(ownerBefore - await mockUSDC.balanceOf(owner.address)).to.equal(paid.platformFee);
+      expect(await sportfolioIPO.feeRefundsFunded(LAKERS)).to.equal(true);
+      expect(await claimAll(alice, LAKERS)).to.equal(paid.tokenCost + paid.platformFee);
+    });
+
+    it("Should only fund a team cancelled with fee refunds, once", async function () {
+      await buy(alice, LAKERS, 1_000n);
+      await buy(alice, HORNETS, 10n);
+      await mockUSDC.approve(contractAddress, ethers.MaxUint256);
+
+      await expect(sportfolioIPO.fundFeeRefunds(LAKERS)).to.be.revertedWith("Fees not refunded");
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+      await expect(sportfolioIPO.fundFeeRefunds(HORNETS)).to.be.revertedWith("Fees not refunded");
+
+      await sportfolioIPO.cancelIPO(LAKERS, true);
+      await sportfolioIPO.fundFeeRefunds(LAKERS);
+      await expect(sportfolioIPO.fundFeeRefunds(LAKERS)).to.be.revertedWith("Fee refunds already funded");
+    });
+  });
+
+  describe("claimRefund", function () {
+    it("Should burn tokens and return the token cost", async function () {
+      const paid = await buy(alice, LAKERS, 1_000n);
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+
+      expect(await sportfolioIPO.getRefundAmount(LAKERS, alice.address, 1_000n)).to.equal(paid.tokenCost);
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n))
+        .to.emit(sportfolioIPO, "RefundClaimed")
+        .withArgs(alice.address, LAKERS, 1_000n, paid.tokenCost);
+
+      expect(await sportfolioIPO.balanceOf(alice.address, LAKERS)).to.equal(0n);
+      expect(await sportfolioIPO.escrowedPayments(LAKERS, alice.address)).to.equal(0n);
+      expect((await sportfolioIPO.teamFunds(LAKERS)).proceeds).to.equal(0n);
+    });
+
+    it("Should include fees when the IPO was cancelled with fee refunds", async function () {
+      const paid = await buy(alice, LAKERS, 1_000n);
+      await mockUSDC.approve(contractAddress, ethers.MaxUint256);
+      await sportfolioIPO.cancelIPO(LAKERS, true);
+      await sportfolioIPO.fundFeeRefunds(LAKERS);
+
+      expect(await claimAll(alice, LAKERS)).to.equal(paid.tokenCost + paid.platformFee);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(0n);
+    });
+
+    it("Should refund every buyer exactly what they paid and leave the team's escrow empty", async function () {
+      const lakers = await buy(bob, LAKERS, 10_000n);
+      const first = await buy(alice, HORNETS, 123n);
+      const second = await buy(bob, HORNETS, 456n);
+      const third = await buy(alice, HORNETS, 78n);
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+
+      expect(await claimAll(alice, HORNETS)).to.equal(first.tokenCost + third.tokenCost);
+      expect(await claimAll(bob, HORNETS)).to.equal(second.tokenCost);
+
+      // Only the other team's escrow is left
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(lakers.tokenCost);
+      expect((await sportfolioIPO.teamFunds(HORNETS)).proceeds).to.equal(0n);
+    });
+
+    it("Should lose no dust across partial refunds", async function () {
+      const paid = await buy(alice, HORNETS, 7n);
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+
+      const before = await mockUSDC.balanceOf(alice.address);
+      for (const amount of [3n, 1n, 2n, 1n]) {
+        await sportfolioIPO.connect(alice).claimRefund(HORNETS, amount);
+      }
+      expect(await mockUSDC.balanceOf(alice.address) - before).to.equal(paid.tokenCost);
+    });
+
+    it("Should refund whoever holds the tokens after a transfer", async function () {
+      const paid = await buy(alice, HORNETS, 300n);
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+
+      await sportfolioIPO.connect(alice).safeTransferFrom(alice.address, bob.address, HORNETS, 100n, "0x");
+
+      const bobRefund = await claimAll(bob, HORNETS);
+      const aliceRefund = await claimAll(alice, HORNETS);
+      expect(bobRefund).to.equal((paid.tokenCost * 100n) / 300n);
+      expect(aliceRefund + bobRefund).to.equal(paid.tokenCost);
+    });
+
+    it("Should reject refunds for teams that are not cancelled", async function () {
+      await buy(alice, LAKERS, 1_000n);
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1n)).to.be.revertedWith("IPO not cancelled");
+    });
+
+    it("Should reject zero amounts and amounts above the holder's balance", async function () {
+      await buy(alice, LAKERS, 1_000n);
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 0n)).to.be.revertedWith("Must refund at least 1 token");
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_001n)).to.be.revertedWith("Insufficient token balance");
+      await expect(sportfolioIPO.connect(bob).claimRefund(LAKERS, 1n)).to.be.revertedWith("Insufficient token balance");
+    });
+
+    it("Should keep refunds out of reach of withdraw", async function () {
+      const lakers = await buy(alice, LAKERS, 1_000n);
+      await buy(bob, HORNETS, SMALL_CURVE.totalSupply);
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+
+      await sportfolioIPO.withdraw(0);
+      expect(await claimAll(alice, LAKERS)).to.equal(lakers.tokenCost);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const indexer = require("../lib/indexer");
+const { createRandom } = require("../lib/random");
+const { deployIPO, fundAccounts } = require("../lib/fixtures");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Revenue Sharing", function () {
+  let sportfolioIPO;
+  let mockUSDC, mockDAI;
+  let owner, alice, bob, club, partner, platform, platformFeeRecipient;
+  let contractAddress, usdc, dai;
+
+  const LAKERS = 1n;  // Default curve
+  const HORNETS = 2n; // Small curve that sells out cheaply
+  const USDC = 10n ** 6n;
+  const DAI_SCALE = 10n ** 12n;
+
+  function setPayees(tokenId, payees) {
+    return sportfolioIPO.setTeamPayees(
+      tokenId,
+      payees.map(([account]) => account.address),
+      payees.map(([, feeShare]) => feeShare),
+      payees.map(([, , royaltyShare]) => royaltyShare)
+    );
+  }
+
+  async function accrued(payee, asset = usdc) {
+    return sportfolioIPO.payeeAccrued(payee.address, asset);
+  }
+
+  // Change in an account's balance of a token caused by fn
+  async function balanceChange(token, account, fn) {
+    const before = await token.balanceOf(account.address);
+    await fn();
+    return (await token.balanceOf(account.address)) - before;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, club, partner, platform, platformFeeRecipient] = await ethers.getSigners();
+
+    ({ mockUSDC, sportfolioIPO } = await deployIPO(hre, platformFeeRecipient.address));
+    const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+    mockDAI = await MockStablecoin.deploy("Mock Dai", "mDAI", 18);
+    contractAddress = await sportfolioIPO.getAddress();
+    usdc = await mockUSDC.getAddress();
+    dai = await mockDAI.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](HORNETS, "Hornets", 1_000_000n, 1_000n, 1_000n, 300n);
+    await sportfolioIPO.setPaymentAsset(dai, true, ethers.ZeroAddress);
+
+    await fundAccounts(mockUSDC, [alice, bob], 10_000_000n * USDC, [contractAddress]);
+    await fundAccounts(mockDAI, [alice, bob], 10_000_000n * USDC * DAI_SCALE, [contractAddress]);
+  });
+
+  describe("setTeamPayees", function () {
+    it("Should store a team's payees and emit their shares", async function () {
+      await expect(setPayees(LAKERS, [[club, 0n, 1_000n], [partner, 4_000n, 0n], [platform, 6_000n, 500n]]))
+        .to.emit(sportfolioIPO, "TeamPayeesConfigured")
+        .withArgs(LAKERS, [club.address, partner.address, platform.address], [0n, 4_000n, 6_000n], [1_000n, 0n, 500n]);
+
+      const payees = await sportfolioIPO.getTeamPayees(LAKERS);
+      expect(payees.map((payee) => [payee.account, payee.feeShare, payee.royaltyShare])).to.deep.equal([
+        [club.address, 0n, 1_000n],
+        [partner.address, 4_000n, 0n],
+        [platform.address, 6_000n, 500n],
+      ]);
+      expect(await sportfolioIPO.getTeamPayees(HORNETS)).to.deep.equal([]);
+
+      await setPayees(LAKERS, [[club, 10_000n, 0n]]);
+      expect(await sportfolioIPO.getTeamPayees(LAKERS)).to.have.length(1);
+      await setPayees(LAKERS, []);
+      expect(await sportfolioIPO.getTeamPayees(LAKERS)).to.have.length(0);
+    });
+
+    it("Should reject shares that do not add up", async function () {
+      await expect(setPayees(LAKERS, [[club, 5_000n, 0n], [partner, 4_999n, 0n]])).to.be.revertedWith("Fee shares must sum to 100%");
+      await expect(setPayees(LAKERS, [[club, 5_000n, 0n], [partner, 5_001n, 0n]])).to.be.revertedWith("Shares exceed 100%");
+      await expect(setPayees(LAKERS, [[club, 0n, 10_001n]])).to.be.revertedWith("Shares exceed 100%");
+      await expect(setPayees(LAKERS, [[club, 2n ** 16n + 10_000n, 0n]])).to.be.revertedWith("Shares exceed 100%");
+      await setPayees(LAKERS, [[club, 0n, 10_000n]]);
+    });
+
+    it("Should reject invalid payee lists", async function () {
+      await expect(sportfolioIPO.setTeamPayees(LAKERS, [club.address], [10_000n], [])).to.be.revertedWith("Array length mismatch");
+      await expect(setPayees(LAKERS, [[club, 5_000n, 0n], [club, 5_000n, 0n]])).to.be.revertedWith("Duplicate payee");
+      await expect(sportfolioIPO.setTeamPayees(LAKERS, [ethers.ZeroAddress], [10_000n], [0n])).to.be.revertedWith("Invalid payee");
+
+      const signers = await ethers.getSigners();
+      const tooMany = signers.slice(0, Number(await sportfolioIPO.MAX_PAYEES()) + 1).map((signer) => [signer, 0n, 0n]);
+      await expect(setPayees(LAKERS, tooMany)).to.be.revertedWith("Too many payees");
+    });
+
+    it("Should be admin only, for teams that have not settled", async function () {
+      await expect(
+        sportfolioIPO.connect(alice).setTeamPayees(LAKERS, [club.address], [10_000n], [0n])
+      ).to.be.revertedWith(MISSING_ROLE);
+      await expect(setPayees(9n, [[club, 10_000n, 0n]])).to.be.revertedWith("Team does not exist");
+
+      await sportfolioIPO.completeIPO(LAKERS);
+      await expect(setPayees(LAKERS, [[club, 10_000n, 0n]])).to.be.revertedWith("IPO already completed");
+      await sportfolioIPO.cancelIPO(HORNETS, false);
+      await expect(setPayees(HORNETS, [[club, 10_000n, 0n]])).to.be.revertedWith("IPO cancelled");
+    });
+  });
+
+  describe("Fee splitting", function () {
+    it("Should credit fee payees instead of paying the fee recipient", async function () {
+      await setPayees(LAKERS, [[partner, 4_000n, 0n], [platform, 6_000n, 0n]]);
+      const [, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 1_000n);
+
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n))
+        .to.emit(sportfolioIPO, "PayeeCredited")
+        .withArgs(LAKERS, partner.address, usdc, (platformFee * 4_000n) / 10_000n, false);
+
+      expect(await mockUSDC.balanceOf(platformFeeRecipient.address)).to.equal(0n);
+      expect(await accrued(partner)).to.equal((platformFee * 4_000n) / 10_000n);
+      expect((await accrued(partner)) + (await accrued(platform))).to.equal(platformFee);
+    });
+
+    it("Should lose no dust across many purchases with uneven shares", async function () {
+      await setPayees(LAKERS, [[club, 3_333n, 0n], [partner, 3_333n, 0n], [platform, 3_334n, 0n]]);
+      const random = createRandom(22);
+
+      for (let i = 0; i < 40; i++) {
+        const buyer = random() < 0.5 ? alice : bob;
+        await sportfolioIPO.connect(buyer).buyTokens(LAKERS, BigInt(1 + Math.floor(random() * 5_000)));
+      }
+
+      const { proceeds, feesCollected } = await sportfolioIPO.teamFunds(LAKERS);
+      const credited = [await accrued(club), await accrued(partner), await accrued(platform)];
+      expect(credited[0] + credited[1] + credited[2]).to.equal(feesCollected);
+      // Each share stays within a unit per purchase of its exact part
+      expect(credited[0]).to.be.closeTo((feesCollected * 3_333n) / 10_000n, 40n);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(proceeds + feesCollected);
+    });
+
+    it("Should keep forwarding fees of teams without fee shares", async function () {
+      await setPayees(LAKERS, [[club, 0n, 1_000n]]);
+      const [, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 1_000n);
+
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+
+      expect(await mockUSDC.balanceOf(platformFeeRecipient.address)).to.equal(platformFee);
+      expect(await accrued(club)).to.equal(0n);
+    });
+
+    it("Should split each team's fees in a batch by its own payees", async function () {
+      await setPayees(HORNETS, [[club, 10_000n, 0n]]);
+      const [, lakersFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 100n);
+      const [, hornetsFee] = await sportfolioIPO.calculatePurchaseCost(HORNETS, 100n);
+
+      await sportfolioIPO.connect(alice).buyTokensBatch([LAKERS, HORNETS], [100n, 100n], ethers.MaxUint256, ethers.MaxUint256);
+
+      expect(await mockUSDC.balanceOf(platformFeeRecipient.address)).to.equal(lakersFee);
+      expect(await accrued(club)).to.equal(hornetsFee);
+    });
+
+    it("Should split fees paid in another asset in that asset", async function () {
+      await setPayees(LAKERS, [[partner, 2_500n, 0n], [platform, 7_500n, 0n]]);
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 333n);
+
+      await sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 333n, dai, ethers.MaxUint256, ethers.MaxUint256);
+
+      expect((await accrued(partner, dai)) + (await accrued(platform, dai))).to.equal(platformFee * DAI_SCALE);
+      expect(await accrued(partner, dai)).to.equal((platformFee * DAI_SCALE) / 4n);
+      expect(await accrued(partner)).to.equal(0n);
+      expect(await mockDAI.balanceOf(contractAddress)).to.equal((tokenCost + platformFee) * DAI_SCALE);
+    });
+  });
+
+  describe("Club royalties", function () {
+    it("Should credit royalties on completion and send the rest to the treasury", async function () {
+      await setPayees(LAKERS, [[club, 0n, 1_250n], [partner, 0n, 333n]]);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 12_345n);
+      const { proceeds } = await sportfolioIPO.teamFunds(LAKERS);
+      expect(await accrued(club)).to.equal(0n); // Nothing before completion
+
+      await sportfolioIPO.completeIPO(LAKERS);
+
+      const clubRoyalty = (proceeds * 1_250n) / 10_000n;
+      const bothRoyalties = (proceeds * 1_583n) / 10_000n;
+      expect(await accrued(club)).to.equal(clubRoyalty);
+      expect(await accrued(partner)).to.equal(bothRoyalties - clubRoyalty);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(proceeds - bothRoyalties);
+    });
+
+    it("Should pay royalties on sell-out, per asset paid", async function () {
+      await setPayees(HORNETS, [[club, 5_000n, 1_000n], [platform, 5_000n, 0n]]);
+      await sportfolioIPO.connect(alice).buyTokens(HORNETS, 600n);
+      const [daiCost] = await sportfolioIPO.calculatePurchaseCost(HORNETS, 400n);
+      await sportfolioIPO.connect(bob).buyTokensWithAsset(HORNETS, 400n, dai, ethers.MaxUint256, ethers.MaxUint256);
+
+      const { proceeds, feesCollected } = await sportfolioIPO.teamFunds(HORNETS);
+      const usdcProceeds = proceeds - daiCost;
+      expect((await sportfolioIPO.getTeamInfo(HORNETS)).completed).to.equal(true);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(usdcProceeds - usdcProceeds / 10n);
+      expect(await sportfolioIPO.withdrawableAssetProceeds(dai)).to.equal(daiCost * DAI_SCALE - (daiCost * DAI_SCALE) / 10n);
+      expect(await accrued(club, dai)).to.be.gt((daiCost * DAI_SCALE) / 10n); // Royalty plus half the DAI fee
+
+      // Every unit paid in is accounted for exactly once
+      const usdcHeld = (await sportfolioIPO.withdrawableProceeds()) + (await accrued(club)) + (await accrued(platform));
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(usdcHeld);
+      const daiHeld = (await sportfolioIPO.withdrawableAssetProceeds(dai)) + (await accrued(club, dai)) + (await accrued(platform, dai));
+      expect(await mockDAI.balanceOf(contractAddress)).to.equal(daiHeld);
+      expect(feesCollected).to.be.gt(0n);
+    });
+
+    it("Should pay no royalties on a cancelled IPO and leave credited fees with their payees", async function () {
+      await setPayees(LAKERS, [[club, 10_000n, 1_000n]]);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      const fees = await accrued(club);
+
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      await sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n);
+
+      expect(await accrued(club)).to.equal(fees);
+      expect(await sportfolioIPO.withdrawableProceeds()).to.equal(0n);
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(fees);
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should pay out what a payee was credited across teams, once", async function () {
+      await setPayees(LAKERS, [[club, 10_000n, 500n]]);
+      await setPayees(HORNETS, [[club, 0n, 2_000n]]);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      await sportfolioIPO.connect(bob).buyTokens(HORNETS, 1_000n);
+      await sportfolioIPO.completeIPO(LAKERS);
+      const credited = await accrued(club);
+      expect(await sportfolioIPO.connect(club).claimPayments.staticCall(usdc)).to.equal(credited);
+
+      const received = await balanceChange(mockUSDC, club, async () => {
+        await expect(sportfolioIPO.connect(club).claimPayments(usdc))
+          .to.emit(sportfolioIPO, "PayeeClaimed")
+          .withArgs(club.address, usdc, credited);
+      });
+
+      expect(received).to.equal(credited);
+      expect(await sportfolioIPO.payeeClaimed(club.address, usdc)).to.equal(credited);
+      await expect(sportfolioIPO.connect(club).claimPayments(usdc)).to.be.revertedWith("Nothing to claim");
+      await expect(sportfolioIPO.connect(partner).claimPayments(usdc)).to.be.revertedWith("Nothing to claim");
+      // The treasury's share is untouched
+      expect(await mockUSDC.balanceOf(contractAddress)).to.equal(await sportfolioIPO.withdrawableProceeds());
+    });
+
+    it("Should claim each asset separately and halt during an emergency pause", async function () {
+      await setPayees(LAKERS, [[platform, 10_000n, 0n]]);
+      await sportfolioIPO.connect(alice).buyTokensWithAsset(LAKERS, 100n, dai, ethers.MaxUint256, ethers.MaxUint256);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+
+      await sportfolioIPO.pause();
+      await expect(sportfolioIPO.connect(platform).claimPayments(dai)).to.be.revertedWith("Pausable: paused");
+      await sportfolioIPO.unpause();
+
+      expect(await balanceChange(mockDAI, platform, () => sportfolioIPO.connect(platform).claimPayments(dai))).to.equal(await accrued(platform, dai));
+      expect(await balanceChange(mockUSDC, platform, () => sportfolioIPO.connect(platform).claimPayments(usdc))).to.equal(await accrued(platform));
+    });
+  });
+
+  describe("Payee report", function () {
+    it("Should report fees, royalties, claimed and unclaimed per payee and asset", async function () {
+      const deployBlock = (await sportfolioIPO.deploymentTransaction().wait()).blockNumber;
+      await setPayees(LAKERS, [[club, 5_000n, 1_000n], [platform, 5_000n, 0n]]);
+      await setPayees(HORNETS, [[club, 0n, 500n]]);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+      await sportfolioIPO.connect(bob).buyTokensWithAsset(LAKERS, 10n, dai, ethers.MaxUint256, ethers.MaxUint256);
+      await sportfolioIPO.connect(bob).buyTokens(HORNETS, 1_000n);
+      await sportfolioIPO.completeIPO(LAKERS);
+      await sportfolioIPO.connect(club).claimPayments(usdc);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const index = indexer.createIndex({ contract: contractAddress, chainId, startBlock: deployBlock });
+      await indexer.syncIndex(index, ethers.provider, { confirmations: 0 });
+      const rows = indexer.getPayeeBalances(index);
+
+      const clubUsdc = rows.find((row) => row.payee === club.address && row.asset === usdc);
+      expect(clubUsdc.teams).to.deep.equal([LAKERS, HORNETS]);
+      expect(clubUsdc.fees + clubUsdc.royalties).to.equal(clubUsdc.accrued);
+      expect(clubUsdc.accrued).to.equal(await accrued(club));
+      expect(clubUsdc.claimed).to.equal(await accrued(club));
+      expect(clubUsdc.unclaimed).to.equal(0n);
+
+      const platformUsdc = rows.find((row) => row.payee === platform.address && row.asset === usdc);
+      expect(platformUsdc).to.include({ royalties: 0n, claimed: 0n, unclaimed: await accrued(platform) });
+      expect(rows.filter((row) => row.asset === dai)).to.have.length(2);
+
+      const hornetsOnly = indexer.getPayeeBalances(index, { tokenId: HORNETS });
+      expect(hornetsOnly).to.have.length(1);
+      expect(hornetsOnly[0]).to.include({ payee: club.address, fees: 0n, claimed: null, unclaimed: null });
+      expect(hornetsOnly[0].royalties).to.equal(((await sportfolioIPO.teamFunds(HORNETS)).proceeds * 500n) / 10_000n);
+    });
+  });
+
+  describe("Gas", function () {
+    it("Should keep a whale sell-out with three payees within the single-purchase gas budget", async function () {
+      await setPayees(LAKERS, [[club, 3_333n, 1_000n], [partner, 3_333n, 0n], [platform, 3_334n, 0n]]);
+      await mockUSDC.transfer(alice.address, 500_000_000n * USDC);
+
+      const receipt = await (await sportfolioIPO.connect(alice).buyTokens(LAKERS, 2_000_000n)).wait();
+
+      expect((await sportfolioIPO.getTeamInfo(LAKERS)).completed).to.equal(true);
+      expect(receipt.gasUsed).to.be.lt(500_000n);
+    });
+  });
+});
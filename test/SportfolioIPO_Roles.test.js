@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const presale = require("../lib/presale");
+const permit = require("../lib/permit");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Roles and Emergency Pause", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let deployer, admin, teamManager, pauser, treasurer, treasury, alice, platformFeeRecipient;
+  let roles;
+
+  const LAKERS = 1n;
+  const CELTICS = 2n;
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  async function deadline() {
+    return BigInt(await time.latest()) + HOUR;
+  }
+
+  beforeEach(async function () {
+    [deployer, admin, teamManager, pauser, treasurer, treasury, alice, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+
+    roles = {
+      admin: await sportfolioIPO.DEFAULT_ADMIN_ROLE(),
+      teamManager: await sportfolioIPO.TEAM_MANAGER_ROLE(),
+      pauser: await sportfolioIPO.PAUSER_ROLE(),
+      treasurer: await sportfolioIPO.TREASURER_ROLE(),
+    };
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await mockUSDC.transfer(alice.address, 1_000_000n * USDC);
+    await mockUSDC.connect(alice).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+    await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_000n);
+  });
+
+  // Hands every role from the deployer to a dedicated account
+  async function splitRoles() {
+    await sportfolioIPO.grantRole(roles.teamManager, teamManager.address);
+    await sportfolioIPO.grantRole(roles.pauser, pauser.address);
+    await sportfolioIPO.grantRole(roles.treasurer, treasurer.address);
+    await sportfolioIPO.grantRole(roles.admin, admin.address);
+    for (const role of Object.values(roles)) {
+      await sportfolioIPO.renounceRole(role, deployer.address);
+    }
+  }
+
+  describe("Deployment", function () {
+    it("Should give the deployer every role and make it the treasury", async function () {
+      for (const role of Object.values(roles)) {
+        expect(await sportfolioIPO.hasRole(role, deployer.address)).to.equal(true);
+      }
+      expect(await sportfolioIPO.treasury()).to.equal(deployer.address);
+      expect(await sportfolioIPO.paused()).to.equal(false);
+    });
+
+    it("Should make the admin role the admin of every role", async function () {
+      for (const role of Object.values(roles)) {
+        expect(await sportfolioIPO.getRoleAdmin(role)).to.equal(roles.admin);
+      }
+    });
+
+    it("Should report both ERC-1155 and AccessControl interfaces", async function () {
+      expect(await sportfolioIPO.supportsInterface("0xd9b67a26")).to.equal(true); // IERC1155
+      expect(await sportfolioIPO.supportsInterface("0x7965db0b")).to.equal(true); // IAccessControl
+      expect(await sportfolioIPO.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("Should keep every IPO contract under the 24 KB contract size limit", async function () {
+      for (const name of ["SportfolioIPO", "SportfolioIPOUpgradeable", "SportfolioIPOAdmin"]) {
+        const { deployedBytecode } = await artifacts.readArtifact(name);
+        expect((deployedBytecode.length - 2) / 2, name).to.be.at.most(24_576);
+      }
+    });
+
+    it("Should keep the public teams getter alongside getTeamInfo", async function () {
+      const team = await sportfolioIPO.teams(LAKERS);
+      expect(team.tokenId).to.equal(LAKERS);
+      expect(team.teamName).to.equal("Lakers");
+      expect(team.totalSupply).to.equal((await sportfolioIPO.getTeamInfo(LAKERS)).totalSupply);
+    });
+
+    it("Should give its admin module no roles of its own", async function () {
+      // The admin module is the first contract the IPO creates
+      const moduleAddress = ethers.getCreateAddress({ from: await sportfolioIPO.getAddress(), nonce: 1 });
+      const adminModule = await ethers.getContractAt("SportfolioIPOAdmin", moduleAddress);
+
+      expect(await adminModule.hasRole(roles.admin, deployer.address)).to.equal(false);
+      await expect(adminModule.setTreasury(alice.address)).to.be.revertedWith(MISSING_ROLE);
+      await expect(adminModule.addTeam(CELTICS, "Celtics")).to.be.revertedWith(MISSING_ROLE);
+    });
+  });
+
+  describe("Each role does only its own job", function () {
+    beforeEach(async function () {
+      await splitRoles();
+    });
+
+    it("Should let the team manager run team IPOs and nothing else", async function () {
+      const manager = sportfolioIPO.connect(teamManager);
+      await manager.addTeam(CELTICS, "Celtics");
+      await manager.setWalletCap(CELTICS, 500n);
+      await manager.setPresaleRoot(CELTICS, ethers.ZeroHash, 0n);
+      await manager.pauseIPO(CELTICS);
+      await manager.resumeIPO(CELTICS);
+      await manager.completeIPO(LAKERS);
+      await manager.cancelIPO(CELTICS, false);
+
+      await expect(manager.pause()).to.be.revertedWith(MISSING_ROLE);
+      await expect(manager.withdraw(0n)).to.be.revertedWith(MISSING_ROLE);
+      await expect(manager.setTreasury(alice.address)).to.be.revertedWith(MISSING_ROLE);
+      await expect(manager.setPlatformFeeRecipient(alice.address)).to.be.revertedWith(MISSING_ROLE);
+      await expect(manager.grantRole(roles.teamManager, alice.address)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should revert with AccessControl's message naming the account and the missing role", async function () {
+      await expect(sportfolioIPO.connect(teamManager).withdraw(0n))
+        .to.be.revertedWith(`AccessControl: account ${teamManager.address.toLowerCase()} is missing role ${roles.treasurer}`);
+      await expect(sportfolioIPO.connect(alice).addTeam(CELTICS, "Celtics"))
+        .to.be.revertedWith(`AccessControl: account ${alice.address.toLowerCase()} is missing role ${roles.teamManager}`);
+    });
+
+    it("Should let the pauser pause and unpause the contract and nothing else", async function () {
+      await sportfolioIPO.connect(pauser).pause();
+      expect(await sportfolioIPO.paused()).to.equal(true);
+      await sportfolioIPO.connect(pauser).unpause();
+      expect(await sportfolioIPO.paused()).to.equal(false);
+
+      await expect(sportfolioIPO.connect(pauser).pauseIPO(LAKERS)).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(pauser).addTeam(CELTICS, "Celtics")).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(pauser).withdraw(0n)).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(pauser).setTreasury(pauser.address)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should let the treasurer withdraw, but only to the treasury", async function () {
+      await sportfolioIPO.connect(teamManager).completeIPO(LAKERS);
+      const proceeds = await sportfolioIPO.withdrawableProceeds();
+
+      await expect(sportfolioIPO.connect(treasurer).withdraw(0n))
+        .to.emit(sportfolioIPO, "ProceedsWithdrawn")
+        .withArgs(deployer.address, proceeds);
+      expect(await mockUSDC.balanceOf(treasurer.address)).to.equal(0n);
+
+      await expect(sportfolioIPO.connect(treasurer).setTreasury(treasurer.address)).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(treasurer).pause()).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(treasurer).completeIPO(LAKERS)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should let the admin manage roles, treasury and fee recipient but not operate", async function () {
+      await expect(sportfolioIPO.connect(admin).setTreasury(treasury.address))
+        .to.emit(sportfolioIPO, "TreasuryUpdated")
+        .withArgs(deployer.address, treasury.address);
+      await sportfolioIPO.connect(admin).setPlatformFeeRecipient(alice.address);
+      expect(await sportfolioIPO.platformFeeRecipient()).to.equal(alice.address);
+
+      await sportfolioIPO.connect(admin).revokeRole(roles.pauser, pauser.address);
+      await expect(sportfolioIPO.connect(pauser).pause()).to.be.revertedWith(MISSING_ROLE);
+
+      await expect(sportfolioIPO.connect(admin).addTeam(CELTICS, "Celtics")).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(admin).pause()).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.connect(admin).withdraw(0n)).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should leave the deployer with no powers after handing roles over", async function () {
+      await expect(sportfolioIPO.addTeam(CELTICS, "Celtics")).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.pause()).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.withdraw(0n)).to.be.revertedWith(MISSING_ROLE);
+      await expect(sportfolioIPO.grantRole(roles.admin, deployer.address)).to.be.revertedWith(MISSING_ROLE);
+    });
+  });
+
+  describe("Treasury", function () {
+    it("Should send withdrawals to the configured treasury", async function () {
+      await sportfolioIPO.setTreasury(treasury.address);
+      await sportfolioIPO.completeIPO(LAKERS);
+      const proceeds = await sportfolioIPO.withdrawableProceeds();
+      const deployerBefore = await mockUSDC.balanceOf(deployer.address);
+
+      await sportfolioIPO.withdraw(proceeds / 2n);
+      await sportfolioIPO.withdraw(0n);
+
+      expect(await mockUSDC.balanceOf(treasury.address)).to.equal(proceeds);
+      expect(await mockUSDC.balanceOf(deployer.address)).to.equal(deployerBefore);
+    });
+
+    it("Should reject a zero treasury", async function () {
+      await expect(sportfolioIPO.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+    });
+  });
+
+  describe("Emergency pause", function () {
+    let tree;
+
+    beforeEach(async function () {
+      await sportfolioIPO.addTeam(CELTICS, "Celtics");
+      tree = presale.buildPresaleTree([{ address: alice.address, allocation: 100n }]);
+      await sportfolioIPO.setPresaleRoot(CELTICS, tree.root, BigInt(await time.latest()) + 24n * HOUR);
+      await sportfolioIPO.pause();
+    });
+
+    it("Should halt every purchase path", async function () {
+      const buyer = sportfolioIPO.connect(alice);
+      const entry = tree.proofs[alice.address];
+      const { args } = await permit.signPurchasePermit(alice, sportfolioIPO, LAKERS, 10n, { deadline: await deadline() });
+
+      await expect(buyer.buyTokens(LAKERS, 10n)).to.be.revertedWith("Pausable: paused");
+      await expect(buyer.buyTokensWithMaxCost(LAKERS, 10n, ethers.MaxUint256, await deadline())).to.be.revertedWith("Pausable: paused");
+      await expect(buyer.buyTokensWithPermit(...args)).to.be.revertedWith("Pausable: paused");
+      await expect(buyer.buyTokensWithBudget(LAKERS, 1_000n * USDC, 1n, await deadline())).to.be.revertedWith("Pausable: paused");
+      await expect(buyer.buyPresaleTokens(CELTICS, 10n, ethers.MaxUint256, ethers.MaxUint256, entry.allocation, entry.proof)).to.be.revertedWith("Pausable: paused");
+      await expect(buyer.buyTokensBatch([LAKERS], [10n], ethers.MaxUint256, await deadline())).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should halt refunds and withdrawals", async function () {
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      await expect(sportfolioIPO.connect(alice).claimRefund(LAKERS, 1_000n)).to.be.revertedWith("Pausable: paused");
+
+      await sportfolioIPO.unpause();
+      await sportfolioIPO.addTeam(3n, "Warriors");
+      await sportfolioIPO.connect(alice).buyTokens(3n, 10n);
+      await sportfolioIPO.completeIPO(3n);
+      await sportfolioIPO.pause();
+      await expect(sportfolioIPO.withdraw(0n)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should keep team management and role changes available while paused", async function () {
+      await sportfolioIPO.addTeam(3n, "Warriors");
+      await sportfolioIPO.pauseIPO(LAKERS);
+      await sportfolioIPO.setWalletCap(LAKERS, 10n);
+      await sportfolioIPO.grantRole(roles.pauser, pauser.address);
+      await sportfolioIPO.setTreasury(treasury.address);
+      expect(await sportfolioIPO.getTeamCount()).to.equal(3n);
+    });
+
+    it("Should resume purchases on unpause without lifting per-team pauses", async function () {
+      await sportfolioIPO.pauseIPO(CELTICS);
+      await expect(sportfolioIPO.unpause()).to.emit(sportfolioIPO, "Unpaused").withArgs(deployer.address);
+
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 10n);
+      expect(await sportfolioIPO.balanceOf(alice.address, LAKERS)).to.equal(1_010n);
+      expect(await sportfolioIPO.isIPOActive(CELTICS)).to.equal(false);
+    });
+
+    it("Should not pause twice or unpause when running", async function () {
+      await expect(sportfolioIPO.pause()).to.be.revertedWith("Pausable: paused");
+      await sportfolioIPO.unpause();
+      await expect(sportfolioIPO.unpause()).to.be.revertedWith("Pausable: not paused");
+    });
+  });
+});
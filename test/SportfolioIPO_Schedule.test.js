@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const pricing = require("../lib/pricing");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Scheduled IPO Windows", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let startTime, endTime;
+
+  const LAKERS = 1n;  // Scheduled window
+  const CELTICS = 2n; // Opens immediately, no scheduled close
+  const USDC = 10n ** 6n;
+  const DAY = 24n * 60n * 60n;
+
+  function addScheduledTeam(tokenId, teamName, start, end) {
+    return sportfolioIPO["addTeam(uint256,string,uint256,uint256)"](tokenId, teamName, start, end);
+  }
+
+  async function expectStatus(tokenId, active) {
+    expect(await sportfolioIPO.isIPOActive(tokenId)).to.equal(active);
+    expect((await sportfolioIPO.getTeamInfo(tokenId)).ipoActive).to.equal(active);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+
+    // Opens in 2 days, closes 7 days later
+    startTime = BigInt(await time.latest()) + 2n * DAY;
+    endTime = startTime + 7n * DAY;
+    await addScheduledTeam(LAKERS, "Lakers", startTime, endTime);
+    await sportfolioIPO.addTeam(CELTICS, "Celtics");
+
+    await mockUSDC.transfer(alice.address, 1_000_000n * USDC);
+    await mockUSDC.connect(alice).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Registration", function () {
+    it("Should store and emit the scheduled window", async function () {
+      const info = await sportfolioIPO.getTeamInfo(LAKERS);
+      expect(info.ipoStartTime).to.equal(startTime);
+      expect(info.ipoEndTime).to.equal(endTime);
+
+      const start = BigInt(await time.latest()) + DAY;
+      await expect(addScheduledTeam(3n, "Heat", start, start + DAY))
+        .to.emit(sportfolioIPO, "IPOScheduled")
+        .withArgs(3n, start, start + DAY);
+    });
+
+    it("Should open teams added without a window immediately with no scheduled close", async function () {
+      await expect(sportfolioIPO.addTeam(3n, "Heat")).to.emit(sportfolioIPO, "IPOScheduled");
+      const info = await sportfolioIPO.getTeamInfo(3n);
+      expect(info.ipoStartTime).to.equal(BigInt(await time.latest()));
+      expect(info.ipoEndTime).to.equal(0n);
+
+      await time.increase(365n * DAY);
+      await expectStatus(3n, true);
+      await expectStatus(CELTICS, true);
+    });
+
+    it("Should accept a window together with a custom curve", async function () {
+      await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256,uint256,uint256)"](
+        3n, "Heat", 5_000_000n, 250_000n, 50_000n, 150n, startTime, endTime
+      );
+
+      const info = await sportfolioIPO.getTeamInfo(3n);
+      expect(info.basePrice).to.equal(5_000_000n);
+      expect(info.ipoStartTime).to.equal(startTime);
+      expect(info.ipoEndTime).to.equal(endTime);
+    });
+
+    it("Should reject windows that start in the past or close before they open", async function () {
+      const now = BigInt(await time.latest());
+      await expect(addScheduledTeam(3n, "Heat", now - 1n, 0n))
+        .to.be.revertedWith("Start time in the past");
+      await expect(addScheduledTeam(3n, "Heat", startTime, startTime))
+        .to.be.revertedWith("End time must be after start time");
+      await expect(addScheduledTeam(3n, "Heat", startTime, startTime - 1n))
+        .to.be.revertedWith("End time must be after start time");
+    });
+
+    it("Should only let the owner schedule IPOs", async function () {
+      await expect(
+        sportfolioIPO.connect(alice)["addTeam(uint256,string,uint256,uint256)"](3n, "Heat", startTime, endTime)
+      ).to.be.revertedWith(MISSING_ROLE);
+    });
+  });
+
+  describe("Pre-open", function () {
+    it("Should report the IPO as inactive before the start time", async function () {
+      await expectStatus(LAKERS, false);
+    });
+
+    it("Should reject every purchase entry point", async function () {
+      const deadline = BigInt(await time.latest()) + DAY;
+
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n))
+        .to.be.revertedWith("IPO has not started");
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(LAKERS, 1n, ethers.MaxUint256, deadline))
+        .to.be.revertedWith("IPO has not started");
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(LAKERS, 1_000n * USDC, 1n, deadline))
+        .to.be.revertedWith("IPO has not started");
+    });
+
+    it("Should still quote prices before the start time", async function () {
+      const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(LAKERS, 1_000n);
+      const quote = pricing.calculatePurchaseCost(0n, 1_000n);
+      expect(tokenCost).to.equal(quote.tokenCost);
+      expect(platformFee).to.equal(quote.platformFee);
+    });
+  });
+
+  describe("Live", function () {
+    it("Should open at exactly the start time without an owner transaction", async function () {
+      await time.setNextBlockTimestamp(startTime);
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n))
+        .to.emit(sportfolioIPO, "TokensPurchased");
+
+      await expectStatus(LAKERS, true);
+      expect(await sportfolioIPO.balanceOf(alice.address, LAKERS)).to.equal(100n);
+    });
+
+    it("Should block transfers while the window is open", async function () {
+      await time.increaseTo(startTime);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+
+      await expect(
+        sportfolioIPO.connect(alice).safeTransferFrom(alice.address, bob.address, LAKERS, 10n, "0x")
+      ).to.be.revertedWith("Transfers not allowed during IPO");
+    });
+
+    it("Should record the sell-out time as the end time when selling out early", async function () {
+      await time.increaseTo(startTime + DAY);
+      await mockUSDC.mint(alice.address, 1_000_000_000n * USDC);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, await sportfolioIPO.getTotalSupply(LAKERS));
+
+      expect((await sportfolioIPO.getTeamInfo(LAKERS)).ipoEndTime).to.equal(BigInt(await time.latest()));
+      await expectStatus(LAKERS, false);
+    });
+  });
+
+  describe("Expired", function () {
+    beforeEach(async function () {
+      await time.increaseTo(startTime);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+    });
+
+    it("Should accept purchases until the second before the end time", async function () {
+      await time.setNextBlockTimestamp(endTime - 1n);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n);
+
+      await time.setNextBlockTimestamp(endTime);
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n))
+        .to.be.revertedWith("IPO window has closed");
+    });
+
+    it("Should report the IPO as inactive after the end time without an owner transaction", async function () {
+      await time.increaseTo(endTime);
+      await expectStatus(LAKERS, false);
+
+      const info = await sportfolioIPO.getTeamInfo(LAKERS);
+      expect(info.ipoEndTime).to.equal(endTime);
+      expect(info.tokensSold).to.equal(100n);
+
+      // Teams without a scheduled close are unaffected
+      await expectStatus(CELTICS, true);
+    });
+
+    it("Should unlock transfers once the window closes", async function () {
+      await time.increaseTo(endTime);
+      await sportfolioIPO.connect(alice).safeTransferFrom(alice.address, bob.address, LAKERS, 10n, "0x");
+      expect(await sportfolioIPO.balanceOf(bob.address, LAKERS)).to.equal(10n);
+    });
+
+    it("Should not let the owner pause a closed window", async function () {
+      await time.increaseTo(endTime);
+      await expect(sportfolioIPO.pauseIPO(LAKERS)).to.be.revertedWith("IPO window has closed");
+    });
+
+    it("Should keep the scheduled end time when completed after the close", async function () {
+      await time.increaseTo(endTime + DAY);
+      await expect(sportfolioIPO.completeIPO(LAKERS)).to.emit(sportfolioIPO, "IPOCompleted");
+      expect((await sportfolioIPO.getTeamInfo(LAKERS)).ipoEndTime).to.equal(endTime);
+    });
+
+    it("Should move the end time forward when completed early", async function () {
+      await sportfolioIPO.completeIPO(LAKERS);
+      expect((await sportfolioIPO.getTeamInfo(LAKERS)).ipoEndTime).to.equal(BigInt(await time.latest()));
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n))
+        .to.be.revertedWith("Team IPO has ended");
+    });
+  });
+
+  describe("Paused then expired", function () {
+    beforeEach(async function () {
+      await time.increaseTo(startTime);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+      await sportfolioIPO.pauseIPO(LAKERS);
+    });
+
+    it("Should resume while the window is still open", async function () {
+      await expectStatus(LAKERS, false);
+      await time.increaseTo(endTime - DAY);
+
+      await sportfolioIPO.resumeIPO(LAKERS);
+      await expectStatus(LAKERS, true);
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n);
+    });
+
+    it("Should stay closed when the window expires during the pause", async function () {
+      await time.increaseTo(endTime + 1n);
+
+      await expect(sportfolioIPO.resumeIPO(LAKERS)).to.be.revertedWith("IPO window has closed");
+      await expect(sportfolioIPO.connect(alice).buyTokens(LAKERS, 1n))
+        .to.be.revertedWith("Team IPO has ended");
+      await expectStatus(LAKERS, false);
+
+      await sportfolioIPO.connect(alice).safeTransferFrom(alice.address, bob.address, LAKERS, 10n, "0x");
+      expect(await sportfolioIPO.balanceOf(bob.address, LAKERS)).to.equal(10n);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const simulation = require("../lib/simulation");
+const pricing = require("../lib/pricing");
+
+describe("SportfolioIPO - Demand Simulation", function () {
+  // Small curve: $1 base price, 1,000 tokens, sells out for about $1,400
+  const SMALL_CURVE = { basePrice: 1_000_000n, totalSupply: 1_000n, smoothingFactor: 1_000n, platformFeeRate: 300n };
+  const DEMAND = { arrivalRate: 20, hours: 24, medianBudget: 40_000_000n, budgetSigma: 1 };
+  const THIN_DEMAND = { arrivalRate: 1, hours: 24, medianBudget: 5_000_000n, budgetSigma: 0.5 };
+
+  describe("simulateIPO", function () {
+    it("Should buy what each budget affords on the exact curve until sell-out", function () {
+      const run = simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 7 });
+
+      let sold = 0n;
+      for (const buyer of run.buyers) {
+        const quote = pricing.getMaxTokensForBudget(sold, buyer.budget, SMALL_CURVE);
+        expect(buyer).to.include({ amount: quote.amount, tokenCost: quote.tokenCost, platformFee: quote.platformFee });
+        expect(buyer.hour).to.be.lessThan(DEMAND.hours);
+        sold += buyer.amount;
+      }
+
+      expect(run.soldOut).to.equal(true);
+      expect(run.tokensSold).to.equal(SMALL_CURVE.totalSupply);
+      expect(run.sellOutHour).to.equal(run.buyers.at(-1).hour);
+      expect(run.revenue).to.equal(run.buyers.reduce((sum, buyer) => sum + buyer.tokenCost, 0n));
+      expect(run.fees).to.equal(run.buyers.reduce((sum, buyer) => sum + buyer.platformFee, 0n));
+      expect(run.finalPrice).to.equal(pricing.getPriceAtSupply(SMALL_CURVE.totalSupply, SMALL_CURVE));
+    });
+
+    it("Should be reproducible for a seed and differ across seeds", function () {
+      const first = simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 3 });
+      expect(simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 3 })).to.deep.equal(first);
+      expect(simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 4 }).buyers[0].budget).to.not.equal(first.buyers[0].budget);
+    });
+
+    it("Should close the window without a sell-out when demand is thin", function () {
+      const run = simulation.simulateIPO(SMALL_CURVE, THIN_DEMAND, { seed: 1 });
+      expect(run.soldOut).to.equal(false);
+      expect(run.sellOutHour).to.equal(null);
+      expect(run.tokensSold).to.be.lessThan(SMALL_CURVE.totalSupply);
+      expect(run.buyers.every((buyer) => buyer.hour < THIN_DEMAND.hours)).to.equal(true);
+    });
+
+    it("Should reject invalid demand and curves", function () {
+      expect(() => simulation.createDemand({ arrivalRate: 0 })).to.throw("Arrival rate must be positive");
+      expect(() => simulation.createDemand({ hours: -1 })).to.throw("IPO window must be positive");
+      expect(() => simulation.createDemand({ medianBudget: 0n })).to.throw("Median budget must be positive");
+      expect(() => simulation.createDemand({ budgetSigma: -0.1 })).to.throw("Budget sigma cannot be negative");
+      expect(() => simulation.simulateIPO({ ...SMALL_CURVE, platformFeeRate: 1_001n }, DEMAND)).to.throw("Invalid platform fee rate");
+    });
+  });
+
+  describe("runScenario", function () {
+    it("Should summarize revenue, fees, prices, purchase sizes and sell-out probability", function () {
+      const row = simulation.runScenario(SMALL_CURVE, DEMAND, { runs: 10, seed: 1 });
+      const runs = Array.from({ length: 10 }, (_, i) => simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 1 + i }));
+      const revenue = runs.reduce((sum, run) => sum + run.revenue, 0n);
+      const tokens = runs.reduce((sum, run) => sum + run.tokensSold, 0n);
+
+      expect(row).to.include({ ...SMALL_CURVE, runs: 10 });
+      expect(row.sellOutProbability).to.equal(runs.filter((run) => run.soldOut).length / 10);
+      expect(row.revenueMean).to.equal(revenue / 10n);
+      expect(row.feesMean).to.equal(runs.reduce((sum, run) => sum + run.fees, 0n) / 10n);
+      expect(row.averagePrice).to.equal(revenue / tokens);
+      expect(row.revenueP10 <= row.revenueP50 && row.revenueP50 <= row.revenueP90).to.equal(true);
+      expect(row.purchaseP10 <= row.purchaseP50 && row.purchaseP90 <= row.purchaseP99).to.equal(true);
+      expect(row.purchasesMean).to.be.at.most(row.buyersMean);
+    });
+
+    it("Should report no sell-out times when no run sells out", function () {
+      const row = simulation.runScenario(SMALL_CURVE, THIN_DEMAND, { runs: 5 });
+      expect(row).to.include({ sellOutProbability: 0, sellOutHoursP50: null, sellOutHoursP90: null });
+    });
+
+    it("Should take nearest-rank percentiles", function () {
+      const values = [1n, 2n, 3n, 4n, 5n, 6n, 7n, 8n, 9n, 10n];
+      expect(simulation.percentile(values, 10)).to.equal(1n);
+      expect(simulation.percentile(values, 50)).to.equal(5n);
+      expect(simulation.percentile(values, 99)).to.equal(10n);
+      expect(simulation.percentile([], 50)).to.equal(null);
+    });
+  });
+
+  describe("Grid sweeps and reports", function () {
+    const GRID = {
+      basePrice: [1_000_000n, 2_000_000n],
+      totalSupply: [1_000n],
+      smoothingFactor: [1_000n, 500n],
+      platformFeeRate: [300n],
+    };
+
+    it("Should simulate every valid combination and skip the ones addTeam rejects", function () {
+      expect(simulation.expandGrid(GRID)).to.have.length(4);
+      expect(simulation.expandGrid({ basePrice: [25_000_000n] })).to.deep.equal([{ ...pricing.DEFAULT_CURVE, basePrice: 25_000_000n }]);
+
+      const seen = [];
+      const { rows, skipped } = simulation.sweepGrid(GRID, DEMAND, { runs: 3, onScenario: (row) => seen.push(row) });
+
+      expect(rows.map((row) => [row.basePrice, row.smoothingFactor])).to.deep.equal([
+        [1_000_000n, 1_000n],
+        [2_000_000n, 1_000n],
+      ]);
+      expect(seen).to.deep.equal(rows);
+      expect(skipped).to.have.length(2);
+      expect(skipped[0].reason).to.equal("Invalid smoothing factor");
+      // Same buyers for every curve: a higher base price never sells more tokens
+      expect(rows[1].purchaseP50 <= rows[0].purchaseP50).to.equal(true);
+    });
+
+    it("Should write raw CSV and a markdown summary", function () {
+      const { rows, skipped } = simulation.sweepGrid(GRID, DEMAND, { runs: 3, seed: 5 });
+
+      const csv = simulation.toCSV(rows).trim().split("\n");
+      expect(csv).to.have.length(3);
+      expect(csv[0].split(",")).to.include.members(["basePrice", "revenueMean", "feesMean", "averagePrice", "purchaseP99", "sellOutProbability"]);
+      expect(csv[1].split(",")[csv[0].split(",").indexOf("revenueMean")]).to.equal(rows[0].revenueMean.toString());
+
+      const markdown = simulation.toMarkdown(rows, { demand: DEMAND, seed: 5, skipped });
+      expect(markdown).to.include("20 buyers/hour for 24 hours, median budget $40");
+      expect(markdown).to.include("3 runs per curve from seed 5");
+      expect(markdown).to.include("| $1.00 | 1,000 | 1,000 | 3% |");
+      expect(markdown).to.include("Highest mean revenue");
+      expect(markdown).to.include("smoothing 500: Invalid smoothing factor");
+    });
+  });
+
+  describe("Hardhat replay", function () {
+    it("Should match the contract purchase by purchase through sell-out", async function () {
+      const run = simulation.simulateIPO(SMALL_CURVE, DEMAND, { seed: 2 });
+      expect(run.soldOut).to.equal(true);
+
+      const result = await simulation.replaySimulation(hre, SMALL_CURVE, DEMAND, run);
+
+      expect(result.mismatches).to.deep.equal([]);
+      expect(result).to.include({ replayed: run.buyers.length, truncated: false });
+      expect(result.contract).to.include({ tokensSold: run.tokensSold, proceeds: run.revenue, fees: run.fees, completed: true });
+    });
+
+    it("Should replay a prefix of a run, including priced-out buyers", async function () {
+      const demand = { ...DEMAND, medianBudget: 3_000_000n, budgetSigma: 1.5 };
+      const run = simulation.simulateIPO(SMALL_CURVE, demand, { seed: 1 });
+      expect(run.buyers.slice(0, 15).some((buyer) => buyer.amount === 0n)).to.equal(true);
+
+      const result = await simulation.replaySimulation(hre, SMALL_CURVE, demand, run, { limit: 15 });
+
+      expect(result.mismatches).to.deep.equal([]);
+      expect(result).to.include({ replayed: 15, truncated: true });
+      expect(result.contract.tokensSold).to.equal(run.buyers.slice(0, 15).reduce((sum, buyer) => sum + buyer.amount, 0n));
+    });
+  });
+});
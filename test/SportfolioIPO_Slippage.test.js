@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const pricing = require("../lib/pricing");
+
+describe("SportfolioIPO - Slippage-Protected and Budget Purchases", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient;
+  let contractAddress;
+
+  const TOKEN_ID = 1n;
+  const USDC = 10n ** 6n;
+
+  async function deadlineIn(seconds) {
+    return BigInt(await time.latest()) + BigInt(seconds);
+  }
+
+  async function quote(amount) {
+    const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
+    return tokenCost + platformFee;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    contractAddress = await sportfolioIPO.getAddress();
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
+
+    for (const buyer of [alice, bob]) {
+      await mockUSDC.transfer(buyer.address, 100_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(contractAddress, ethers.MaxUint256);
+    }
+  });
+
+  describe("buyTokensWithMaxCost", function () {
+    it("Should buy at the quoted cost when nothing changed", async function () {
+      const maxTotalCost = await quote(1_000n);
+      const balanceBefore = await mockUSDC.balanceOf(alice.address);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1_000n, maxTotalCost, await deadlineIn(60)))
+        .to.emit(sportfolioIPO, "TokensPurchased");
+
+      expect(balanceBefore - await mockUSDC.balanceOf(alice.address)).to.equal(maxTotalCost);
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(1_000n);
+    });
+
+    it("Should revert when a front-running purchase raises the cost above the quote", async function () {
+      const aliceQuote = await quote(1_000n);
+
+      // Bob's large buy lands first and moves the curve
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 200_000n);
+      expect(await quote(1_000n)).to.be.gt(aliceQuote);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1_000n, aliceQuote, await deadlineIn(60)))
+        .to.be.revertedWith("Exceeds max total cost");
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(0n);
+    });
+
+    it("Should succeed after a front-run when the slippage tolerance covers it", async function () {
+      const aliceQuote = await quote(1_000n);
+      const maxTotalCost = aliceQuote + (aliceQuote * 500n) / 10_000n; // 5% slippage
+
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 20_000n);
+      const executionCost = await quote(1_000n);
+      expect(executionCost).to.be.gt(aliceQuote);
+      expect(executionCost).to.be.lte(maxTotalCost);
+
+      const balanceBefore = await mockUSDC.balanceOf(alice.address);
+      await sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1_000n, maxTotalCost, await deadlineIn(60));
+
+      // Only the execution cost is pulled, not the tolerance
+      expect(balanceBefore - await mockUSDC.balanceOf(alice.address)).to.equal(executionCost);
+    });
+
+    it("Should protect the second buyer when both purchases land in the same block", async function () {
+      const aliceQuote = await quote(5_000n);
+      const deadline = await deadlineIn(60);
+
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const bobTx = await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 100_000n, { gasLimit: 500_000 });
+        const aliceTx = await sportfolioIPO.connect(alice).buyTokensWithMaxCost(
+          TOKEN_ID, 5_000n, aliceQuote, deadline, { gasLimit: 500_000 }
+        );
+        await network.provider.send("evm_mine");
+
+        const bobReceipt = await ethers.provider.getTransactionReceipt(bobTx.hash);
+        const aliceReceipt = await ethers.provider.getTransactionReceipt(aliceTx.hash);
+        expect(bobReceipt.blockNumber).to.equal(aliceReceipt.blockNumber);
+        expect(bobReceipt.status).to.equal(1);
+        expect(aliceReceipt.status).to.equal(0);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(0n);
+      expect(await sportfolioIPO.getTokensSold(TOKEN_ID)).to.equal(100_000n);
+    });
+
+    it("Should revert after the deadline", async function () {
+      const deadline = await deadlineIn(60);
+      await time.increase(120);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1n, await quote(1n), deadline))
+        .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should keep the IPO state checks", async function () {
+      await sportfolioIPO.pauseIPO(TOKEN_ID);
+      await expect(sportfolioIPO.connect(alice).buyTokensWithMaxCost(TOKEN_ID, 1n, ethers.MaxUint256, await deadlineIn(60)))
+        .to.be.revertedWith("Team IPO has ended");
+    });
+  });
+
+  describe("buyTokensWithBudget", function () {
+    it("Should buy the largest affordable amount and pull only its exact cost", async function () {
+      const budget = 50_000n * USDC;
+      const expected = pricing.getMaxTokensForBudget(0n, budget);
+      expect(await sportfolioIPO.getMaxPurchaseForBudget(TOKEN_ID, budget)).to.equal(expected.amount);
+
+      const balanceBefore = await mockUSDC.balanceOf(alice.address);
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, budget, 1n, await deadlineIn(60)))
+        .to.emit(sportfolioIPO, "TokensPurchased")
+        .withArgs(alice.address, TOKEN_ID, expected.amount, expected.tokenCost, expected.platformFee);
+
+      const spent = balanceBefore - await mockUSDC.balanceOf(alice.address);
+      expect(spent).to.equal(expected.totalCost);
+      expect(spent).to.be.lte(budget);
+
+      // The next token would not have fit
+      expect(await quote(1n) + spent).to.be.gt(budget);
+    });
+
+    it("Should work with an allowance equal to the budget", async function () {
+      const budget = 10_000n * USDC;
+      await mockUSDC.connect(alice).approve(contractAddress, budget);
+
+      await sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, budget, 1n, await deadlineIn(60));
+      expect(await mockUSDC.allowance(alice.address, contractAddress)).to.equal(budget - pricing.getMaxTokensForBudget(0n, budget).totalCost);
+    });
+
+    it("Should buy fewer tokens after a front-run, within the minimum amount", async function () {
+      const budget = 100_000n * USDC;
+      const quotedAmount = await sportfolioIPO.getMaxPurchaseForBudget(TOKEN_ID, budget);
+      const minAmount = (quotedAmount * 90n) / 100n;
+
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 100_000n);
+      const executionAmount = await sportfolioIPO.getMaxPurchaseForBudget(TOKEN_ID, budget);
+      expect(executionAmount).to.be.lt(quotedAmount);
+      expect(executionAmount).to.be.gte(minAmount);
+
+      await sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, budget, minAmount, await deadlineIn(60));
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(executionAmount);
+    });
+
+    it("Should revert when a front-run pushes the amount below the minimum", async function () {
+      const budget = 100_000n * USDC;
+      const quotedAmount = await sportfolioIPO.getMaxPurchaseForBudget(TOKEN_ID, budget);
+
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, 1_000_000n);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, budget, quotedAmount, await deadlineIn(60)))
+        .to.be.revertedWith("Below minimum token amount");
+    });
+
+    it("Should revert when the budget cannot cover one token plus fee", async function () {
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, 30n * USDC, 0n, await deadlineIn(60)))
+        .to.be.revertedWith("Budget too small for 1 token");
+    });
+
+    it("Should cap the amount at the remaining supply and complete the IPO", async function () {
+      await mockUSDC.mint(bob.address, 200_000_000n * USDC);
+      await sportfolioIPO.connect(bob).buyTokens(TOKEN_ID, pricing.TOTAL_SUPPLY - 10n);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, 100_000n * USDC, 1n, await deadlineIn(60)))
+        .to.emit(sportfolioIPO, "IPOCompleted");
+      expect(await sportfolioIPO.balanceOf(alice.address, TOKEN_ID)).to.equal(10n);
+    });
+
+    it("Should revert after the deadline", async function () {
+      const deadline = await deadlineIn(60);
+      await time.increase(120);
+
+      await expect(sportfolioIPO.connect(alice).buyTokensWithBudget(TOKEN_ID, 1_000n * USDC, 1n, deadline))
+        .to.be.revertedWith("Transaction expired");
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const pricing = require("../lib/pricing");
+const { MISSING_ROLE } = require("../lib/errors");
+
+describe("SportfolioIPO - Per-Team Curve Parameters", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let owner, buyer, platformFeeRecipient;
+
+  const LAKERS = 1n;  // Default curve
+  const HORNETS = 2n; // Small-market curve
+
+  const SMALL_MARKET_CURVE = {
+    basePrice: 5_000_000n,   // $5
+    totalSupply: 250_000n,
+    smoothingFactor: 50_000n,
+    platformFeeRate: 150n,   // 1.5%
+  };
+
+  function addTeamWithCurve(tokenId, teamName, curve) {
+    return sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+      tokenId,
+      teamName,
+      curve.basePrice,
+      curve.totalSupply,
+      curve.smoothingFactor,
+      curve.platformFeeRate
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, buyer, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPOHarness");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await addTeamWithCurve(HORNETS, "Hornets", SMALL_MARKET_CURVE);
+
+    await mockUSDC.transfer(buyer.address, 100_000_000n * 10n ** 6n);
+    await mockUSDC.connect(buyer).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Team registration", function () {
+    it("Should store the default curve for addTeam(tokenId, teamName)", async function () {
+      const info = await sportfolioIPO.getTeamInfo(LAKERS);
+      expect(info.basePrice).to.equal(pricing.BASE_PRICE);
+      expect(info.totalSupply).to.equal(pricing.TOTAL_SUPPLY);
+      expect(info.smoothingFactor).to.equal(pricing.SMOOTHING_FACTOR);
+      expect(info.platformFeeRate).to.equal(pricing.PLATFORM_FEE_RATE);
+    });
+
+    it("Should store and emit a custom curve", async function () {
+      const curve = { basePrice: 12_000_000n, totalSupply: 500_000n, smoothingFactor: 100_000n, platformFeeRate: 250n };
+      await expect(addTeamWithCurve(3n, "Magic", curve))
+        .to.emit(sportfolioIPO, "TeamCurveConfigured")
+        .withArgs(3n, curve.basePrice, curve.totalSupply, curve.smoothingFactor, curve.platformFeeRate);
+
+      expect(pricing.curveFromTeamInfo(await sportfolioIPO.getTeamInfo(3n))).to.deep.equal(pricing.createCurve(curve));
+    });
+
+    it("Should reject curves that could overflow or divide by zero", async function () {
+      const valid = SMALL_MARKET_CURVE;
+      const cases = [
+        [{ ...valid, basePrice: 0n }, "Invalid base price"],
+        [{ ...valid, basePrice: pricing.MAX_BASE_PRICE + 1n }, "Invalid base price"],
+        [{ ...valid, totalSupply: 0n }, "Invalid total supply"],
+        [{ ...valid, totalSupply: pricing.MAX_TOTAL_SUPPLY + 1n }, "Invalid total supply"],
+        [{ ...valid, smoothingFactor: 0n }, "Invalid smoothing factor"],
+        [{ ...valid, smoothingFactor: pricing.MIN_SMOOTHING_FACTOR - 1n }, "Invalid smoothing factor"],
+        [{ ...valid, smoothingFactor: pricing.MAX_SMOOTHING_FACTOR + 1n }, "Invalid smoothing factor"],
+        [{ ...valid, platformFeeRate: pricing.MAX_PLATFORM_FEE_RATE + 1n }, "Invalid platform fee rate"],
+        [{ ...valid, basePrice: pricing.MAX_BASE_PRICE, totalSupply: 1_000_000n }, "Total supply too large for base price"],
+        [{ ...valid, basePrice: 1_000_000n, totalSupply: pricing.MAX_TOTAL_SUPPLY }, "Total supply too large for base price"],
+        [{ basePrice: pricing.MAX_BASE_PRICE, totalSupply: 999_999n, smoothingFactor: 1_000n, platformFeeRate: 0n }, "Smoothing factor too small for curve"],
+      ];
+
+      for (const [curve, reason] of cases) {
+        await expect(addTeamWithCurve(9n, "Invalid", curve)).to.be.revertedWith(reason);
+        expect(() => pricing.createCurve(curve)).to.throw(reason);
+      }
+    });
+
+    it("Should accept the extreme valid curves and price them without overflow", async function () {
+      const extremes = [
+        { basePrice: pricing.MAX_BASE_PRICE, totalSupply: 999_999n, smoothingFactor: 2_000_000n },
+        { basePrice: 999_999n, totalSupply: pricing.MAX_TOTAL_SUPPLY, smoothingFactor: 2_000_000n },
+      ];
+      for (const [index, extreme] of extremes.entries()) {
+        const tokenId = 9n + BigInt(index);
+        const curve = { ...extreme, platformFeeRate: pricing.MAX_PLATFORM_FEE_RATE };
+        await addTeamWithCurve(tokenId, "Extreme", curve);
+        await sportfolioIPO.setTokensSold(tokenId, curve.totalSupply - 1n);
+
+        expect(await sportfolioIPO.getCurrentPrice(tokenId)).to.equal(pricing.getPriceAtSupply(curve.totalSupply - 1n, curve));
+        const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(tokenId, 1n);
+        const quote = pricing.calculatePurchaseCost(curve.totalSupply - 1n, 1n, curve);
+        expect(tokenCost).to.equal(quote.tokenCost);
+        expect(platformFee).to.equal(quote.platformFee);
+      }
+    });
+
+    it("Should only let the owner add teams with custom curves", async function () {
+      await expect(
+        sportfolioIPO.connect(buyer)["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+          3n, "Magic", 1_000_000n, 100_000n, 10_000n, 0n
+        )
+      ).to.be.revertedWith(MISSING_ROLE);
+    });
+  });
+
+  describe("Getters use the team's own parameters", function () {
+    it("Should return per-team base price, supply, smoothing factor and fee rate", async function () {
+      expect(await sportfolioIPO.getBasePrice(HORNETS)).to.equal(SMALL_MARKET_CURVE.basePrice);
+      expect(await sportfolioIPO.getTotalSupply(HORNETS)).to.equal(SMALL_MARKET_CURVE.totalSupply);
+      expect(await sportfolioIPO.getSmoothingFactor(HORNETS)).to.equal(SMALL_MARKET_CURVE.smoothingFactor);
+      expect(await sportfolioIPO.getPlatformFeeRate(HORNETS)).to.equal(SMALL_MARKET_CURVE.platformFeeRate);
+      expect(await sportfolioIPO.getRemainingTokens(HORNETS)).to.equal(SMALL_MARKET_CURVE.totalSupply);
+      expect(await sportfolioIPO.getMaxPurchaseAmount(HORNETS)).to.equal(SMALL_MARKET_CURVE.totalSupply);
+
+      expect(await sportfolioIPO.getBasePrice(LAKERS)).to.equal(pricing.BASE_PRICE);
+      expect(await sportfolioIPO.getRemainingTokens(LAKERS)).to.equal(pricing.TOTAL_SUPPLY);
+    });
+
+    it("Should match the pricing library across the small-market curve", async function () {
+      for (let sold = 0n; sold <= SMALL_MARKET_CURVE.totalSupply; sold += 12_500n) {
+        await sportfolioIPO.setTokensSold(HORNETS, sold);
+
+        expect(await sportfolioIPO.getCurrentPrice(HORNETS)).to.equal(pricing.getPriceAtSupply(sold, SMALL_MARKET_CURVE));
+        expect(await sportfolioIPO.getSigmoidFactor(HORNETS)).to.equal(pricing.getSigmoidFactor(sold, SMALL_MARKET_CURVE));
+
+        const remaining = SMALL_MARKET_CURVE.totalSupply - sold;
+        if (remaining === 0n) continue;
+        const amount = remaining < 200n ? remaining : 200n;
+        const [tokenCost, platformFee] = await sportfolioIPO.calculatePurchaseCost(HORNETS, amount);
+        const quote = pricing.calculatePurchaseCost(sold, amount, SMALL_MARKET_CURVE);
+        expect(tokenCost).to.equal(quote.tokenCost);
+        expect(platformFee).to.equal(quote.platformFee);
+
+        const loop = await sportfolioIPO.legacyPurchaseCost(HORNETS, sold, amount);
+        expect(tokenCost).to.be.gte(loop);
+        expect(tokenCost - loop).to.be.lte(amount + 1n);
+      }
+    });
+
+    it("Should price the final token at basePrice × (supply + smoothing) / smoothing", async function () {
+      await sportfolioIPO.setTokensSold(HORNETS, SMALL_MARKET_CURVE.totalSupply);
+      // $5 × 300,000 / 50,000 = $30
+      expect(await sportfolioIPO.getCurrentPrice(HORNETS)).to.equal(30_000_000n);
+    });
+  });
+
+  describe("Purchases", function () {
+    it("Should charge the team's own fee rate", async function () {
+      const quote = pricing.calculatePurchaseCost(0n, 1_000n, SMALL_MARKET_CURVE);
+      const feeBefore = await mockUSDC.balanceOf(platformFeeRecipient.address);
+
+      await expect(sportfolioIPO.connect(buyer).buyTokens(HORNETS, 1_000n))
+        .to.emit(sportfolioIPO, "TokensPurchased")
+        .withArgs(buyer.address, HORNETS, 1_000n, quote.tokenCost, quote.platformFee);
+
+      expect(await mockUSDC.balanceOf(platformFeeRecipient.address) - feeBefore).to.equal(quote.platformFee);
+      expect(quote.platformFee).to.equal((quote.tokenCost * 150n) / 10_000n);
+    });
+
+    it("Should complete the IPO at the team's own supply", async function () {
+      await expect(sportfolioIPO.connect(buyer).buyTokens(HORNETS, SMALL_MARKET_CURVE.totalSupply + 1n))
+        .to.be.revertedWith("Exceeds total supply");
+
+      await expect(sportfolioIPO.connect(buyer).buyTokens(HORNETS, SMALL_MARKET_CURVE.totalSupply))
+        .to.emit(sportfolioIPO, "IPOCompleted");
+      expect(await sportfolioIPO.isIPOActive(HORNETS)).to.equal(false);
+      expect(await sportfolioIPO.isIPOActive(LAKERS)).to.equal(true);
+      await expect(sportfolioIPO.resumeIPO(HORNETS)).to.be.revertedWith("All tokens sold");
+    });
+
+    it("Should size budget purchases with the team's curve", async function () {
+      const budget = 20_000_000_000n; // $20,000
+      const expected = pricing.getMaxTokensForBudget(0n, budget, SMALL_MARKET_CURVE);
+      expect(await sportfolioIPO.getMaxPurchaseForBudget(HORNETS, budget)).to.equal(expected.amount);
+      expect(await sportfolioIPO.getMaxPurchaseForBudget(LAKERS, budget)).to.equal(pricing.getMaxTokensForBudget(0n, budget).amount);
+    });
+  });
+});
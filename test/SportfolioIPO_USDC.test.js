@@ -1,18 +1,16 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const pricing = require("../lib/pricing");
 
 describe("SportfolioIPO - USDC Pricing Verification", function () {
   let sportfolioIPO;
   let mockUSDC;
   let owner, buyer, platformFeeRecipient;
 
-  // Constants from contract
-  const BASE_PRICE = 30_000_000n; // $30 USD in USDC (6 decimals)
-  const TOTAL_SUPPLY = 2_000_000n;
-  const SMOOTHING_FACTOR = 200_000n;
-  const PLATFORM_FEE_RATE = 300n; // 3%
-  const BASIS_POINTS = 10_000n;
+  // Constants from contract (shared pricing library)
+  const { BASE_PRICE, PLATFORM_FEE_RATE, BASIS_POINTS } = pricing;
   const USDC_DECIMALS = 6n;
+  const TOKEN_ID = 1n; // Lakers
 
   // Example values from IPO pricing table (in USDC units with 6 decimals)
   const pricingExamples = [
@@ -35,14 +33,15 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     mockUSDC = await MockUSDC.deploy();
     await mockUSDC.waitForDeployment();
 
-    // Deploy SportfolioIPO first
-    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    // Deploy SportfolioIPO (test harness adds a supply-level setter)
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPOHarness");
     sportfolioIPO = await SportfolioIPO.deploy(
       "https://api.sportfolio.com/metadata/{id}.json",
       platformFeeRecipient.address,
       await mockUSDC.getAddress()
     );
     await sportfolioIPO.waitForDeployment();
+    await sportfolioIPO.addTeam(TOKEN_ID, "Lakers");
 
     // Give buyer USDC for testing
     const buyerUSDCAmount = 1_000_000_000n * 10n**USDC_DECIMALS; // 1B USDC
@@ -55,7 +54,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
 
   // Helper function to buy tokens with USDC
   async function buyTokensWithUSDC(amount, buyerAccount = buyer) {
-    const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(amount);
+    const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
     const totalRequired = cost + fee;
     
     // Check if we need to approve more (should already be pre-approved, but just in case)
@@ -66,7 +65,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       await mockUSDC.connect(buyerAccount).approve(contractAddress, approveAmount);
     }
     
-    await sportfolioIPO.connect(buyerAccount).buyTokens(amount);
+    await sportfolioIPO.connect(buyerAccount).buyTokens(TOKEN_ID, amount);
     return { cost, fee, totalRequired };
   }
 
@@ -77,7 +76,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
 
   describe("Base Price Verification", function () {
     it("Should have correct base price of $30 USD", async function () {
-      const basePrice = await sportfolioIPO.getBasePrice();
+      const basePrice = await sportfolioIPO.getBasePrice(TOKEN_ID);
       expect(basePrice).to.equal(BASE_PRICE);
       
       const basePriceUSD = usdcToUSD(basePrice);
@@ -85,24 +84,22 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     });
 
     it("Should return base price when no tokens sold", async function () {
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       expect(price).to.equal(BASE_PRICE);
     });
   });
 
   describe("Pricing Table Verification - Matching Example Table", function () {
     // Helper to simulate tokens sold
+    // Buying hundreds of thousands of tokens exceeds the block gas limit,
+    // so jump straight to the supply level through the test harness
     async function simulateTokensSold(amount) {
-      const currentSold = await sportfolioIPO.getTokensSold();
-      const needed = amount - currentSold;
-      
-      if (needed > 0) {
-        await buyTokensWithUSDC(needed);
-      }
+      await sportfolioIPO.setTokensSold(TOKEN_ID, amount);
+      expect(await sportfolioIPO.getCurrentPrice(TOKEN_ID)).to.equal(pricing.getPriceAtSupply(amount));
     }
 
     it("Should match pricing table example #1: 0 tokens sold = $30.00", async function () {
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(30.00 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -114,7 +111,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     it("Should match pricing table example #2: 500,000 tokens sold = $38.82", async function () {
       await simulateTokensSold(500_000);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(38.82 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -126,7 +123,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     it("Should match pricing table example #3: 1,000,000 tokens sold = $55.00", async function () {
       await simulateTokensSold(1_000_000);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(55.00 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -138,7 +135,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     it("Should match pricing table example #4: 1,500,000 tokens sold = $94.29", async function () {
       await simulateTokensSold(1_500_000);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(94.29 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -150,7 +147,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     it("Should match pricing table example #5: 1,800,000 tokens sold = $165.00", async function () {
       await simulateTokensSold(1_800_000);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(165.00 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -162,7 +159,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
     it("Should match pricing table example #6: 1,950,000 tokens sold = $264.00", async function () {
       await simulateTokensSold(1_950_000);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const expectedPrice = BigInt(Math.floor(264.00 * 1_000_000));
       
       expect(price).to.be.closeTo(expectedPrice, 10_000n);
@@ -181,32 +178,16 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       // Price = $30 + ($30 × 10) = $330
       const expectedPrice = 330_000_000n; // $330 in USDC units
       
-      // We can't easily test this by buying all tokens (gas limit),
-      // but we can verify the calculation logic matches
-      // by testing at 1,950,000 tokens (close to max) and extrapolating
-      
-      // Buy up to 1,950,000 tokens (from pricing table)
+      // We can't buy all tokens here (gas limit), so jump the team
+      // to 1,950,000 tokens sold (from pricing table) through the harness
       const targetAmount = 1_950_000n;
-      const currentSold = await sportfolioIPO.getTokensSold();
-      const needed = targetAmount - currentSold;
-      
-      if (needed > 0) {
-        // Buy in smaller batches to avoid gas issues
-        const batchSize = 100_000n;
-        let remaining = needed;
-        
-        while (remaining > 0) {
-          const batch = remaining > batchSize ? batchSize : remaining;
-          await buyTokensWithUSDC(batch);
-          remaining -= batch;
-        }
-      }
+      await sportfolioIPO.setTokensSold(TOKEN_ID, targetAmount);
       
       // Verify we're at 1,950,000
-      expect(await sportfolioIPO.getTokensSold()).to.equal(targetAmount);
+      expect(await sportfolioIPO.getTokensSold(TOKEN_ID)).to.equal(targetAmount);
       
       // Price should be close to $264 (from table)
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const priceUSD = usdcToUSD(price);
       expect(priceUSD).to.be.closeTo(264.0, 1.0);
       
@@ -217,13 +198,14 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       // Price = 30,000,000 + (30,000,000 × 10) = 330,000,000 = $330
       const calculatedFinalPrice = BASE_PRICE + (BASE_PRICE * 10n);
       expect(calculatedFinalPrice).to.equal(expectedPrice);
+      expect(pricing.getPriceAtSupply(pricing.TOTAL_SUPPLY)).to.equal(expectedPrice);
     });
   });
 
   describe("User Test Case Verification (100 tokens)", function () {
     it("Should match user's test case: Initial 100 tokens purchase", async function () {
       // Initial purchase: 0 tokens sold, buying 100
-      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(100);
+      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, 100);
       
       // User's actual values from test
       const userCost = 3_000_067_455n;
@@ -233,6 +215,11 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       expect(cost).to.be.closeTo(userCost, 100n);
       expect(fee).to.be.closeTo(userFee, 100n);
       
+      // Pricing library mirrors the contract exactly
+      const quote = pricing.calculatePurchaseCost(0, 100);
+      expect(cost).to.equal(quote.tokenCost);
+      expect(fee).to.equal(quote.platformFee);
+      
       // Verify platform fee is 3%
       const expectedFee = (cost * PLATFORM_FEE_RATE) / BASIS_POINTS;
       expect(fee).to.be.closeTo(expectedFee, 1000n);
@@ -242,7 +229,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       // Buy 100 tokens
       await buyTokensWithUSDC(100);
       
-      const price = await sportfolioIPO.getCurrentPrice();
+      const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       const userPrice = 30_001_363n; // From user's test
       
       // Should match user's observed price
@@ -254,7 +241,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       await buyTokensWithUSDC(100);
       
       // Second purchase: 100 tokens sold, buying 100 more
-      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(100);
+      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, 100);
       
       // User's actual values from test
       const userCost = 3_000_203_827n;
@@ -274,7 +261,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
         if (i > 0) {
           await buyTokensWithUSDC(1);
         }
-        const price = await sportfolioIPO.getCurrentPrice();
+        const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
         prices.push(Number(price));
       }
       
@@ -291,12 +278,12 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
       // Buy 1 token
       await buyTokensWithUSDC(1);
       
-      const price1 = await sportfolioIPO.getCurrentPrice();
+      const price1 = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       
       // Buy another token
       await buyTokensWithUSDC(1);
       
-      const price2 = await sportfolioIPO.getCurrentPrice();
+      const price2 = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
       
       // Price should increase
       expect(price2).to.be.gt(price1);
@@ -306,7 +293,7 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
   describe("Platform Fee Verification", function () {
     it("Should charge exactly 3% platform fee", async function () {
       const amount = 1000n;
-      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(amount);
+      const [cost, fee] = await sportfolioIPO.calculatePurchaseCost(TOKEN_ID, amount);
       
       const expectedFee = (cost * PLATFORM_FEE_RATE) / BASIS_POINTS;
       expect(fee).to.equal(expectedFee);
@@ -320,25 +307,25 @@ describe("SportfolioIPO - USDC Pricing Verification", function () {
   describe("Price Calculation Accuracy", function () {
     it("Should maintain pricing accuracy through large purchases", async function () {
       // Buy in chunks and verify prices match expected progression
-      const checkpoints = [100, 500, 1000, 5000, 10000];
+      const checkpoints = [100n, 500n, 1000n, 5000n, 10000n];
       
       for (const checkpoint of checkpoints) {
-        const currentSold = await sportfolioIPO.getTokensSold();
+        const currentSold = await sportfolioIPO.getTokensSold(TOKEN_ID);
         const needed = checkpoint - currentSold;
         
-        if (needed > 0) {
+        if (needed > 0n) {
           await buyTokensWithUSDC(needed);
         }
         
-        const price = await sportfolioIPO.getCurrentPrice();
+        const price = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
         const priceUSD = usdcToUSD(price);
         
         // Price should be at least $30 (base price)
         expect(priceUSD).to.be.gte(30.0);
         
         // Price should increase as more tokens are sold
-        if (checkpoint > 100) {
-          const prevPrice = await sportfolioIPO.getCurrentPrice();
+        if (checkpoint > 100n) {
+          const prevPrice = await sportfolioIPO.getCurrentPrice(TOKEN_ID);
           // This will be same as current, but we can verify it's reasonable
           expect(priceUSD).to.be.lt(1000.0); // Shouldn't exceed $1000 at 10k tokens
         }
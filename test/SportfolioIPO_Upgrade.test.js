@@ -0,0 +1,353 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const deployment = require("../lib/deployment");
+const { MODES } = require("../lib/admin");
+const { upgradeSportfolio } = require("../lib/upgrade");
+const { MISSING_ROLE } = require("../lib/errors");
+
+const { ethers, upgrades } = hre;
+
+describe("SportfolioIPO - Upgradeable Proxy", function () {
+  let sportfolioIPO;
+  let mockUSDC;
+  let deployer, alice, bob, multisig, platformFeeRecipient;
+  let proxyAddress;
+
+  const URI = "https://api.sportfolio.com/metadata/{id}.json";
+  const LAKERS = 1n;
+  const CELTICS = 2n;
+  const HORNETS = 3n; // Small curve that sells out cheaply
+  const KNICKS = 4n;  // Cancelled
+  const TEAMS = [LAKERS, CELTICS, HORNETS, KNICKS];
+  const USDC = 10n ** 6n;
+  const HOUR = 60n * 60n;
+
+  const PROXY_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+    "error OwnableUnauthorizedAccount(address account)",
+  ];
+
+  async function deadline() {
+    return BigInt(await time.latest()) + HOUR;
+  }
+
+  beforeEach(async function () {
+    [deployer, alice, bob, multisig, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPOUpgradeable = await ethers.getContractFactory("SportfolioIPOUpgradeable");
+    sportfolioIPO = await upgrades.deployProxy(
+      SportfolioIPOUpgradeable,
+      [URI, platformFeeRecipient.address, await mockUSDC.getAddress()],
+      { kind: "transparent" }
+    );
+    await sportfolioIPO.waitForDeployment();
+    proxyAddress = await sportfolioIPO.getAddress();
+
+    for (const buyer of [alice, bob]) {
+      await mockUSDC.transfer(buyer.address, 1_000_000n * USDC);
+      await mockUSDC.connect(buyer).approve(proxyAddress, ethers.MaxUint256);
+    }
+  });
+
+  describe("Initialization", function () {
+    it("Should set up the proxy the way the SportfolioIPO constructor does", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "TEAM_MANAGER_ROLE", "PAUSER_ROLE", "TREASURER_ROLE"]) {
+        expect(await sportfolioIPO.hasRole(await sportfolioIPO[role](), deployer.address)).to.equal(true);
+      }
+      expect(await sportfolioIPO.treasury()).to.equal(deployer.address);
+      expect(await sportfolioIPO.platformFeeRecipient()).to.equal(platformFeeRecipient.address);
+      expect(await sportfolioIPO.getPaymentToken()).to.equal(await mockUSDC.getAddress());
+      expect(await sportfolioIPO.uri(LAKERS)).to.equal(URI);
+      expect(await sportfolioIPO.paused()).to.equal(false);
+    });
+
+    it("Should not initialize twice, through the proxy or on the implementation", async function () {
+      await expect(
+        sportfolioIPO.initialize(URI, alice.address, await mockUSDC.getAddress())
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+
+      const implementation = await ethers.getContractAt(
+        "SportfolioIPOUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(proxyAddress)
+      );
+      await expect(
+        implementation.connect(alice).initialize(URI, alice.address, await mockUSDC.getAddress())
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should validate the initializer arguments", async function () {
+      const SportfolioIPOUpgradeable = await ethers.getContractFactory("SportfolioIPOUpgradeable");
+      await expect(
+        upgrades.deployProxy(SportfolioIPOUpgradeable, [URI, ethers.ZeroAddress, await mockUSDC.getAddress()], { kind: "transparent" })
+      ).to.be.revertedWith("Invalid fee recipient");
+      await expect(
+        upgrades.deployProxy(SportfolioIPOUpgradeable, [URI, platformFeeRecipient.address, ethers.ZeroAddress], { kind: "transparent" })
+      ).to.be.revertedWith("Invalid payment token");
+    });
+  });
+
+  describe("Upgrading", function () {
+    beforeEach(async function () {
+      await sportfolioIPO.addTeam(LAKERS, "Lakers");
+      await sportfolioIPO.addTeam(CELTICS, "Celtics");
+      await sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](HORNETS, "Hornets", 1_000_000n, 1_000n, 1_000n, 300n);
+      await sportfolioIPO.addTeam(KNICKS, "Knicks");
+      await sportfolioIPO.setWalletCap(CELTICS, 5_000n);
+
+      await sportfolioIPO.connect(alice).buyTokens(LAKERS, 1_200n);
+      await sportfolioIPO.connect(bob).buyTokensWithMaxCost(CELTICS, 800n, ethers.MaxUint256, await deadline());
+      await sportfolioIPO.connect(alice).buyTokensBatch([LAKERS, CELTICS, KNICKS], [300n, 150n, 400n], ethers.MaxUint256, await deadline());
+      await sportfolioIPO.connect(bob).buyTokens(KNICKS, 250n);
+      await sportfolioIPO.connect(bob).buyTokens(HORNETS, 1_000n); // Sells out and completes
+
+      await sportfolioIPO.cancelIPO(KNICKS, false);
+      await sportfolioIPO.connect(bob).claimRefund(KNICKS, 100n);
+      await sportfolioIPO.grantRole(await sportfolioIPO.PAUSER_ROLE(), multisig.address);
+      await sportfolioIPO.setTreasury(multisig.address);
+    });
+
+    // Everything a holder, the treasury or the indexer relies on
+    async function snapshot(contract) {
+      const state = {
+        teamIds: (await contract.getAllTeams()).map(String),
+        teams: {},
+        usdcHeld: await mockUSDC.balanceOf(proxyAddress),
+        withdrawableProceeds: await contract.withdrawableProceeds(),
+        treasury: await contract.treasury(),
+        platformFeeRecipient: await contract.platformFeeRecipient(),
+        paymentToken: await contract.getPaymentToken(),
+        pauserIsMultisig: await contract.hasRole(await contract.PAUSER_ROLE(), multisig.address),
+        deployerIsAdmin: await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), deployer.address),
+        paused: await contract.paused(),
+      };
+      for (let i = 0; i < TEAMS.length; i++) {
+        expect(await contract.teamIds(i)).to.equal(TEAMS[i]);
+      }
+      for (const tokenId of TEAMS) {
+        const holders = {};
+        for (const holder of [alice, bob]) {
+          holders[holder.address] = {
+            balance: await contract.balanceOf(holder.address, tokenId),
+            escrowedPayment: await contract.escrowedPayments(tokenId, holder.address),
+            escrowedFee: await contract.escrowedFees(tokenId, holder.address),
+            purchased: await contract.purchasedBy(tokenId, holder.address),
+          };
+        }
+        state.teams[tokenId] = {
+          info: (await contract.getTeamInfo(tokenId)).toArray(),
+          funds: (await contract.teamFunds(tokenId)).toArray(),
+          walletCap: await contract.walletCaps(tokenId),
+          price: await contract.getCurrentPrice(tokenId),
+          holders,
+        };
+      }
+      return state;
+    }
+
+    it("Should keep teams, balances and USDC holdings intact", async function () {
+      const before = await snapshot(sportfolioIPO);
+      expect(before.usdcHeld).to.be.greaterThan(0n);
+      expect(before.withdrawableProceeds).to.be.greaterThan(0n);
+
+      const V2 = await ethers.getContractFactory("SportfolioIPOUpgradeableV2");
+      const upgraded = await upgrades.upgradeProxy(proxyAddress, V2, { kind: "transparent" });
+
+      expect(await upgraded.getAddress()).to.equal(proxyAddress);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await snapshot(upgraded)).to.deep.equal(before);
+    });
+
+    it("Should keep selling, refunding and withdrawing after the upgrade", async function () {
+      const priceBefore = await sportfolioIPO.getCurrentPrice(LAKERS);
+      const V2 = await ethers.getContractFactory("SportfolioIPOUpgradeableV2");
+      const upgraded = await upgrades.upgradeProxy(proxyAddress, V2, { kind: "transparent" });
+
+      // The curve carries on from the tokens sold before the upgrade
+      const [tokenCost] = await upgraded.calculatePurchaseCost(LAKERS, 500n);
+      expect(tokenCost).to.be.at.least(priceBefore * 500n);
+      await upgraded.connect(bob).buyTokens(LAKERS, 500n);
+      expect(await upgraded.getTokensSold(LAKERS)).to.equal(2_000n);
+
+      // Wallet caps count purchases made before the upgrade
+      await expect(upgraded.connect(alice).buyTokens(CELTICS, 4_851n)).to.be.revertedWith("Exceeds wallet cap");
+
+      // Refunds pay out the escrow recorded before the upgrade
+      const refund = await upgraded.getRefundAmount(KNICKS, alice.address, 400n);
+      const aliceBefore = await mockUSDC.balanceOf(alice.address);
+      await upgraded.connect(alice).claimRefund(KNICKS, 400n);
+      expect((await mockUSDC.balanceOf(alice.address)) - aliceBefore).to.equal(refund);
+
+      // Proceeds released before the upgrade go to the treasury set before it
+      const proceeds = await upgraded.withdrawableProceeds();
+      await upgraded.withdraw(0n);
+      expect(await mockUSDC.balanceOf(multisig.address)).to.equal(proceeds);
+
+      // Roles carry over to new functions
+      await upgraded.setTeamLeague(LAKERS, "NBA");
+      expect(await upgraded.teamLeagues(LAKERS)).to.equal("NBA");
+      await expect(upgraded.connect(alice).setTeamLeague(LAKERS, "WNBA")).to.be.revertedWith(MISSING_ROLE);
+    });
+
+    it("Should refuse an implementation with an incompatible storage layout", async function () {
+      const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+      const Broken = await ethers.getContractFactory("SportfolioIPOBrokenLayout");
+
+      await expect(upgrades.validateUpgrade(proxyAddress, Broken)).to.be.rejectedWith(/New storage layout is incompatible/);
+      await expect(upgrades.upgradeProxy(proxyAddress, Broken, { kind: "transparent" })).to.be.rejectedWith(/Inserted `squatter`/);
+      expect(await upgrades.erc1967.getImplementationAddress(proxyAddress)).to.equal(implementation);
+    });
+
+    it("Should only let the ProxyAdmin owner upgrade", async function () {
+      const V2 = await ethers.getContractFactory("SportfolioIPOUpgradeableV2");
+      const implementation = await upgrades.prepareUpgrade(proxyAddress, V2, { kind: "transparent" });
+      const proxyAdmin = new ethers.Contract(await upgrades.erc1967.getAdminAddress(proxyAddress), PROXY_ADMIN_ABI, alice);
+
+      expect(await proxyAdmin.owner()).to.equal(deployer.address);
+      await expect(proxyAdmin.upgradeAndCall(proxyAddress, implementation, "0x"))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+
+      // Contract roles do not grant upgrade rights
+      await sportfolioIPO.grantRole(await sportfolioIPO.DEFAULT_ADMIN_ROLE(), alice.address);
+      await expect(proxyAdmin.upgradeAndCall(proxyAddress, implementation, "0x"))
+        .to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Manifest deployment and lib/upgrade", function () {
+    let tempDir, recordPath;
+    const log = () => {};
+
+    const MANIFEST = {
+      network: "hardhat",
+      paymentToken: "MockUSDC",
+      feeRecipient: "deployer",
+      metadataURI: URI,
+      upgradeable: true,
+      teams: [
+        { tokenId: 1, name: "Lakers" },
+        { tokenId: 2, name: "Celtics", walletCap: 5000 },
+      ],
+    };
+
+    function deploy(overrides = {}) {
+      return deployment.deploySportfolio(hre, deployment.normalizeManifest({ ...MANIFEST, ...overrides }), { recordPath, log });
+    }
+
+    function readRecord() {
+      return deployment.readDeploymentRecord(recordPath);
+    }
+
+    beforeEach(function () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-upgrade-"));
+      recordPath = path.join(tempDir, "deployments", "hardhat.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy the IPO behind a proxy and reuse it on a re-run", async function () {
+      const { sportfolioIPO: deployed, registered } = await deploy();
+      const address = await deployed.getAddress();
+      const entry = readRecord().contracts.SportfolioIPO;
+
+      expect(entry).to.include({ address, proxy: "transparent", contract: "SportfolioIPOUpgradeable" });
+      expect(entry.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(address));
+      expect(entry.proxyAdmin).to.equal(await upgrades.erc1967.getAdminAddress(address));
+      expect(registered).to.deep.equal([1n, 2n]);
+      expect(await deployed.walletCaps(2n)).to.equal(5000n);
+
+      const rerun = await deploy();
+      expect(await rerun.sportfolioIPO.getAddress()).to.equal(address);
+      expect(rerun.registered).to.deep.equal([]);
+      await expect(deploy({ upgradeable: false })).to.be.rejectedWith("was deployed behind a proxy");
+    });
+
+    it("Should reject a non-boolean upgradeable flag", function () {
+      expect(() => deployment.normalizeManifest({ ...MANIFEST, upgradeable: "yes" })).to.throw('"upgradeable" must be true or false');
+      expect(deployment.normalizeManifest({ ...MANIFEST, upgradeable: undefined }).upgradeable).to.equal(false);
+    });
+
+    it("Should check the layout in a dry run and upgrade the recorded proxy", async function () {
+      const { sportfolioIPO: deployed } = await deploy();
+      const address = await deployed.getAddress();
+      const implementation = await upgrades.erc1967.getImplementationAddress(address);
+
+      const dryRun = await upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { mode: MODES.DRY_RUN, recordPath, log });
+      expect(dryRun).to.include({ proxy: address, owner: deployer.address, previousImplementation: implementation });
+      expect(await upgrades.erc1967.getImplementationAddress(address)).to.equal(implementation);
+
+      await expect(
+        upgradeSportfolio(hre, "SportfolioIPOBrokenLayout", { mode: MODES.DRY_RUN, recordPath, log })
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+      await expect(
+        upgradeSportfolio(hre, "SportfolioIPOBrokenLayout", { recordPath, log })
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+
+      const outcome = await upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { recordPath, log });
+      expect(outcome.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(address));
+      expect(outcome.implementation).to.not.equal(implementation);
+
+      const entry = readRecord().contracts.SportfolioIPO;
+      expect(entry).to.include({ address, contract: "SportfolioIPOUpgradeableV2", implementation: outcome.implementation });
+      expect(entry.upgrades).to.have.length(1);
+      expect(entry.upgrades[0]).to.include({ contract: "SportfolioIPOUpgradeableV2", txHash: outcome.hash });
+
+      const upgraded = await ethers.getContractAt("SportfolioIPOUpgradeableV2", address);
+      expect(await upgraded.version()).to.equal("2");
+      expect((await upgraded.getTeamInfo(1n)).teamName).to.equal("Lakers");
+    });
+
+    it("Should prepare an unsigned upgrade for a multisig ProxyAdmin owner", async function () {
+      const { sportfolioIPO: deployed } = await deploy();
+      const address = await deployed.getAddress();
+      await upgrades.admin.transferProxyAdminOwnership(address, multisig.address, deployer, { silent: true });
+
+      await expect(
+        upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { recordPath, log })
+      ).to.be.rejectedWith(`Signer ${deployer.address} does not own ProxyAdmin`);
+
+      const outcome = await upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { mode: MODES.UNSIGNED, recordPath, log });
+      const proxyAdmin = await upgrades.erc1967.getAdminAddress(address);
+      expect(outcome.owner).to.equal(multisig.address);
+      expect(outcome.batch.meta.createdFromSafeAddress).to.equal(multisig.address);
+      expect(outcome.batch.chainId).to.equal("31337");
+      expect(outcome.batch.transactions).to.have.length(1);
+      expect(outcome.batch.transactions[0].to).to.equal(proxyAdmin);
+      expect(readRecord().contracts.SportfolioIPO.pendingUpgrade).to.deep.equal({
+        contract: "SportfolioIPOUpgradeableV2",
+        implementation: outcome.implementation,
+      });
+
+      // The multisig executes the batch; the next run records the upgrade
+      await multisig.sendTransaction({ to: outcome.batch.transactions[0].to, data: outcome.batch.transactions[0].data });
+      expect(await upgrades.erc1967.getImplementationAddress(address)).to.equal(outcome.implementation);
+
+      await upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { mode: MODES.DRY_RUN, recordPath, log });
+      const entry = readRecord().contracts.SportfolioIPO;
+      expect(entry).to.include({ contract: "SportfolioIPOUpgradeableV2", implementation: outcome.implementation });
+      expect(entry.pendingUpgrade).to.equal(undefined);
+      expect(entry.upgrades).to.have.length(1);
+    });
+
+    it("Should refuse to upgrade an immutable deployment", async function () {
+      await deploy({ upgradeable: false });
+      expect(readRecord().contracts.SportfolioIPO.proxy).to.equal(undefined);
+
+      await expect(
+        upgradeSportfolio(hre, "SportfolioIPOUpgradeableV2", { mode: MODES.DRY_RUN, recordPath, log })
+      ).to.be.rejectedWith("was deployed without a proxy and cannot be upgraded");
+      await expect(deploy()).to.be.rejectedWith("was deployed without a proxy");
+    });
+  });
+});
@@ -0,0 +1,359 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const pricing = require("../lib/pricing");
+const { createRandom } = require("../lib/random");
+const { deployIPO, fundAccounts } = require("../lib/fixtures");
+
+describe("SportfolioMarket - Post-IPO Secondary Market", function () {
+  let sportfolioIPO;
+  let market;
+  let mockUSDC;
+  let owner, alice, bob, platformFeeRecipient, marketFeeRecipient;
+  let marketAddress;
+
+  const LAKERS = 1n;  // IPO still live
+  const HORNETS = 2n; // Sold out
+  const MAGIC = 3n;   // Completed by the owner
+  const USDC = 10n ** 6n;
+  const MARKET_FEE_RATE = 100n; // 1%
+
+  const SMALL_CURVE = pricing.createCurve({
+    basePrice: 1_000_000n, // $1, $2 at sell-out
+    totalSupply: 1_000n,
+    smoothingFactor: 1_000n,
+    platformFeeRate: 300n,
+  });
+
+  async function deadline() {
+    return BigInt(await time.latest()) + 3600n;
+  }
+
+  function addSmallTeam(tokenId, teamName) {
+    return sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](
+      tokenId, teamName, SMALL_CURVE.basePrice, SMALL_CURVE.totalSupply, SMALL_CURVE.smoothingFactor, SMALL_CURVE.platformFeeRate
+    );
+  }
+
+  async function sell(seller, tokenId, amount) {
+    return market.connect(seller).sellTokens(tokenId, amount, 0n, await deadline());
+  }
+
+  async function buy(buyer, tokenId, amount) {
+    return market.connect(buyer).buyTokens(tokenId, amount, ethers.MaxUint256, await deadline());
+  }
+
+  async function expectReservesBacked() {
+    let sum = 0n;
+    for (const tokenId of [LAKERS, HORNETS, MAGIC]) {
+      const reserve = await market.reserves(tokenId);
+      sum += reserve.balance;
+      expect(await sportfolioIPO.balanceOf(marketAddress, tokenId)).to.equal(reserve.inventory);
+    }
+    expect(await market.totalReserves()).to.equal(sum);
+    expect(await mockUSDC.balanceOf(marketAddress)).to.equal(sum);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, platformFeeRecipient, marketFeeRecipient] = await ethers.getSigners();
+
+    ({ mockUSDC, sportfolioIPO } = await deployIPO(hre, platformFeeRecipient.address));
+
+    const SportfolioMarket = await ethers.getContractFactory("SportfolioMarket");
+    market = await SportfolioMarket.deploy(await sportfolioIPO.getAddress(), marketFeeRecipient.address, MARKET_FEE_RATE);
+    await market.waitForDeployment();
+    marketAddress = await market.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await addSmallTeam(HORNETS, "Hornets");
+    await addSmallTeam(MAGIC, "Magic");
+
+    const spenders = [await sportfolioIPO.getAddress(), marketAddress];
+    await fundAccounts(mockUSDC, [alice, bob], 100_000n * USDC, spenders);
+    await fundAccounts(mockUSDC, [owner], 0n, spenders);
+    for (const account of [owner, alice, bob]) {
+      await sportfolioIPO.connect(account).setApprovalForAll(marketAddress, true);
+    }
+
+    await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+    await sportfolioIPO.connect(alice).buyTokens(HORNETS, 600n);
+    await sportfolioIPO.connect(bob).buyTokens(HORNETS, 400n); // Sells out
+    await sportfolioIPO.connect(bob).buyTokens(MAGIC, 500n);
+    await sportfolioIPO.completeIPO(MAGIC);
+
+    await market.fundReserve(HORNETS, 500n * USDC);
+  });
+
+  describe("Deployment", function () {
+    it("Should use the IPO's payment token and validate the configuration", async function () {
+      expect(await market.paymentToken()).to.equal(await mockUSDC.getAddress());
+      expect(await market.ipo()).to.equal(await sportfolioIPO.getAddress());
+      expect(await market.feeRate()).to.equal(MARKET_FEE_RATE);
+
+      const SportfolioMarket = await ethers.getContractFactory("SportfolioMarket");
+      await expect(SportfolioMarket.deploy(await sportfolioIPO.getAddress(), marketFeeRecipient.address, 1_001n))
+        .to.be.revertedWith("Invalid fee rate");
+      await expect(SportfolioMarket.deploy(ethers.ZeroAddress, marketFeeRecipient.address, 0n))
+        .to.be.revertedWith("Invalid IPO contract");
+    });
+  });
+
+  describe("IPO state", function () {
+    it("Should only trade teams whose IPO completed", async function () {
+      await market.fundReserve(LAKERS, 100n * USDC);
+      await expect(sell(alice, LAKERS, 1n)).to.be.revertedWith("IPO not completed");
+
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      await expect(sell(alice, LAKERS, 1n)).to.be.revertedWith("IPO not completed");
+    });
+
+    it("Should start the market supply at the tokens sold in the IPO", async function () {
+      expect(await market.getMarketSupply(HORNETS)).to.equal(SMALL_CURVE.totalSupply);
+      expect(await market.getMarketSupply(MAGIC)).to.equal(500n);
+      expect(await market.getPrice(HORNETS)).to.equal(pricing.getPriceAtSupply(1_000n, SMALL_CURVE));
+    });
+  });
+
+  describe("sellTokens", function () {
+    it("Should pay the curve value minus the market fee out of the team's reserve", async function () {
+      const quote = pricing.quoteMarketSell(1_000n, 100n, MARKET_FEE_RATE, SMALL_CURVE);
+      const [proceeds, fee] = await market.quoteSell(HORNETS, 100n);
+      expect(proceeds).to.equal(quote.proceeds);
+      expect(fee).to.equal(quote.fee);
+
+      const aliceBefore = await mockUSDC.balanceOf(alice.address);
+      await expect(sell(alice, HORNETS, 100n))
+        .to.emit(market, "TokensSoldToReserve")
+        .withArgs(alice.address, HORNETS, 100n, quote.proceeds, quote.fee, pricing.getPriceAtSupply(900n, SMALL_CURVE));
+
+      expect(await mockUSDC.balanceOf(alice.address) - aliceBefore).to.equal(quote.proceeds);
+      expect(await mockUSDC.balanceOf(marketFeeRecipient.address)).to.equal(quote.fee);
+      expect(await sportfolioIPO.balanceOf(alice.address, HORNETS)).to.equal(500n);
+
+      const reserve = await market.reserves(HORNETS);
+      expect(reserve.balance).to.equal(500n * USDC - quote.value);
+      expect(reserve.inventory).to.equal(100n);
+      expect(await market.getMarketSupply(HORNETS)).to.equal(900n);
+      await expectReservesBacked();
+    });
+
+    it("Should never pay more than the per-token sum of curve prices", async function () {
+      const [proceeds, fee] = await market.quoteSell(HORNETS, 250n);
+      const perToken = pricing.calculatePurchaseCostIterative(750n, 250n, SMALL_CURVE).tokenCost;
+      expect(proceeds + fee).to.be.lte(perToken);
+    });
+
+    it("Should require approval, slippage bounds and a live deadline", async function () {
+      await sportfolioIPO.connect(alice).setApprovalForAll(marketAddress, false);
+      await expect(sell(alice, HORNETS, 1n)).to.be.revertedWith("ERC1155: caller is not token owner or approved");
+      await sportfolioIPO.connect(alice).setApprovalForAll(marketAddress, true);
+
+      const [proceeds] = await market.quoteSell(HORNETS, 10n);
+      await expect(market.connect(alice).sellTokens(HORNETS, 10n, proceeds + 1n, await deadline()))
+        .to.be.revertedWith("Below minimum proceeds");
+
+      const expired = BigInt(await time.latest());
+      await time.increase(10);
+      await expect(market.connect(alice).sellTokens(HORNETS, 10n, 0n, expired))
+        .to.be.revertedWith("Transaction expired");
+
+      await expect(sell(alice, HORNETS, 0n)).to.be.revertedWith("Must sell at least 1 token");
+      await expect(sell(owner, HORNETS, 1n)).to.be.revertedWith("ERC1155: insufficient balance for transfer");
+    });
+  });
+
+  describe("buyTokens", function () {
+    beforeEach(async function () {
+      await sell(alice, HORNETS, 200n);
+    });
+
+    it("Should sell inventory at the curve cost plus the market fee into the team's reserve", async function () {
+      const quote = pricing.quoteMarketBuy(800n, 50n, MARKET_FEE_RATE, SMALL_CURVE);
+      const [cost, fee] = await market.quoteBuy(HORNETS, 50n);
+      expect(cost).to.equal(quote.cost);
+      expect(fee).to.equal(quote.fee);
+
+      const reserveBefore = (await market.reserves(HORNETS)).balance;
+      const bobBefore = await mockUSDC.balanceOf(bob.address);
+      await expect(buy(bob, HORNETS, 50n))
+        .to.emit(market, "TokensBoughtFromReserve")
+        .withArgs(bob.address, HORNETS, 50n, quote.cost, quote.fee, pricing.getPriceAtSupply(850n, SMALL_CURVE));
+
+      expect(bobBefore - await mockUSDC.balanceOf(bob.address)).to.equal(quote.totalCost);
+      expect((await market.reserves(HORNETS)).balance - reserveBefore).to.equal(quote.cost);
+      expect(await sportfolioIPO.balanceOf(bob.address, HORNETS)).to.equal(450n);
+      await expectReservesBacked();
+    });
+
+    it("Should only sell tokens the reserve holds", async function () {
+      await expect(buy(bob, HORNETS, 201n)).to.be.revertedWith("Exceeds reserve inventory");
+      await expect(buy(bob, MAGIC, 1n)).to.be.revertedWith("Exceeds reserve inventory");
+    });
+
+    it("Should enforce the maximum total cost", async function () {
+      const [cost, fee] = await market.quoteBuy(HORNETS, 10n);
+      await expect(market.connect(bob).buyTokens(HORNETS, 10n, cost + fee - 1n, await deadline()))
+        .to.be.revertedWith("Exceeds max total cost");
+    });
+  });
+
+  describe("Reserve solvency", function () {
+    it("Should reject sells the team's reserve cannot cover", async function () {
+      const [proceeds, fee] = await market.quoteSell(HORNETS, 600n);
+      expect(proceeds + fee).to.be.gt(500n * USDC);
+      await expect(sell(alice, HORNETS, 600n)).to.be.revertedWith("Insufficient reserve");
+    });
+
+    it("Should never pay a team's sellers out of another team's reserve", async function () {
+      await expect(sell(bob, MAGIC, 1n)).to.be.revertedWith("Insufficient reserve");
+
+      await market.fundReserve(MAGIC, 20n * USDC);
+      const [proceeds, fee] = await market.quoteSell(MAGIC, 10n);
+      await sell(bob, MAGIC, 10n);
+      expect((await market.reserves(MAGIC)).balance).to.equal(20n * USDC - proceeds - fee);
+      expect((await market.reserves(HORNETS)).balance).to.equal(500n * USDC);
+    });
+
+    it("Should owe holders the curve cost of the tokens outstanding outside the reserve", async function () {
+      expect(await market.getReserveObligation(HORNETS))
+        .to.equal(pricing.calculatePurchaseCost(0n, 1_000n, SMALL_CURVE).tokenCost);
+
+      await market.fundReserve(HORNETS, 2_000n * USDC);
+      await sell(alice, HORNETS, 100n);
+      expect(await market.getReserveObligation(HORNETS))
+        .to.equal(pricing.calculatePurchaseCost(0n, 900n, SMALL_CURVE).tokenCost);
+
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      expect(await market.getReserveObligation(LAKERS)).to.equal(0n);
+    });
+
+    it("Should revert owner withdrawals that would leave less than the team's holders are owed", async function () {
+      const obligation = await market.getReserveObligation(HORNETS);
+      expect(obligation).to.be.gt(500n * USDC);
+      expect(await market.getWithdrawableReserve(HORNETS)).to.equal(0n);
+
+      await expect(market.withdrawReserve(HORNETS, 1n)).to.be.revertedWith("Reserve owed to holders");
+      await expect(market.withdrawReserve(HORNETS, 0n)).to.be.revertedWith("Reserve owed to holders");
+
+      await market.fundReserve(HORNETS, obligation - 500n * USDC + 10n * USDC);
+      await expect(market.withdrawReserve(HORNETS, 10n * USDC + 1n)).to.be.revertedWith("Reserve owed to holders");
+      await expect(market.withdrawReserve(HORNETS, 0n))
+        .to.emit(market, "ReserveWithdrawn")
+        .withArgs(HORNETS, 10n * USDC, obligation);
+      expect((await market.reserves(HORNETS)).balance).to.equal(obligation);
+    });
+
+    it("Should let holders sell the whole supply back from a reserve holding its obligation", async function () {
+      await market.fundReserve(HORNETS, (await market.getReserveObligation(HORNETS)) - 500n * USDC);
+
+      for (let i = 0; i < 6; i++) {
+        await sell(alice, HORNETS, 100n);
+      }
+      await sell(bob, HORNETS, 400n);
+
+      expect(await market.getMarketSupply(HORNETS)).to.equal(0n);
+      expect(await market.getReserveObligation(HORNETS)).to.equal(0n);
+      expect(await market.getWithdrawableReserve(HORNETS)).to.equal((await market.reserves(HORNETS)).balance);
+      await expectReservesBacked();
+    });
+
+    it("Should limit owner withdrawals to the team's own reserve", async function () {
+      const obligation = await market.getReserveObligation(MAGIC);
+      await market.fundReserve(MAGIC, obligation + 10n * USDC);
+
+      await expect(market.withdrawReserve(MAGIC, obligation + 10n * USDC + 1n)).to.be.revertedWith("Insufficient reserve");
+      await expect(market.connect(alice).withdrawReserve(MAGIC, 0n)).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(market.withdrawReserve(MAGIC, 0n))
+        .to.emit(market, "ReserveWithdrawn")
+        .withArgs(MAGIC, 10n * USDC, obligation);
+      await expect(market.withdrawReserve(99n, 0n)).to.be.revertedWith("No reserve to withdraw");
+      expect((await market.reserves(HORNETS)).balance).to.equal(500n * USDC);
+      await expectReservesBacked();
+    });
+
+    it("Should let the owner withdraw a cancelled team's whole reserve", async function () {
+      await market.fundReserve(LAKERS, 100n * USDC);
+      await expect(market.withdrawReserve(LAKERS, 0n)).to.be.revertedWith("Reserve owed to holders");
+
+      await sportfolioIPO.cancelIPO(LAKERS, false);
+      await expect(market.withdrawReserve(LAKERS, 0n))
+        .to.emit(market, "ReserveWithdrawn")
+        .withArgs(LAKERS, 100n * USDC, 0n);
+      await expectReservesBacked();
+    });
+
+    it("Should not let split sells take more out than a single buy put in", async function () {
+      await sell(alice, HORNETS, 50n);
+      const bobBefore = await mockUSDC.balanceOf(bob.address);
+      await buy(bob, HORNETS, 50n);
+      const paid = bobBefore - await mockUSDC.balanceOf(bob.address);
+
+      const received = await mockUSDC.balanceOf(bob.address);
+      for (let i = 0; i < 50; i++) {
+        await sell(bob, HORNETS, 1n);
+      }
+      expect(await mockUSDC.balanceOf(bob.address) - received).to.be.lt(paid);
+    });
+
+    it("Should keep every reserve backed through random trading", async function () {
+      await market.fundReserve(MAGIC, 1_000n * USDC);
+      const random = createRandom(42);
+      const ledger = { [HORNETS]: 500n * USDC, [MAGIC]: 1_000n * USDC };
+
+      for (let step = 0; step < 40; step++) {
+        const tokenId = random() < 0.5 ? HORNETS : MAGIC;
+        const trader = random() < 0.5 ? alice : bob;
+        const amount = 1n + BigInt(Math.floor(random() * 80));
+        const reserve = await market.reserves(tokenId);
+        const action = random();
+
+        if (action < 0.5 && (await sportfolioIPO.balanceOf(trader.address, tokenId)) >= amount) {
+          const [proceeds, fee] = await market.quoteSell(tokenId, amount);
+          if (proceeds + fee > reserve.balance) {
+            await expect(sell(trader, tokenId, amount)).to.be.revertedWith("Insufficient reserve");
+          } else {
+            await sell(trader, tokenId, amount);
+            ledger[tokenId] -= proceeds + fee;
+          }
+        } else if (action < 0.9 && reserve.inventory >= amount) {
+          const [cost] = await market.quoteBuy(tokenId, amount);
+          await buy(trader, tokenId, amount);
+          ledger[tokenId] += cost;
+        } else if (reserve.balance > 0n) {
+          const withdrawable = await market.getWithdrawableReserve(tokenId);
+          await expect(market.withdrawReserve(tokenId, withdrawable + 1n)).to.be.reverted;
+          const amountOut = withdrawable / 4n;
+          if (amountOut > 0n) {
+            await market.withdrawReserve(tokenId, amountOut);
+            ledger[tokenId] -= amountOut;
+          }
+        }
+
+        expect((await market.reserves(HORNETS)).balance).to.equal(ledger[HORNETS]);
+        expect((await market.reserves(MAGIC)).balance).to.equal(ledger[MAGIC]);
+        await expectReservesBacked();
+      }
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should let the owner update the fee rate and recipient", async function () {
+      await expect(market.setFeeRate(250n)).to.emit(market, "FeeRateUpdated").withArgs(250n);
+      await expect(market.setFeeRate(1_001n)).to.be.revertedWith("Invalid fee rate");
+      await expect(market.connect(alice).setFeeRate(0n)).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(market.setFeeRecipient(bob.address)).to.emit(market, "FeeRecipientUpdated").withArgs(bob.address);
+      await expect(market.setFeeRecipient(ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
+    });
+
+    it("Should let anyone fund an existing team's reserve", async function () {
+      await expect(market.connect(alice).fundReserve(MAGIC, 5n * USDC))
+        .to.emit(market, "ReserveFunded")
+        .withArgs(MAGIC, alice.address, 5n * USDC, 5n * USDC);
+      await expect(market.fundReserve(99n, 1n)).to.be.revertedWith("Team does not exist");
+      await expect(market.fundReserve(MAGIC, 0n)).to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const indexer = require("../lib/indexer");
+const rewards = require("../lib/rewards");
+const { buildPresaleTree } = require("../lib/presale");
+
+describe("SportfolioRewards - Holder Reward Distributions", function () {
+  let sportfolioIPO;
+  let distributor;
+  let mockUSDC;
+  let owner, alice, bob, carol, dave, platformFeeRecipient;
+  let distributorAddress;
+  let index;
+
+  const LAKERS = 1n;  // IPO still live
+  const HORNETS = 2n; // Sold out: alice 500, bob 300, carol 200
+  const MAGIC = 3n;   // Completed by the owner: alice 70, bob 30
+  const USDC = 10n ** 6n;
+  const WEEK = 7n * 24n * 60n * 60n;
+
+  function addSmallTeam(tokenId, teamName) {
+    return sportfolioIPO["addTeam(uint256,string,uint256,uint256,uint256,uint256)"](tokenId, teamName, 1_000_000n, 1_000n, 1_000n, 300n);
+  }
+
+  function transfer(from, to, tokenId, amount) {
+    return sportfolioIPO.connect(from).safeTransferFrom(from.address, to.address, tokenId, amount, "0x");
+  }
+
+  // Indexes everything so far and snapshots a team at the latest block
+  async function snapshot(tokenId, options = {}) {
+    await indexer.syncIndex(index, ethers.provider, { confirmations: 0 });
+    return rewards.buildRewardSnapshot(index, tokenId, options);
+  }
+
+  async function distribute(snap, amount, claimDeadline) {
+    const deadline = claimDeadline || BigInt(await time.latest()) + WEEK;
+    await distributor.createDistribution(snap.tokenId, snap.root, snap.blockNumber, snap.totalBalance, amount, deadline);
+    return distributor.distributionCount();
+  }
+
+  function claim(holder, distributionId, snap) {
+    const { balance, proof } = snap.holders[holder.address];
+    return distributor.connect(holder).claim(distributionId, balance, proof);
+  }
+
+  // Change in an account's USDC balance caused by fn
+  async function usdcChange(account, fn) {
+    const before = await mockUSDC.balanceOf(account.address);
+    await fn();
+    return (await mockUSDC.balanceOf(account.address)) - before;
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, dave, platformFeeRecipient] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy();
+    await mockUSDC.waitForDeployment();
+
+    const SportfolioIPO = await ethers.getContractFactory("SportfolioIPO");
+    sportfolioIPO = await SportfolioIPO.deploy(
+      "https://api.sportfolio.com/metadata/{id}.json",
+      platformFeeRecipient.address,
+      await mockUSDC.getAddress()
+    );
+    await sportfolioIPO.waitForDeployment();
+    const deployBlock = (await sportfolioIPO.deploymentTransaction().wait()).blockNumber;
+
+    const SportfolioRewards = await ethers.getContractFactory("SportfolioRewards");
+    distributor = await SportfolioRewards.deploy(await sportfolioIPO.getAddress());
+    await distributor.waitForDeployment();
+    distributorAddress = await distributor.getAddress();
+
+    await sportfolioIPO.addTeam(LAKERS, "Lakers");
+    await addSmallTeam(HORNETS, "Hornets");
+    await addSmallTeam(MAGIC, "Magic");
+    for (const buyer of [alice, bob, carol]) {
+      await mockUSDC.transfer(buyer.address, 100_000n * USDC);
+      await mockUSDC.connect(buyer).approve(await sportfolioIPO.getAddress(), ethers.MaxUint256);
+    }
+    await sportfolioIPO.connect(alice).buyTokens(LAKERS, 100n);
+    await sportfolioIPO.connect(alice).buyTokens(HORNETS, 500n);
+    await sportfolioIPO.connect(bob).buyTokens(HORNETS, 300n);
+    await sportfolioIPO.connect(carol).buyTokens(HORNETS, 200n);
+    await sportfolioIPO.connect(alice).buyTokens(MAGIC, 70n);
+    await sportfolioIPO.connect(bob).buyTokens(MAGIC, 30n);
+    await sportfolioIPO.completeIPO(MAGIC);
+
+    await mockUSDC.approve(distributorAddress, ethers.MaxUint256);
+    const { chainId } = await ethers.provider.getNetwork();
+    index = indexer.createIndex({ contract: await sportfolioIPO.getAddress(), chainId, startBlock: deployBlock });
+  });
+
+  describe("Snapshot", function () {
+    it("Should snapshot balances at a past block, ignoring later transfers", async function () {
+      const before = await snapshot(HORNETS);
+      await transfer(alice, dave, HORNETS, 200n);
+      const after = await snapshot(HORNETS);
+      const atOldBlock = rewards.buildRewardSnapshot(index, HORNETS, { blockNumber: before.blockNumber });
+
+      expect(atOldBlock).to.deep.equal(before);
+      expect(before.totalBalance).to.equal("1000");
+      expect(before.holders[alice.address].balance).to.equal("500");
+      expect(before.holders[dave.address]).to.equal(undefined);
+      expect(after.holders[alice.address].balance).to.equal("300");
+      expect(after.holders[dave.address].balance).to.equal("200");
+      for (const [address, { balance, proof }] of Object.entries(after.holders)) {
+        expect(rewards.verifyRewardProof(proof, after.root, address, balance)).to.equal(true);
+      }
+    });
+
+    it("Should leave out excluded holders and refuse blocks the index has not reached", async function () {
+      const snap = await snapshot(HORNETS, { exclude: [carol.address.toLowerCase()] });
+      expect(Object.keys(snap.holders)).to.have.members([alice.address, bob.address]);
+      expect(snap.totalBalance).to.equal("800");
+
+      expect(() => rewards.buildRewardSnapshot(index, HORNETS, { blockNumber: snap.blockNumber + 1 })).to.throw("Index has only reached block");
+      expect(() => rewards.buildRewardSnapshot(index, 9n)).to.throw("Team #9 was not added");
+      expect(() => rewards.buildRewardSnapshot(indexer.createIndex({ contract: distributorAddress, chainId: 1 }), HORNETS)).to.throw("sync it first");
+    });
+
+    it("Should write the snapshot file from a saved index", async function () {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "sportfolio-rewards-"));
+      try {
+        const expected = await snapshot(HORNETS);
+        const storePath = path.join(tempDir, "index.json");
+        const outPath = path.join(tempDir, "snapshot.json");
+        indexer.saveIndex(storePath, index);
+
+        const output = execFileSync("node", [
+          "scripts/build-reward-snapshot.js", "--team", "2", "--store", storePath, "--out", outPath, "--amount", "1,000",
+        ], { encoding: "utf8" });
+
+        expect(JSON.parse(fs.readFileSync(outPath, "utf8"))).to.deep.equal(expected);
+        expect(output).to.include(`${alice.address}  $500.000000`);
+        expect(output).to.include(`createDistribution(2, ${expected.root}, ${expected.blockNumber}, 1000, <amount>, <claimDeadline>)`);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("createDistribution", function () {
+    it("Should fund the pool and record the distribution", async function () {
+      const snap = await snapshot(HORNETS);
+      const deadline = BigInt(await time.latest()) + WEEK;
+
+      await expect(distributor.createDistribution(HORNETS, snap.root, snap.blockNumber, 1_000n, 1_000n * USDC, deadline))
+        .to.emit(distributor, "DistributionCreated")
+        .withArgs(1n, HORNETS, snap.root, snap.blockNumber, 1_000n, 1_000n * USDC, deadline);
+
+      expect(await mockUSDC.balanceOf(distributorAddress)).to.equal(1_000n * USDC);
+      expect((await distributor.distributions(1n)).amount).to.equal(1_000n * USDC);
+      expect(await distributor.getTeamDistributions(HORNETS)).to.deep.equal([1n]);
+    });
+
+    it("Should reject invalid distributions", async function () {
+      const snap = await snapshot(HORNETS);
+      const deadline = BigInt(await time.latest()) + WEEK;
+      const create = (overrides) => {
+        const args = { tokenId: HORNETS, root: snap.root, block: snap.blockNumber, total: 1_000n, amount: USDC, deadline, ...overrides };
+        return distributor.createDistribution(args.tokenId, args.root, args.block, args.total, args.amount, args.deadline);
+      };
+
+      await expect(create({ tokenId: LAKERS })).to.be.revertedWith("IPO not completed");
+      await expect(create({ root: ethers.ZeroHash })).to.be.revertedWith("Invalid merkle root");
+      await expect(create({ block: (await ethers.provider.getBlockNumber()) + 1 })).to.be.revertedWith("Snapshot must be in the past");
+      await expect(create({ total: 0n })).to.be.revertedWith("Invalid total balance");
+      await expect(create({ total: 1_001n })).to.be.revertedWith("Invalid total balance");
+      await expect(create({ amount: 0n })).to.be.revertedWith("Amount must be greater than 0");
+      await expect(create({ deadline: BigInt(await time.latest()) })).to.be.revertedWith("Invalid claim deadline");
+      await expect(
+        distributor.connect(alice).createDistribution(HORNETS, snap.root, snap.blockNumber, 1_000n, USDC, deadline)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should pay each holder their pro-rata share once", async function () {
+      const snap = await snapshot(HORNETS);
+      const id = await distribute(snap, 1_000n * USDC);
+
+      await expect(claim(alice, id, snap))
+        .to.emit(distributor, "RewardClaimed")
+        .withArgs(id, alice.address, 500n, 500n * USDC);
+      expect(await usdcChange(bob, () => claim(bob, id, snap))).to.equal(300n * USDC);
+      expect(await usdcChange(carol, () => claim(carol, id, snap))).to.equal(200n * USDC);
+
+      expect(await distributor.hasClaimed(id, alice.address)).to.equal(true);
+      await expect(claim(alice, id, snap)).to.be.revertedWith("Already claimed");
+      expect(await mockUSDC.balanceOf(distributorAddress)).to.equal(0n);
+    });
+
+    it("Should pay the snapshot holder, not whoever received the tokens afterwards", async function () {
+      const snap = await snapshot(HORNETS);
+      await transfer(alice, dave, HORNETS, 500n);
+      await transfer(bob, alice, HORNETS, 100n);
+      const id = await distribute(snap, 1_000n * USDC);
+
+      // Alice sold everything after the snapshot and bought some of Bob's: she still gets her snapshot share
+      expect(await usdcChange(alice, () => claim(alice, id, snap))).to.equal(500n * USDC);
+      expect(await usdcChange(bob, () => claim(bob, id, snap))).to.equal(300n * USDC);
+
+      // Dave held nothing at the snapshot; claiming with his current balance does not prove
+      await expect(distributor.connect(dave).claim(id, 500n, snap.holders[alice.address].proof)).to.be.revertedWith("Invalid reward proof");
+
+      // The next distribution's snapshot sees the new balances
+      const next = await snapshot(HORNETS);
+      const nextId = await distribute(next, 1_000n * USDC);
+      expect(await usdcChange(dave, () => claim(dave, nextId, next))).to.equal(500n * USDC);
+      expect(await usdcChange(alice, () => claim(alice, nextId, next))).to.equal(100n * USDC);
+    });
+
+    it("Should reject a claim with a balance other than the snapshot's", async function () {
+      const snap = await snapshot(HORNETS);
+      const id = await distribute(snap, 1_000n * USDC);
+      await expect(distributor.connect(bob).claim(id, 301n, snap.holders[bob.address].proof)).to.be.revertedWith("Invalid reward proof");
+      await expect(distributor.connect(bob).claim(id + 1n, 300n, snap.holders[bob.address].proof)).to.be.revertedWith("Distribution does not exist");
+    });
+
+    it("Should round rewards down and lose no more than one unit per holder", async function () {
+      const snap = await snapshot(HORNETS);
+      const amount = 1_000n * USDC + 999n; // Not divisible by the snapshot balances
+      const id = await distribute(snap, amount);
+
+      let paid = 0n;
+      for (const holder of [alice, bob, carol]) {
+        const { balance } = snap.holders[holder.address];
+        const reward = await usdcChange(holder, () => claim(holder, id, snap));
+        expect(reward).to.equal(rewards.getReward(amount, balance, 1_000n));
+        expect(reward).to.equal(await distributor.getReward(id, balance));
+        paid += reward;
+      }
+
+      const dust = amount - paid;
+      expect(dust).to.be.lessThan(3n);
+      expect(await mockUSDC.balanceOf(distributorAddress)).to.equal(dust);
+    });
+
+    it("Should pay every distribution only from its own funding", async function () {
+      const hornets = await snapshot(HORNETS);
+      const magic = await snapshot(MAGIC);
+      const hornetsId = await distribute(hornets, 1_000n * USDC);
+      const magicId = await distribute(magic, 100n * USDC);
+      expect(await distributor.getTeamDistributions(MAGIC)).to.deep.equal([magicId]);
+
+      // A tree whose balances add up to more than the declared total cannot drain the other pool
+      const { root, proofs } = buildPresaleTree([
+        { address: alice.address, allocation: 100n },
+        { address: bob.address, allocation: 100n },
+      ]);
+      const badId = await distribute({ tokenId: MAGIC, root, blockNumber: magic.blockNumber, totalBalance: 100n }, 10n * USDC);
+      await distributor.connect(alice).claim(badId, 100n, proofs[alice.address].proof);
+      await expect(distributor.connect(bob).claim(badId, 100n, proofs[bob.address].proof)).to.be.revertedWith("Exceeds distribution");
+
+      expect(await usdcChange(alice, () => claim(alice, magicId, magic))).to.equal(70n * USDC);
+      expect(await usdcChange(carol, () => claim(carol, hornetsId, hornets))).to.equal(200n * USDC);
+    });
+  });
+
+  describe("Claim deadline", function () {
+    it("Should close claims at the deadline and return the rest to the owner", async function () {
+      const snap = await snapshot(HORNETS);
+      const deadline = BigInt(await time.latest()) + WEEK;
+      const id = await distribute(snap, 1_000n * USDC, deadline);
+      await claim(alice, id, snap);
+
+      await expect(distributor.reclaimUnclaimed(id)).to.be.revertedWith("Claims still open");
+      await time.increaseTo(deadline);
+      await expect(claim(bob, id, snap)).to.be.revertedWith("Distribution closed");
+
+      await expect(distributor.connect(alice).reclaimUnclaimed(id)).to.be.revertedWith("Ownable: caller is not the owner");
+      expect(await usdcChange(owner, async () => {
+        await expect(distributor.reclaimUnclaimed(id)).to.emit(distributor, "UnclaimedReclaimed").withArgs(id, 500n * USDC);
+      })).to.equal(500n * USDC);
+      await expect(distributor.reclaimUnclaimed(id)).to.be.revertedWith("Nothing to reclaim");
+      expect(await mockUSDC.balanceOf(distributorAddress)).to.equal(0n);
+    });
+  });
+});